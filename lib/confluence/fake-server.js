@@ -0,0 +1,1047 @@
+/**
+ * In-memory stand-in for the Confluence REST API
+ * @module @defra/delivery-info-arch-tooling/confluence/fake-server
+ *
+ * Serves the v1 endpoints that publishing and `read-confluence` use, under
+ * `/wiki/rest/api` (Cloud style URLs) and `/rest/api` (Data Center style), so
+ * both can run end to end without a real instance:
+ *
+ *   content     - create, read, update, trash, purge, archive and restore pages
+ *   search      - CQL on space, title, type, label, status, ancestor, parent, id
+ *                 and text, with AND, OR, NOT, IN and parentheses
+ *   versions    - page history, and restoring an earlier version as a new one
+ *   labels, content properties, attachments (multipart upload), child pages,
+ *   descendants, spaces (each with a home page) and the current user
+ *
+ * Page and property updates must carry the next version number, as on a real
+ * instance, so version conflicts (HTTP 409) can be exercised. Any Authorization
+ * header is accepted. State lives in memory and is lost when the server stops.
+ * The v2 API (`apiVersion: 'v2'`) is not served.
+ */
+
+const http = require('http')
+const crypto = require('crypto')
+const { PANEL_TYPE_MACROS } = require('./lib/panels')
+
+/**
+ * API roots the v1 endpoints are served under
+ */
+const API_PREFIXES = ['/wiki/rest/api', '/rest/api']
+
+/**
+ * Account every request is made as, unless options.user overrides it
+ */
+const DEFAULT_USER = {
+  type: 'known',
+  accountId: 'fake-publisher',
+  displayName: 'Fake Publisher',
+  email: 'publisher@example.com'
+}
+
+/**
+ * Page size when a request gives no limit
+ */
+const DEFAULT_LIMIT = 25
+
+/**
+ * Build an error the request handler turns into a JSON error response
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Message
+ * @returns {Error} Error with statusCode
+ */
+function httpError (statusCode, message) {
+  return Object.assign(new Error(message), { statusCode })
+}
+
+/**
+ * Escape text for XHTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Render ADF as storage format, so pages published as ADF can be read back as storage
+ * (covers the nodes the Markdown converter produces; others keep only their content)
+ * @param {Object|Array} node - ADF node or nodes
+ * @returns {string} Storage format XHTML
+ */
+function adfToStorage (node) {
+  if (!node) return ''
+  if (Array.isArray(node)) return node.map(adfToStorage).join('')
+
+  const inner = adfToStorage(node.content || [])
+  const attrs = node.attrs || {}
+  switch (node.type) {
+    case 'paragraph': return `<p>${inner}</p>`
+    case 'heading': return `<h${attrs.level || 1}>${inner}</h${attrs.level || 1}>`
+    case 'bulletList': return `<ul>${inner}</ul>`
+    case 'orderedList': return `<ol>${inner}</ol>`
+    case 'listItem': return `<li>${inner}</li>`
+    case 'blockquote': return `<blockquote>${inner}</blockquote>`
+    case 'rule': return '<hr />'
+    case 'hardBreak': return '<br />'
+    case 'table': return `<table><tbody>${inner}</tbody></table>`
+    case 'tableRow': return `<tr>${inner}</tr>`
+    case 'tableHeader': return `<th>${inner}</th>`
+    case 'tableCell': return `<td>${inner}</td>`
+    case 'taskList': return `<ac:task-list>${inner}</ac:task-list>`
+    case 'taskItem': {
+      const status = attrs.state === 'DONE' ? 'complete' : 'incomplete'
+      return `<ac:task><ac:task-id>${escapeXml(attrs.localId || '')}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body>${inner}</ac:task-body></ac:task>`
+    }
+    case 'codeBlock': {
+      const code = (node.content || []).map(child => child.text || '').join('')
+      return `<ac:structured-macro ac:name="code">${attrs.language ? `<ac:parameter ac:name="language">${escapeXml(attrs.language)}</ac:parameter>` : ''}<ac:plain-text-body><![CDATA[${code}]]></ac:plain-text-body></ac:structured-macro>`
+    }
+    case 'panel': {
+      // As Confluence stores panels: as the older macro where there is one, otherwise as an ADF extension
+      const panelType = attrs.panelType || 'info'
+      if (PANEL_TYPE_MACROS[panelType]) {
+        return `<ac:structured-macro ac:name="${PANEL_TYPE_MACROS[panelType]}"><ac:rich-text-body>${inner}</ac:rich-text-body></ac:structured-macro>`
+      }
+      return `<ac:adf-extension><ac:adf-node type="panel"><ac:adf-attribute key="panel-type">${escapeXml(panelType)}</ac:adf-attribute><ac:adf-content>${inner}</ac:adf-content></ac:adf-node><ac:adf-fallback><div class="panel">${inner}</div></ac:adf-fallback></ac:adf-extension>`
+    }
+    case 'mediaSingle': {
+      // As Confluence stores a remote image (attachments need the page's files, so are left out)
+      const media = (node.content || [])[0] || {}
+      const mediaAttrs = media.attrs || {}
+      if (mediaAttrs.type !== 'external') return ''
+      const alt = mediaAttrs.alt ? ` ac:alt="${escapeXml(mediaAttrs.alt)}"` : ''
+      const width = attrs.width ? ` ac:width="${attrs.width}"` : ''
+      return `<ac:image ac:align="${escapeXml(attrs.layout || 'center')}"${alt}${width}><ri:url ri:value="${escapeXml(mediaAttrs.url || '')}" /></ac:image>`
+    }
+    case 'text': {
+      let text = escapeXml(node.text || '')
+      for (const mark of node.marks || []) {
+        if (mark.type === 'strong') text = `<strong>${text}</strong>`
+        else if (mark.type === 'em') text = `<em>${text}</em>`
+        else if (mark.type === 'code') text = `<code>${text}</code>`
+        else if (mark.type === 'strike') text = `<s>${text}</s>`
+        else if (mark.type === 'subsup') text = `<${mark.attrs?.type || 'sup'}>${text}</${mark.attrs?.type || 'sup'}>`
+        else if (mark.type === 'link') text = `<a href="${escapeXml(mark.attrs?.href || '')}">${text}</a>`
+      }
+      return text
+    }
+    default:
+      return inner
+  }
+}
+
+/**
+ * Split a CQL query into tokens
+ * @param {string} cql - Query
+ * @returns {Array<string>} Tokens (quoted strings keep their quotes)
+ * @throws {Error} HTTP 400 on characters CQL does not allow
+ */
+function tokenizeCql (cql) {
+  const pattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\(|\)|,|!=|!~|=|~|[^\s()=~!,"']+)/y
+  const tokens = []
+  while (cql.slice(pattern.lastIndex).trim()) {
+    const match = pattern.exec(cql)
+    if (!match) {
+      throw httpError(400, `Could not parse cql: ${cql}`)
+    }
+    tokens.push(match[1])
+  }
+  return tokens
+}
+
+/**
+ * Compile a CQL query to a predicate over stored content
+ * @param {string} cql - Query (a trailing ORDER BY is ignored)
+ * @param {Function} fieldValues - (content, field) → Array of the content's values for a field
+ * @returns {Function} content → boolean
+ * @throws {Error} HTTP 400 when the query cannot be parsed or uses an unsupported field
+ */
+function compileCql (cql, fieldValues) {
+  const tokens = tokenizeCql(cql.replace(/\s+order\s+by\s+.*$/i, ''))
+  let position = 0
+  const peek = () => tokens[position]
+  const isWord = word => typeof peek() === 'string' && peek().toUpperCase() === word
+  const fail = () => httpError(400, `Could not parse cql: ${cql}`)
+
+  const unquote = token => {
+    if (token === undefined || ['(', ')', ','].includes(token)) throw fail()
+    return /^["']/.test(token) ? token.slice(1, -1).replace(/\\(.)/g, '$1') : token
+  }
+
+  const comparison = () => {
+    const field = String(tokens[position++] || '').toLowerCase()
+    let operator = String(tokens[position++] || '').toUpperCase()
+    if (operator === 'NOT' && isWord('IN')) {
+      position++
+      operator = 'NOT IN'
+    }
+
+    let values
+    if (operator === 'IN' || operator === 'NOT IN') {
+      if (tokens[position++] !== '(') throw fail()
+      values = [unquote(tokens[position++])]
+      while (peek() === ',') {
+        position++
+        values.push(unquote(tokens[position++]))
+      }
+      if (tokens[position++] !== ')') throw fail()
+    } else if (['=', '!=', '~', '!~'].includes(operator)) {
+      values = [unquote(tokens[position++])]
+    } else {
+      throw fail()
+    }
+
+    // Check the field once, up front
+    fieldValues(null, field)
+    return content => {
+      const actual = fieldValues(content, field).map(value => String(value))
+      const equals = values.some(value => actual.includes(value))
+      const contains = values.some(value => actual.some(text => text.toLowerCase().includes(value.toLowerCase())))
+      switch (operator) {
+        case '=': case 'IN': return equals
+        case '!=': case 'NOT IN': return !equals
+        case '~': return contains
+        default: return !contains
+      }
+    }
+  }
+
+  const factor = () => {
+    if (isWord('NOT')) {
+      position++
+      const negated = factor()
+      return content => !negated(content)
+    }
+    if (peek() === '(') {
+      position++
+      const grouped = expression()
+      if (tokens[position++] !== ')') throw fail()
+      return grouped
+    }
+    return comparison()
+  }
+
+  const term = () => {
+    const parts = [factor()]
+    while (isWord('AND')) {
+      position++
+      parts.push(factor())
+    }
+    return content => parts.every(part => part(content))
+  }
+
+  const expression = () => {
+    const parts = [term()]
+    while (isWord('OR')) {
+      position++
+      parts.push(term())
+    }
+    return content => parts.some(part => part(content))
+  }
+
+  const predicate = expression()
+  if (position < tokens.length) throw fail()
+  return predicate
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody (req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body - Body
+ * @param {string} contentType - Content-Type header (with the boundary)
+ * @returns {Array<Object>} Parts { name, filename, contentType, data }
+ */
+function parseMultipart (body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '')
+  if (!boundary) return []
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`)
+  const parts = []
+  let start = body.indexOf(delimiter)
+  while (start !== -1) {
+    const end = body.indexOf(delimiter, start + delimiter.length)
+    if (end === -1) break
+    // Each part sits between "<delimiter>\r\n" and "\r\n<delimiter>"
+    const part = body.subarray(start + delimiter.length + 2, end - 2)
+    const headerEnd = part.indexOf('\r\n\r\n')
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf-8')
+      parts.push({
+        name: /;\s*name="([^"]*)"/i.exec(headers)?.[1] || null,
+        filename: /;\s*filename="([^"]*)"/i.exec(headers)?.[1] || null,
+        contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1].trim() || null,
+        data: part.subarray(headerEnd + 4)
+      })
+    }
+    start = end
+  }
+  return parts
+}
+
+/**
+ * Create a fake Confluence instance
+ * @param {Object} [options] - Options
+ * @param {Array<string|Object>} [options.spaces] - Spaces to create: keys, or { key, name }
+ * @param {Object} [options.user] - Overrides for the account requests are made as
+ * @returns {Object} Fake instance: start, stop, url, seed helpers and the request log
+ *
+ * @example
+ * const fake = createFakeConfluence({ spaces: ['DEMO'] })
+ * const url = await fake.start()
+ * await publish({ configPath, auth: { username: 'me', apiToken: 'x' }, confluenceUrl: url })
+ * fake.findPages({ space: 'DEMO' })
+ * await fake.stop()
+ */
+function createFakeConfluence (options = {}) {
+  const user = { ...DEFAULT_USER, ...options.user }
+  const spaces = new Map()
+  const contents = new Map()
+  const requests = []
+  let nextId = 100001
+  let server = null
+  let url = null
+
+  /**
+   * Version stamp for a write by the fake's user
+   * @param {number} number - Version number
+   * @param {string} [message] - Version message
+   * @returns {Object} Version
+   */
+  function versionStamp (number, message) {
+    return {
+      number,
+      when: new Date().toISOString(),
+      by: { type: user.type, accountId: user.accountId, displayName: user.displayName },
+      ...(message && { message })
+    }
+  }
+
+  /**
+   * Look up stored content, failing with 404
+   * @param {string} id - Content ID
+   * @returns {Object} Content
+   */
+  function contentOr404 (id) {
+    const content = contents.get(String(id))
+    if (!content) {
+      throw httpError(404, `No content found with id: ContentId{id=${id}}`)
+    }
+    return content
+  }
+
+  /**
+   * Look up a space, failing with 404
+   * @param {string} key - Space key
+   * @returns {Object} Space
+   */
+  function spaceOr404 (key) {
+    const space = spaces.get(key)
+    if (!space) {
+      throw httpError(404, `No space with key : ${key}`)
+    }
+    return space
+  }
+
+  /**
+   * Ancestors of a piece of content, root first
+   * @param {Object} content - Content
+   * @returns {Array<Object>} Ancestor contents
+   */
+  function ancestorsOf (content) {
+    const ancestors = []
+    let parent = contents.get(content.parentId)
+    while (parent) {
+      ancestors.unshift(parent)
+      parent = contents.get(parent.parentId)
+    }
+    return ancestors
+  }
+
+  /**
+   * Fail with 400 when another current page in the space has the title
+   * @param {string} spaceKey - Space key
+   * @param {string} title - Title
+   * @param {string} [exceptId] - Page being renamed
+   */
+  function assertTitleFree (spaceKey, title, exceptId) {
+    for (const content of contents.values()) {
+      if (content.type === 'page' && content.spaceKey === spaceKey && content.title === title &&
+          content.status === 'current' && content.id !== exceptId) {
+        throw httpError(400, `A page with this title already exists: A page already exists with the same TITLE in this space (${title})`)
+      }
+    }
+  }
+
+  /**
+   * Values of a CQL field for a piece of content
+   * @param {Object|null} content - Content (null only checks the field is supported)
+   * @param {string} field - CQL field
+   * @returns {Array<string>} Values
+   */
+  function cqlFieldValues (content, field) {
+    const fields = {
+      id: c => [c.id],
+      space: c => [c.spaceKey],
+      title: c => [c.title],
+      type: c => [c.type],
+      label: c => c.labels,
+      status: c => [c.status],
+      ancestor: c => ancestorsOf(c).map(ancestor => ancestor.id),
+      parent: c => (c.parentId ? [c.parentId] : []),
+      text: c => [c.title, storageOf(c).replace(/<[^>]+>/g, ' ')]
+    }
+    if (!fields[field]) {
+      throw httpError(400, `Unsupported CQL field in the fake Confluence server: ${field}`)
+    }
+    return content ? fields[field](content) : []
+  }
+
+  /**
+   * Storage format body of a piece of content (rendered from ADF when only ADF is stored)
+   * @param {Object} content - Content
+   * @returns {string} Storage XHTML
+   */
+  function storageOf (content) {
+    if (content.body.storage !== undefined) {
+      return content.body.storage
+    }
+    if (content.body.atlas_doc_format === undefined) {
+      return ''
+    }
+    try {
+      return adfToStorage(JSON.parse(content.body.atlas_doc_format).content)
+    } catch (error) {
+      return ''
+    }
+  }
+
+  /**
+   * Shape stored content like a v1 API response
+   * @param {Object} content - Content
+   * @param {string} [expand] - Expand parameter (bodies and metadata.labels are only included when asked for)
+   * @returns {Object} Content JSON
+   */
+  function toJson (content, expand = '') {
+    const space = spaces.get(content.spaceKey)
+    const json = {
+      id: content.id,
+      type: content.type,
+      status: content.status,
+      title: content.title,
+      space: { key: space.key, name: space.name, type: 'global' },
+      version: content.version,
+      ancestors: ancestorsOf(content).map(ancestor => ({ id: ancestor.id, type: ancestor.type, title: ancestor.title })),
+      _links: {
+        webui: content.type === 'attachment'
+          ? `/pages/viewpageattachments.action?pageId=${content.parentId}`
+          : `/spaces/${encodeURIComponent(space.key)}/pages/${content.id}/${encodeURIComponent(content.title).replace(/%20/g, '+')}`
+      }
+    }
+
+    if (content.type === 'attachment') {
+      json.container = { id: content.parentId }
+      json.extensions = { mediaType: content.mediaType, fileSize: content.data.length, fileId: content.fileId, comment: content.comment }
+      json._links.download = `/download/attachments/${content.parentId}/${encodeURIComponent(content.title)}?version=${content.version.number}`
+    }
+
+    const body = {}
+    if (expand.includes('body.storage')) {
+      body.storage = { value: storageOf(content), representation: 'storage' }
+    }
+    if (expand.includes('body.atlas_doc_format') && content.body.atlas_doc_format !== undefined) {
+      body.atlas_doc_format = { value: content.body.atlas_doc_format, representation: 'atlas_doc_format' }
+    }
+    if (Object.keys(body).length > 0) {
+      json.body = body
+    }
+    if (expand.includes('metadata.labels')) {
+      json.metadata = { labels: labelsJson(content) }
+    }
+    const propertyKeys = expand.split(',')
+      .filter(item => item.startsWith('metadata.properties.'))
+      .map(item => item.slice('metadata.properties.'.length))
+    if (propertyKeys.length > 0) {
+      const properties = propertyKeys.filter(key => content.properties.has(key)).map(key => [key, content.properties.get(key)])
+      json.metadata = { ...json.metadata, properties: Object.fromEntries(properties) }
+    }
+    if (expand.includes('history')) {
+      json.history = { latest: true, lastUpdated: content.version, createdDate: content.createdAt }
+    }
+    return json
+  }
+
+  /**
+   * Labels of a piece of content as a v1 collection
+   * @param {Object} content - Content
+   * @returns {Object} { results, size }
+   */
+  function labelsJson (content) {
+    const results = content.labels.map(name => ({ prefix: 'global', name, id: name, label: name }))
+    return { results, start: 0, limit: 200, size: results.length }
+  }
+
+  /**
+   * Slice results into a v1 page with a `next` link
+   * @param {Array} results - All results
+   * @param {URL} requestUrl - Request URL (start and limit are read from it)
+   * @param {string} apiPath - Endpoint below the API root
+   * @returns {Object} { results, start, limit, size, _links }
+   */
+  function paginate (results, requestUrl, apiPath) {
+    const start = Math.max(0, parseInt(requestUrl.searchParams.get('start'), 10) || 0)
+    const limit = Math.max(1, parseInt(requestUrl.searchParams.get('limit'), 10) || DEFAULT_LIMIT)
+    const slice = results.slice(start, start + limit)
+    const links = {}
+    if (start + limit < results.length) {
+      const params = new URLSearchParams(requestUrl.searchParams)
+      params.set('start', String(start + limit))
+      params.set('limit', String(limit))
+      links.next = `/rest/api${apiPath}?${params}`
+    }
+    return { results: slice, start, limit, size: slice.length, _links: links }
+  }
+
+  /**
+   * Add a space with a home page
+   * @param {string} key - Space key
+   * @param {string} [name] - Space name
+   * @returns {Object} Space { key, name, homepageId }
+   */
+  function addSpace (key, name = key) {
+    if (spaces.has(key)) {
+      return spaces.get(key)
+    }
+    const space = { key, name, homepageId: null }
+    spaces.set(key, space)
+    space.homepageId = addPage({ space: key, title: `${name} Home` }).id
+    return space
+  }
+
+  /**
+   * Add a page directly (for seeding)
+   * @param {Object} page - Page
+   * @param {string} page.space - Space key (created if missing)
+   * @param {string} page.title - Title
+   * @param {string|null} [page.parentId] - Parent page ID (default: the space home page; null for the space root)
+   * @param {string|Object} [page.body] - Storage XHTML, or an ADF document
+   * @param {Array<string>} [page.labels] - Labels
+   * @param {string} [page.status] - 'current' (default), 'archived' or 'trashed'
+   * @returns {Object} Stored page
+   */
+  function addPage (page) {
+    const space = spaces.get(page.space) || addSpace(page.space)
+    const content = {
+      id: String(nextId++),
+      type: 'page',
+      status: page.status || 'current',
+      title: page.title,
+      spaceKey: space.key,
+      parentId: page.parentId !== undefined ? (page.parentId && String(page.parentId)) : space.homepageId,
+      version: versionStamp(1),
+      createdAt: new Date().toISOString(),
+      body: typeof page.body === 'object' && page.body !== null
+        ? { atlas_doc_format: JSON.stringify(page.body) }
+        : { storage: page.body || '' },
+      labels: [...(page.labels || [])],
+      properties: new Map(),
+      history: [] // Earlier versions: { version, title, body }
+    }
+    contents.set(content.id, content)
+    return content
+  }
+
+  /**
+   * Find stored content
+   * @param {Object} [filter] - { space, title, type (default 'page'), status, parentId }
+   * @returns {Array<Object>} Matching stored content
+   */
+  function findPages (filter = {}) {
+    return [...contents.values()].filter(content =>
+      content.type === (filter.type || 'page') &&
+      (!filter.space || content.spaceKey === filter.space) &&
+      (!filter.title || content.title === filter.title) &&
+      (!filter.status || content.status === filter.status) &&
+      (!filter.parentId || content.parentId === String(filter.parentId))
+    )
+  }
+
+  /**
+   * Whether a content status is visible through a `status` query parameter
+   * @param {Object} content - Content
+   * @param {string|null} status - Parameter value ('any', or comma-separated statuses; default current)
+   * @returns {boolean} True if visible
+   */
+  function statusMatches (content, status) {
+    if (status === 'any') return true
+    return (status || 'current').split(',').includes(content.status)
+  }
+
+  /**
+   * Body of a page create or update request, stored form
+   * @param {Object} payloadBody - `body` of the payload
+   * @returns {Object} { storage } or { atlas_doc_format }
+   */
+  function storedBody (payloadBody = {}) {
+    if (payloadBody.atlas_doc_format) {
+      const value = payloadBody.atlas_doc_format.value
+      return { atlas_doc_format: typeof value === 'string' ? value : JSON.stringify(value) }
+    }
+    return { storage: payloadBody.storage?.value || '' }
+  }
+
+  /**
+   * Parent ID from a payload's ancestors (the last one is the parent)
+   * @param {Array<Object>} [ancestors] - Ancestors
+   * @returns {string|null} Parent ID
+   */
+  function parentFromAncestors (ancestors) {
+    const parent = Array.isArray(ancestors) && ancestors.length > 0 ? ancestors[ancestors.length - 1] : null
+    return parent?.id ? String(contentOr404(parent.id).id) : null
+  }
+
+  /**
+   * Store an uploaded attachment, or a new version of one
+   * @param {Object} page - Container page
+   * @param {Object} file - Multipart file part
+   * @param {string} [comment] - Comment
+   * @param {Object} [existing] - Attachment to update
+   * @returns {Object} Stored attachment
+   */
+  function storeAttachment (page, file, comment, existing) {
+    if (existing) {
+      Object.assign(existing, {
+        data: file.data,
+        mediaType: file.contentType || existing.mediaType,
+        comment: comment || existing.comment,
+        version: versionStamp(existing.version.number + 1)
+      })
+      return existing
+    }
+    const attachment = {
+      id: `att${nextId++}`,
+      type: 'attachment',
+      status: 'current',
+      title: file.filename,
+      spaceKey: page.spaceKey,
+      parentId: page.id,
+      version: versionStamp(1),
+      createdAt: new Date().toISOString(),
+      body: {},
+      labels: [],
+      properties: new Map(),
+      history: [],
+      data: file.data,
+      mediaType: file.contentType || 'application/octet-stream',
+      fileId: crypto.randomUUID(),
+      comment: comment || ''
+    }
+    contents.set(attachment.id, attachment)
+    return attachment
+  }
+
+  /**
+   * Routes: [method, path pattern, handler(context)] (path below the API root)
+   */
+  const routes = [
+    ['GET', /^\/user\/current$/, () => ({ body: user })],
+
+    ['GET', /^\/space$/, ({ requestUrl }) => ({
+      body: paginate([...spaces.values()].map(space => ({ key: space.key, name: space.name, type: 'global' })), requestUrl, '/space')
+    })],
+
+    ['GET', /^\/space\/([^/]+)$/, ({ params }) => {
+      const space = spaceOr404(decodeURIComponent(params[0]))
+      const homepage = contents.get(space.homepageId)
+      return { body: { key: space.key, name: space.name, type: 'global', homepage: homepage ? { id: homepage.id, type: 'page', title: homepage.title } : undefined } }
+    }],
+
+    ['GET', /^\/content$/, ({ requestUrl }) => {
+      const query = requestUrl.searchParams
+      const results = [...contents.values()].filter(content =>
+        content.type === (query.get('type') || 'page') &&
+        (!query.get('spaceKey') || content.spaceKey === query.get('spaceKey')) &&
+        (!query.get('title') || content.title === query.get('title')) &&
+        statusMatches(content, query.get('status'))
+      )
+      const page = paginate(results, requestUrl, '/content')
+      return { body: { ...page, results: page.results.map(content => toJson(content, query.get('expand') || '')) } }
+    }],
+
+    ['POST', /^\/content$/, ({ json }) => {
+      const space = spaceOr404(json?.space?.key)
+      if (!json.title) {
+        throw httpError(400, 'Content title is required')
+      }
+      assertTitleFree(space.key, json.title)
+      const content = addPage({ space: space.key, title: json.title, parentId: parentFromAncestors(json.ancestors) })
+      content.body = storedBody(json.body)
+      return { body: toJson(content, 'body.storage,body.atlas_doc_format') }
+    }],
+
+    ['POST', /^\/content\/archive$/, ({ json }) => {
+      const pages = (json?.pages || []).map(page => contentOr404(page.id))
+      pages.forEach(page => { page.status = 'archived' })
+      return { status: 202, body: { id: `task-${nextId++}`, links: { status: '/rest/api/longtask' } } }
+    }],
+
+    ['GET', /^\/content\/search$/, ({ requestUrl }) => {
+      const cql = requestUrl.searchParams.get('cql')
+      if (!cql) {
+        throw httpError(400, 'cql parameter is required')
+      }
+      const matches = compileCql(cql, cqlFieldValues)
+      // Like Confluence, only current content unless the query filters on status
+      const anyStatus = /\bstatus\s*(=|!=|in\b|not\b)/i.test(cql)
+      const results = [...contents.values()].filter(content => (anyStatus || content.status === 'current') && matches(content))
+      const page = paginate(results, requestUrl, '/content/search')
+      return { body: { ...page, results: page.results.map(content => toJson(content, requestUrl.searchParams.get('expand') || '')) } }
+    }],
+
+    ['GET', /^\/content\/([^/]+)$/, ({ params, requestUrl }) => {
+      const content = contentOr404(params[0])
+      if (!statusMatches(content, requestUrl.searchParams.get('status'))) {
+        throw httpError(404, `No content found with id: ContentId{id=${content.id}}`)
+      }
+      return { body: toJson(content, requestUrl.searchParams.get('expand') || '') }
+    }],
+
+    ['PUT', /^\/content\/([^/]+)$/, ({ params, json }) => {
+      const content = contentOr404(params[0])
+      if (content.status === 'trashed') {
+        throw httpError(404, `No content found with id: ContentId{id=${content.id}}`)
+      }
+      const version = Number(json?.version?.number)
+      if (version !== content.version.number + 1) {
+        throw httpError(409, `Version must be incremented on update. Current version is: ${content.version.number}`)
+      }
+      const title = json.title || content.title
+      assertTitleFree(content.spaceKey, title, content.id)
+
+      const parentId = parentFromAncestors(json.ancestors)
+      if (parentId) {
+        if (parentId === content.id || ancestorsOf(contentOr404(parentId)).some(ancestor => ancestor.id === content.id)) {
+          throw httpError(400, 'Cannot move a page under itself or one of its descendants')
+        }
+        content.parentId = parentId
+      }
+      content.history.push({ version: content.version, title: content.title, body: content.body })
+      content.title = title
+      if (json.body) {
+        content.body = storedBody(json.body)
+      }
+      if (json.status === 'current') {
+        content.status = 'current'
+      }
+      content.version = versionStamp(version, json.version.message)
+      return { body: toJson(content, 'body.storage,body.atlas_doc_format') }
+    }],
+
+    ['DELETE', /^\/content\/([^/]+)$/, ({ params, requestUrl }) => {
+      const content = contentOr404(params[0])
+      const purge = requestUrl.searchParams.get('permanent') === 'true' ||
+        (content.status === 'trashed' && requestUrl.searchParams.get('status') === 'trashed')
+      // Children of a removed page move up to its parent, as in Confluence
+      for (const child of contents.values()) {
+        if (child.parentId === content.id && child.type === 'page') {
+          child.parentId = content.parentId
+        }
+      }
+      if (purge) {
+        for (const child of [...contents.values()]) {
+          if (child.parentId === content.id && child.type === 'attachment') {
+            contents.delete(child.id)
+          }
+        }
+        contents.delete(content.id)
+      } else {
+        content.status = 'trashed'
+      }
+      return { status: 204, body: '' }
+    }],
+
+    ['POST', /^\/content\/([^/]+)\/restore$/, ({ params }) => {
+      const content = contentOr404(params[0])
+      assertTitleFree(content.spaceKey, content.title, content.id)
+      content.status = 'current'
+      return { body: toJson(content) }
+    }],
+
+    ['GET', /^\/content\/([^/]+)\/version$/, ({ params, requestUrl }) => {
+      const content = contentOr404(params[0])
+      const versions = [content.version, ...content.history.map(entry => entry.version).reverse()]
+      return { body: paginate(versions, requestUrl, `/content/${content.id}/version`) }
+    }],
+
+    ['POST', /^\/content\/([^/]+)\/version$/, ({ params, json }) => {
+      const content = contentOr404(params[0])
+      if (json?.operationKey !== 'restore') {
+        throw httpError(400, `Unsupported version operation: ${json?.operationKey}`)
+      }
+      const number = Number(json.params?.versionNumber)
+      if (number === content.version.number) {
+        throw httpError(400, `Version ${number} is already the current version`)
+      }
+      const restored = content.history.find(entry => entry.version.number === number)
+      if (!restored) {
+        throw httpError(404, `No version ${number} of content ${content.id}`)
+      }
+      const title = json.params.restoreTitle === false ? content.title : restored.title
+      assertTitleFree(content.spaceKey, title, content.id)
+
+      content.history.push({ version: content.version, title: content.title, body: content.body })
+      content.title = title
+      content.body = restored.body
+      content.version = versionStamp(content.version.number + 1, json.params.message)
+      return { body: content.version }
+    }],
+
+    ['GET', /^\/content\/([^/]+)\/label$/, ({ params }) => ({ body: labelsJson(contentOr404(params[0])) })],
+
+    ['POST', /^\/content\/([^/]+)\/label$/, ({ params, json }) => {
+      const content = contentOr404(params[0])
+      for (const label of [].concat(json || [])) {
+        if (label?.name && !content.labels.includes(label.name)) {
+          content.labels.push(label.name)
+        }
+      }
+      return { body: labelsJson(content) }
+    }],
+
+    ['DELETE', /^\/content\/([^/]+)\/label\/([^/]+)$/, ({ params }) => {
+      const content = contentOr404(params[0])
+      content.labels = content.labels.filter(name => name !== decodeURIComponent(params[1]))
+      return { status: 204, body: '' }
+    }],
+
+    ['GET', /^\/content\/([^/]+)\/property\/([^/]+)$/, ({ params }) => {
+      const property = contentOr404(params[0]).properties.get(decodeURIComponent(params[1]))
+      if (!property) {
+        throw httpError(404, `Cannot find content property with key: ${decodeURIComponent(params[1])}`)
+      }
+      return { body: property }
+    }],
+
+    ['POST', /^\/content\/([^/]+)\/property$/, ({ params, json }) => {
+      const content = contentOr404(params[0])
+      if (!json?.key) {
+        throw httpError(400, 'Property key is required')
+      }
+      if (content.properties.has(json.key)) {
+        throw httpError(409, `Content property with key ${json.key} already exists`)
+      }
+      const property = { id: String(nextId++), key: json.key, value: json.value, version: { number: 1 } }
+      content.properties.set(json.key, property)
+      return { body: property }
+    }],
+
+    ['PUT', /^\/content\/([^/]+)\/property\/([^/]+)$/, ({ params, json }) => {
+      const content = contentOr404(params[0])
+      const key = decodeURIComponent(params[1])
+      const existing = content.properties.get(key)
+      const version = Number(json?.version?.number)
+      if (version !== (existing ? existing.version.number + 1 : 1)) {
+        throw httpError(409, `Version must be incremented on update. Current version is: ${existing ? existing.version.number : 0}`)
+      }
+      const property = { id: existing?.id || String(nextId++), key, value: json.value, version: { number: version } }
+      content.properties.set(key, property)
+      return { body: property }
+    }],
+
+    ['GET', /^\/content\/([^/]+)\/child\/page$/, ({ params, requestUrl }) => {
+      const parent = contentOr404(params[0])
+      const children = findPages({ parentId: parent.id, status: 'current' })
+      const page = paginate(children, requestUrl, `/content/${parent.id}/child/page`)
+      return { body: { ...page, results: page.results.map(content => toJson(content, requestUrl.searchParams.get('expand') || '')) } }
+    }],
+
+    ['GET', /^\/content\/([^/]+)\/descendant\/page$/, ({ params, requestUrl }) => {
+      const root = contentOr404(params[0])
+      const descendants = []
+      const visit = parentId => {
+        for (const child of findPages({ parentId, status: 'current' })) {
+          descendants.push(child)
+          visit(child.id)
+        }
+      }
+      visit(root.id)
+      const page = paginate(descendants, requestUrl, `/content/${root.id}/descendant/page`)
+      return { body: { ...page, results: page.results.map(content => toJson(content, requestUrl.searchParams.get('expand') || '')) } }
+    }],
+
+    ['GET', /^\/content\/([^/]+)\/child\/attachment$/, ({ params, requestUrl }) => {
+      const parent = contentOr404(params[0])
+      const filename = requestUrl.searchParams.get('filename')
+      const attachments = findPages({ type: 'attachment', parentId: parent.id })
+        .filter(attachment => !filename || attachment.title === filename)
+      const page = paginate(attachments, requestUrl, `/content/${parent.id}/child/attachment`)
+      return { body: { ...page, results: page.results.map(attachment => toJson(attachment)) } }
+    }],
+
+    ['POST', /^\/content\/([^/]+)\/child\/attachment$/, ({ params, parts }) => {
+      const parent = contentOr404(params[0])
+      const file = parts.find(part => part.name === 'file' && part.filename)
+      if (!file) {
+        throw httpError(400, 'No file in the multipart request')
+      }
+      if (findPages({ type: 'attachment', parentId: parent.id }).some(attachment => attachment.title === file.filename)) {
+        throw httpError(400, `Cannot add a new attachment with same file name as an existing attachment: ${file.filename}`)
+      }
+      const comment = parts.find(part => part.name === 'comment')?.data.toString('utf-8')
+      const attachment = storeAttachment(parent, file, comment)
+      return { body: { results: [toJson(attachment)], start: 0, limit: 1, size: 1 } }
+    }],
+
+    ['POST', /^\/content\/([^/]+)\/child\/attachment\/([^/]+)\/data$/, ({ params, parts }) => {
+      const parent = contentOr404(params[0])
+      const attachment = contentOr404(params[1])
+      const file = parts.find(part => part.name === 'file' && part.filename)
+      if (attachment.type !== 'attachment' || attachment.parentId !== parent.id || !file) {
+        throw httpError(400, `Attachment ${params[1]} cannot be updated on page ${parent.id}`)
+      }
+      const comment = parts.find(part => part.name === 'comment')?.data.toString('utf-8')
+      return { body: toJson(storeAttachment(parent, { ...file, filename: attachment.title }, comment, attachment)) }
+    }]
+  ]
+
+  /**
+   * Serve a download of an attachment (outside the REST API, as in Confluence)
+   * @param {string} pathname - Path below /download/attachments/
+   * @returns {Object|null} Attachment, or null if there is none
+   */
+  function findDownload (pathname) {
+    const [pageId, filename] = pathname.split('/').map(decodeURIComponent)
+    return findPages({ type: 'attachment', parentId: pageId }).find(attachment => attachment.title === filename) || null
+  }
+
+  /**
+   * Handle a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async function handle (req, res) {
+    const requestUrl = new URL(req.url, 'http://localhost')
+    const send = (status, body, headers = { 'Content-Type': 'application/json' }) => {
+      res.writeHead(status, headers)
+      res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body))
+    }
+
+    try {
+      const download = requestUrl.pathname.match(/^(?:\/wiki)?\/download\/attachments\/(.+)$/)
+      const prefix = API_PREFIXES.find(candidate => requestUrl.pathname.startsWith(`${candidate}/`))
+      if (!download && !prefix) {
+        throw httpError(404, `Not a Confluence REST API path: ${requestUrl.pathname}`)
+      }
+      if (!req.headers.authorization) {
+        throw httpError(401, 'Basic authentication or a bearer token is required')
+      }
+
+      const raw = await readBody(req)
+      if (download) {
+        const attachment = findDownload(download[1])
+        if (!attachment) {
+          throw httpError(404, 'Attachment not found')
+        }
+        requests.push({ method: req.method, path: requestUrl.pathname, query: requestUrl.search })
+        return send(200, attachment.data, { 'Content-Type': attachment.mediaType })
+      }
+
+      const apiPath = requestUrl.pathname.slice(prefix.length)
+      requests.push({ method: req.method, path: apiPath, query: requestUrl.search })
+
+      for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && pattern.exec(apiPath)
+        if (!match) continue
+
+        const contentType = req.headers['content-type'] || ''
+        let json = null
+        if (raw.length > 0 && contentType.includes('application/json')) {
+          try {
+            json = JSON.parse(raw.toString('utf-8'))
+          } catch (error) {
+            throw httpError(400, `Invalid JSON: ${error.message}`)
+          }
+        }
+        const parts = contentType.startsWith('multipart/form-data') ? parseMultipart(raw, contentType) : []
+        const result = handler({ params: match.slice(1), requestUrl, json, parts })
+        return send(result.status || 200, result.status === 204 ? '' : result.body)
+      }
+
+      throw httpError(405, `${req.method} ${apiPath} is not supported by the fake Confluence server`)
+    } catch (error) {
+      const statusCode = error.statusCode || 500
+      send(statusCode, { statusCode, message: error.message })
+    }
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] - Port (default: any free port)
+   * @param {string} [host] - Interface (default: 127.0.0.1)
+   * @returns {Promise<string>} Base URL to use as the Confluence URL
+   */
+  function start (port = 0, host = '127.0.0.1') {
+    server = http.createServer((req, res) => { handle(req, res) })
+    return new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, host, () => {
+        url = `http://${host}:${server.address().port}`
+        resolve(url)
+      })
+    })
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  function stop () {
+    if (!server) {
+      return Promise.resolve()
+    }
+    const stopping = server
+    server = null
+    return new Promise(resolve => stopping.close(() => resolve()))
+  }
+
+  for (const space of options.spaces || []) {
+    typeof space === 'string' ? addSpace(space) : addSpace(space.key, space.name)
+  }
+
+  return {
+    start,
+    stop,
+    get url () {
+      return url
+    },
+    requests,
+    addSpace,
+    addPage,
+    findPages,
+    getContent: id => contents.get(String(id)) || null,
+    getSpace: key => spaces.get(key) || null,
+    storageOf
+  }
+}
+
+module.exports = {
+  API_PREFIXES,
+  DEFAULT_USER,
+  createFakeConfluence,
+  compileCql,
+  adfToStorage,
+  parseMultipart
+}
@@ -11,54 +11,61 @@ const path = require('path')
 // Import internal modules
 const utils = require('./lib/utils')
 const apiClient = require('./lib/api-client')
+const authProvider = require('./lib/auth-provider')
 const pageManager = require('./lib/page-manager')
 const contentProcessor = require('./lib/content-processor')
 const github = require('./lib/github')
 const imageHandler = require('./lib/image-handler')
 const hierarchyManager = require('./lib/hierarchy-manager')
+const pathMapping = require('./lib/path-mapping')
+const configLoader = require('./lib/config-loader')
+const gitChanges = require('./lib/git-changes')
+const manualEdits = require('./lib/manual-edits')
+const publishLock = require('./lib/publish-lock')
+const versionMessage = require('./lib/version-message')
+const pageMap = require('./lib/page-map')
+const prune = require('./lib/prune')
+const pageRollback = require('./lib/rollback')
+const pageUnpublish = require('./lib/unpublish')
+const { runPool, resolveConcurrency } = require('./lib/worker-pool')
+const publishReport = require('./lib/publish-report')
+const contentDiff = require('./lib/content-diff')
+const frontmatter = require('./lib/frontmatter')
+const linkResolver = require('./lib/link-resolver')
+const { replaceMermaidFences } = require('../diagrams/mermaid-fences')
+const { SOURCE_HASH_PROPERTY, computeSourceHash } = require('./lib/source-hash')
+
+/**
+ * Longest dry-run diff printed to the log (the report keeps the full diff)
+ */
+const DRY_RUN_DIFF_MAX_LINES = 200
+
+/**
+ * Attempts after the first when a page update hits a version conflict
+ */
+const MAX_VERSION_CONFLICT_RETRIES = 3
 
 function normalizeGlobPattern (filePath) {
   return String(filePath || '').replace(/\\/g, '/')
 }
 
 /**
- * Validate configuration file
- * @param {string} configPath - Path to confluence-config.json
- * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ * Validate configuration file against confluence-config.schema.json
+ * @param {string} configPath - Path to the config (.json, .yaml, .yml, .js or .cjs; `extends` is followed)
+ * @returns {Object} Validation result { valid: boolean, errors: string[] } (errors are prefixed with a JSON pointer)
  */
 function validateConfig(configPath) {
-  const errors = []
-
+  let config
   try {
-    const fs = require('fs')
-    const content = fs.readFileSync(configPath, 'utf-8')
-    const config = JSON.parse(content)
-
-    // Check required fields
-    if (!config.spaceMapping || typeof config.spaceMapping !== 'object') {
-      errors.push('Missing or invalid spaceMapping object')
-    }
-
-    if (!config.publishPaths || !Array.isArray(config.publishPaths)) {
-      errors.push('Missing or invalid publishPaths array')
-    } else {
-      config.publishPaths.forEach((item, index) => {
-        if (!item.path) {
-          errors.push(`publishPaths[${index}]: missing 'path' property`)
-        }
-      })
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    }
+    config = configLoader.loadConfig(configPath)
   } catch (error) {
     return {
       valid: false,
       errors: [`Failed to read/parse config: ${error.message}`]
     }
   }
+
+  return configLoader.validateConfigObject(config)
 }
 
 /**
@@ -95,41 +102,71 @@ async function createConfigTemplate(outputPath) {
  * @param {string} options.configPath - Path to confluence-config.json
  * @param {string} options.spaceFilter - Optional space filter
  * @param {string} options.parentPageId - Optional parent page ID
- * @param {Object} options.auth - Authentication { username, apiToken }
+ * @param {Object} options.auth - Authentication: { username, apiToken }, { mode: 'bearer', token } or { mode: 'oauth', clientId, clientSecret, cloudId } (see auth-provider resolveAuth)
  * @param {string} options.contentRoot - Root directory for content
  * @param {string} options.confluenceUrl - Confluence URL (optional)
  * @param {boolean} options.dryRun - Resolve and report actions without writing
- * @returns {Promise<Object>} Publishing results { success: number, failed: number, skipped: number }
+ * @param {boolean} options.force - Update pages even when their source hash is unchanged
+ * @param {string} options.since - Publish only files changed since this git ref, and pages embedding diagrams changed since it
+ * @param {number} options.concurrency - Files to publish in parallel (default: config options.concurrency, else 1)
+ * @param {string} options.reportJsonPath - Write the per-file publish report as JSON to this path
+ * @param {string} options.reportMarkdownPath - Write the per-file publish report as Markdown to this path
+ * @param {string} options.stepSummaryPath - Append the Markdown report here (e.g. process.env.GITHUB_STEP_SUMMARY)
+ * @param {boolean} options.prune - Report generated pages whose source is no longer published
+ * @param {string} options.pruneAction - What to do with orphaned pages: 'report' (default), 'archive' or 'trash'
+ * @param {string} options.manualEditAction - Pages edited in Confluence since the last publish: 'refuse', 'warn' or 'backup' (default: config options.manualEdits.action, else 'warn')
+ * @param {string} options.manualEditBackupDir - Where 'backup' saves edited pages (default: config options.manualEdits.backupDir, else confluence-backups)
+ * @param {boolean} options.lock - Take the per-space publish lock while writing (default: config options.lock.enabled, else true; never in dry runs)
+ * @returns {Promise<Object>} Publishing results { success: number, failed: number, skipped: number, unchanged: number, report: Object, prune?: Object }
  */
 async function publish(options) {
   const {
     configPath,
     spaceFilter = null,
     fileFilter = null,
+    since = null,
     parentPageId = null,
     auth,
     contentRoot = 'docs',
     confluenceUrl = process.env.CONFLUENCE_URL || 'https://eaflood.atlassian.net',
-    dryRun = false
+    dryRun = false,
+    force = false,
+    concurrency = null,
+    reportJsonPath = null,
+    reportMarkdownPath = null,
+    stepSummaryPath = null,
+    prune: pruneEnabled = false,
+    pruneAction = 'report',
+    manualEditAction = null,
+    manualEditBackupDir = null,
+    lock = null
   } = options
 
   // Validate auth
-  if (!auth || !auth.username || !auth.apiToken) {
-    throw new Error('Authentication required: provide auth.username and auth.apiToken')
+  const authCheck = authProvider.validateAuth(auth)
+  if (!authCheck.valid) {
+    throw new Error(`Authentication required: provide ${authCheck.missing.map(field => `auth.${field}`).join(' and ')}`)
   }
 
-  // Load config
-  let config = {}
-  if (configPath) {
-    const validation = validateConfig(configPath)
-    if (!validation.valid) {
-      throw new Error(`Invalid config: ${validation.errors.join(', ')}`)
-    }
-    const content = await fs.readFile(configPath, 'utf-8')
-    config = JSON.parse(content)
+  if (pruneEnabled && !prune.PRUNE_ACTIONS.includes(pruneAction)) {
+    throw new Error(`Invalid prune action '${pruneAction}' (expected one of: ${prune.PRUNE_ACTIONS.join(', ')})`)
   }
 
+  const config = loadValidConfig(configPath)
+
   const effectiveDryRun = Boolean(dryRun || config.options?.dryRun)
+  const effectiveConcurrency = resolveConcurrency(concurrency, config.options?.concurrency)
+
+  // Hand edits in Confluence: CLI/option first, then config; a configured backupDir is relative to the config
+  const manualEditConfig = config.options?.manualEdits || {}
+  const effectiveManualEditAction = manualEditAction || manualEditConfig.action || manualEdits.DEFAULT_MANUAL_EDIT_ACTION
+  if (!manualEdits.MANUAL_EDIT_ACTIONS.includes(effectiveManualEditAction)) {
+    throw new Error(`Invalid manual edit action '${effectiveManualEditAction}' (expected one of: ${manualEdits.MANUAL_EDIT_ACTIONS.join(', ')})`)
+  }
+  let effectiveBackupDir = manualEditBackupDir || manualEdits.DEFAULT_BACKUP_DIR
+  if (!manualEditBackupDir && manualEditConfig.backupDir) {
+    effectiveBackupDir = path.resolve(path.dirname(configPath), manualEditConfig.backupDir)
+  }
 
   // Configure modules
   const moduleConfig = {
@@ -138,21 +175,57 @@ async function publish(options) {
     contentRoot,
     generatedLabel: process.env.GENERATED_LABEL || 'generated',
     dryRun: effectiveDryRun,
+    force: Boolean(force),
+    retry: config.options?.retry || {}, // Backoff overrides for throttled requests
+    apiVersion: apiClient.resolveApiVersion(config.options?.apiVersion), // REST v1 or v2 transport
+    nativeFolders: Boolean(config.options?.nativeFolders), // v2 only: real folders instead of folder pages
     configPath, // Pass configPath to hierarchy manager for space mapping
+    manualEdits: { action: effectiveManualEditAction, backupDir: effectiveBackupDir },
+    // Page history comment from the source's last commit (null: none)
+    versionMessageTemplate: config.options?.versionMessage?.enabled === false
+      ? null
+      : config.options?.versionMessage?.template || versionMessage.DEFAULT_VERSION_MESSAGE_TEMPLATE,
     sourceDir: process.env.LIKEC4_SOURCE_DIR || 'architecture', // Source directory for LikeC4 diagrams
     exportsDir: process.env.LIKEC4_EXPORTS_DIR || 'generated/diagrams' // Output directory for exported diagrams
   }
 
+  if (moduleConfig.nativeFolders && moduleConfig.apiVersion !== 'v2') {
+    throw new Error("options.nativeFolders requires options.apiVersion 'v2'")
+  }
+  if (moduleConfig.apiVersion === 'v2' && authCheck.mode === 'bearer') {
+    throw new Error("options.apiVersion 'v2' is Confluence Cloud only; Data Center (bearer auth) uses v1")
+  }
+
   apiClient.setConfig(moduleConfig)
   pageManager.setConfig(moduleConfig)
   imageHandler.setConfig(moduleConfig)
   hierarchyManager.setConfig(moduleConfig)
+  hierarchyManager.resetCache()
+  prune.setConfig(moduleConfig)
+
+  // Source path -> page ID manifest, so retitled or moved files keep their page
+  moduleConfig.pageMap = await pageMap.loadPageMap(pageMap.resolvePageMapPath(configPath, config))
+
+  // Link targets: every configured source, not just this run's file filter (globbed on first use)
+  let publishSources = null
+  moduleConfig.getPublishSources = () => {
+    publishSources = publishSources || collectPublishSources(config, contentRoot)
+    return publishSources
+  }
 
   // Statistics
   const stats = {
     success: 0,
     failed: 0,
-    skipped: 0
+    skipped: 0,
+    unchanged: 0
+  }
+
+  // Per-file report; every recorded outcome also counts towards the stats
+  const report = publishReport.createReport({ confluenceUrl, dryRun: effectiveDryRun })
+  const record = entry => {
+    publishReport.addEntry(report, entry)
+    stats[publishReport.ACTION_STATS[entry.action]]++
   }
 
   // Resolve fileFilter to an absolute path once for comparison
@@ -164,7 +237,8 @@ async function publish(options) {
     console.error(`  📄 File filter active: ${resolvedFileFilter}`)
   }
 
-  // Process publishPaths from config
+  // Resolve publishPaths from config into the files to publish
+  let tasks = []
   if (config.publishPaths && Array.isArray(config.publishPaths)) {
     const { glob } = require('glob')
 
@@ -186,68 +260,528 @@ async function publish(options) {
         const files = await glob(globPattern)
         if (files.length === 0) {
           console.error(`  ⚠️  No files matched: ${globPattern}`)
-          stats.skipped++
+          record({ source: globPattern, action: 'skipped', reason: 'No files matched' })
           continue
         }
         for (const file of files) {
           const stat = await fs.stat(file)
           if (stat.isFile()) {
             if (resolvedFileFilter && path.resolve(file) !== resolvedFileFilter) {
-              stats.skipped++
+              record({ source: pageMap.toSourceKey(file), action: 'skipped', reason: 'Not the file filter' })
               continue
             }
 
             // Check exclusions
             if (shouldExcludeFile(file, exclude, contentRoot)) {
-              stats.skipped++
+              record({ source: pageMap.toSourceKey(file), action: 'skipped', reason: 'Excluded by publishPaths pattern' })
               continue
             }
 
-            try {
-              const fileConfig = { ...moduleConfig, configPath }
-              if (pathType === 'diagram') {
-                await publishDiagramFile(file, spaceFilter, parentPageId, auth, fileConfig)
-              } else {
-                await publishMarkdownFile(file, spaceFilter, parentPageId, auth, fileConfig)
-              }
-              stats.success++
-            } catch (error) {
-              console.error(`  ❌ Failed to publish ${file}: ${error.message}`)
-              stats.failed++
-            }
+            tasks.push({ file, pathType, single: false })
           }
         }
       } else {
         // Single file
         if (resolvedFileFilter && path.resolve(fullPath) !== resolvedFileFilter) {
-          stats.skipped++
+          record({ source: pageMap.toSourceKey(fullPath), action: 'skipped', reason: 'Not the file filter' })
           continue
         }
 
-        try {
-          await fs.access(fullPath)
-          const fileConfig = { ...moduleConfig, configPath }
-          if (pathType === 'diagram') {
-            await publishDiagramFile(fullPath, spaceFilter, parentPageId, auth, fileConfig)
-          } else {
-            await publishMarkdownFile(fullPath, spaceFilter, parentPageId, auth, fileConfig)
-          }
-          stats.success++
-        } catch (error) {
-          if (error.code === 'ENOENT') {
-            console.error(`  ⚠️  File not found: ${fullPath}`)
-          } else {
-            console.error(`  ❌ Failed to publish ${fullPath}: ${error.message}`)
-          }
-          stats.failed++
+        tasks.push({ file: fullPath, pathType, single: true })
+      }
+    }
+  }
+
+  // Incremental publish: keep changed files and pages embedding changed diagrams
+  if (since) {
+    const changedFiles = gitChanges.getChangedFiles(since)
+    const affected = await gitChanges.selectAffectedFiles(tasks.map(task => task.file), changedFiles, {
+      exportsDir: moduleConfig.exportsDir
+    })
+    console.error(`  🔀 Changed since ${since}: ${changedFiles.length} file(s), ${affected.size} page(s) to publish`)
+    for (const [file, reason] of affected) {
+      if (reason !== 'changed') {
+        console.error(`    → ${pageMap.toSourceKey(file)} ${reason}`)
+      }
+    }
+    for (const task of tasks.filter(task => !affected.has(task.file))) {
+      record({ source: pageMap.toSourceKey(task.file), action: 'skipped', reason: `Unchanged since ${since}` })
+    }
+    tasks = tasks.filter(task => affected.has(task.file))
+  }
+
+  if (effectiveConcurrency > 1 && tasks.length > 1) {
+    console.error(`  ⚡ Publishing ${tasks.length} file(s), ${effectiveConcurrency} at a time`)
+  }
+
+  // Lock the spaces this run writes to, so concurrent runs cannot race on folders and versions
+  const acquireOptions = lockOptions(lock, config)
+  let locks = []
+  if (acquireOptions && !effectiveDryRun) {
+    const lockSpaces = await collectTaskSpaces(tasks, spaceFilter, moduleConfig)
+    if (pruneEnabled && pruneAction !== 'report') {
+      configuredSpaces(config, spaceFilter, moduleConfig.defaultSpace).forEach(space => lockSpaces.add(space))
+    }
+    locks = await publishLock.acquireLocks([...lockSpaces], auth, acquireOptions)
+  }
+
+  try {
+    // Publish files; with concurrency > 1 each file's log lines are printed together when it finishes
+    await runPool(tasks, effectiveConcurrency, async ({ file, pathType, single }) => {
+      try {
+        if (single) {
+          await fs.access(file)
+        }
+        const fileConfig = { ...moduleConfig, configPath }
+        const result = pathType === 'diagram'
+          ? await publishDiagramFile(file, spaceFilter, parentPageId, auth, fileConfig)
+          : await publishMarkdownFile(file, spaceFilter, parentPageId, auth, fileConfig)
+        record({ source: pageMap.toSourceKey(file), ...result })
+      } catch (error) {
+        const notFound = single && error.code === 'ENOENT'
+        if (notFound) {
+          console.error(`  ⚠️  File not found: ${file}`)
+        } else {
+          console.error(`  ❌ Failed to publish ${file}: ${error.message}`)
         }
+        record({ source: pageMap.toSourceKey(file), action: 'failed', error: notFound ? 'File not found' : error.message })
       }
+    })
+
+    if (pruneEnabled) {
+      stats.prune = await pruneOrphanedPages(config, moduleConfig, spaceFilter, pruneAction, auth)
     }
+  } finally {
+    await publishLock.releaseLocks(locks, auth)
+  }
+
+  if (!effectiveDryRun && await pageMap.savePageMap(moduleConfig.pageMap)) {
+    console.error(`  🗺️  Updated page map: ${moduleConfig.pageMap.path}`)
   }
 
+  const written = await publishReport.writeReport(report, {
+    jsonPath: reportJsonPath,
+    markdownPath: reportMarkdownPath,
+    stepSummaryPath
+  })
+  for (const reportPath of written) {
+    console.error(`  📋 Wrote publish report: ${reportPath}`)
+  }
+
+  stats.report = publishReport.toJSON(report)
   return stats
 }
 
+/**
+ * Restore generated pages to the versions they had before a publish
+ * @param {Object} options - Rollback options (exactly one of reportPath, before or label)
+ * @param {string} options.configPath - Path to confluence-config.json
+ * @param {string} options.reportPath - Roll back the pages this publish report (--report-json) updated
+ * @param {string|Date} options.before - Roll back generated pages changed after this time
+ * @param {string} options.label - Roll back generated pages with this label to the version before their last publish
+ * @param {string} options.spaceFilter - Optional space filter
+ * @param {Object} options.auth - Authentication credentials (see publish)
+ * @param {string} options.confluenceUrl - Confluence URL (optional)
+ * @param {boolean} options.dryRun - Report what would be restored without writing
+ * @param {boolean} options.force - Also roll back pages changed since the publish being undone
+ * @param {boolean} options.lock - Take the per-space publish lock while writing (as publish)
+ * @param {string} options.stepSummaryPath - Append a Markdown summary here (e.g. process.env.GITHUB_STEP_SUMMARY)
+ * @returns {Promise<Object>} Rollback results { restored: number, skipped: number, failed: number, pages: Array }
+ */
+async function rollback(options) {
+  const {
+    configPath,
+    reportPath = null,
+    before = null,
+    label = null,
+    spaceFilter = null,
+    auth,
+    confluenceUrl = process.env.CONFLUENCE_URL || 'https://eaflood.atlassian.net',
+    dryRun = false,
+    force = false,
+    lock = null,
+    stepSummaryPath = null
+  } = options
+
+  const authCheck = authProvider.validateAuth(auth)
+  if (!authCheck.valid) {
+    throw new Error(`Authentication required: provide ${authCheck.missing.map(field => `auth.${field}`).join(' and ')}`)
+  }
+  if ([reportPath, before, label].filter(Boolean).length !== 1) {
+    throw new Error('Rollback needs exactly one of: a publish report, a time to roll back to, or a label')
+  }
+  const beforeDate = before ? new Date(before) : null
+  if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+    throw new Error(`Invalid rollback time '${before}' (expected an ISO 8601 date/time)`)
+  }
+
+  const config = loadValidConfig(configPath)
+  const effectiveDryRun = Boolean(dryRun || config.options?.dryRun)
+  const moduleConfig = {
+    confluenceUrl,
+    defaultSpace: process.env.CONFLUENCE_SPACE || '',
+    generatedLabel: process.env.GENERATED_LABEL || 'generated',
+    dryRun: effectiveDryRun,
+    retry: config.options?.retry || {},
+    apiVersion: apiClient.resolveApiVersion(config.options?.apiVersion)
+  }
+  apiClient.setConfig(moduleConfig)
+  pageManager.setConfig(moduleConfig)
+  pageRollback.setConfig(moduleConfig)
+
+  // Pick the pages, and the version each goes back to
+  const spaces = configuredSpaces(config, spaceFilter, moduleConfig.defaultSpace)
+  let selection
+  let reason
+  if (reportPath) {
+    const report = await pageRollback.loadPublishReport(reportPath)
+    selection = pageRollback.selectFromReport(report, spaceFilter)
+    reason = `undoing the publish of ${report.startedAt || path.basename(reportPath)}`
+    console.error(`⏪ Rolling back pages updated by ${reportPath}${effectiveDryRun ? ' (dry run)' : ''}`)
+  } else if (beforeDate) {
+    selection = await pageRollback.selectBefore(beforeDate, spaces, auth)
+    reason = `state at ${beforeDate.toISOString()}`
+    console.error(`⏪ Rolling back generated pages to ${beforeDate.toISOString()} in ${spaces.join(', ') || 'no spaces'}${effectiveDryRun ? ' (dry run)' : ''}`)
+  } else {
+    selection = await pageRollback.selectByLabel(label, spaces, auth)
+    reason = `undoing the last publish of pages labelled ${label}`
+    console.error(`⏪ Rolling back pages labelled '${label}' in ${spaces.join(', ') || 'no spaces'}${effectiveDryRun ? ' (dry run)' : ''}`)
+  }
+
+  // Same lock as publish, so a rollback cannot interleave with a publish run
+  const acquireOptions = lockOptions(lock, config)
+  let locks = []
+  if (acquireOptions && !effectiveDryRun && selection.targets.length > 0) {
+    locks = await publishLock.acquireLocks(selection.targets.map(target => target.space), auth, acquireOptions)
+  }
+
+  let pages
+  try {
+    pages = [
+      ...selection.skipped,
+      ...await pageRollback.rollbackPages(selection.targets, auth, { force, reason })
+    ]
+  } finally {
+    await publishLock.releaseLocks(locks, auth)
+  }
+
+  console.error(pageRollback.formatRollbackSummary(pages))
+  if (stepSummaryPath) {
+    await fs.appendFile(stepSummaryPath, pageRollback.toMarkdown(pages) + '\n', 'utf-8')
+    console.error(`  📋 Wrote rollback summary: ${stepSummaryPath}`)
+  }
+
+  return { ...pageRollback.summariseRollback(pages), pages }
+}
+
+/**
+ * Take down the pages published from source files
+ * @param {Object} options - Unpublish options
+ * @param {string} options.configPath - Path to confluence-config.json
+ * @param {Array<string>} options.paths - Source files or globs (relative to the working directory)
+ * @param {string} options.action - 'archive' (default) or 'trash'
+ * @param {string} options.spaceFilter - Optional space filter
+ * @param {Object} options.auth - Authentication credentials (see publish)
+ * @param {string} options.confluenceUrl - Confluence URL (optional)
+ * @param {boolean} options.dryRun - Report what would be removed without writing
+ * @param {boolean} options.lock - Take the per-space publish lock while writing (as publish)
+ * @returns {Promise<Object>} Unpublish results { removed: number, skipped: number, failed: number, folders: number, pages: Array }
+ */
+async function unpublish(options) {
+  const {
+    configPath,
+    paths = [],
+    action = 'archive',
+    spaceFilter = null,
+    auth,
+    confluenceUrl = process.env.CONFLUENCE_URL || 'https://eaflood.atlassian.net',
+    dryRun = false,
+    lock = null
+  } = options
+
+  const authCheck = authProvider.validateAuth(auth)
+  if (!authCheck.valid) {
+    throw new Error(`Authentication required: provide ${authCheck.missing.map(field => `auth.${field}`).join(' and ')}`)
+  }
+  if (!pageUnpublish.UNPUBLISH_ACTIONS.includes(action)) {
+    throw new Error(`Invalid unpublish action '${action}' (expected one of: ${pageUnpublish.UNPUBLISH_ACTIONS.join(', ')})`)
+  }
+  if (paths.length === 0) {
+    throw new Error('Unpublish needs at least one source path or glob')
+  }
+
+  const config = loadValidConfig(configPath)
+  const effectiveDryRun = Boolean(dryRun || config.options?.dryRun)
+  const moduleConfig = {
+    confluenceUrl,
+    defaultSpace: process.env.CONFLUENCE_SPACE || '',
+    generatedLabel: process.env.GENERATED_LABEL || 'generated',
+    dryRun: effectiveDryRun,
+    retry: config.options?.retry || {},
+    apiVersion: apiClient.resolveApiVersion(config.options?.apiVersion),
+    configPath
+  }
+  apiClient.setConfig(moduleConfig)
+  pageManager.setConfig(moduleConfig)
+  hierarchyManager.setConfig(moduleConfig)
+  pageUnpublish.setConfig(moduleConfig)
+  moduleConfig.pageMap = await pageMap.loadPageMap(pageMap.resolvePageMapPath(configPath, config))
+
+  console.error(`🗑️  Unpublishing ${paths.join(', ')} (action: ${action}${effectiveDryRun ? ', dry run' : ''})`)
+  const targets = await resolveUnpublishTargets(paths, spaceFilter, moduleConfig, auth)
+
+  const acquireOptions = lockOptions(lock, config)
+  let locks = []
+  if (acquireOptions && !effectiveDryRun) {
+    locks = await publishLock.acquireLocks(targets.filter(target => target.id).map(target => target.space), auth, acquireOptions)
+  }
+
+  let pages
+  try {
+    pages = await pageUnpublish.unpublishPages(targets, action, auth)
+    pages.push(...await pageUnpublish.removeEmptyFolders(pages.filter(page => page.action === 'removed'), action, auth))
+  } finally {
+    await publishLock.releaseLocks(locks, auth)
+  }
+
+  if (!effectiveDryRun) {
+    for (const page of pages) {
+      if (page.action === 'removed' && !page.folder) {
+        pageMap.removeMappedPage(moduleConfig.pageMap, page.source)
+      }
+    }
+    if (await pageMap.savePageMap(moduleConfig.pageMap)) {
+      console.error(`  🗺️  Updated page map: ${moduleConfig.pageMap.path}`)
+    }
+  }
+
+  console.error(pageUnpublish.formatUnpublishSummary(pages, action))
+  return { ...pageUnpublish.summariseUnpublish(pages), pages }
+}
+
+/**
+ * Find the page each source file was published to, as publishMarkdownFile resolves it
+ * (a file that no longer exists is looked up in the page map)
+ * @param {Array<string>} patterns - Source files or globs
+ * @param {string|null} spaceFilter - Only pages in this space, when set
+ * @param {Object} moduleConfig - Module configuration (configPath, defaultSpace, loaded pageMap)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<Object>>} Targets { source, id, title, space, reason } (id null when there is no page)
+ */
+async function resolveUnpublishTargets (patterns, spaceFilter, moduleConfig, auth) {
+  const { glob } = require('glob')
+  const targets = []
+  const files = new Set()
+
+  for (const pattern of patterns) {
+    if (!/[*?[{]/.test(pattern)) {
+      files.add(pattern)
+      continue
+    }
+    const matches = await glob(normalizeGlobPattern(pattern), { nodir: true })
+    if (matches.length === 0) {
+      targets.push({ source: pattern, id: null, reason: 'No files matched' })
+    }
+    matches.sort().forEach(file => files.add(file))
+  }
+
+  for (const file of files) {
+    const source = pageMap.toSourceKey(file)
+    try {
+      const exists = await fs.access(file).then(() => true, () => false)
+      if (!exists) {
+        const mapped = pageMap.getMappedPage(moduleConfig.pageMap, source)
+        if (!mapped) {
+          targets.push({ source, id: null, reason: 'File not found, and not in the page map' })
+        } else if (!spaceFilter || mapped.space === spaceFilter) {
+          targets.push({ source, id: String(mapped.pageId), title: mapped.title, space: mapped.space })
+        }
+        continue
+      }
+
+      const metadata = await frontmatter.readConfluenceMetadata(file)
+      const space = metadata.space ||
+        await hierarchyManager.getSpaceForPath(file, moduleConfig.configPath) ||
+        moduleConfig.defaultSpace
+      if (spaceFilter && space !== spaceFilter) continue
+
+      const title = metadata.title || await contentProcessor.extractTitle(file)
+      const { page } = await findExistingPage(file, title, space, moduleConfig.pageMap, auth, metadata.pageId)
+      targets.push({ source, id: page ? String(page.id) : null, title: page?.title || title, space })
+    } catch (error) {
+      console.error(`  ❌ Could not resolve the page for ${file}: ${error.message}`)
+      targets.push({ source, id: null, error: error.message })
+    }
+  }
+
+  return targets
+}
+
+/**
+ * Load and validate a config file
+ * @param {string|null} configPath - Path to the config (none: empty config)
+ * @returns {Object} Parsed config
+ * @throws {Error} When the config cannot be read or is invalid
+ */
+function loadValidConfig (configPath) {
+  if (!configPath) {
+    return {}
+  }
+  let config
+  try {
+    config = configLoader.loadConfig(configPath)
+  } catch (error) {
+    throw new Error(`Invalid config: Failed to read/parse config: ${error.message}`)
+  }
+  const validation = configLoader.validateConfigObject(config)
+  if (!validation.valid) {
+    throw new Error(`Invalid config: ${validation.errors.join(', ')}`)
+  }
+  return config
+}
+
+/**
+ * Work out whether a run takes the publish lock, and how
+ * @param {boolean|null} lock - The run's lock option (null to follow the config)
+ * @param {Object} config - Parsed confluence-config.json (options.lock: enabled, ttlMinutes, waitMinutes)
+ * @returns {Object|null} Options for publishLock.acquireLocks, or null when locking is off
+ */
+function lockOptions (lock, config) {
+  const lockConfig = config.options?.lock || {}
+  if (!(lock ?? lockConfig.enabled ?? true)) {
+    return null
+  }
+  return {
+    ...(lockConfig.ttlMinutes !== undefined && { ttlMs: lockConfig.ttlMinutes * 60 * 1000 }),
+    ...(lockConfig.waitMinutes !== undefined && { waitMs: lockConfig.waitMinutes * 60 * 1000 })
+  }
+}
+
+/**
+ * List every space the config can publish to
+ * @param {Object} config - Parsed confluence-config.json
+ * @param {string|null} spaceFilter - Only this space, when set
+ * @param {string} defaultSpace - Fallback space
+ * @returns {Array<string>} Space keys
+ */
+function configuredSpaces (config, spaceFilter, defaultSpace) {
+  if (spaceFilter) {
+    return [spaceFilter]
+  }
+  return [...new Set([
+    ...Object.values(config.spaceMapping || {}),
+    ...pathMapping.ruleSpaces(config.mappingRules),
+    defaultSpace
+  ].filter(Boolean))]
+}
+
+/**
+ * Work out which spaces a set of publish tasks will write to (as publishMarkdownFile resolves them)
+ * @param {Array<Object>} tasks - Publish tasks { file, pathType }
+ * @param {string|null} spaceFilter - Only this space, when set
+ * @param {Object} moduleConfig - Publish configuration (configPath, defaultSpace)
+ * @returns {Promise<Set<string>>} Space keys
+ */
+async function collectTaskSpaces (tasks, spaceFilter, moduleConfig) {
+  const spaces = new Set()
+  for (const { file, pathType } of tasks) {
+    // Standalone diagram files are never written
+    if (pathType === 'diagram') continue
+
+    let metadata
+    try {
+      metadata = await frontmatter.readConfluenceMetadata(file)
+    } catch (error) {
+      // Unreadable or invalid: the file fails before anything is written
+      continue
+    }
+    if (metadata.skip) continue
+
+    const space = metadata.space ||
+      await hierarchyManager.getSpaceForPath(file, moduleConfig.configPath) ||
+      moduleConfig.defaultSpace
+    if (space && (!spaceFilter || space === spaceFilter)) {
+      spaces.add(space)
+    }
+  }
+  return spaces
+}
+
+/**
+ * List the page map keys of every file matched by publishPaths (ignoring any file filter)
+ * @param {Object} config - Parsed confluence-config.json
+ * @param {string} contentRoot - Root directory for content
+ * @returns {Promise<Set<string>>} Source keys
+ */
+async function collectPublishSources (config, contentRoot) {
+  const { glob } = require('glob')
+  const sourceKeys = new Set()
+
+  for (const pathConfig of config.publishPaths || []) {
+    if (!pathConfig.path) continue
+
+    const fullPath = path.isAbsolute(pathConfig.path)
+      ? pathConfig.path
+      : path.join(contentRoot, pathConfig.path)
+    const files = pathConfig.path.includes('*')
+      ? await glob(normalizeGlobPattern(fullPath), { nodir: true })
+      : [fullPath]
+
+    for (const file of files) {
+      if (!shouldExcludeFile(file, pathConfig.exclude || [], contentRoot)) {
+        sourceKeys.add(pageMap.toSourceKey(file))
+      }
+    }
+  }
+
+  return sourceKeys
+}
+
+/**
+ * Find generated pages whose source is no longer published, report them, and optionally prune them
+ * @param {Object} config - Parsed confluence-config.json
+ * @param {Object} moduleConfig - Module configuration (with loaded pageMap)
+ * @param {string} spaceFilter - Optional space filter
+ * @param {string} pruneAction - 'report', 'archive' or 'trash'
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Prune results { orphaned: number, unverified: number, pruned: number }
+ */
+async function pruneOrphanedPages (config, moduleConfig, spaceFilter, pruneAction, auth) {
+  console.error('')
+  console.error('🧹 Checking for orphaned generated pages...')
+
+  const sourceKeys = await collectPublishSources(config, moduleConfig.contentRoot)
+  if (sourceKeys.size === 0) {
+    // An empty source set would make every generated page look orphaned
+    console.error('  ⚠️  No source files matched publishPaths - refusing to prune')
+    return { orphaned: 0, unverified: 0, pruned: 0 }
+  }
+
+  const result = await prune.findOrphanedPages({
+    spaces: configuredSpaces(config, spaceFilter, moduleConfig.defaultSpace),
+    sourceKeys,
+    sourcePageMap: moduleConfig.pageMap,
+    auth
+  })
+  console.error(prune.formatPruneReport(result, pruneAction))
+
+  const prunedIds = await prune.prunePages(result.orphaned, pruneAction, auth)
+
+  if (!moduleConfig.dryRun) {
+    for (const page of result.orphaned) {
+      if (prunedIds.includes(page.id) && page.source) {
+        pageMap.removeMappedPage(moduleConfig.pageMap, page.source)
+      }
+    }
+  }
+
+  return {
+    orphaned: result.orphaned.length,
+    unverified: result.unverified.length,
+    pruned: moduleConfig.dryRun ? 0 : prunedIds.length
+  }
+}
+
 /**
  * Check if file should be excluded
  */
@@ -269,22 +803,266 @@ function shouldExcludeFile(filePath, excludePatterns, contentRoot) {
   return false
 }
 
+/**
+ * Find local images in the converted page that should be uploaded as attachments
+ * @param {Object|string} atlasContent - Converted page (Atlas document); storage format has none
+ * @param {boolean} useAtlasFormat - Whether atlasContent is an Atlas document
+ * @param {string} filePath - Path of the markdown file (relative images resolve against it)
+ * @param {Array} diagramPlaceholders - Diagram placeholders already handled by the diagram flow
+ * @returns {Promise<Array>} Images { altText, imagePath, originalPath, filename }
+ */
+async function findMarkdownImages (atlasContent, useAtlasFormat, filePath, diagramPlaceholders) {
+  if (!useAtlasFormat) {
+    return []
+  }
+
+  const markdownImages = []
+  for (const { url, alt } of imageHandler.findLocalImages(atlasContent)) {
+    // The converter keeps the source as markdown-it normalised it (percent-encoded)
+    let imagePath = url
+    try {
+      imagePath = decodeURI(url)
+    } catch (e) {
+      // Not valid percent-encoding: use the source as written
+    }
+
+    // Skip /likec4-exports/ images that already have a LikeC4View placeholder
+    // (those are handled by convertDiagramPage above). But allow /likec4-exports/
+    // images that don't correspond to a LikeC4View (e.g. sequence diagram PNGs).
+    const viewIdFromFilename = path.basename(imagePath, path.extname(imagePath))
+    if (imagePath.startsWith('/likec4-exports/') && diagramPlaceholders.some(p => p.viewId === viewIdFromFilename)) {
+      continue
+    }
+
+    let absoluteImagePath
+    if (imagePath.startsWith('/likec4-exports/')) {
+      // Resolve /likec4-exports/ paths relative to astro/public
+      const repoRoot = process.cwd()
+      absoluteImagePath = path.join(repoRoot, 'astro', 'public', imagePath)
+    } else {
+      const fileDir = path.dirname(filePath)
+      absoluteImagePath = path.resolve(fileDir, imagePath)
+    }
+
+    // Check if file exists
+    try {
+      await fs.access(absoluteImagePath)
+      markdownImages.push({
+        altText: alt,
+        imagePath: absoluteImagePath,
+        originalPath: url,
+        filename: path.basename(absoluteImagePath)
+      })
+    } catch (e) {
+      console.error(`    ⚠️  Image not found: ${imagePath} (resolved to: ${absoluteImagePath})`)
+    }
+  }
+
+  return markdownImages
+}
+
+/**
+ * Find the page a markdown file was previously published to
+ * Prefers the page map (following git renames), then falls back to title lookup
+ * @param {string} filePath - Path to markdown file
+ * @param {string} title - Page title
+ * @param {string} spaceKey - Confluence space key
+ * @param {Object} sourcePageMap - Loaded page map
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [pinnedPageId] - Page ID from `confluence.pageId` frontmatter
+ * @returns {Promise<Object>} { page, previousKey } where page is null if none exists
+ * @throws {Error} When a pinned page does not exist or is in another space
+ */
+async function findExistingPage (filePath, title, spaceKey, sourcePageMap, auth, pinnedPageId = null) {
+  const sourceKey = pageMap.toSourceKey(filePath)
+
+  // A pinned page is never swapped for another one: a wrong ID must fail loudly
+  if (pinnedPageId) {
+    const page = await apiClient.getPageById(pinnedPageId, auth)
+    if (!page || (page.space && page.space.key !== spaceKey)) {
+      throw new Error(`Page ${pinnedPageId} from confluence.pageId frontmatter was not found in space ${spaceKey}`)
+    }
+    console.error(`    📌 Frontmatter: ${sourceKey} → page ${page.id}`)
+    return { page, previousKey: null }
+  }
+  const candidateKeys = pageMap.getMappedPage(sourcePageMap, sourceKey)
+    ? [sourceKey]
+    : pageMap.findPreviousPaths(filePath)
+
+  for (const key of candidateKeys) {
+    const mapped = pageMap.getMappedPage(sourcePageMap, key)
+    if (!mapped) continue
+
+    const page = await apiClient.getPageById(mapped.pageId, auth)
+    if (page && (!page.space || page.space.key === spaceKey)) {
+      if (key === sourceKey) {
+        console.error(`    🗺️  Page map: ${sourceKey} → page ${page.id}`)
+      } else {
+        console.error(`    🗺️  Page map: following rename ${key} → ${sourceKey} (page ${page.id})`)
+      }
+      return { page, previousKey: key === sourceKey ? null : key }
+    }
+
+    console.error(`    ⚠️  Mapped page ${mapped.pageId} for ${key} is missing or in another space, falling back to title lookup`)
+  }
+
+  const existingPage = await apiClient.findPageByTitle(title, spaceKey, auth)
+  if (existingPage.count > 0 && existingPage.page.results && existingPage.page.results.length > 0) {
+    return { page: existingPage.page.results[0], previousKey: null }
+  }
+
+  return { page: null, previousKey: null }
+}
+
+/**
+ * Update a page to the version after `version`, refetching the current version and
+ * retrying when another writer got there first (HTTP 409)
+ * @param {string} pageId - Page ID
+ * @param {number} version - Version the update is based on
+ * @param {Function} buildPayload - Builds the update payload for a new version number
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Response of the last attempt
+ */
+async function updatePageAtVersion (pageId, version, buildPayload, auth) {
+  let baseVersion = version
+  for (let attempt = 0; ; attempt++) {
+    const response = await apiClient.updatePage(pageId, buildPayload(baseVersion + 1), auth)
+    if (response.status !== 409 || attempt >= MAX_VERSION_CONFLICT_RETRIES) {
+      return response
+    }
+
+    // Only a newer version on the page makes the conflict worth retrying (not e.g. a duplicate title)
+    const current = await apiClient.getPageById(pageId, auth)
+    const currentVersion = current?.version?.number
+    if (!currentVersion || currentVersion <= baseVersion) {
+      return response
+    }
+    console.error(`    🔁 Version conflict on page ${pageId}: now at version ${currentVersion}, retrying`)
+    baseVersion = currentVersion
+  }
+}
+
+/**
+ * Update a page with its image placeholders swapped for the uploaded images
+ * @param {string} pageId - Page ID
+ * @param {number} version - Version the update is based on
+ * @param {Function} buildPayload - Builds the update payload for a new version number
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<number|null>} Page version the server reports after the update
+ * @throws {Error} If the update fails, so the file fails rather than recording a version that does not exist
+ */
+async function updatePageImages (pageId, version, buildPayload, auth) {
+  const response = await updatePageAtVersion(pageId, version, buildPayload, auth)
+  if (response.status !== 200) {
+    const message = `HTTP ${response.status}: ${utils.extractError(response.body)}`
+    console.error(`  ❌ Failed to add images: ${message}`)
+    throw new Error(`Could not add images to page ${pageId}: ${message}`)
+  }
+  const updatedVersion = response.body?.version?.number
+  if (updatedVersion) {
+    return updatedVersion
+  }
+  const page = await apiClient.getPageById(pageId, auth)
+  return page?.version?.number || null
+}
+
+/**
+ * Check a page for edits made in Confluence since the last publish and apply the manual edit action
+ * @param {Object} page - Existing page (with version)
+ * @param {Object|null} publishRecord - Value of the page's source hash property
+ * @param {Object} context - { sourceKey, space, auth, config }
+ * @returns {Promise<Object|null>} Report entry fields when the page must not be overwritten, else null
+ */
+async function checkManualEdit (page, publishRecord, { sourceKey, space, auth, config }) {
+  const { action, backupDir } = config.manualEdits || {}
+  const publisherAccountId = publishRecord?.pageVersion ? null : await manualEdits.getPublisherAccountId(auth)
+  const edit = manualEdits.detectManualEdit(page, publishRecord, publisherAccountId)
+  if (!edit) {
+    return null
+  }
+
+  console.error(`  ✋ Edited in Confluence by ${edit.author}${edit.when ? ` at ${edit.when}` : ''}: ${edit.reason}`)
+  if (action === 'refuse') {
+    console.error('  ❌ Refusing to overwrite the manual edit (manual edit action: refuse)')
+    return { action: 'failed', error: `Page was edited in Confluence by ${edit.author} (version ${edit.version}); refusing to overwrite` }
+  }
+  if (action === 'backup') {
+    if (config.dryRun) {
+      console.error(`    → Dry run: would back up version ${edit.version} to ${backupDir}`)
+    } else {
+      // A failed backup throws, so the edit is never overwritten without a copy
+      const backupPath = await manualEdits.backupPage(page, edit, { auth, backupDir, source: sourceKey, space })
+      console.error(`    💾 Backed up the edited page to ${backupPath}`)
+    }
+  }
+  console.error('  ⚠️  Overwriting the manual edit')
+  return null
+}
+
+/**
+ * Print a dry-run diff of a live page against the content that would replace it
+ * @param {string} pageId - Existing page ID
+ * @param {Object|string} content - Generated content
+ * @param {boolean} useAtlasFormat - Whether content is ADF
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string|null>} Unified diff, or null if it could not be computed
+ */
+async function diffLivePage (pageId, content, useAtlasFormat, auth) {
+  let diff
+  try {
+    diff = await contentDiff.diffAgainstLivePage(pageId, content, useAtlasFormat, auth)
+  } catch (error) {
+    console.error(`    ⚠️  Could not diff against the live page: ${error.message}`)
+    return null
+  }
+
+  if (diff === null) {
+    console.error('    ⚠️  Could not read the live page to diff against')
+  } else if (diff === '') {
+    console.error('    → No visible content changes (images, metadata or formatting only)')
+  } else {
+    const lines = diff.split('\n')
+    for (const line of lines.slice(0, DRY_RUN_DIFF_MAX_LINES)) {
+      console.error(`    ${line}`)
+    }
+    if (lines.length > DRY_RUN_DIFF_MAX_LINES) {
+      console.error(`    … ${lines.length - DRY_RUN_DIFF_MAX_LINES} more diff line(s)`)
+    }
+  }
+  return diff
+}
+
 /**
  * Publish a single markdown file
+ * @returns {Promise<Object>} Report entry { action, title, space, parentId, pageId, diagrams, reason }
  */
 async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, config) {
-  const fileSpace = await hierarchyManager.getSpaceForPath(filePath, config.configPath)
+  // Frontmatter overrides; invalid frontmatter fails the file before anything is written
+  const metadata = await frontmatter.readConfluenceMetadata(filePath)
+  if (metadata.skip) {
+    console.error('  ⏭️  Skipping: confluence.skip is set in frontmatter')
+    return { action: 'skipped', reason: 'confluence.skip set in frontmatter' }
+  }
+
+  const fileSpace = metadata.space || await hierarchyManager.getSpaceForPath(filePath, config.configPath)
 
   if (spaceFilter && fileSpace !== spaceFilter) {
     console.error(`  ⏭️  Skipping: File targets space '${fileSpace}' (filter is '${spaceFilter}')`)
-    return
+    return { action: 'skipped', space: fileSpace, reason: `Targets space '${fileSpace}' (filter is '${spaceFilter}')` }
   }
 
-  const title = await contentProcessor.extractTitle(filePath)
+  const title = metadata.title || await contentProcessor.extractTitle(filePath)
   let content = await contentProcessor.readFileContent(filePath)
   content = contentProcessor.filterContentForFormat(content, 'confluence')
 
   const githubUrl = github.getGitHubSourceUrl(filePath)
+  const links = await linkResolver.resolveLinks(content, filePath, {
+    sources: config.getPublishSources,
+    pageMap: config.pageMap,
+    confluenceUrl: config.confluenceUrl,
+    configPath: config.configPath,
+    defaultSpace: config.defaultSpace
+  })
 
   // Check if content contains LikeC4View or MermaidDiagram components - these need special processing
   const likec4TestRegex = /<LikeC4View[^>]*viewId="([^"]*)"[^>]*\/?>/g
@@ -339,11 +1117,25 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
     }
   }
 
+  // Render ```mermaid fences to images, embedded like MermaidDiagram components (only planned in a dry run)
+  const mermaidFences = await replaceMermaidFences(processedContent, diagram => {
+    const alt = diagram.alt.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    return `<ac:image-placeholder-viewid="${diagram.id}" alt="${alt}"/>`
+  }, { dryRun: config.dryRun })
+  processedContent = mermaidFences.content
+  for (const diagram of mermaidFences.diagrams) {
+    mermaidPlaceholders.push({
+      viewId: diagram.id,
+      imagePath: diagram.imagePath,
+      filename: path.basename(diagram.imagePath)
+    })
+  }
+
   if (hasLikeC4View) {
     // Use convertDiagramPage which properly handles LikeC4View components
     const exportsDir = config.exportsDir || 'generated/diagrams'
     const sourceDir = config.sourceDir || 'architecture'
-    const diagramResult = await imageHandler.convertDiagramPage(filePath, title, exportsDir, sourceDir, processedContent)
+    const diagramResult = await imageHandler.convertDiagramPage(filePath, title, exportsDir, sourceDir, processedContent, { links })
     atlasContent = diagramResult.content
     useAtlasFormat = diagramResult.useAtlasFormat
     diagramPlaceholders = [...diagramResult.placeholders || [], ...mermaidPlaceholders]
@@ -357,7 +1149,7 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
   } else {
     // Normal markdown conversion flow (but with Mermaid diagrams already processed)
     try {
-      atlasContent = await contentProcessor.convertMarkdownToAtlasDoc(processedContent)
+      atlasContent = await contentProcessor.convertMarkdownToAtlasDoc(processedContent, { links })
       useAtlasFormat = true
       diagramPlaceholders = mermaidPlaceholders
       if (githubUrl) {
@@ -368,34 +1160,45 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
       if (githubUrl) {
         processedContent = contentProcessor.addWarningPanelToContent(processedContent, githubUrl, false)
       }
-      atlasContent = contentProcessor.convertMarkdownToStorage(processedContent)
+      atlasContent = contentProcessor.convertMarkdownToStorage(processedContent, { links })
       useAtlasFormat = false
       diagramPlaceholders = mermaidPlaceholders
     }
   }
 
   const finalSpace = fileSpace || config.defaultSpace
-  const fileParentId = await hierarchyManager.getParentForPath(filePath, finalSpace, parentPageId, auth)
+  const fileParentId = metadata.parentId ||
+    await hierarchyManager.getParentForPath(filePath, finalSpace, parentPageId, auth)
 
   console.error(`  Publishing: ${title} (space: ${finalSpace})`)
 
   // Find existing page
-  const existingPage = await apiClient.findPageByTitle(title, finalSpace, auth)
+  const sourceKey = pageMap.toSourceKey(filePath)
+  const { page, previousKey } = await findExistingPage(filePath, title, finalSpace, config.pageMap, auth, metadata.pageId)
   let existingPageId = null
   let existingVersion = null
+  let existingParentId = null
   let canUpdate = false
 
-  if (existingPage.count > 0 && existingPage.page.results && existingPage.page.results.length > 0) {
-    const page = existingPage.page.results[0]
+  if (page) {
     existingPageId = page.id
     existingVersion = page.version?.number || 1
+    const ancestors = page.ancestors || []
+    existingParentId = ancestors.length > 0 ? ancestors[ancestors.length - 1].id : null
 
     // Check if page is safe to update
     canUpdate = await pageManager.isPageSafeToUpdate(existingPageId, auth)
 
     if (!canUpdate) {
       console.error(`  ⏭️  Skipping: Page exists but is not safe to update (no 'generated' label)`)
-      return // Return without incrementing stats (will be counted as skipped by caller)
+      return {
+        action: 'skipped',
+        title,
+        space: finalSpace,
+        parentId: fileParentId,
+        pageId: existingPageId,
+        reason: `Existing page has no '${config.generatedLabel || 'generated'}' label`
+      }
     }
 
     // Handle archived/trashed pages
@@ -410,36 +1213,104 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
     }
   }
 
+  // Skip the write entirely when nothing that would be sent has changed
+  const markdownImages = await findMarkdownImages(atlasContent, useAtlasFormat, filePath, diagramPlaceholders)
+  const sourceHash = await computeSourceHash({
+    title,
+    body: atlasContent,
+    imagePaths: [
+      ...diagramPlaceholders.map(p => p.imagePath),
+      ...markdownImages.map(img => img.imagePath)
+    ],
+    labels: metadata.labels
+  })
+
+  // A file moved to another folder must still be updated so the page moves with it
+  const needsMove = Boolean(existingPageId && fileParentId && !String(fileParentId).startsWith('dryrun:') &&
+    String(fileParentId) !== String(existingParentId))
+
+  // What the last publish recorded on the page (hash, and the version it left behind)
+  const publishRecord = existingPageId && canUpdate
+    ? (await pageManager.getPageProperty(existingPageId, SOURCE_HASH_PROPERTY, auth))?.value || null
+    : null
+
+  if (existingPageId && canUpdate && !config.force && !needsMove) {
+    if (publishRecord?.hash === sourceHash) {
+      console.error(`  ⏭️  Unchanged: '${title}' matches the last published source (page ID: ${existingPageId})`)
+      pageMap.setMappedPage(config.pageMap, sourceKey, { pageId: existingPageId, space: finalSpace, title })
+      if (previousKey) {
+        pageMap.removeMappedPage(config.pageMap, previousKey)
+      }
+      return { action: 'unchanged', title, space: finalSpace, parentId: fileParentId, pageId: existingPageId }
+    }
+  }
+
+  // Protect hand edits made in Confluence since the last publish
+  if (existingPageId && canUpdate && (page.status || 'current') === 'current') {
+    const refusal = await checkManualEdit(page, publishRecord, { sourceKey, space: finalSpace, auth, config })
+    if (refusal) {
+      return { ...refusal, title, space: finalSpace, parentId: fileParentId, pageId: existingPageId }
+    }
+  }
+
   if (config.dryRun) {
+    let diff = null
     if (existingPageId && canUpdate) {
-      console.error(`  🧪 Dry run: would update '${title}' (space: ${finalSpace}, page ID: ${existingPageId})`)
+      console.error(`  🧪 Dry run: would update '${title}' (space: ${finalSpace}, page ID: ${existingPageId}${needsMove ? `, moving under parent ${fileParentId}` : ''})`)
+      if (page.title && page.title !== title) {
+        console.error(`    → Title: '${page.title}' → '${title}'`)
+      }
+      diff = await diffLivePage(existingPageId, atlasContent, useAtlasFormat, auth)
     } else {
       console.error(`  🧪 Dry run: would create '${title}' (space: ${finalSpace}${fileParentId ? `, parent: ${fileParentId}` : ', parent: ROOT'})`)
     }
-    return
+    return {
+      action: existingPageId && canUpdate ? 'updated' : 'created',
+      title,
+      space: finalSpace,
+      parentId: fileParentId,
+      pageId: existingPageId,
+      diagrams: [...diagramPlaceholders.map(p => path.basename(p.imagePath)), ...markdownImages.map(img => img.filename)],
+      diff
+    }
   }
 
   let publishedPageId = null
+  let publishedVersion = null
+  let previousVersion = null
+  let action = 'updated'
+  const uploadedDiagrams = []
+  const updateMessage = config.versionMessageTemplate
+    ? versionMessage.buildVersionMessage(filePath, config.versionMessageTemplate)
+    : null
 
   if (existingPageId && canUpdate) {
     // Update existing page
     try {
-      const payload = pageManager.createPagePayload(
-        title,
-        atlasContent,
-        fileParentId,
-        existingVersion + 1,
-        finalSpace,
-        useAtlasFormat
-      )
+      if (needsMove) {
+        console.error(`    → Moving page under parent ${fileParentId}`)
+      }
 
-      const response = await apiClient.confluenceRequest('PUT',
-        `/content/${existingPageId}`,
-        { auth, body: payload }
-      )
+      const response = await updatePageAtVersion(existingPageId, existingVersion, version => {
+        const payload = pageManager.createPagePayload(
+          title,
+          atlasContent,
+          fileParentId,
+          version,
+          finalSpace,
+          useAtlasFormat,
+          updateMessage
+        )
+        if (needsMove) {
+          payload.ancestors = [{ id: fileParentId }]
+        }
+        return payload
+      }, auth)
 
       if (response.status === 200) {
         publishedPageId = existingPageId
+        publishedVersion = response.body?.version?.number || existingVersion + 1
+        previousVersion = publishedVersion - 1 // Not existingVersion: a version conflict retry may have moved on
         console.error(`  ✅ Updated successfully (ID: ${publishedPageId})`)
       } else if (response.status === 403) {
         // Permission error - try to handle it
@@ -465,6 +1336,8 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
   if (!publishedPageId) {
     // Create new page
     try {
+      // No updateMessage: creating a page takes no version comment (the v2 create body has no version),
+      // so the first version has none. Every later version, including the image update below, carries it.
       const payload = pageManager.createPagePayload(
         title,
         atlasContent,
@@ -474,13 +1347,12 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
         useAtlasFormat
       )
 
-      const response = await apiClient.confluenceRequest('POST',
-        '/content',
-        { auth, body: payload }
-      )
+      const response = await apiClient.createPage(payload, auth)
 
       if (response.status === 200 || response.status === 201) {
         publishedPageId = response.body.id
+        publishedVersion = response.body.version?.number || 1
+        action = 'created'
         console.error(`  ✅ Created successfully (ID: ${publishedPageId})`)
       } else {
         throw new Error(`HTTP ${response.status}: ${utils.extractError(response.body)}`)
@@ -494,6 +1366,9 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
   // Add generated label
   if (publishedPageId) {
     await pageManager.addLabelToPage(publishedPageId, config.generatedLabel || 'generated', auth)
+    for (const label of metadata.labels) {
+      await pageManager.addLabelToPage(publishedPageId, label, auth)
+    }
 
     // Process images after page is created/updated
     const placeholders = []
@@ -509,72 +1384,24 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
             // Format: "attachmentId|fileId|filename"
             const attachmentInfo = `${attachmentData.attachmentId}|${attachmentData.fileId || ''}|${attachmentData.filename}`
             placeholders.push({ viewId, imagePath, attachmentInfo })
+            uploadedDiagrams.push(attachmentData.filename)
           }
         }
       }
     }
 
-    // Mermaid diagrams should already be in diagramPlaceholders if they were found
-    // This fallback is only for edge cases where they weren't processed earlier
-
-    // Find and upload regular markdown image references (manual diagrams)
-    const imageRegex = /!\[([^\]]*)\]\(([^)]+)\)/g
-    const markdownImages = []
-    let match
-    while ((match = imageRegex.exec(content)) !== null) {
-      const altText = match[1]
-      const imagePath = match[2]
-      
-      // Skip absolute URLs (http/https)
-      if (imagePath.startsWith('http://') || imagePath.startsWith('https://')) {
-        continue
-      }
-
-      // Skip /likec4-exports/ images that already have a LikeC4View placeholder
-      // (those are handled by convertDiagramPage above). But allow /likec4-exports/
-      // images that don't correspond to a LikeC4View (e.g. sequence diagram PNGs).
-      const filename = path.basename(imagePath)
-      const viewIdFromFilename = path.basename(imagePath, path.extname(imagePath))
-      if (imagePath.startsWith('/likec4-exports/') && diagramPlaceholders.some(p => p.viewId === viewIdFromFilename)) {
-        continue
-      }
-
-      let absoluteImagePath
-      if (imagePath.startsWith('/likec4-exports/')) {
-        // Resolve /likec4-exports/ paths relative to astro/public
-        const repoRoot = process.cwd()
-        absoluteImagePath = path.join(repoRoot, 'astro', 'public', imagePath)
-      } else {
-        const fileDir = path.dirname(filePath)
-        absoluteImagePath = path.resolve(fileDir, imagePath)
-      }
-      
-      // Check if file exists
-      try {
-        await fs.access(absoluteImagePath)
-        markdownImages.push({
-          altText,
-          imagePath: absoluteImagePath,
-          originalPath: imagePath,
-          filename: path.basename(absoluteImagePath)
-        })
-      } catch (e) {
-        console.error(`    ⚠️  Image not found: ${imagePath} (resolved to: ${absoluteImagePath})`)
-      }
-    }
-    
-    // Upload markdown images as attachments
+    // Upload local markdown images as attachments
     for (const img of markdownImages) {
       const attachmentData = await imageHandler.uploadImageAttachment(publishedPageId, img.imagePath, auth)
       if (attachmentData) {
         const attachmentInfo = `${attachmentData.attachmentId}|${attachmentData.fileId || ''}|${attachmentData.filename}`
         placeholders.push({
-          viewId: img.filename,
           imagePath: img.imagePath,
           attachmentInfo,
           originalPath: img.originalPath
         })
-        console.error(`    → Uploaded manual diagram: ${img.filename}`)
+        uploadedDiagrams.push(attachmentData.filename)
+        console.error(`    → Uploaded image: ${img.filename}`)
       }
     }
 
@@ -587,18 +1414,8 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
           publishedPageId
         )
         // Update the page with image placeholders replaced
-        const updatePayload = pageManager.createPagePayload(
-          title,
-          updatedAtlas,
-          fileParentId,
-          existingVersion ? existingVersion + 2 : 2,
-          finalSpace,
-          true
-        )
-        await apiClient.confluenceRequest('PUT',
-          `/content/${publishedPageId}`,
-          { auth, body: updatePayload }
-        )
+        publishedVersion = await updatePageImages(publishedPageId, publishedVersion, version =>
+          pageManager.createPagePayload(title, updatedAtlas, fileParentId, version, finalSpace, true, updateMessage), auth)
       } else {
         // For storage format, replace placeholders in the original content
         // If we used convertDiagramPage, it already converted to Atlas format,
@@ -608,34 +1425,56 @@ async function publishMarkdownFile(filePath, spaceFilter, parentPageId, auth, co
           placeholders,
           'storage'
         )
-        const updatePayload = pageManager.createPagePayload(
-          title,
-          updatedContent,
-          fileParentId,
-          existingVersion ? existingVersion + 2 : 2,
-          finalSpace,
-          false
-        )
-        await apiClient.confluenceRequest('PUT',
-          `/content/${publishedPageId}`,
-          { auth, body: updatePayload }
-        )
+        publishedVersion = await updatePageImages(publishedPageId, publishedVersion, version =>
+          pageManager.createPagePayload(title, updatedContent, fileParentId, version, finalSpace, false, updateMessage), auth)
       }
     }
+
+    // Record what was published so the next run can skip it if nothing changed
+    await pageManager.setPageProperty(publishedPageId, SOURCE_HASH_PROPERTY, {
+      hash: sourceHash,
+      source: sourceKey,
+      pageVersion: publishedVersion,
+      previousVersion,
+      publishedAt: new Date().toISOString()
+    }, auth)
+  }
+
+  // Remember which page this file maps to
+  if (publishedPageId) {
+    pageMap.setMappedPage(config.pageMap, sourceKey, { pageId: publishedPageId, space: finalSpace, title })
+    if (previousKey) {
+      pageMap.removeMappedPage(config.pageMap, previousKey)
+    }
+  }
+
+  return {
+    action,
+    title,
+    space: finalSpace,
+    parentId: fileParentId,
+    pageId: publishedPageId,
+    version: publishedVersion,
+    previousVersion,
+    diagrams: uploadedDiagrams
   }
 }
 
 /**
  * Publish a diagram file
+ * @returns {Promise<Object>} Report entry
  */
 async function publishDiagramFile(filePath, spaceFilter, parentPageId, auth, config) {
   const title = await contentProcessor.extractTitle(filePath)
   console.error(`  Publishing diagram: ${title}`)
+  return { action: 'skipped', title, reason: 'Standalone diagram pages are not published; embed the diagram in a markdown page' }
 }
 
 // Export public API
 module.exports = {
   publish,
+  rollback,
+  unpublish,
   validateConfig,
   createConfigTemplate,
 
@@ -643,10 +1482,23 @@ module.exports = {
   lib: {
     utils,
     apiClient,
+    authProvider,
     pageManager,
     contentProcessor,
     github,
     imageHandler,
-    hierarchyManager
+    hierarchyManager,
+    pathMapping,
+    configLoader,
+    gitChanges,
+    manualEdits,
+    publishLock,
+    versionMessage,
+    pageMap,
+    prune,
+    rollback: pageRollback,
+    unpublish: pageUnpublish,
+    frontmatter,
+    linkResolver
   }
 }
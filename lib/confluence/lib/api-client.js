@@ -4,6 +4,8 @@
  */
 
 const { getJsonResultCount, toNumeric } = require('./utils')
+const { withRetry } = require('./retry')
+const authProvider = require('./auth-provider')
 
 // Use Node.js built-in fetch (Node 18+)
 let fetch
@@ -14,11 +16,21 @@ try {
   process.exit(1)
 }
 
+/**
+ * REST API base paths by version, below the API root (see authProvider.apiRoot)
+ */
+const API_BASE_PATHS = {
+  v1: '/rest/api',
+  v2: '/api/v2'
+}
+
 /**
  * Configuration (will be set by main module)
  */
 let CONFIG = {
-  confluenceUrl: process.env.CONFLUENCE_URL || 'https://eaflood.atlassian.net'
+  confluenceUrl: process.env.CONFLUENCE_URL || 'https://eaflood.atlassian.net',
+  apiVersion: process.env.CONFLUENCE_API_VERSION || 'v1', // Transport for pages, properties, attachments
+  retry: {} // Retry overrides { maxRetries, baseDelayMs, maxDelayMs, retryStatuses }
 }
 
 /**
@@ -29,20 +41,55 @@ function setConfig (config) {
   CONFIG = { ...CONFIG, ...config }
 }
 
+/**
+ * Validate an API version setting
+ * @param {string} [value] - 'v1' or 'v2' (defaults to CONFLUENCE_API_VERSION, then 'v1')
+ * @returns {string} API version
+ * @throws {Error} When the version is not supported
+ */
+function resolveApiVersion (value) {
+  const version = String(value || process.env.CONFLUENCE_API_VERSION || 'v1').toLowerCase()
+  if (!API_BASE_PATHS[version]) {
+    throw new Error(`Unknown Confluence API version '${value}' (expected one of: ${Object.keys(API_BASE_PATHS).join(', ')})`)
+  }
+  return version
+}
+
+/**
+ * Whether the v2 transport is active
+ * @returns {boolean} True when apiVersion is 'v2'
+ */
+function usesV2 () {
+  return CONFIG.apiVersion === 'v2'
+}
+
+/**
+ * Load the v2 transport (required lazily, as it builds on this module)
+ * @returns {Object} api-v2 module
+ */
+function v2 () {
+  return require('./api-v2')
+}
+
 /**
  * Make HTTP request to Confluence API
+ * Throttled (429) and unavailable (502/503/504) responses are retried with backoff
  * @param {string} method - HTTP method
  * @param {string} endpoint - API endpoint
  * @param {Object} options - Request options
+ * @param {Object} options.auth - Authentication credentials (see auth-provider)
+ * @param {Object|string} [options.body] - Request body
+ * @param {Object} [options.headers] - Extra headers
+ * @param {boolean} [options.idempotent] - Allow retrying a POST after a 5xx (safe to repeat)
+ * @param {string} [options.api] - 'v2' to call /wiki/api/v2 instead of /wiki/rest/api
  * @returns {Promise<Object>} Response object with status, ok, body, headers
  */
 async function confluenceRequest (method, endpoint, options = {}) {
-  const { username, apiToken } = options.auth || {}
-  const url = `${CONFIG.confluenceUrl}/wiki/rest/api${endpoint}`
+  const url = `${authProvider.apiRoot(options.auth, CONFIG.confluenceUrl)}${API_BASE_PATHS[options.api || 'v1']}${endpoint}`
 
   const headers = {
     'Content-Type': 'application/json',
-    Authorization: `Basic ${Buffer.from(`${username}:${apiToken}`).toString('base64')}`,
+    Authorization: await authProvider.getAuthorizationHeader(options.auth, { retry: CONFIG.retry }),
     ...options.headers
   }
 
@@ -58,7 +105,12 @@ async function confluenceRequest (method, endpoint, options = {}) {
   }
 
   try {
-    const response = await fetch(url, fetchOptions)
+    const response = await withRetry(() => fetch(url, fetchOptions), {
+      method,
+      label: `${method} ${endpoint.split('?')[0]}`,
+      idempotent: options.idempotent,
+      retry: CONFIG.retry
+    })
     const text = await response.text()
     let body
 
@@ -139,6 +191,10 @@ async function searchPagesByTitle (title, spaceKey, auth) {
  * @returns {Promise<Object>} Page data
  */
 async function getPageByTitle (title, spaceKey, auth) {
+  if (usesV2()) {
+    return { results: await v2().findPagesByTitle(title, spaceKey, auth) }
+  }
+
   const encodedTitle = encodeURIComponent(title)
 
   try {
@@ -177,6 +233,14 @@ async function getPageByTitle (title, spaceKey, auth) {
  * @returns {Promise<Object>} Object with page data and count
  */
 async function findPageByTitle (title, spaceKey, auth) {
+  if (usesV2()) {
+    const results = await v2().findPagesByTitle(title, spaceKey, auth)
+    if (results.length > 0) {
+      console.error(`    🔍 v2 title lookup found ${results.length} result(s)`)
+    }
+    return { page: { results }, count: results.length }
+  }
+
   let existingPage = null
   let resultCount = 0
 
@@ -266,6 +330,269 @@ async function findPageByTitle (title, spaceKey, auth) {
   }
 }
 
+/**
+ * Get page by ID, including archived pages
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object|null>} Page data, or null if the page does not exist
+ */
+async function getPageById (pageId, auth) {
+  try {
+    if (usesV2()) {
+      return await v2().getPage(pageId, auth)
+    }
+
+    const response = await confluenceRequest('GET',
+      `/content/${pageId}?status=any&expand=version,ancestors,space`,
+      { auth }
+    )
+
+    if (response.status === 200 && response.body && typeof response.body === 'object') {
+      return response.body
+    }
+  } catch (error) {
+    console.error(`    🔍 Lookup by ID failed: ${error.message}`)
+  }
+
+  return null
+}
+
+/**
+ * Get a page with its body (ADF, falling back to storage) and version
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object|null>} Page with body.atlas_doc_format and/or body.storage, or null if unavailable
+ */
+async function getPageWithBody (pageId, auth) {
+  if (usesV2()) {
+    const page = await v2().getPage(pageId, auth, 'atlas_doc_format')
+    if (page && !page.body.atlas_doc_format?.value) {
+      return v2().getPage(pageId, auth, 'storage')
+    }
+    return page
+  }
+
+  const response = await confluenceRequest('GET',
+    `/content/${pageId}?expand=body.atlas_doc_format,body.storage,version`,
+    { auth }
+  )
+  if (response.status !== 200 || !response.body || typeof response.body !== 'object') {
+    return null
+  }
+  return response.body
+}
+
+/**
+ * Look up the ID of a space's home page
+ * @param {string} spaceKey - Space key
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string|null>} Home page ID, or null if the space has none or cannot be read
+ */
+async function getSpaceHomepageId (spaceKey, auth) {
+  try {
+    if (usesV2()) {
+      return await v2().getSpaceHomepageId(spaceKey, auth)
+    }
+
+    const response = await confluenceRequest('GET', `/space/${encodeURIComponent(spaceKey)}?expand=homepage`, { auth })
+    if (response.status === 200 && response.body?.homepage?.id) {
+      return String(response.body.homepage.id)
+    }
+  } catch (error) {
+    console.error(`    ⚠️  Could not look up the home page of space ${spaceKey}: ${error.message}`)
+  }
+  return null
+}
+
+/**
+ * Get the account the credentials belong to (v1 only; v2 has no equivalent)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object|null>} User { accountId, displayName, ... }, or null if unavailable
+ */
+async function getCurrentUser (auth) {
+  try {
+    const response = await confluenceRequest('GET', '/user/current', { auth })
+    if (response.status === 200 && response.body && typeof response.body === 'object') {
+      return response.body
+    }
+  } catch (error) {
+    console.error(`    ⚠️  Could not look up the publishing account: ${error.message}`)
+  }
+  return null
+}
+
+/**
+ * Create a page
+ * @param {Object} payload - Payload from pageManager.createPagePayload
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Response object; body.id is the new page ID on success
+ */
+function createPage (payload, auth) {
+  if (usesV2()) {
+    return v2().createPage(payload, auth)
+  }
+  return confluenceRequest('POST', '/content', { auth, body: payload })
+}
+
+/**
+ * Update a page
+ * @param {string} pageId - Page ID
+ * @param {Object} payload - Payload from pageManager.createPagePayload (with version)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Response object
+ */
+function updatePage (pageId, payload, auth) {
+  if (usesV2()) {
+    return v2().updatePage(pageId, payload, auth)
+  }
+  return confluenceRequest('PUT', `/content/${pageId}`, { auth, body: payload })
+}
+
+/**
+ * List a page's attachments
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [filename] - Only attachments with this filename
+ * @returns {Promise<Array<Object>>} Attachments { id, title, extensions: { fileId } }
+ */
+async function getAttachments (pageId, auth, filename = null) {
+  if (usesV2()) {
+    return v2().getAttachments(pageId, auth, filename)
+  }
+
+  const query = filename ? `?filename=${encodeURIComponent(filename)}` : ''
+  const response = await confluenceRequest('GET', `/content/${pageId}/child/attachment${query}`, { auth })
+  if (response.status !== 200 || !response.body?.results) {
+    return []
+  }
+  return response.body.results
+}
+
+/**
+ * List the immediate child pages (and, on v2, folders) of a page (follows pagination)
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<Object>>} Children
+ * @throws {Error} When the children cannot be listed
+ */
+async function getChildPages (pageId, auth) {
+  if (usesV2()) {
+    return v2().getDirectChildren(pageId, auth)
+  }
+
+  const limit = 200
+  const children = []
+  let start = 0
+
+  while (start < 10000) {
+    const response = await confluenceRequest('GET',
+      `/content/${pageId}/child/page?limit=${limit}&start=${start}`,
+      { auth }
+    )
+
+    if (response.status !== 200 || !response.body || typeof response.body !== 'object') {
+      throw new Error(`Could not list children of page ${pageId} (HTTP ${response.status})`)
+    }
+
+    const results = response.body.results || []
+    children.push(...results)
+    // The server may return fewer than asked for; a next link says there are more
+    if (results.length === 0 || (results.length < limit && !response.body._links?.next)) {
+      break
+    }
+    start += results.length
+  }
+
+  return children
+}
+
+/**
+ * List every page in a space carrying a label (follows pagination)
+ * @param {string} labelName - Label name
+ * @param {string} spaceKey - Confluence space key
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [expand] - Extra fields to expand on each result
+ * @returns {Promise<Array<Object>>} Matching pages
+ */
+async function searchPagesByLabel (labelName, spaceKey, auth, expand = 'version,ancestors') {
+  const cqlQuery = `space="${spaceKey}" AND type=page AND label="${labelName.replace(/"/g, '\\"')}"`
+  const encodedCql = encodeURIComponent(cqlQuery)
+  const limit = 100
+  const pages = []
+  let start = 0
+
+  while (start < 10000) {
+    const response = await confluenceRequest('GET',
+      `/content/search?cql=${encodedCql}&expand=${expand}&limit=${limit}&start=${start}`,
+      { auth }
+    )
+
+    if (response.status !== 200 || !response.body || typeof response.body !== 'object') {
+      throw new Error(`Label search failed in space ${spaceKey} (HTTP ${response.status})`)
+    }
+
+    const results = response.body.results || []
+    pages.push(...results)
+    // The server may return fewer than asked for; a next link says there are more
+    if (results.length === 0 || (results.length < limit && !response.body._links?.next)) {
+      break
+    }
+    start += results.length
+  }
+
+  return pages
+}
+
+/**
+ * List a page's versions, newest first (v1 on both transports, like restorePageVersion)
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<Object>>} Versions { number, when, message, by }
+ * @throws {Error} When the history cannot be read
+ */
+async function getPageVersions (pageId, auth) {
+  const limit = 200
+  const versions = []
+  let start = 0
+
+  while (start < 10000) {
+    const response = await confluenceRequest('GET',
+      `/content/${pageId}/version?limit=${limit}&start=${start}`,
+      { auth }
+    )
+
+    if (response.status !== 200 || !response.body || typeof response.body !== 'object') {
+      throw new Error(`Could not read the version history of page ${pageId} (HTTP ${response.status})`)
+    }
+
+    const results = response.body.results || []
+    versions.push(...results)
+    // The server may return fewer than asked for; a next link says there are more
+    if (results.length === 0 || (results.length < limit && !response.body._links?.next)) {
+      break
+    }
+    start += results.length
+  }
+
+  return versions.sort((a, b) => b.number - a.number)
+}
+
+/**
+ * Restore a page to an earlier version; Confluence saves a copy of it as a new version
+ * (always v1: the v2 API has no restore operation)
+ * @param {string} pageId - Page ID
+ * @param {number} versionNumber - Version to restore
+ * @param {string} message - Version message for the new version
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Response object; body.number is the new version on success
+ */
+function restorePageVersion (pageId, versionNumber, message, auth) {
+  return confluenceRequest('POST', `/content/${pageId}/version`, {
+    auth,
+    body: { operationKey: 'restore', params: { versionNumber, message: message || '', restoreTitle: true } }
+  })
+}
+
 /**
  * Extract page ID from search results
  * @param {Object} searchResult - Search result object
@@ -298,11 +625,24 @@ function extractPageIdFromResults (searchResult, resultCount, parentId = null) {
 }
 
 module.exports = {
+  API_BASE_PATHS,
   setConfig,
+  resolveApiVersion,
+  usesV2,
   confluenceRequest,
   searchPagesByTitle,
   getPageByTitle,
   findPageByTitle,
+  getPageById,
+  getPageWithBody,
+  getCurrentUser,
+  getSpaceHomepageId,
+  createPage,
+  updatePage,
+  getAttachments,
+  getChildPages,
+  searchPagesByLabel,
+  getPageVersions,
+  restorePageVersion,
   extractPageIdFromResults
 }
-
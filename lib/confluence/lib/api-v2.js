@@ -0,0 +1,382 @@
+/**
+ * Confluence REST v2 transport
+ * @module @defra/delivery-info-arch-tooling/confluence/api-v2
+ *
+ * Used when `apiVersion` is 'v2'. Requests go to `/wiki/api/v2` and responses
+ * are adapted to the v1 shapes the rest of the publisher already reads
+ * (`version.number`, `space.key`, `ancestors`, `results`), so callers do not
+ * care which transport is active. Adding labels and uploading attachments
+ * have no v2 endpoints and stay on v1.
+ */
+
+const apiClient = require('./api-client')
+
+/**
+ * Most results requested per page of a cursor-paginated collection
+ */
+const PAGE_LIMIT = 250
+
+/**
+ * Space key ↔ ID lookups (v2 addresses spaces by numeric ID)
+ */
+const spaceIds = new Map()
+const spaceKeys = new Map()
+
+/**
+ * Forget cached space lookups (for testing)
+ */
+function resetCache () {
+  spaceIds.clear()
+  spaceKeys.clear()
+}
+
+/**
+ * Make a request against /wiki/api/v2
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint below /wiki/api/v2
+ * @param {Object} [options] - Options as for confluenceRequest
+ * @returns {Promise<Object>} Response object with status, ok, body, headers
+ */
+function request (method, endpoint, options = {}) {
+  return apiClient.confluenceRequest(method, endpoint, { ...options, api: 'v2' })
+}
+
+/**
+ * Turn a v2 `_links.next` link into an endpoint below /wiki/api/v2
+ * @param {Object} body - Response body
+ * @returns {string|null} Next endpoint, or null on the last page
+ */
+function nextEndpoint (body) {
+  const next = body?._links?.next
+  // Links are relative to the site (/wiki/api/v2/...) or absolute through the OAuth gateway
+  return next ? next.replace(/^.*?\/api\/v2(?=\/)/, '') : null
+}
+
+/**
+ * Follow a cursor-paginated collection to the end
+ * @param {string} endpoint - Collection endpoint below /wiki/api/v2
+ * @param {Object} auth - Authentication credentials
+ * @param {number} [max] - Stop once this many results are collected
+ * @returns {Promise<Array<Object>>} Collected results
+ * @throws {Error} When a page of results cannot be fetched
+ */
+async function paginate (endpoint, auth, max = 10000) {
+  const results = []
+  let next = endpoint
+  while (next && results.length < max) {
+    const response = await request('GET', next, { auth })
+    if (response.status !== 200 || !response.body || typeof response.body !== 'object') {
+      throw new Error(`GET ${endpoint.split('?')[0]} failed (HTTP ${response.status})`)
+    }
+    results.push(...(response.body.results || []))
+    next = nextEndpoint(response.body)
+  }
+  return results.slice(0, max)
+}
+
+/**
+ * Look up a space's ID from its key
+ * @param {string} spaceKey - Space key
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string>} Space ID
+ * @throws {Error} When the space does not exist or cannot be read
+ */
+async function getSpaceId (spaceKey, auth) {
+  if (!spaceIds.has(spaceKey)) {
+    const response = await request('GET', `/spaces?keys=${encodeURIComponent(spaceKey)}`, { auth })
+    const space = response.status === 200 ? response.body?.results?.[0] : null
+    if (!space) {
+      throw new Error(`Space ${spaceKey} not found (HTTP ${response.status})`)
+    }
+    spaceIds.set(spaceKey, String(space.id))
+    spaceKeys.set(String(space.id), spaceKey)
+  }
+  return spaceIds.get(spaceKey)
+}
+
+/**
+ * Look up a space's key from its ID
+ * @param {string} spaceId - Space ID
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string|null>} Space key, or null if it cannot be read
+ */
+async function getSpaceKey (spaceId, auth) {
+  if (!spaceId) return null
+  if (!spaceKeys.has(String(spaceId))) {
+    const response = await request('GET', `/spaces/${spaceId}`, { auth })
+    if (response.status !== 200 || !response.body?.key) {
+      return null
+    }
+    spaceKeys.set(String(spaceId), response.body.key)
+    spaceIds.set(response.body.key, String(spaceId))
+  }
+  return spaceKeys.get(String(spaceId))
+}
+
+/**
+ * Look up the ID of a space's home page
+ * @param {string} spaceKey - Space key
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string|null>} Home page ID, or null if the space has none or cannot be read
+ */
+async function getSpaceHomepageId (spaceKey, auth) {
+  const response = await request('GET', `/spaces/${await getSpaceId(spaceKey, auth)}`, { auth })
+  return response.status === 200 && response.body?.homepageId ? String(response.body.homepageId) : null
+}
+
+/**
+ * Adapt a v2 page or folder to the v1 content shape
+ * @param {Object} page - v2 page
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} { id, type, status, title, version, space, ancestors, body, metadata }
+ */
+async function toV1Page (page, auth) {
+  return adaptPage(page, await getSpaceKey(page.spaceId, auth))
+}
+
+/**
+ * Adapt a v2 page or folder to the v1 content shape, given its space key
+ * @param {Object} page - v2 page
+ * @param {string|null} spaceKey - Key of the page's space
+ * @returns {Object} { id, type, status, title, version, space, ancestors, body, metadata }
+ */
+function adaptPage (page, spaceKey) {
+  const labels = page.labels?.results
+  return {
+    id: String(page.id),
+    type: page.type || 'page',
+    status: page.status || 'current',
+    title: page.title,
+    version: {
+      number: page.version?.number || 1,
+      when: page.version?.createdAt,
+      by: page.version?.authorId ? { accountId: page.version.authorId } : undefined
+    },
+    space: { key: spaceKey, id: page.spaceId },
+    // v2 only names the direct parent, which is all the publisher reads
+    ancestors: page.parentId ? [{ id: String(page.parentId), type: page.parentType || 'page' }] : [],
+    body: page.body || {},
+    ...(labels && { metadata: { labels: { results: labels } } })
+  }
+}
+
+/**
+ * Find pages in a space by exact title (current and archived)
+ * @param {string} title - Page title
+ * @param {string} spaceKey - Space key
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<Object>>} Pages in v1 shape
+ */
+async function findPagesByTitle (title, spaceKey, auth) {
+  const spaceId = await getSpaceId(spaceKey, auth)
+  const pages = await paginate(
+    `/pages?space-id=${spaceId}&title=${encodeURIComponent(title)}&status=current,archived&limit=${PAGE_LIMIT}`,
+    auth
+  )
+  return Promise.all(pages.map(page => toV1Page(page, auth)))
+}
+
+/**
+ * Fetch a page by ID
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [bodyFormat] - 'atlas_doc_format' or 'storage' to include the body
+ * @returns {Promise<Object|null>} Page in v1 shape, or null if it does not exist
+ */
+async function getPage (pageId, auth, bodyFormat = null) {
+  const query = bodyFormat ? `?body-format=${bodyFormat}` : ''
+  const response = await request('GET', `/pages/${pageId}${query}`, { auth })
+  if (response.status !== 200 || !response.body || typeof response.body !== 'object') {
+    return null
+  }
+  return toV1Page(response.body, auth)
+}
+
+/**
+ * Convert a v1 page payload (from createPagePayload) to a v2 body
+ * @param {Object} payload - v1 payload
+ * @returns {Object} { representation, value }
+ */
+function toV2Body (payload) {
+  const body = payload.body || {}
+  return body.atlas_doc_format
+    ? { representation: 'atlas_doc_format', value: body.atlas_doc_format.value }
+    : { representation: 'storage', value: body.storage?.value || '' }
+}
+
+/**
+ * Create a page from a v1 payload
+ * @param {Object} payload - v1 payload (space.key, ancestors, title, body)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Response; body.id is the new page ID on success
+ */
+async function createPage (payload, auth) {
+  const spaceId = await getSpaceId(payload.space?.key, auth)
+  const parentId = payload.ancestors?.[payload.ancestors.length - 1]?.id
+  const response = await request('POST', '/pages', {
+    auth,
+    body: {
+      spaceId,
+      status: 'current',
+      title: payload.title,
+      ...(parentId && { parentId: String(parentId) }),
+      body: toV2Body(payload)
+    }
+  })
+
+  // v2 has no create-time metadata, so page appearance is set as properties afterwards
+  if ((response.status === 200 || response.status === 201) && response.body?.id) {
+    for (const [key, property] of Object.entries(payload.metadata?.properties || {})) {
+      await setProperty(response.body.id, key, property.value, auth)
+    }
+  }
+  return response
+}
+
+/**
+ * Update a page from a v1 payload
+ * @param {string} pageId - Page ID
+ * @param {Object} payload - v1 payload (title, body, version, optional ancestors)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Response
+ */
+async function updatePage (pageId, payload, auth) {
+  const parentId = payload.ancestors?.[payload.ancestors.length - 1]?.id
+  return request('PUT', `/pages/${pageId}`, {
+    auth,
+    body: {
+      id: String(pageId),
+      status: 'current',
+      title: payload.title,
+      ...(parentId && { parentId: String(parentId) }),
+      body: toV2Body(payload),
+      version: payload.version
+    }
+  })
+}
+
+/**
+ * List a page's labels
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<Object>>} Labels { id, name, prefix }
+ */
+function getLabels (pageId, auth) {
+  return paginate(`/pages/${pageId}/labels?limit=${PAGE_LIMIT}`, auth)
+}
+
+/**
+ * Read a content property
+ * @param {string} contentId - Page or folder ID
+ * @param {string} key - Property key
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [contentType] - 'pages' or 'folders'
+ * @returns {Promise<Object|null>} Property { id, key, value, version } or null if not set
+ */
+async function getProperty (contentId, key, auth, contentType = 'pages') {
+  const response = await request('GET', `/${contentType}/${contentId}/properties?key=${encodeURIComponent(key)}`, { auth })
+  if (response.status !== 200) {
+    return null
+  }
+  return response.body?.results?.[0] || null
+}
+
+/**
+ * Create or update a content property
+ * @param {string} contentId - Page or folder ID
+ * @param {string} key - Property key
+ * @param {*} value - JSON-serialisable value
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [contentType] - 'pages' or 'folders'
+ * @returns {Promise<Object>} Response
+ */
+async function setProperty (contentId, key, value, auth, contentType = 'pages') {
+  return writeProperty(contentId, key, value, auth, await getProperty(contentId, key, auth, contentType), contentType)
+}
+
+/**
+ * Write a content property over the version already read; a concurrent change makes it fail (409)
+ * @param {string} contentId - Page or folder ID
+ * @param {string} key - Property key
+ * @param {*} value - JSON-serialisable value
+ * @param {Object} auth - Authentication credentials
+ * @param {Object|null} existing - Property as read (null to create it)
+ * @param {string} [contentType] - 'pages' or 'folders'
+ * @returns {Promise<Object>} Response
+ */
+function writeProperty (contentId, key, value, auth, existing, contentType = 'pages') {
+  return existing
+    ? request('PUT', `/${contentType}/${contentId}/properties/${existing.id}`, {
+      auth,
+      body: { key, value, version: { number: (existing.version?.number || 1) + 1 } }
+    })
+    : request('POST', `/${contentType}/${contentId}/properties`, { auth, body: { key, value } })
+}
+
+/**
+ * List a page's attachments, optionally by filename
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [filename] - Only attachments with this filename
+ * @returns {Promise<Array<Object>>} Attachments in v1 shape { id, title, extensions: { fileId } }
+ */
+async function getAttachments (pageId, auth, filename = null) {
+  const query = filename ? `&filename=${encodeURIComponent(filename)}` : ''
+  const attachments = await paginate(`/pages/${pageId}/attachments?limit=${PAGE_LIMIT}${query}`, auth)
+  return attachments.map(attachment => ({
+    id: attachment.id,
+    title: attachment.title,
+    extensions: { fileId: attachment.fileId, mediaType: attachment.mediaType }
+  }))
+}
+
+/**
+ * List the direct children of a page or folder (pages and folders)
+ * @param {string} contentId - Page or folder ID
+ * @param {Object} auth - Authentication credentials
+ * @param {string} [contentType] - 'pages' or 'folders'
+ * @returns {Promise<Array<Object>>} Children { id, type, title, status }
+ */
+function getDirectChildren (contentId, auth, contentType = 'pages') {
+  return paginate(`/${contentType}/${contentId}/direct-children?limit=${PAGE_LIMIT}`, auth)
+}
+
+/**
+ * Create a native folder
+ * @param {string} title - Folder title
+ * @param {string|null} parentId - Parent page or folder ID (space root when null)
+ * @param {string} spaceKey - Space key
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} Response; body.id is the new folder ID on success
+ */
+async function createFolder (title, parentId, spaceKey, auth) {
+  const spaceId = await getSpaceId(spaceKey, auth)
+  return request('POST', '/folders', {
+    auth,
+    body: { spaceId, title, ...(parentId && { parentId: String(parentId) }) }
+  })
+}
+
+module.exports = {
+  PAGE_LIMIT,
+  resetCache,
+  request,
+  nextEndpoint,
+  paginate,
+  getSpaceId,
+  getSpaceKey,
+  getSpaceHomepageId,
+  toV1Page,
+  adaptPage,
+  findPagesByTitle,
+  getPage,
+  createPage,
+  updatePage,
+  getLabels,
+  getProperty,
+  setProperty,
+  writeProperty,
+  getAttachments,
+  getDirectChildren,
+  createFolder
+}
@@ -0,0 +1,285 @@
+/**
+ * Confluence authentication modes
+ * @module @defra/delivery-info-arch-tooling/confluence/auth-provider
+ *
+ * Both the publish and read paths take an auth object and ask this module for
+ * the Authorization header and the URL the REST API lives under:
+ *
+ *   basic  - Atlassian account email + API token (Confluence Cloud, the default)
+ *   bearer - Personal access token (Confluence Data Center / Server)
+ *   oauth  - OAuth 2.0 client credentials, exchanged for an access token and
+ *            sent through the api.atlassian.com gateway for the site's cloud ID
+ *
+ * An auth object without `mode` is treated as basic, so existing
+ * `{ username, apiToken }` callers keep working.
+ */
+
+const { withRetry } = require('./retry')
+
+/**
+ * Supported authentication modes
+ */
+const AUTH_MODES = ['basic', 'bearer', 'oauth']
+
+/**
+ * Credentials each mode needs
+ */
+const REQUIRED_CREDENTIALS = {
+  basic: ['username', 'apiToken'],
+  bearer: ['token'],
+  oauth: ['clientId', 'clientSecret', 'cloudId']
+}
+
+/**
+ * Environment variable read for each credential
+ */
+const CREDENTIAL_ENV = {
+  username: 'CONFLUENCE_USERNAME',
+  apiToken: 'CONFLUENCE_API_TOKEN',
+  token: 'CONFLUENCE_PAT',
+  clientId: 'CONFLUENCE_CLIENT_ID',
+  clientSecret: 'CONFLUENCE_CLIENT_SECRET',
+  cloudId: 'CONFLUENCE_CLOUD_ID'
+}
+
+/**
+ * Atlassian OAuth token endpoint and API gateway
+ */
+const DEFAULT_TOKEN_URL = 'https://auth.atlassian.com/oauth/token'
+const OAUTH_GATEWAY_URL = 'https://api.atlassian.com/ex/confluence'
+
+/**
+ * Refresh access tokens this long before they expire
+ */
+const TOKEN_EXPIRY_MARGIN_MS = 60000
+
+/**
+ * Access tokens by token URL and client ID: { promise, expiresAt }
+ */
+const tokenCache = new Map()
+
+/**
+ * Forget cached access tokens (for testing)
+ */
+function resetTokenCache () {
+  tokenCache.clear()
+}
+
+/**
+ * The mode an auth object uses
+ * @param {Object} [auth] - Auth object
+ * @returns {string} 'basic', 'bearer' or 'oauth'
+ */
+function getAuthMode (auth) {
+  return (auth && auth.mode) || 'basic'
+}
+
+/**
+ * Resolve credentials from explicit options, then environment
+ * Without an explicit mode (option or CONFLUENCE_AUTH_MODE), the mode follows
+ * whichever credentials are present: API token, then PAT, then OAuth client.
+ * @param {Object} [options] - Overrides { mode, username, apiToken, token, clientId, clientSecret, cloudId, tokenUrl, scope }
+ * @param {Object} [env] - Environment (default: process.env)
+ * @returns {Object} Auth object { mode, ...credentials }
+ * @throws {Error} When the mode is not supported
+ */
+function resolveAuth (options = {}, env = process.env) {
+  const values = {
+    username: options.username || env.CONFLUENCE_USERNAME || env.CONFLUENCE_USER_EMAIL,
+    apiToken: options.apiToken || env.CONFLUENCE_API_TOKEN,
+    token: options.token || env.CONFLUENCE_PAT,
+    clientId: options.clientId || env.CONFLUENCE_CLIENT_ID,
+    clientSecret: options.clientSecret || env.CONFLUENCE_CLIENT_SECRET,
+    cloudId: options.cloudId || env.CONFLUENCE_CLOUD_ID
+  }
+
+  let mode = options.mode || env.CONFLUENCE_AUTH_MODE
+  if (mode) {
+    mode = String(mode).toLowerCase()
+    if (!AUTH_MODES.includes(mode)) {
+      throw new Error(`Unknown Confluence auth mode '${options.mode || env.CONFLUENCE_AUTH_MODE}' (expected one of: ${AUTH_MODES.join(', ')})`)
+    }
+  } else if (values.apiToken) {
+    mode = 'basic'
+  } else if (values.token) {
+    mode = 'bearer'
+  } else if (values.clientId) {
+    mode = 'oauth'
+  } else {
+    mode = 'basic'
+  }
+
+  const auth = { mode }
+  for (const field of REQUIRED_CREDENTIALS[mode]) {
+    auth[field] = values[field]
+  }
+  if (mode === 'oauth') {
+    auth.tokenUrl = options.tokenUrl || env.CONFLUENCE_OAUTH_TOKEN_URL || DEFAULT_TOKEN_URL
+    const scope = options.scope || env.CONFLUENCE_OAUTH_SCOPE
+    if (scope) auth.scope = scope
+  }
+  return auth
+}
+
+/**
+ * Which credentials the auth object's mode needs, and whether each is set
+ * @param {Object} [auth] - Auth object
+ * @returns {Array<Object>} [{ field, env, set }]
+ */
+function credentialStatus (auth) {
+  return REQUIRED_CREDENTIALS[getAuthMode(auth)].map(field => ({
+    field,
+    env: CREDENTIAL_ENV[field],
+    set: Boolean(auth && auth[field])
+  }))
+}
+
+/**
+ * Check an auth object has every credential its mode needs
+ * @param {Object} [auth] - Auth object
+ * @returns {Object} { valid: boolean, mode: string, missing: Array<string> } (missing credential fields)
+ * @throws {Error} When the mode is not supported
+ */
+function validateAuth (auth) {
+  const mode = getAuthMode(auth)
+  if (!REQUIRED_CREDENTIALS[mode]) {
+    throw new Error(`Unknown Confluence auth mode '${mode}' (expected one of: ${AUTH_MODES.join(', ')})`)
+  }
+  const missing = credentialStatus(auth).filter(status => !status.set).map(status => status.field)
+  return { valid: missing.length === 0, mode, missing }
+}
+
+/**
+ * Describe the active mode for people, without secrets
+ * @param {Object} [auth] - Auth object
+ * @returns {string} e.g. "basic (API token for user@defra.gov.uk)"
+ */
+function describeAuth (auth) {
+  switch (getAuthMode(auth)) {
+    case 'bearer':
+      return 'bearer (personal access token)'
+    case 'oauth':
+      return `oauth (client credentials, client ${auth.clientId}, cloud ID ${auth.cloudId})`
+    default:
+      return `basic (API token for ${auth && auth.username})`
+  }
+}
+
+/**
+ * Exchange client credentials for an access token
+ * @param {Object} auth - OAuth auth object
+ * @param {Object} [retry] - Retry overrides (see retry.resolveRetryOptions)
+ * @returns {Promise<Object>} { token, expiresIn } (seconds)
+ * @throws {Error} When the token endpoint refuses the credentials
+ */
+async function requestAccessToken (auth, retry) {
+  const response = await withRetry(() => fetch(auth.tokenUrl || DEFAULT_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({
+      grant_type: 'client_credentials',
+      client_id: auth.clientId,
+      client_secret: auth.clientSecret,
+      ...(auth.scope && { scope: auth.scope })
+    })
+  }), { method: 'POST', label: 'POST OAuth token', idempotent: true, retry })
+
+  const text = await response.text()
+  let body
+  try {
+    body = JSON.parse(text)
+  } catch (e) {
+    body = text
+  }
+
+  if (!response.ok || !body || !body.access_token) {
+    const detail = (body && (body.error_description || body.error)) || (typeof body === 'string' ? body.slice(0, 200) : '')
+    throw new Error(`OAuth token request failed (HTTP ${response.status})${detail ? `: ${detail}` : ''}`)
+  }
+  return { token: body.access_token, expiresIn: Number(body.expires_in) || 3600 }
+}
+
+/**
+ * Get a current OAuth access token, requesting one when none is cached
+ * Concurrent callers share one token request.
+ * @param {Object} auth - OAuth auth object
+ * @param {Object} [retry] - Retry overrides
+ * @returns {Promise<string>} Access token
+ */
+function getAccessToken (auth, retry) {
+  const key = `${auth.tokenUrl || DEFAULT_TOKEN_URL} ${auth.clientId}`
+  const cached = tokenCache.get(key)
+  if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.promise
+  }
+
+  const entry = { expiresAt: Infinity }
+  entry.promise = requestAccessToken(auth, retry)
+    .then(({ token, expiresIn }) => {
+      entry.expiresAt = Date.now() + expiresIn * 1000
+      return token
+    })
+    .catch(error => {
+      tokenCache.delete(key)
+      throw error
+    })
+  tokenCache.set(key, entry)
+  return entry.promise
+}
+
+/**
+ * Build the Authorization header for a request
+ * @param {Object} auth - Auth object
+ * @param {Object} [options] - Options
+ * @param {Object} [options.retry] - Retry overrides for the OAuth token request
+ * @returns {Promise<string>} Authorization header value
+ */
+async function getAuthorizationHeader (auth, options = {}) {
+  switch (getAuthMode(auth)) {
+    case 'bearer':
+      return `Bearer ${auth.token}`
+    case 'oauth':
+      return `Bearer ${await getAccessToken(auth, options.retry)}`
+    default: {
+      const { username, apiToken } = auth || {}
+      return `Basic ${Buffer.from(`${username}:${apiToken}`).toString('base64')}`
+    }
+  }
+}
+
+/**
+ * The URL REST paths (`/rest/api`, `/api/v2`) are appended to
+ * Cloud sites serve the API under /wiki; Data Center serves it under the
+ * site's own context path, which is part of its URL; OAuth requests go through
+ * the Atlassian gateway.
+ * @param {Object} auth - Auth object
+ * @param {string} confluenceUrl - Site URL (e.g. https://eaflood.atlassian.net)
+ * @returns {string} API root URL
+ */
+function apiRoot (auth, confluenceUrl) {
+  const siteUrl = String(confluenceUrl || '').replace(/\/+$/, '')
+  switch (getAuthMode(auth)) {
+    case 'bearer':
+      return siteUrl
+    case 'oauth':
+      return `${OAUTH_GATEWAY_URL}/${auth.cloudId}/wiki`
+    default:
+      return siteUrl.endsWith('/wiki') ? siteUrl : `${siteUrl}/wiki`
+  }
+}
+
+module.exports = {
+  AUTH_MODES,
+  REQUIRED_CREDENTIALS,
+  CREDENTIAL_ENV,
+  DEFAULT_TOKEN_URL,
+  resetTokenCache,
+  getAuthMode,
+  resolveAuth,
+  credentialStatus,
+  validateAuth,
+  describeAuth,
+  getAccessToken,
+  getAuthorizationHeader,
+  apiRoot
+}
@@ -0,0 +1,248 @@
+/**
+ * Load and validate confluence-config files
+ * @module @defra/delivery-info-arch-tooling/confluence/config-loader
+ *
+ * Configs can be JSON, YAML (.yaml/.yml) or CommonJS (.js/.cjs, exporting the
+ * config or a function returning it). `extends` names one or more base configs,
+ * merged underneath: objects are merged key by key, anything else (arrays
+ * included) is replaced. Validation uses confluence-config.schema.json and
+ * reports each problem with its JSON pointer.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const Ajv = require('ajv')
+const pathMapping = require('./path-mapping')
+
+/**
+ * Published JSON Schema for the config
+ */
+const CONFIG_SCHEMA_PATH = path.join(__dirname, '..', 'confluence-config.schema.json')
+
+/**
+ * Supported config file extensions, in the order findConfigFile tries them
+ */
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml', '.js', '.cjs']
+
+/**
+ * Compiled schema validator (built on first use)
+ */
+let schemaValidator = null
+
+/**
+ * Get the compiled schema validator
+ * @returns {Function} Ajv validate function
+ */
+function getValidator () {
+  if (!schemaValidator) {
+    const ajv = new Ajv({ allErrors: true, verbose: true, strict: false })
+    schemaValidator = ajv.compile(JSON.parse(fs.readFileSync(CONFIG_SCHEMA_PATH, 'utf-8')))
+  }
+  return schemaValidator
+}
+
+/**
+ * Find the config file in a directory, trying each supported extension
+ * @param {string} [dir] - Directory (default: cwd)
+ * @returns {string} Path of the first confluence-config.* found, else confluence-config.json
+ */
+function findConfigFile (dir = process.cwd()) {
+  for (const extension of CONFIG_EXTENSIONS) {
+    const candidate = path.join(dir, `confluence-config${extension}`)
+    if (fs.existsSync(candidate)) {
+      return candidate
+    }
+  }
+  return path.join(dir, 'confluence-config.json')
+}
+
+/**
+ * Read one config file, without following `extends`
+ * @param {string} filePath - Config file
+ * @returns {Object} Parsed config
+ * @throws {Error} When the format is unsupported or the file cannot be parsed
+ */
+function readConfigFile (filePath) {
+  const extension = path.extname(filePath).toLowerCase()
+  if (!CONFIG_EXTENSIONS.includes(extension)) {
+    throw new Error(`unsupported config format '${extension}' (expected one of: ${CONFIG_EXTENSIONS.join(', ')})`)
+  }
+
+  let config
+  if (extension === '.js' || extension === '.cjs') {
+    const resolved = require.resolve(path.resolve(filePath))
+    delete require.cache[resolved]
+    const exported = require(resolved)
+    config = typeof exported === 'function' ? exported() : exported
+  } else {
+    const content = fs.readFileSync(filePath, 'utf-8')
+    config = extension === '.json' ? JSON.parse(content) : yaml.load(content)
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('config must be an object')
+  }
+  return config
+}
+
+/**
+ * Whether a value is a plain object (merged key by key by mergeConfig)
+ * @param {*} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Merge a config over a base config
+ * @param {Object} base - Base config
+ * @param {Object} override - Config that wins
+ * @returns {Object} Merged config
+ */
+function mergeConfig (base, override) {
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeConfig(merged[key], value)
+      : value
+  }
+  return merged
+}
+
+/**
+ * Resolve an `extends` entry to a file
+ * @param {string} reference - Relative/absolute path, or a package path
+ * @param {string} fromDir - Directory of the config that extends it
+ * @returns {string} Absolute path
+ */
+function resolveExtends (reference, fromDir) {
+  if (path.isAbsolute(reference) || reference.startsWith('.')) {
+    return path.resolve(fromDir, reference)
+  }
+  return require.resolve(reference, { paths: [fromDir] })
+}
+
+/**
+ * Load a config file, following `extends`
+ * @param {string} configPath - Config file
+ * @param {Array<string>} [chain] - Files already being loaded (for cycle detection)
+ * @returns {Object} Merged config (without `extends`)
+ * @throws {Error} Naming the file that could not be loaded; a missing file keeps its ENOENT code
+ */
+function loadConfig (configPath, chain = []) {
+  const filePath = path.resolve(configPath)
+  if (chain.includes(filePath)) {
+    const cycle = [...chain, filePath].map(file => path.relative(process.cwd(), file)).join(' -> ')
+    throw new Error(`Circular extends: ${cycle}`)
+  }
+
+  let config
+  try {
+    config = readConfigFile(filePath)
+  } catch (error) {
+    error.message = `${configPath}: ${error.message}`
+    throw error
+  }
+
+  const { extends: bases, ...own } = config
+  if (bases !== undefined && typeof bases !== 'string' &&
+    !(Array.isArray(bases) && bases.every(base => typeof base === 'string'))) {
+    throw new Error(`${configPath}: 'extends' must be a path or a list of paths`)
+  }
+
+  let merged = {}
+  for (const base of [].concat(bases || [])) {
+    let basePath
+    try {
+      basePath = resolveExtends(base, path.dirname(filePath))
+    } catch (error) {
+      throw new Error(`${configPath}: cannot resolve extends '${base}'`)
+    }
+    merged = mergeConfig(merged, loadConfig(basePath, [...chain, filePath]))
+  }
+  return mergeConfig(merged, own)
+}
+
+/**
+ * Closest allowed property name to a misspelt one
+ * @param {string} name - Unknown property
+ * @param {Array<string>} allowed - Allowed properties
+ * @returns {string|null} Suggestion within two edits, or null
+ */
+function suggestProperty (name, allowed) {
+  let best = null
+  let bestDistance = 3
+  for (const candidate of allowed) {
+    // Levenshtein distance, one row at a time
+    let previous = Array.from({ length: candidate.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= name.length; i++) {
+      const current = [i]
+      for (let j = 1; j <= candidate.length; j++) {
+        const cost = name[i - 1].toLowerCase() === candidate[j - 1].toLowerCase() ? 0 : 1
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      }
+      previous = current
+    }
+    if (previous[candidate.length] < bestDistance) {
+      best = candidate
+      bestDistance = previous[candidate.length]
+    }
+  }
+  return best
+}
+
+/**
+ * Turn an Ajv error into "<pointer>: <message>"
+ * @param {Object} error - Ajv error (verbose)
+ * @returns {string} Message
+ */
+function formatSchemaError (error) {
+  if (error.keyword === 'additionalProperties') {
+    const name = error.params.additionalProperty
+    const suggestion = suggestProperty(name, Object.keys(error.parentSchema.properties || {}))
+    return `${error.instancePath}/${name}: unknown property${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`
+  }
+  const pointer = error.instancePath || '/'
+  if (error.keyword === 'enum') {
+    return `${pointer}: must be one of: ${error.params.allowedValues.join(', ')}`
+  }
+  return `${pointer}: ${error.message}`
+}
+
+/**
+ * Validate a loaded config against the schema and the rules the schema cannot express
+ * @param {Object} config - Loaded config
+ * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ */
+function validateConfigObject (config) {
+  const validate = getValidator()
+  const errors = validate(config)
+    ? []
+    // oneOf reports each failed branch as well; the branch errors say what is wrong
+    : validate.errors.filter(error => error.keyword !== 'oneOf').map(formatSchemaError)
+
+  if (isPlainObject(config)) {
+    if (config.spaceMapping === undefined && config.mappingRules === undefined) {
+      errors.push("/: must have property 'spaceMapping' or 'mappingRules'")
+    }
+    if (Array.isArray(config.mappingRules)) {
+      errors.push(...pathMapping.validateMappingRules(config.mappingRules)
+        .map(message => message.replace(/^mappingRules\[(\d+)\]: /, '/mappingRules/$1: ')))
+    }
+  }
+
+  const unique = [...new Set(errors)]
+  return { valid: unique.length === 0, errors: unique }
+}
+
+module.exports = {
+  CONFIG_SCHEMA_PATH,
+  CONFIG_EXTENSIONS,
+  findConfigFile,
+  readConfigFile,
+  mergeConfig,
+  loadConfig,
+  validateConfigObject
+}
@@ -0,0 +1,307 @@
+/**
+ * Readable diff between a live Confluence page and newly generated content
+ * @module @defra/delivery-info-arch-tooling/confluence/content-diff
+ *
+ * Both sides are rendered to the same Markdown-like text before diffing, ADF
+ * with adfToText and storage XHTML with storage-to-markdown, so the diff shows
+ * content changes rather than representation noise.
+ */
+
+const { getPageWithBody } = require('./api-client')
+const storageToMarkdown = require('../storage-to-markdown')
+
+/**
+ * Line products above this size skip the LCS table and show the changed block whole
+ */
+const MAX_LCS_CELLS = 4000000
+
+/**
+ * Render inline ADF nodes (text with marks, mentions, emoji, media) to text
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {string} Text
+ */
+function inlineText (nodes = []) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': {
+        let text = node.text || ''
+        for (const mark of node.marks || []) {
+          if (mark.type === 'strong') text = `**${text}**`
+          else if (mark.type === 'em') text = `_${text}_`
+          else if (mark.type === 'code') text = `\`${text}\``
+          else if (mark.type === 'strike') text = `~~${text}~~`
+          else if (mark.type === 'link') text = `[${text}](${mark.attrs?.href || ''})`
+        }
+        return text
+      }
+      case 'hardBreak':
+        return '\n'
+      case 'mention':
+        return `@${node.attrs?.text || node.attrs?.id || ''}`
+      case 'emoji':
+        return node.attrs?.text || node.attrs?.shortName || ''
+      case 'inlineCard':
+        return `<${node.attrs?.url || ''}>`
+      case 'media':
+        return mediaText()
+      case 'status':
+        return `[${node.attrs?.text || ''}]`
+      case 'date':
+        return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : ''
+      default:
+        return inlineText(node.content)
+    }
+  }).join('')
+}
+
+/**
+ * Render a media node. Attachment IDs, sizes and alt text are not kept when
+ * placeholders are swapped for uploaded files, so every image renders the same.
+ * @returns {string} Text
+ */
+function mediaText () {
+  return '![image]'
+}
+
+/**
+ * Prefix every line of a block
+ * @param {string} text - Block text
+ * @param {string} prefix - Prefix for the first line
+ * @param {string} [rest] - Prefix for following lines
+ * @returns {string} Prefixed text
+ */
+function prefixLines (text, prefix, rest = ' '.repeat(prefix.length)) {
+  return text.split('\n').map((line, i) => (i === 0 ? prefix : rest) + line).join('\n')
+}
+
+/**
+ * Render ADF block nodes to Markdown-like text
+ * @param {Array<Object>} nodes - Block nodes
+ * @returns {string} Text, blocks separated by blank lines
+ */
+function blocksText (nodes = []) {
+  return nodes.map(blockText).filter(text => text !== '').join('\n\n')
+}
+
+/**
+ * Render one ADF block node
+ * @param {Object} node - Block node
+ * @returns {string} Text
+ */
+function blockText (node) {
+  switch (node.type) {
+    case 'paragraph':
+      return inlineText(node.content)
+    case 'heading':
+      return `${'#'.repeat(node.attrs?.level || 1)} ${inlineText(node.content)}`
+    case 'bulletList':
+      return (node.content || []).map(item => prefixLines(blocksText(item.content), '- ')).join('\n')
+    case 'orderedList':
+      return (node.content || []).map((item, i) =>
+        prefixLines(blocksText(item.content), `${(node.attrs?.order || 1) + i}. `)).join('\n')
+    case 'taskList':
+      // A nested task list follows the task it belongs to
+      return (node.content || []).map(item => (item.type === 'taskItem'
+        ? prefixLines(inlineText(item.content), item.attrs?.state === 'DONE' ? '- [x] ' : '- [ ] ')
+        : prefixLines(blockText(item), '  '))).join('\n')
+    case 'codeBlock':
+      return `\`\`\`${node.attrs?.language || ''}\n${inlineText(node.content)}\n\`\`\``
+    case 'blockquote':
+      return prefixLines(blocksText(node.content), '> ', '> ')
+    case 'panel':
+      return prefixLines(`[${node.attrs?.panelType || 'info'}]\n${blocksText(node.content)}`, '> ', '> ')
+    case 'expand':
+    case 'nestedExpand':
+      return `[expand: ${node.attrs?.title || ''}]\n${blocksText(node.content)}`
+    case 'rule':
+      return '---'
+    case 'table':
+      return (node.content || []).map(row =>
+        `| ${(row.content || []).map(cell => blocksText(cell.content).replace(/\n+/g, ' ')).join(' | ')} |`).join('\n')
+    case 'mediaSingle':
+    case 'mediaGroup':
+    case 'media':
+      return mediaText()
+    case 'extension':
+    case 'bodiedExtension':
+    case 'inlineExtension':
+      return `[${node.attrs?.extensionKey || 'extension'}]`
+    default:
+      return node.content ? blocksText(node.content) : ''
+  }
+}
+
+/**
+ * Render an ADF document to Markdown-like text for diffing
+ * @param {Object|string} doc - ADF document (object or JSON string)
+ * @returns {string} Text
+ */
+function adfToText (doc) {
+  const parsed = typeof doc === 'string' ? JSON.parse(doc) : doc
+  return blocksText(parsed?.content || [])
+}
+
+/**
+ * Fetch a page's current body for comparison
+ * @param {string} pageId - Page ID
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object|null>} { format: 'adf'|'storage', value } or null if unavailable
+ */
+async function fetchLiveContent (pageId, auth) {
+  const page = await getPageWithBody(pageId, auth)
+  if (!page?.body) {
+    return null
+  }
+  const adf = page.body.atlas_doc_format?.value
+  if (adf) {
+    return { format: 'adf', value: adf }
+  }
+  const storage = page.body.storage?.value
+  return storage !== undefined ? { format: 'storage', value: storage } : null
+}
+
+/**
+ * Render page content (ADF or storage) to comparable text
+ * @param {Object} content - { format: 'adf'|'storage', value }
+ * @returns {string} Text
+ */
+function renderContent ({ format, value }) {
+  return format === 'adf'
+    ? adfToText(value)
+    : storageToMarkdown.convert(String(value || '')).trim()
+}
+
+/**
+ * Compute a line diff as a list of operations
+ * @param {Array<string>} oldLines - Lines before
+ * @param {Array<string>} newLines - Lines after
+ * @returns {Array<Object>} Operations { type: ' '|'-'|'+', line }
+ */
+function diffLines (oldLines, newLines) {
+  let start = 0
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++
+  let oldEnd = oldLines.length
+  let newEnd = newLines.length
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--
+    newEnd--
+  }
+
+  const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }))
+  const a = oldLines.slice(start, oldEnd)
+  const b = newLines.slice(start, newEnd)
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    ops.push(...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line })))
+  } else {
+    // Longest common subsequence, filled from the end so the walk below runs forwards
+    const width = b.length + 1
+    const lcs = new Int32Array((a.length + 1) * width)
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+      }
+    }
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: ' ', line: a[i++] })
+        j++
+      } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ type: '-', line: a[i++] })
+      } else {
+        ops.push({ type: '+', line: b[j++] })
+      }
+    }
+  }
+
+  ops.push(...oldLines.slice(oldEnd).map(line => ({ type: ' ', line })))
+  return ops
+}
+
+/**
+ * Produce a unified diff between two texts
+ * @param {string} oldText - Text before (live page)
+ * @param {string} newText - Text after (generated)
+ * @param {Object} [options] - Options
+ * @param {number} [options.context] - Unchanged lines around each change
+ * @param {string} [options.oldLabel] - Label for the old side
+ * @param {string} [options.newLabel] - Label for the new side
+ * @returns {string} Unified diff, or '' when the texts match
+ */
+function unifiedDiff (oldText, newText, { context = 3, oldLabel = 'live', newLabel = 'generated' } = {}) {
+  const ops = diffLines(oldText.split('\n'), newText.split('\n'))
+  if (!ops.some(op => op.type !== ' ')) {
+    return ''
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`]
+  let index = 0
+  while (index < ops.length) {
+    // Find the next change and the run of changes (joined by short unchanged gaps) around it
+    while (index < ops.length && ops[index].type === ' ') index++
+    if (index >= ops.length) break
+
+    const hunkStart = Math.max(0, index - context)
+    let hunkEnd = index
+    while (hunkEnd < ops.length) {
+      if (ops[hunkEnd].type !== ' ') {
+        hunkEnd++
+        continue
+      }
+      let gap = hunkEnd
+      while (gap < ops.length && ops[gap].type === ' ') gap++
+      if (gap >= ops.length || gap - hunkEnd > context * 2) {
+        hunkEnd = Math.min(ops.length, hunkEnd + context)
+        break
+      }
+      hunkEnd = gap
+    }
+
+    const before = ops.slice(0, hunkStart)
+    const hunk = ops.slice(hunkStart, hunkEnd)
+    const oldStart = before.filter(op => op.type !== '+').length + 1
+    const newStart = before.filter(op => op.type !== '-').length + 1
+    const oldCount = hunk.filter(op => op.type !== '+').length
+    const newCount = hunk.filter(op => op.type !== '-').length
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`)
+    lines.push(...hunk.map(op => `${op.type}${op.line}`))
+    index = hunkEnd
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Diff a live page against the content that would replace it
+ * @param {string} pageId - Existing page ID
+ * @param {Object|string} newContent - Generated content (ADF object/JSON or storage XHTML)
+ * @param {boolean} useAtlasFormat - Whether newContent is ADF
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string|null>} Unified diff ('' if no visible change), or null if the live page could not be read
+ */
+async function diffAgainstLivePage (pageId, newContent, useAtlasFormat, auth) {
+  const live = await fetchLiveContent(pageId, auth)
+  if (!live) {
+    return null
+  }
+  const generated = useAtlasFormat
+    ? { format: 'adf', value: newContent }
+    : { format: 'storage', value: newContent }
+  return unifiedDiff(renderContent(live), renderContent(generated), {
+    oldLabel: `live (page ${pageId})`,
+    newLabel: 'generated'
+  })
+}
+
+module.exports = {
+  adfToText,
+  fetchLiveContent,
+  renderContent,
+  diffLines,
+  unifiedDiff,
+  diffAgainstLivePage
+}
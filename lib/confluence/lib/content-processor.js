@@ -89,10 +89,15 @@ async function extractTitle(filePath) {
  * Uses the markdown-to-atlas-doc.js converter
  * @param {string} content - Markdown content
  * @param {Object} options - Conversion options
+ * @param {Object} [options.links] - Resolved relative links (link as written → URL)
  * @returns {Promise<Object>} Atlas document JSON
  */
 async function convertMarkdownToAtlasDoc(content, options = {}) {
   const converterScript = path.join(__dirname, '..', 'markdown-to-atlas-doc.js')
+  const args = [converterScript]
+  if (options.links && Object.keys(options.links).length > 0) {
+    args.push('--links', JSON.stringify(options.links))
+  }
 
   try {
     // Check if converter script exists
@@ -100,7 +105,7 @@ async function convertMarkdownToAtlasDoc(content, options = {}) {
 
     // Use Node.js to run the converter
     return new Promise((resolve, reject) => {
-      const nodeProcess = spawn('node', [converterScript], {
+      const nodeProcess = spawn('node', args, {
         stdio: ['pipe', 'pipe', 'pipe']
       })
 
@@ -142,9 +147,12 @@ async function convertMarkdownToAtlasDoc(content, options = {}) {
  * Convert markdown to Confluence storage format (fallback)
  * This is a simplified conversion
  * @param {string} content - Markdown content
+ * @param {Object} [options] - Conversion options
+ * @param {Object} [options.links] - Resolved relative links (link as written → URL)
  * @returns {string} Storage format content
  */
-function convertMarkdownToStorage(content) {
+function convertMarkdownToStorage(content, options = {}) {
+  const links = options.links || {}
   let storageContent = content
 
   // Convert headers
@@ -168,7 +176,8 @@ function convertMarkdownToStorage(content) {
   storageContent = storageContent.replace(/`([^`]+)`/g, '<code>$1</code>')
 
   // Convert links
-  storageContent = storageContent.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>')
+  storageContent = storageContent.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, href) =>
+    `<a href="${links[href] || href}">${text}</a>`)
 
   // Convert paragraphs (basic)
   storageContent = storageContent.split('\n\n').map(para => {
@@ -0,0 +1,156 @@
+/**
+ * Confluence publishing metadata from markdown frontmatter
+ * @module @defra/delivery-info-arch-tooling/confluence/frontmatter
+ *
+ * A markdown file can override how it publishes with a `confluence` block:
+ *
+ *   ---
+ *   confluence:
+ *     title: BTMS Overview
+ *     space: BTMS
+ *     parentId: "123456"
+ *     labels: [btms, overview]
+ *     skip: false
+ *     pageId: "987654"
+ *   ---
+ *
+ * Flat keys (`confluence.title: ...`) are accepted too.
+ */
+
+const fs = require('fs').promises
+const yaml = require('js-yaml')
+
+/**
+ * Keys allowed under `confluence`
+ */
+const CONFLUENCE_KEYS = ['title', 'space', 'parentId', 'labels', 'skip', 'pageId']
+
+/**
+ * Split YAML frontmatter from a markdown document
+ * @param {string} content - Raw markdown
+ * @returns {Object} { data, body } (data is {} when there is no frontmatter)
+ * @throws {Error} When the frontmatter is not valid YAML
+ */
+function parseFrontmatter (content) {
+  const match = String(content).match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/)
+  if (!match) {
+    return { data: {}, body: content }
+  }
+
+  let data
+  try {
+    data = yaml.load(match[1]) || {}
+  } catch (error) {
+    throw new Error(`Invalid frontmatter: ${error.reason || error.message}`)
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid frontmatter: expected key/value pairs')
+  }
+  return { data, body: content.slice(match[0].length) }
+}
+
+/**
+ * Collect the `confluence` settings from parsed frontmatter (nested or dotted keys)
+ * @param {Object} data - Parsed frontmatter
+ * @returns {Object} Raw confluence settings
+ * @throws {Error} When `confluence` is not a mapping
+ */
+function collectConfluenceKeys (data) {
+  const settings = {}
+  if (data.confluence !== undefined && data.confluence !== null) {
+    if (typeof data.confluence !== 'object' || Array.isArray(data.confluence)) {
+      throw new Error('frontmatter key \'confluence\' must be a mapping')
+    }
+    Object.assign(settings, data.confluence)
+  }
+  for (const [key, value] of Object.entries(data)) {
+    if (key.startsWith('confluence.')) {
+      settings[key.slice('confluence.'.length)] = value
+    }
+  }
+  return settings
+}
+
+/**
+ * Validate and normalise `confluence` frontmatter settings
+ * @param {Object} data - Parsed frontmatter
+ * @returns {Object} Metadata { title?, space?, parentId?, labels: [], skip: boolean, pageId? }
+ * @throws {Error} Listing every problem (unknown keys, wrong types)
+ */
+function getConfluenceMetadata (data) {
+  const settings = collectConfluenceKeys(data || {})
+  const errors = []
+  const metadata = { labels: [], skip: false }
+
+  for (const key of Object.keys(settings)) {
+    if (!CONFLUENCE_KEYS.includes(key)) {
+      errors.push(`unknown key 'confluence.${key}' (allowed: ${CONFLUENCE_KEYS.join(', ')})`)
+    }
+  }
+
+  for (const key of ['title', 'space']) {
+    const value = settings[key]
+    if (value === undefined || value === null) continue
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`'confluence.${key}' must be a non-empty string`)
+    } else {
+      metadata[key] = value.trim()
+    }
+  }
+
+  for (const key of ['parentId', 'pageId']) {
+    const value = settings[key]
+    if (value === undefined || value === null) continue
+    if (!/^\d+$/.test(String(value).trim())) {
+      errors.push(`'confluence.${key}' must be a numeric page ID (got '${value}')`)
+    } else {
+      metadata[key] = String(value).trim()
+    }
+  }
+
+  if (settings.labels !== undefined && settings.labels !== null) {
+    const labels = Array.isArray(settings.labels) ? settings.labels : [settings.labels]
+    for (const label of labels) {
+      if (typeof label !== 'string' || !/^\S+$/.test(label)) {
+        errors.push(`'confluence.labels' entries must be strings without spaces (got '${label}')`)
+      } else {
+        metadata.labels.push(label.toLowerCase())
+      }
+    }
+  }
+
+  if (settings.skip !== undefined && settings.skip !== null) {
+    if (typeof settings.skip !== 'boolean') {
+      errors.push(`'confluence.skip' must be true or false (got '${settings.skip}')`)
+    } else {
+      metadata.skip = settings.skip
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid confluence frontmatter: ${errors.join('; ')}`)
+  }
+  return metadata
+}
+
+/**
+ * Read and validate a markdown file's confluence frontmatter
+ * @param {string} filePath - Path to markdown file
+ * @returns {Promise<Object>} Metadata (see getConfluenceMetadata)
+ * @throws {Error} When the frontmatter is invalid, naming the file
+ */
+async function readConfluenceMetadata (filePath) {
+  const content = await fs.readFile(filePath, 'utf-8')
+  try {
+    return getConfluenceMetadata(parseFrontmatter(content).data)
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`)
+  }
+}
+
+module.exports = {
+  CONFLUENCE_KEYS,
+  parseFrontmatter,
+  getConfluenceMetadata,
+  readConfluenceMetadata
+}
@@ -0,0 +1,156 @@
+/**
+ * Work out which pages a git change touches
+ * @module @defra/delivery-info-arch-tooling/confluence/git-changes
+ *
+ * `publish({ since })` publishes only Markdown files changed since a git ref,
+ * plus pages that embed a changed diagram:
+ *
+ *   .mmd                      - MermaidDiagram with the file's name as diagramId
+ *   .c4 / .likec4             - LikeC4View for each view the file declares; a file
+ *                               that changes the model or specification affects
+ *                               every LikeC4View
+ *   exported images (.png/.svg in the exports directory) - the view or diagram
+ *                               with the image's name
+ */
+
+const fs = require('fs').promises
+const path = require('path')
+const { execFileSync } = require('child_process')
+const { extractDiagramRefs } = require('../../ppt/diagram-refs')
+
+/**
+ * LikeC4 source extensions
+ */
+const LIKEC4_EXTENSIONS = ['.c4', '.likec4']
+
+/**
+ * Exported diagram image extensions
+ */
+const IMAGE_EXTENSIONS = ['.png', '.svg']
+
+/**
+ * Run git and return its output
+ * @param {Array<string>} args - Git arguments
+ * @returns {string} Standard output
+ */
+function git (args) {
+  return execFileSync('git', args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] })
+}
+
+/**
+ * List files added, modified or renamed since a git ref, including uncommitted and untracked files
+ * @param {string} ref - Commit, branch or tag (e.g. origin/main)
+ * @returns {Array<string>} Absolute paths (deleted files are left out)
+ * @throws {Error} When git fails (not a repository, unknown ref)
+ */
+function getChangedFiles (ref) {
+  let repoRoot
+  let output
+  try {
+    repoRoot = git(['rev-parse', '--show-toplevel']).trim()
+    // Working tree against the ref; deleted files have no page to publish
+    output = git(['diff', '--name-only', '-z', '--diff-filter=d', ref, '--']) +
+      git(['ls-files', '--others', '--exclude-standard', '--full-name', '-z'])
+  } catch (error) {
+    const detail = String(error.stderr || error.message).trim().split('\n')[0]
+    throw new Error(`Cannot list changes since '${ref}': ${detail}`)
+  }
+
+  const files = output.split('\0').filter(Boolean).map(file => path.join(repoRoot, file))
+  return [...new Set(files)]
+}
+
+/**
+ * Find the diagrams a set of changed files affects
+ * @param {Array<string>} changedFiles - Changed file paths
+ * @param {Object} [options] - Options
+ * @param {string} [options.exportsDir] - Directory of exported diagram images (default: generated/diagrams)
+ * @returns {Promise<Object>} { likeC4Views: Set, mermaidDiagrams: Set, allLikeC4Views: boolean }
+ */
+async function findChangedDiagrams (changedFiles, options = {}) {
+  const exportsDir = path.resolve(options.exportsDir || 'generated/diagrams')
+  const changes = { likeC4Views: new Set(), mermaidDiagrams: new Set(), allLikeC4Views: false }
+
+  for (const file of changedFiles) {
+    const extension = path.extname(file).toLowerCase()
+    const name = path.basename(file, path.extname(file))
+
+    if (extension === '.mmd') {
+      changes.mermaidDiagrams.add(name)
+    } else if (LIKEC4_EXTENSIONS.includes(extension)) {
+      let source = ''
+      try {
+        source = await fs.readFile(file, 'utf-8')
+      } catch (error) {
+        // Unreadable: assume the worst
+      }
+      const views = [...source.matchAll(/\bview\s+([A-Za-z0-9_-]+)/g)].map(match => match[1])
+      if (views.length === 0 || /\b(?:model|specification|deployment)\s*\{/.test(source)) {
+        changes.allLikeC4Views = true
+      }
+      views.forEach(view => changes.likeC4Views.add(view))
+    } else if (IMAGE_EXTENSIONS.includes(extension) && path.dirname(path.resolve(file)) === exportsDir) {
+      // Exported images are shared by LikeC4 views and pre-rendered Mermaid diagrams
+      changes.likeC4Views.add(name)
+      changes.mermaidDiagrams.add(name)
+    }
+  }
+
+  return changes
+}
+
+/**
+ * List the changed diagrams a page embeds
+ * @param {string} content - Markdown content
+ * @param {Object} changes - Result of findChangedDiagrams
+ * @returns {Array<string>} Embedded diagram IDs that changed
+ */
+function changedEmbeds (content, changes) {
+  const { likeC4Views, mermaidDiagrams } = extractDiagramRefs(content, { format: 'confluence' })
+  return [
+    ...likeC4Views.filter(view => changes.allLikeC4Views || changes.likeC4Views.has(view)),
+    ...mermaidDiagrams.filter(diagram => changes.mermaidDiagrams.has(diagram))
+  ]
+}
+
+/**
+ * Pick the files to publish from those a change touches
+ * @param {Array<string>} files - Candidate files (from publishPaths)
+ * @param {Array<string>} changedFiles - Changed files (see getChangedFiles)
+ * @param {Object} [options] - Options passed to findChangedDiagrams
+ * @returns {Promise<Map<string, string>>} Selected file → reason ('changed' or the changed diagrams it embeds)
+ */
+async function selectAffectedFiles (files, changedFiles, options = {}) {
+  const changed = new Set(changedFiles.map(file => path.resolve(file)))
+  const changes = await findChangedDiagrams(changedFiles, options)
+  const diagramsChanged = changes.allLikeC4Views || changes.likeC4Views.size > 0 || changes.mermaidDiagrams.size > 0
+  const selected = new Map()
+
+  for (const file of files) {
+    if (changed.has(path.resolve(file))) {
+      selected.set(file, 'changed')
+      continue
+    }
+    if (!diagramsChanged) continue
+
+    let content
+    try {
+      content = await fs.readFile(file, 'utf-8')
+    } catch (error) {
+      continue
+    }
+    const embeds = changedEmbeds(content, changes)
+    if (embeds.length > 0) {
+      selected.set(file, `embeds changed diagram(s): ${embeds.join(', ')}`)
+    }
+  }
+
+  return selected
+}
+
+module.exports = {
+  getChangedFiles,
+  findChangedDiagrams,
+  changedEmbeds,
+  selectAffectedFiles
+}
@@ -11,12 +11,10 @@ function normalizeGitHubPath (filePath) {
 }
 
 /**
- * Get GitHub source URL for a file or directory
- * @param {string} filePath - Path to file or directory
- * @param {boolean} [isDirectory=false] - If true, use tree/main/ (directory view); otherwise blob/main/ (file view)
- * @returns {string|null} GitHub URL or null
+ * Detect the GitHub repository (owner/name) from GitHub Actions or the git remote
+ * @returns {string} owner/name, or '' when it cannot be detected
  */
-function getGitHubSourceUrl (filePath, isDirectory = false) {
+function getGitHubRepo () {
   // Try to get from environment variables (GitHub Actions)
   let githubRepo = process.env.GITHUB_REPOSITORY || ''
 
@@ -35,6 +33,18 @@ function getGitHubSourceUrl (filePath, isDirectory = false) {
     }
   }
 
+  return githubRepo
+}
+
+/**
+ * Get GitHub source URL for a file or directory
+ * @param {string} filePath - Path to file or directory
+ * @param {boolean} [isDirectory=false] - If true, use tree/main/ (directory view); otherwise blob/main/ (file view)
+ * @returns {string|null} GitHub URL or null
+ */
+function getGitHubSourceUrl (filePath, isDirectory = false) {
+  const githubRepo = getGitHubRepo()
+
   if (!githubRepo) {
     return null
   }
@@ -63,6 +73,17 @@ function getGitHubSourceUrl (filePath, isDirectory = false) {
   return `https://github.com/${githubRepo}/${pathType}/${branch}/${encodedPath}`
 }
 
+/**
+ * Get the GitHub URL of a commit
+ * @param {string} sha - Commit SHA
+ * @returns {string|null} GitHub URL or null
+ */
+function getGitHubCommitUrl (sha) {
+  const githubRepo = getGitHubRepo()
+  return githubRepo && sha ? `https://github.com/${githubRepo}/commit/${sha}` : null
+}
+
 module.exports = {
-  getGitHubSourceUrl
+  getGitHubSourceUrl,
+  getGitHubCommitUrl
 }
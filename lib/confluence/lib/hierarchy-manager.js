@@ -3,12 +3,15 @@
  * @module @defra/delivery-info-arch-tooling/confluence/hierarchy-manager
  */
 
-const fs = require('fs').promises
 const path = require('path')
 const apiClient = require('./api-client')
+const apiV2 = require('./api-v2')
 const pageManager = require('./page-manager')
 const github = require('./github')
 const { isNullOrEmpty } = require('./utils')
+const { SOURCE_HASH_PROPERTY } = require('./source-hash')
+const pathMapping = require('./path-mapping')
+const configLoader = require('./config-loader')
 
 /**
  * Configuration (will be set by main module)
@@ -17,13 +20,21 @@ let CONFIG = {
   confluenceUrl: process.env.CONFLUENCE_URL || 'https://eaflood.atlassian.net',
   defaultSpace: process.env.CONFLUENCE_SPACE || '',
   contentRoot: 'docs',
+  nativeFolders: false, // v2 only: create Confluence folders rather than folder pages
   dryRun: false
 }
 
 /**
- * Space mapping cache
+ * Mapping settings by config file
  */
-let spaceMappingCache = null
+const mappingConfigCache = new Map()
+
+/**
+ * Folder resolutions in flight or done this run, keyed by space, parent and path.
+ * Concurrent publishers share one getOrCreateFolder call per folder, so the
+ * same folder page is never created twice.
+ */
+const folderCache = new Map()
 
 function normalizeRepoPath (filePath) {
   return String(filePath || '').replace(/\\/g, '/')
@@ -33,7 +44,36 @@ function normalizeRepoPath (filePath) {
  * Reset cache (for testing)
  */
 function resetCache () {
-  spaceMappingCache = null
+  mappingConfigCache.clear()
+  folderCache.clear()
+}
+
+/**
+ * Get or create a folder once per run, serialising concurrent callers for the same folder
+ * @param {string} folderName - Folder name
+ * @param {string} parentId - Parent page ID
+ * @param {string} spaceKey - Confluence space key
+ * @param {string} folderPath - Folder path for GitHub URL
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string>} Page ID
+ */
+function resolveFolder (folderName, parentId, spaceKey, folderPath, auth) {
+  const key = `${spaceKey}|${parentId || ''}|${folderPath}`
+  if (!folderCache.has(key)) {
+    const pending = module.exports.getOrCreateFolder(folderName, parentId, spaceKey, folderPath, auth)
+      .then(pageId => {
+        // Let a later file retry a folder that could not be resolved
+        if (!pageId) folderCache.delete(key)
+        return pageId
+      }, error => {
+        folderCache.delete(key)
+        throw error
+      })
+    folderCache.set(key, pending)
+  } else {
+    console.error(`    ✅ Using folder resolved earlier this run: ${folderName}`)
+  }
+  return folderCache.get(key)
 }
 
 /**
@@ -45,32 +85,53 @@ function setConfig (config) {
 }
 
 /**
- * Load space mapping from config file
+ * Load the mapping settings (spaceMapping, mappingRules, contentRoots) from a config file
  * @param {string} configPath - Optional config file path
- * @returns {Promise<Object|null>} Space mapping or null
+ * @returns {Promise<Object>} { spaceMapping, rules, contentRoots } (rules and contentRoots fall back to the defaults)
  */
-async function loadSpaceMapping (configPath) {
-  if (spaceMappingCache !== null && !configPath) {
-    return spaceMappingCache
-  }
-
+async function loadMappingConfig (configPath) {
   // Use configPath from CONFIG if not provided
   const configFile = configPath || CONFIG.configPath || path.join(__dirname, '..', 'confluence-config.json')
+  if (mappingConfigCache.has(configFile)) {
+    return mappingConfigCache.get(configFile)
+  }
 
+  let config = {}
   try {
-    const configContent = await fs.readFile(configFile, 'utf-8')
-    const config = JSON.parse(configContent)
-    const mapping = config.spaceMapping || null
-    if (!configPath) {
-      spaceMappingCache = mapping // Only cache if using default path
-    }
-    return mapping
+    config = configLoader.loadConfig(configFile)
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null
+    if (error.code !== 'ENOENT') {
+      throw error
     }
-    throw error
   }
+
+  const mapping = {
+    spaceMapping: config.spaceMapping || null,
+    rules: config.mappingRules || pathMapping.DEFAULT_MAPPING_RULES,
+    contentRoots: config.contentRoots || pathMapping.DEFAULT_CONTENT_ROOTS
+  }
+  mappingConfigCache.set(configFile, mapping)
+  return mapping
+}
+
+/**
+ * Load space mapping from config file
+ * @param {string} configPath - Optional config file path
+ * @returns {Promise<Object|null>} Space mapping or null
+ */
+async function loadSpaceMapping (configPath) {
+  return (await loadMappingConfig(configPath)).spaceMapping
+}
+
+/**
+ * Apply the mapping rules to a file
+ * @param {string} filePath - Path to file
+ * @param {string} configPath - Optional config file path
+ * @returns {Promise<Object>} Mapping (see pathMapping.resolveMapping)
+ */
+async function mapPath (filePath, configPath) {
+  const { spaceMapping, rules, contentRoots } = await loadMappingConfig(configPath)
+  return pathMapping.resolveMapping(normalizeRepoPath(filePath), { rules, spaceMapping, contentRoots })
 }
 
 /**
@@ -80,62 +141,7 @@ async function loadSpaceMapping (configPath) {
  * @returns {Promise<string|null>} Space key or null
  */
 async function getSpaceForPath (filePath, configPath) {
-  const spaceMapping = await loadSpaceMapping(configPath)
-
-  // Extract relative path
-  let relPath = normalizeRepoPath(filePath)
-  if (relPath.startsWith('docs/')) {
-    relPath = relPath.substring(5)
-  } else if (relPath.startsWith('astro/src/content/docs/')) {
-    relPath = relPath.substring(22)
-  }
-
-  // Check if path is under delivery-information-architecture
-  if (relPath.startsWith('delivery-information-architecture/')) {
-    relPath = relPath.substring('delivery-information-architecture/'.length)
-
-    if (relPath.startsWith('systems/')) {
-      const parts = relPath.split('/')
-      if (parts.length >= 2) {
-        const systemName = parts[1]
-        if (spaceMapping && spaceMapping[systemName]) {
-          return spaceMapping[systemName]
-        }
-      }
-      return null
-    }
-
-    const tradeMatch = relPath.match(/^[Tt]rade\//)
-    if (tradeMatch) {
-      if (spaceMapping) {
-        return spaceMapping.trade || spaceMapping.Trade || null
-      }
-      return null
-    }
-  }
-
-  // Check if path is directly under systems/
-  if (relPath.startsWith('systems/')) {
-    const parts = relPath.split('/')
-    if (parts.length >= 2) {
-      const systemName = parts[1]
-      if (spaceMapping && spaceMapping[systemName]) {
-        return spaceMapping[systemName]
-      }
-    }
-    return null
-  }
-
-  // Check if path is directly under Trade/
-  const tradeMatch = relPath.match(/^[Tt]rade\//)
-  if (tradeMatch) {
-    if (spaceMapping) {
-      return spaceMapping.trade || spaceMapping.Trade || null
-    }
-    return null
-  }
-
-  return null
+  return (await mapPath(filePath, configPath)).space
 }
 
 /**
@@ -150,6 +156,10 @@ async function getSpaceForPath (filePath, configPath) {
 async function getOrCreateFolder (folderName, parentId, spaceKey, folderPath, auth) {
   console.error(`  Creating/verifying folder: ${folderName} (space: ${spaceKey})`)
 
+  if (CONFIG.nativeFolders) {
+    return getOrCreateNativeFolder(folderName, parentId, spaceKey, folderPath, auth)
+  }
+
   const existingPage = await apiClient.getPageByTitle(folderName, spaceKey, auth)
   let pageId = null
 
@@ -236,19 +246,17 @@ async function getOrCreateFolder (folderName, parentId, spaceKey, folderPath, au
   }
 
   try {
-    const response = await apiClient.confluenceRequest('POST',
-      '/content',
-      {
-        auth,
-        body: payload
-      }
-    )
+    const response = await apiClient.createPage(payload, auth)
 
     if (response.status === 200 || response.status === 201) {
       const newPageId = response.body?.id || null
       if (newPageId) {
         console.error(`    ✅ Folder created: ${folderName} (ID: ${newPageId})`)
         await pageManager.addLabelToPage(newPageId, CONFIG.generatedLabel || 'generated', auth)
+        if (folderPath) {
+          // Record provenance so prune can tell this folder apart from manually created pages
+          await pageManager.setPageProperty(newPageId, SOURCE_HASH_PROPERTY, { source: folderPath, folder: true }, auth)
+        }
         return newPageId
       }
     }
@@ -270,6 +278,57 @@ async function getOrCreateFolder (folderName, parentId, spaceKey, folderPath, au
   return parentId
 }
 
+/**
+ * Get or create a native Confluence folder (REST v2)
+ * Folders have no body or labels, so provenance is kept only in the content property
+ * @param {string} folderName - Folder name
+ * @param {string} parentId - Parent page or folder ID
+ * @param {string} spaceKey - Confluence space key
+ * @param {string} folderPath - Folder path (recorded as the folder's source)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string>} Folder ID, or the parent ID if the folder could not be created
+ */
+async function getOrCreateNativeFolder (folderName, parentId, spaceKey, folderPath, auth) {
+  // v2 has no search, so find the folder under its parent with CQL
+  const cql = `space="${spaceKey}" AND type=folder AND title="${folderName.replace(/"/g, '\\"')}"`
+  const searchResponse = await apiClient.confluenceRequest('GET',
+    `/content/search?cql=${encodeURIComponent(cql)}&expand=ancestors`,
+    { auth }
+  )
+  const existing = ((searchResponse.status === 200 && searchResponse.body?.results) || []).find(folder => {
+    const ancestors = folder.ancestors || []
+    const parent = ancestors.length > 0 ? ancestors[ancestors.length - 1].id : null
+    return String(parent || '') === String(parentId || '')
+  })
+  if (existing) {
+    console.error(`    ✅ Using existing folder: ${folderName} (ID: ${existing.id})`)
+    return existing.id
+  }
+
+  if (CONFIG.dryRun) {
+    console.error(`    🧪 Dry run: would create folder '${folderName}' (parent: ${parentId || 'ROOT'})`)
+    return `dryrun:${spaceKey}:${folderPath || folderName}`
+  }
+
+  try {
+    const response = await apiV2.createFolder(folderName, parentId, spaceKey, auth)
+    if ((response.status === 200 || response.status === 201) && response.body?.id) {
+      const folderId = String(response.body.id)
+      console.error(`    ✅ Folder created: ${folderName} (ID: ${folderId})`)
+      if (folderPath) {
+        await pageManager.setPageProperty(folderId, SOURCE_HASH_PROPERTY, { source: folderPath, folder: true }, auth, { folder: true })
+      }
+      return folderId
+    }
+    console.error(`    ⚠️  Failed to create folder (HTTP ${response.status})`)
+  } catch (error) {
+    console.error(`    ⚠️  Failed to create folder: ${error.message}`)
+  }
+
+  console.error('    ⚠️  Failed to create folder, using parent ID instead')
+  return parentId
+}
+
 /**
  * Update folder page with warning panel if missing or incorrect
  */
@@ -281,18 +340,15 @@ async function updateFolderWithWarning (folderName, pageId, folderPath, spaceKey
   }
 
   try {
-    const pageResponse = await apiClient.confluenceRequest('GET',
-      `/content/${pageId}?expand=body.atlas_doc_format,body.storage,version`,
-      { auth }
-    )
+    const page = await apiClient.getPageWithBody(pageId, auth)
 
-    if (pageResponse.status !== 200) {
-      console.error(`    ⚠️  Could not fetch page content (HTTP ${pageResponse.status})`)
+    if (!page) {
+      console.error('    ⚠️  Could not fetch page content')
       return
     }
 
-    const storageBody = pageResponse.body?.body?.storage?.value || ''
-    const atlasBody = pageResponse.body?.body?.atlas_doc_format?.value || ''
+    const storageBody = page.body?.storage?.value || ''
+    const atlasBody = page.body?.atlas_doc_format?.value || ''
 
     const hasErrorPanelStorage = storageBody.includes('ac:name="error"') || storageBody.includes("ac:name='error'")
     const hasErrorPanelADF = atlasBody.includes('"panelType":"error"') || atlasBody.includes('"panelType": "error"')
@@ -346,7 +402,7 @@ async function updateFolderWithWarning (folderName, pageId, folderPath, spaceKey
       ]
     }
 
-    const currentVersion = pageResponse.body?.version?.number || 1
+    const currentVersion = page.version?.number || 1
     const nextVersion = currentVersion + 1
 
     const updatePayload = {
@@ -363,13 +419,7 @@ async function updateFolderWithWarning (folderName, pageId, folderPath, spaceKey
       version: { number: nextVersion }
     }
 
-    const updateResponse = await apiClient.confluenceRequest('PUT',
-      `/content/${pageId}`,
-      {
-        auth,
-        body: updatePayload
-      }
-    )
+    const updateResponse = await apiClient.updatePage(pageId, updatePayload, auth)
 
     if (updateResponse.status === 200) {
       console.error('    ✅ Updated folder page with correct warning panel (ADF format)')
@@ -382,12 +432,9 @@ async function updateFolderWithWarning (folderName, pageId, folderPath, spaceKey
 }
 
 /**
- * Get parent page ID for a file path (preserving hierarchy)
- * @param {string} filePath - Path to file
- * @param {string} spaceKey - Confluence space key
- * @param {string} baseParentId - Base parent page ID
- * @param {Object} auth - Authentication credentials
- * @returns {Promise<string>} Parent page ID
+ * Normalise a parent page ID, treating blanks and placeholders as none
+ * @param {*} value - Configured parent page ID
+ * @returns {string|null} Numeric page ID or null
  */
 function normalizeParentId (value) {
   if (value == null || (typeof value === 'string' && (value.trim() === '' || /^INJECTED|^OPTIONAL/i.test(value)))) return null
@@ -395,80 +442,34 @@ function normalizeParentId (value) {
   return Number.isInteger(num) ? String(num) : null
 }
 
+/**
+ * Resolve (creating as needed) the folder pages a file sits under
+ * The mapping rules decide which leading directories are left out and may
+ * name the page the hierarchy hangs from, in place of baseParentId.
+ * @param {string} filePath - Path to file
+ * @param {string} spaceKey - Confluence space key
+ * @param {string} baseParentId - Parent page ID from the config or command line
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string|null>} Parent page ID for the file
+ */
 async function getParentForPath (filePath, spaceKey, baseParentId, auth) {
-  const baseParent = normalizeParentId(baseParentId)
-  let relPath = normalizeRepoPath(filePath)
-  if (relPath.startsWith('docs/')) {
-    relPath = relPath.substring(5)
-  } else if (relPath.startsWith('astro/src/content/docs/')) {
-    relPath = relPath.substring(22)
-  }
-
-  if (relPath.startsWith('delivery-information-architecture/')) {
-    relPath = relPath.substring('delivery-information-architecture/'.length)
-  }
-
-  const originalRelPath = relPath
-  if (/^[Ss]ystems\//.test(relPath)) {
-    relPath = relPath.replace(/^[Ss]ystems\/[^/]+\//, '')
-  } else if (/^[Tt]rade\//.test(relPath)) {
-    relPath = relPath.replace(/^[Tt]rade\//, '')
-  }
-
-  const dirPath = path.posix.dirname(relPath)
-
-  if (dirPath === '.' || dirPath === '') {
-    return baseParent
-  }
+  const mapping = await mapPath(filePath)
+  const baseParent = normalizeParentId(mapping.parentPageId || baseParentId)
 
   let currentParent = baseParent
-  const parts = dirPath.split('/').filter(p => p && p !== '.')
-
-  const originalDirPath = path.posix.dirname(originalRelPath)
-  const originalDirParts = originalDirPath !== '.' && originalDirPath !== '' ? originalDirPath.split('/') : []
-
-  let startIdx = 0
-  if (/^[Ss]ystems\//.test(originalRelPath)) {
-    startIdx = 2
-  } else if (/^[Tt]rade\//.test(originalRelPath)) {
-    startIdx = 1
-  }
-
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i]
-    if (part && part !== '.') {
-      // Preserve the exact path segment when resolving/creating folder pages.
-      // Replacing hyphens with spaces can collide with existing archived pages
-      // (e.g. "TIG Analysis" vs "TIG - Analysis") and break parent resolution.
-      const folderName = part
-
-      const partIdx = startIdx + i
-      let originalPart = ''
-      if (partIdx < originalDirParts.length) {
-        originalPart = originalDirParts[partIdx]
-      }
-
-      if (!originalPart) {
-        originalPart = part
-      }
-
-      const githubPathParts = []
-      for (let j = 0; j <= partIdx; j++) {
-        if (j < originalDirParts.length) {
-          githubPathParts.push(originalDirParts[j])
-        }
-      }
-
-      const currentFolderPath = `docs/${githubPathParts.join('/')}`
-
-      console.error(`    → Processing folder: ${folderName} (parent: ${currentParent || 'ROOT'}, space: ${spaceKey || CONFIG.defaultSpace}, path: ${currentFolderPath})`)
-      const newParent = await module.exports.getOrCreateFolder(folderName, currentParent, spaceKey, currentFolderPath, auth)
-      if (!newParent || isNullOrEmpty(newParent)) {
-        console.error(`    ⚠️  Warning: Failed to get/create folder '${folderName}', using base parent`)
-        currentParent = baseParent
-      } else {
-        currentParent = newParent
-      }
+  for (const folder of mapping.folders) {
+    // Preserve the exact path segment when resolving/creating folder pages.
+    // Replacing hyphens with spaces can collide with existing archived pages
+    // (e.g. "TIG Analysis" vs "TIG - Analysis") and break parent resolution.
+    const folderName = folder.name
+
+    console.error(`    → Processing folder: ${folderName} (parent: ${currentParent || 'ROOT'}, space: ${spaceKey || CONFIG.defaultSpace}, path: ${folder.path})`)
+    const newParent = await resolveFolder(folderName, currentParent, spaceKey, folder.path, auth)
+    if (!newParent || isNullOrEmpty(newParent)) {
+      console.error(`    ⚠️  Warning: Failed to get/create folder '${folderName}', using base parent`)
+      currentParent = baseParent
+    } else {
+      currentParent = newParent
     }
   }
 
@@ -478,6 +479,7 @@ async function getParentForPath (filePath, spaceKey, baseParentId, auth) {
 module.exports = {
   setConfig,
   loadSpaceMapping,
+  loadMappingConfig,
   getSpaceForPath,
   getParentForPath,
   getOrCreateFolder,
@@ -5,10 +5,12 @@
 
 const fs = require('fs').promises
 const path = require('path')
+const http = require('http')
 const https = require('https')
 const { URL } = require('url')
 const { execSync } = require('child_process')
-const { confluenceRequest } = require('./api-client')
+const { API_BASE_PATHS, getAttachments } = require('./api-client')
+const authProvider = require('./auth-provider')
 const { extractError } = require('./utils')
 
 // Lazy load glob to avoid requiring it if not needed
@@ -500,13 +502,9 @@ async function uploadImageAttachment(pageId, imagePath, auth) {
   // Check if attachment already exists
   let existingAttachment = null
   try {
-    const response = await confluenceRequest('GET',
-      `/content/${pageId}/child/attachment?filename=${encodeURIComponent(filename)}`,
-      { auth }
-    )
-
-    if (response.status === 200 && response.body && response.body.results && response.body.results.length > 0) {
-      existingAttachment = response.body.results[0]
+    const attachments = await getAttachments(pageId, auth, filename)
+    if (attachments.length > 0) {
+      existingAttachment = attachments[0]
     }
   } catch (e) {
     // Attachment doesn't exist, will create new
@@ -529,8 +527,8 @@ async function uploadImageAttachment(pageId, imagePath, auth) {
   formData.append('comment', existingAttachment ? 'Diagram exported from LikeC4 (updated)' : 'Diagram exported from LikeC4')
 
   try {
-    const url = new URL(`${CONFIG.confluenceUrl}/wiki/rest/api${uploadUrl}`)
-    const authHeader = `Basic ${Buffer.from(`${auth.username}:${auth.apiToken}`).toString('base64')}`
+    const url = new URL(`${authProvider.apiRoot(auth, CONFIG.confluenceUrl)}${API_BASE_PATHS.v1}${uploadUrl}`)
+    const authHeader = await authProvider.getAuthorizationHeader(auth, { retry: CONFIG.retry })
     const formHeaders = formData.getHeaders()
 
     const headers = {
@@ -540,9 +538,11 @@ async function uploadImageAttachment(pageId, imagePath, auth) {
     }
 
     const response = await new Promise((resolve, reject) => {
-      const req = https.request({
+      // Plain HTTP only for local stand-ins such as the fake Confluence server
+      const transport = url.protocol === 'http:' ? http : https
+      const req = transport.request({
         hostname: url.hostname,
-        port: url.port || 443,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
         path: url.pathname + url.search,
         method: 'POST',
         headers
@@ -596,13 +596,9 @@ async function uploadImageAttachment(pageId, imagePath, auth) {
 
       if (!attachmentId || !fileId) {
         try {
-          const listResponse = await confluenceRequest('GET',
-            `/content/${pageId}/child/attachment`,
-            { auth }
-          )
-
-          if (listResponse.status === 200 && listResponse.body && listResponse.body.results) {
-            const matching = listResponse.body.results.find(att =>
+          const attachments = await getAttachments(pageId, auth)
+          if (attachments.length > 0) {
+            const matching = attachments.find(att =>
               att.title && att.title.toLowerCase() === storedFilename.toLowerCase()
             )
 
@@ -696,87 +692,61 @@ async function replaceImagePlaceholdersAtlas(atlasJson, placeholderData, pageId)
       console.error('    ⚠️  Warning: No page ID available for collection')
     }
 
-    // Optional per-placeholder width (e.g. MermaidDiagram width="900") limits Confluence display size
-    const targetWidth = (item.width && item.width > 0) ? item.width : 1600
-    let imageHeight = 928
-
+    let dims = null
     if (imagePath) {
       try {
-        const dims = await getImageDimensions(imagePath)
-        if (dims && dims.width > 0) {
-          imageHeight = Math.round(targetWidth * dims.height / dims.width)
-          console.error(`    🔍 Image dimensions: ${dims.width}x${dims.height}, scaled to ${targetWidth}x${imageHeight}`)
-        }
+        dims = await getImageDimensions(imagePath)
       } catch (e) {
         // Could not get dimensions, use default
       }
     }
 
-    // Replace by placeholder viewId (for LikeC4/Mermaid) or by originalPath (for manual diagrams)
-    atlasDoc = replaceMediaPlaceholderInNode(atlasDoc, viewId || originalPath, mediaId, collectionId, targetWidth, imageHeight, originalPath)
+    // Optional per-placeholder width (e.g. MermaidDiagram width="900") limits Confluence display size;
+    // diagrams otherwise show 1600px wide, and Markdown images at their own size
+    let targetWidth = 1600
+    if (item.width && item.width > 0) {
+      targetWidth = item.width
+    } else if (originalPath && dims && dims.width > 0) {
+      targetWidth = dims.width
+    }
+    let imageHeight = 928
+    if (dims && dims.width > 0) {
+      imageHeight = Math.round(targetWidth * dims.height / dims.width)
+      console.error(`    🔍 Image dimensions: ${dims.width}x${dims.height}, scaled to ${targetWidth}x${imageHeight}`)
+    }
+
+    // Replace by placeholder viewId (for LikeC4/Mermaid) or by originalPath (for Markdown images)
+    atlasDoc = replaceMediaPlaceholderInNode(atlasDoc, viewId, mediaId, collectionId, targetWidth, imageHeight, originalPath)
   }
 
   return atlasDoc
 }
 
 /**
- * Recursively replace media placeholder in ADF node structure
+ * Recursively replace media placeholder in ADF node structure. The converter puts each
+ * placeholder in a mediaSingle, which keeps its layout and any width hint; the media
+ * keeps its alt text and link
  */
 function replaceMediaPlaceholderInNode(node, viewId, mediaId, collectionId, width, height, originalPath) {
   if (typeof node !== 'object' || node === null) {
     return node
   }
 
-  // Match by placeholder viewId (for LikeC4/Mermaid) or by URL (for manual diagrams)
-  const matchesPlaceholder = node.type === 'media' && node.attrs && node.attrs.__placeholder_viewid === viewId
-  const matchesUrl = originalPath && node.type === 'media' && node.attrs && node.attrs.url &&
-    (node.attrs.url === originalPath || node.attrs.url.endsWith(originalPath))
+  // Match by placeholder viewId (for LikeC4/Mermaid) or by URL as written (for Markdown images)
+  const attrs = node.type === 'media' && node.attrs && node.attrs.type === 'file' ? node.attrs : null
+  const matchesPlaceholder = attrs && viewId && attrs.__placeholder_viewid === viewId
+  const matchesUrl = attrs && originalPath && attrs.url === originalPath
 
   if (matchesPlaceholder || matchesUrl) {
     return {
-      type: 'mediaSingle',
+      ...node,
       attrs: {
-        layout: 'center'
-      },
-      content: [
-        {
-          type: 'media',
-          attrs: {
-            type: 'file',
-            collection: collectionId,
-            id: mediaId,
-            width,
-            height
-          }
-        }
-      ]
-    }
-  }
-
-  if (node.type === 'paragraph' && Array.isArray(node.content) && node.content.length === 1) {
-    const child = node.content[0]
-    const childMatchesPlaceholder = child.type === 'media' && child.attrs && child.attrs.__placeholder_viewid === viewId
-    const childMatchesUrl = originalPath && child.type === 'media' && child.attrs && child.attrs.url &&
-      (child.attrs.url === originalPath || child.attrs.url.endsWith(originalPath))
-
-    if (childMatchesPlaceholder || childMatchesUrl) {
-      return {
-        type: 'mediaSingle',
-        attrs: {
-          layout: 'center'
-        },
-        content: [
-          {
-            type: 'media',
-            attrs: {
-              type: 'file',
-              collection: collectionId,
-              id: mediaId,
-              width,
-              height
-            }
-          }
-        ]
+        type: 'file',
+        collection: collectionId,
+        id: mediaId,
+        width,
+        height,
+        ...(attrs.alt && { alt: attrs.alt })
       }
     }
   }
@@ -788,6 +758,28 @@ function replaceMediaPlaceholderInNode(node, viewId, mediaId, collectionId, widt
   return node
 }
 
+/**
+ * Find local images in an Atlas document: file media the converter left with the image
+ * source as written, to be uploaded as attachments
+ * @param {Object|string} atlasJson - Atlas document
+ * @returns {Array<Object>} Images { url, alt }, each source once, in document order
+ */
+function findLocalImages(atlasJson) {
+  const images = []
+  const visit = (node) => {
+    if (typeof node !== 'object' || node === null) {
+      return
+    }
+    if (node.type === 'media' && node.attrs && node.attrs.type === 'file' && node.attrs.url &&
+      !images.some(image => image.url === node.attrs.url)) {
+      images.push({ url: node.attrs.url, alt: node.attrs.alt || '' })
+    }
+    (node.content || []).forEach(visit)
+  }
+  visit(typeof atlasJson === 'string' ? JSON.parse(atlasJson) : atlasJson)
+  return images
+}
+
 /**
  * Replace image placeholders in storage format content
  * @param {string} content - Content
@@ -837,15 +829,15 @@ function replaceImagePlaceholders(content, placeholderData, format = 'storage')
     const imageEmbed = `<ac:image ac:width="${imageWidth}"><ri:attachment ri:filename="${encodedFilename}"/></ac:image>`
 
     result = result.replace(
-      new RegExp(`<p>\\s*<ac:image-placeholder-viewid="${viewId}"/>\\s*</p>`, 'g'),
+      new RegExp(`<p>\\s*<ac:image-placeholder-viewid="${viewId}"[^>]*/>\\s*</p>`, 'g'),
       imageEmbed
     )
     result = result.replace(
-      new RegExp(`<p><ac:image-placeholder-viewid="${viewId}"/></p>`, 'g'),
+      new RegExp(`<p><ac:image-placeholder-viewid="${viewId}"[^>]*/></p>`, 'g'),
       imageEmbed
     )
     result = result.replace(
-      new RegExp(`<ac:image-placeholder-viewid="${viewId}"/>`, 'g'),
+      new RegExp(`<ac:image-placeholder-viewid="${viewId}"[^>]*/>`, 'g'),
       imageEmbed
     )
   }
@@ -860,9 +852,10 @@ function replaceImagePlaceholders(content, placeholderData, format = 'storage')
  * @param {string} exportsDir - Exports directory
  * @param {string} sourceDir - Source directory with .c4 files (for auto-export)
  * @param {string} preprocessedContent - Optional preprocessed content (if Mermaid diagrams already processed)
+ * @param {Object} [conversionOptions] - Options for the Markdown converters (e.g. resolved links)
  * @returns {Promise<Object>} Result object
  */
-async function convertDiagramPage(filePath, title, exportsDir = 'generated/diagrams', sourceDir = 'architecture', preprocessedContent = null) {
+async function convertDiagramPage(filePath, title, exportsDir = 'generated/diagrams', sourceDir = 'architecture', preprocessedContent = null, conversionOptions = {}) {
   const { readFileContent, filterContentForFormat } = require('./content-processor')
 
   let content = preprocessedContent
@@ -933,11 +926,11 @@ async function convertDiagramPage(filePath, title, exportsDir = 'generated/diagr
   let convertedContent
 
   try {
-    convertedContent = await convertMarkdownToAtlasDoc(processedContent)
+    convertedContent = await convertMarkdownToAtlasDoc(processedContent, conversionOptions)
     useAtlasFormat = true
   } catch (e) {
     console.error('    ⚠️  Warning: Falling back to storage format for diagram page')
-    convertedContent = convertMarkdownToStorage(processedContent)
+    convertedContent = convertMarkdownToStorage(processedContent, conversionOptions)
     useAtlasFormat = false
   }
 
@@ -957,5 +950,6 @@ module.exports = {
   uploadImageAttachment,
   replaceImagePlaceholdersAtlas,
   replaceImagePlaceholders,
+  findLocalImages,
   convertDiagramPage
 }
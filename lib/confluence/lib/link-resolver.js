@@ -0,0 +1,195 @@
+/**
+ * Resolve relative Markdown links for publishing
+ * @module @defra/delivery-info-arch-tooling/confluence/link-resolver
+ *
+ * `[see ADR](../adr/0003-messaging.md#decision)` only works on GitHub. Links to
+ * files in the publish set become links to their Confluence page (by ID when the
+ * page map knows it, otherwise by space and title); links to anything else fall
+ * back to the file on GitHub.
+ */
+
+const fs = require('fs').promises
+const path = require('path')
+const pageMap = require('./page-map')
+const github = require('./github')
+const frontmatter = require('./frontmatter')
+const contentProcessor = require('./content-processor')
+const hierarchyManager = require('./hierarchy-manager')
+
+/**
+ * File extensions treated as links to other documents
+ */
+const LINK_EXTENSIONS = ['.md', '.mdx']
+
+/**
+ * Split a link into path and anchor, keeping only relative links to Markdown files
+ * @param {string} href - Link target as written
+ * @returns {Object|null} { linkPath, anchor } or null for other links
+ */
+function parseRelativeLink (href) {
+  // Skip URLs with a scheme (https:, mailto:), protocol-relative and in-page links
+  if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//') || href.startsWith('#')) {
+    return null
+  }
+  const hashIndex = href.indexOf('#')
+  const rawPath = hashIndex === -1 ? href : href.slice(0, hashIndex)
+  const anchor = hashIndex === -1 ? '' : href.slice(hashIndex + 1)
+
+  let linkPath
+  try {
+    linkPath = decodeURIComponent(rawPath.split('?')[0])
+  } catch (error) {
+    linkPath = rawPath
+  }
+  if (!LINK_EXTENSIONS.includes(path.extname(linkPath).toLowerCase())) {
+    return null
+  }
+  return { linkPath, anchor }
+}
+
+/**
+ * List the distinct relative Markdown links in a document, ignoring code
+ * @param {string} markdown - Markdown content
+ * @returns {Array<string>} Link targets as written
+ */
+function findRelativeLinks (markdown) {
+  const withoutCode = String(markdown)
+    .replace(/^(```|~~~)[\s\S]*?^\1/gm, '')
+    .replace(/`[^`\n]+`/g, '')
+  const hrefs = new Set()
+  for (const match of withoutCode.matchAll(/(!?)\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) {
+    if (match[1] !== '!' && parseRelativeLink(match[2])) {
+      hrefs.add(match[2])
+    }
+  }
+  return [...hrefs]
+}
+
+/**
+ * GitHub-style heading anchor ("Message Flow" → "message-flow")
+ * @param {string} text - Heading text
+ * @returns {string} Slug
+ */
+function githubSlug (text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-')
+}
+
+/**
+ * Confluence heading anchor ("Message Flow" → "Message-Flow")
+ * @param {string} text - Heading text
+ * @returns {string} Anchor
+ */
+function confluenceAnchor (text) {
+  return String(text).trim().replace(/\s+/g, '-')
+}
+
+/**
+ * Translate a GitHub anchor into the target page's Confluence heading anchor
+ * @param {string} targetPath - Linked Markdown file
+ * @param {string} anchor - Anchor as written (GitHub slug)
+ * @returns {Promise<string>} Confluence anchor, or the original when no heading matches
+ */
+async function toConfluenceAnchor (targetPath, anchor) {
+  let content
+  try {
+    content = await fs.readFile(targetPath, 'utf-8')
+  } catch (error) {
+    return anchor
+  }
+  const wanted = decodeURIComponent(anchor).toLowerCase()
+  for (const match of content.matchAll(/^#{1,6}\s+(.+?)\s*#*\s*$/gm)) {
+    const heading = match[1].replace(/[*_`]/g, '')
+    if (githubSlug(heading) === wanted || heading.toLowerCase() === wanted) {
+      return confluenceAnchor(heading)
+    }
+  }
+  return anchor
+}
+
+/**
+ * Work out where a published Markdown file's page lives
+ * @param {string} targetPath - Linked Markdown file
+ * @param {Object} context - Resolution context (see resolveLinks)
+ * @returns {Promise<string|null>} Page URL (without anchor), or null if the space is unknown
+ */
+async function pageUrlFor (targetPath, context) {
+  const base = String(context.confluenceUrl || '').replace(/\/+$/, '')
+  const mapped = pageMap.getMappedPage(context.pageMap, pageMap.toSourceKey(targetPath))
+  if (mapped?.pageId && mapped.space) {
+    return `${base}/wiki/spaces/${encodeURIComponent(mapped.space)}/pages/${mapped.pageId}`
+  }
+
+  // Not published yet: link by title, which Confluence resolves once the page exists
+  let metadata = { labels: [], skip: false }
+  try {
+    metadata = await frontmatter.readConfluenceMetadata(targetPath)
+  } catch (error) {
+    // Invalid frontmatter fails that file's own publish; link by its usual title here
+  }
+  const space = metadata.space ||
+    await hierarchyManager.getSpaceForPath(targetPath, context.configPath) ||
+    context.defaultSpace
+  if (!space) {
+    return null
+  }
+  const title = metadata.title || await contentProcessor.extractTitle(targetPath)
+  return `${base}/wiki/display/${encodeURIComponent(space)}/${encodeURIComponent(title).replace(/%20/g, '+')}`
+}
+
+/**
+ * Resolve every relative Markdown link in a document
+ * @param {string} markdown - Markdown content
+ * @param {string} filePath - Path of the file being published
+ * @param {Object} context - Resolution context
+ * @param {Set<string>|Function} context.sources - Source keys being published (or an async getter)
+ * @param {Object} context.pageMap - Loaded page map
+ * @param {string} context.confluenceUrl - Confluence URL
+ * @param {string} [context.configPath] - Path to confluence-config.json (for space mapping)
+ * @param {string} [context.defaultSpace] - Space used when none is mapped
+ * @returns {Promise<Object>} Map of link as written → resolved URL (unresolvable links are left out)
+ */
+async function resolveLinks (markdown, filePath, context) {
+  const hrefs = findRelativeLinks(markdown)
+  if (hrefs.length === 0) {
+    return {}
+  }
+
+  const sources = typeof context.sources === 'function' ? await context.sources() : context.sources
+  const links = {}
+  for (const href of hrefs) {
+    const { linkPath, anchor } = parseRelativeLink(href)
+    const targetPath = path.resolve(path.dirname(filePath), linkPath)
+
+    if (sources && sources.has(pageMap.toSourceKey(targetPath))) {
+      const url = await pageUrlFor(targetPath, context)
+      if (url) {
+        links[href] = anchor ? `${url}#${await toConfluenceAnchor(targetPath, anchor)}` : url
+        continue
+      }
+    }
+
+    const githubUrl = github.getGitHubSourceUrl(targetPath)
+    if (githubUrl) {
+      links[href] = anchor ? `${githubUrl}#${anchor}` : githubUrl
+    }
+  }
+
+  const count = Object.keys(links).length
+  if (count > 0) {
+    console.error(`    🔗 Resolved ${count} relative link(s)`)
+  }
+  return links
+}
+
+module.exports = {
+  LINK_EXTENSIONS,
+  parseRelativeLink,
+  findRelativeLinks,
+  githubSlug,
+  confluenceAnchor,
+  resolveLinks
+}
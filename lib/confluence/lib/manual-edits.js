@@ -0,0 +1,148 @@
+/**
+ * Detect hand edits to generated pages before publish overwrites them
+ * @module @defra/delivery-info-arch-tooling/confluence/manual-edits
+ *
+ * Each publish records the page version it left behind in the page's
+ * `defra-publish-source-hash` property. A later version means someone edited
+ * the page in Confluence. Pages published before versions were recorded fall
+ * back to the time of the last publish, then to whether the latest version was
+ * written by the publishing account. What happens next depends on the action:
+ *
+ *   refuse - Leave the page alone and fail that file
+ *   warn   - Log the edit and overwrite it (default)
+ *   backup - Save the edited body to a local file, then overwrite it
+ */
+
+const fs = require('fs').promises
+const path = require('path')
+const apiClient = require('./api-client')
+
+/**
+ * What publish can do with a hand-edited page
+ */
+const MANUAL_EDIT_ACTIONS = ['refuse', 'warn', 'backup']
+
+/**
+ * Default action
+ */
+const DEFAULT_MANUAL_EDIT_ACTION = 'warn'
+
+/**
+ * Default directory for backups of edited pages
+ */
+const DEFAULT_BACKUP_DIR = 'confluence-backups'
+
+/**
+ * Publishing account lookups, per auth object
+ */
+let publisherCache = new WeakMap()
+
+/**
+ * Reset cache (for testing)
+ */
+function resetCache () {
+  publisherCache = new WeakMap()
+}
+
+/**
+ * Get the account ID of the publishing credentials (looked up once per auth object)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<string|null>} Account ID, or null if it cannot be determined
+ */
+function getPublisherAccountId (auth) {
+  if (!auth || typeof auth !== 'object') {
+    return Promise.resolve(null)
+  }
+  if (!publisherCache.has(auth)) {
+    publisherCache.set(auth, apiClient.getCurrentUser(auth).then(user => user?.accountId || null))
+  }
+  return publisherCache.get(auth)
+}
+
+/**
+ * Name of the author of a page version, for messages
+ * @param {Object} version - Page version
+ * @returns {string} Display name, account ID or 'unknown'
+ */
+function authorName (version) {
+  const by = version?.by || {}
+  return by.displayName || by.publicName || by.accountId || 'unknown'
+}
+
+/**
+ * Decide whether a page was edited since it was last published
+ * @param {Object} page - Existing page (with version, including version.by and version.when)
+ * @param {Object|null} record - Value of the page's source hash property ({ hash, pageVersion, publishedAt })
+ * @param {string|null} publisherAccountId - Account ID of the publishing credentials
+ * @returns {Object|null} { version, author, when, reason } when edited, else null
+ */
+function detectManualEdit (page, record, publisherAccountId) {
+  const version = page?.version || {}
+  const number = Number(version.number) || 1
+  const edit = reason => ({ version: number, author: authorName(version), when: version.when || null, reason })
+
+  if (record?.pageVersion) {
+    return number > Number(record.pageVersion)
+      ? edit(`version ${number} is newer than the published version ${record.pageVersion}`)
+      : null
+  }
+
+  if (record?.publishedAt && version.when) {
+    return Date.parse(version.when) > Date.parse(record.publishedAt)
+      ? edit(`version ${number} was saved after the last publish (${record.publishedAt})`)
+      : null
+  }
+
+  const authorId = version.by?.accountId
+  if (publisherAccountId && authorId && authorId !== publisherAccountId) {
+    return edit(`version ${number} was not written by the publishing account`)
+  }
+  return null
+}
+
+/**
+ * Save a page's current body to a local file
+ * @param {Object} page - Existing page ({ id, title })
+ * @param {Object} edit - Result of detectManualEdit
+ * @param {Object} options - Options
+ * @param {Object} options.auth - Authentication credentials
+ * @param {string} [options.backupDir] - Directory for backups (default: DEFAULT_BACKUP_DIR)
+ * @param {string} [options.source] - Source file the page is published from
+ * @param {string} [options.space] - Space key
+ * @returns {Promise<string>} Path of the backup file
+ * @throws {Error} When the body cannot be read or written (the page must then not be overwritten)
+ */
+async function backupPage (page, edit, options) {
+  const livePage = await apiClient.getPageWithBody(page.id, options.auth)
+  const adf = livePage?.body?.atlas_doc_format?.value
+  const storage = livePage?.body?.storage?.value
+  if (!adf && !storage) {
+    throw new Error(`Could not read the body of page ${page.id} to back it up`)
+  }
+
+  const backupPath = path.join(options.backupDir || DEFAULT_BACKUP_DIR, `${page.id}-v${edit.version}.json`)
+  await fs.mkdir(path.dirname(backupPath), { recursive: true })
+  await fs.writeFile(backupPath, JSON.stringify({
+    pageId: String(page.id),
+    title: livePage.title || page.title,
+    space: options.space || null,
+    source: options.source || null,
+    version: edit.version,
+    author: edit.author,
+    when: edit.when,
+    representation: adf ? 'atlas_doc_format' : 'storage',
+    body: adf || storage,
+    savedAt: new Date().toISOString()
+  }, null, 2), 'utf-8')
+  return backupPath
+}
+
+module.exports = {
+  MANUAL_EDIT_ACTIONS,
+  DEFAULT_MANUAL_EDIT_ACTION,
+  DEFAULT_BACKUP_DIR,
+  resetCache,
+  getPublisherAccountId,
+  detectManualEdit,
+  backupPage
+}
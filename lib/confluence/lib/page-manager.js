@@ -4,6 +4,7 @@
  */
 
 const { confluenceRequest } = require('./api-client')
+const apiV2 = require('./api-v2')
 const { isNullOrEmpty } = require('./utils')
 
 /**
@@ -11,6 +12,7 @@ const { isNullOrEmpty } = require('./utils')
  */
 let CONFIG = {
   generatedLabel: process.env.GENERATED_LABEL || 'generated',
+  apiVersion: process.env.CONFLUENCE_API_VERSION || 'v1',
   dryRun: false
 }
 
@@ -30,9 +32,10 @@ function setConfig (config) {
  * @param {string} version - Page version (for updates)
  * @param {string} spaceKey - Confluence space key
  * @param {boolean} useAtlasFormat - Use Atlas Document Format
+ * @param {string} [versionMessage] - Page history comment (updates only)
  * @returns {Object} API payload
  */
-function createPagePayload (title, content, parentId, version, spaceKey, useAtlasFormat) {
+function createPagePayload (title, content, parentId, version, spaceKey, useAtlasFormat, versionMessage = null) {
   const basePayload = {
     type: 'page',
     title,
@@ -51,6 +54,9 @@ function createPagePayload (title, content, parentId, version, spaceKey, useAtla
   if (version) {
     // Update payload
     basePayload.version = { number: parseInt(version, 10) }
+    if (versionMessage) {
+      basePayload.version.message = versionMessage
+    }
   } else {
     // Create payload
     basePayload.space = { key: spaceKey }
@@ -100,6 +106,11 @@ function createPagePayload (title, content, parentId, version, spaceKey, useAtla
  */
 async function hasLabel (pageId, labelName, auth) {
   try {
+    if (CONFIG.apiVersion === 'v2') {
+      const labels = await apiV2.getLabels(pageId, auth)
+      return labels.some(label => label.name === labelName)
+    }
+
     const response = await confluenceRequest('GET',
       `/content/${pageId}/label?limit=100`,
       { auth }
@@ -168,7 +179,8 @@ async function addLabelToPage (pageId, labelName, auth) {
       `/content/${pageId}/label`,
       {
         auth,
-        body: payload
+        body: payload,
+        idempotent: true // Re-adding an existing label is a no-op
       }
     )
 
@@ -185,6 +197,171 @@ async function addLabelToPage (pageId, labelName, auth) {
   }
 }
 
+/**
+ * Read a content property from a page
+ * @param {string} pageId - Page ID
+ * @param {string} key - Property key
+ * @param {Object} auth - Authentication credentials
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.folder] - The ID is a native folder (v2 only)
+ * @returns {Promise<Object|null>} Property { key, value, version } or null if not set
+ */
+async function getPageProperty (pageId, key, auth, options = {}) {
+  try {
+    if (CONFIG.apiVersion === 'v2') {
+      return await apiV2.getProperty(pageId, key, auth, options.folder ? 'folders' : 'pages')
+    }
+
+    const response = await confluenceRequest('GET',
+      `/content/${pageId}/property/${encodeURIComponent(key)}`,
+      { auth }
+    )
+
+    if (response.status === 200 && response.body && typeof response.body === 'object') {
+      return response.body
+    }
+  } catch (error) {
+    // Error reading property - treat as not set
+  }
+
+  return null
+}
+
+/**
+ * Create or update a content property on a page
+ * @param {string} pageId - Page ID
+ * @param {string} key - Property key
+ * @param {*} value - JSON-serialisable property value
+ * @param {Object} auth - Authentication credentials
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.folder] - The ID is a native folder (v2 only)
+ * @returns {Promise<boolean>} True if the property was written
+ */
+async function setPageProperty (pageId, key, value, auth, options = {}) {
+  if (CONFIG.dryRun) {
+    console.error(`    🧪 Dry run: would set property '${key}' on page ${pageId}`)
+    return true
+  }
+
+  try {
+    const response = CONFIG.apiVersion === 'v2'
+      ? await apiV2.setProperty(pageId, key, value, auth, options.folder ? 'folders' : 'pages')
+      : await writeV1Property(pageId, key, value, auth)
+
+    if (response.status === 200 || response.status === 201) {
+      return true
+    }
+    console.error(`    ⚠️  Warning: Failed to set property '${key}' (HTTP ${response.status})`)
+    return false
+  } catch (error) {
+    console.error(`    ⚠️  Warning: Failed to set property '${key}': ${error.message}`)
+    return false
+  }
+}
+
+/**
+ * Replace a content property only if it is still at the version read (compare-and-set)
+ * Not skipped in dry runs: callers decide whether to write.
+ * @param {string} pageId - Page ID
+ * @param {string} key - Property key
+ * @param {*} value - JSON-serialisable property value
+ * @param {Object|null} expected - Property as read with getPageProperty (null when it did not exist)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<boolean>} True if written; false when another writer changed the property first
+ */
+async function replacePageProperty (pageId, key, value, expected, auth) {
+  const response = CONFIG.apiVersion === 'v2'
+    ? await apiV2.writeProperty(pageId, key, value, auth, expected)
+    : await writeV1Property(pageId, key, value, auth, expected)
+  return response.status === 200 || response.status === 201
+}
+
+/**
+ * Create or update a content property through the v1 API
+ * @param {string} pageId - Page ID
+ * @param {string} key - Property key
+ * @param {*} value - JSON-serialisable property value
+ * @param {Object} auth - Authentication credentials
+ * @param {Object|null} [existing] - Property as already read (read now when omitted)
+ * @returns {Promise<Object>} Response object
+ */
+async function writeV1Property (pageId, key, value, auth, existing) {
+  if (existing === undefined) {
+    existing = await getPageProperty(pageId, key, auth)
+  }
+  return existing
+    ? confluenceRequest('PUT',
+      `/content/${pageId}/property/${encodeURIComponent(key)}`,
+      { auth, body: { key, value, version: { number: (existing.version?.number || 1) + 1 } } }
+    )
+    : confluenceRequest('POST',
+      `/content/${pageId}/property`,
+      { auth, body: { key, value } }
+    )
+}
+
+/**
+ * Archive a page (Confluence Cloud processes the archive as a long-running task)
+ * @param {string} pageId - Page ID
+ * @param {string} title - Page title (for logging)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<boolean>} True if the archive request was accepted
+ */
+async function archivePage (pageId, title, auth) {
+  if (CONFIG.dryRun) {
+    console.error(`    🧪 Dry run: would archive page: ${title}`)
+    return true
+  }
+
+  try {
+    const response = await confluenceRequest('POST',
+      '/content/archive',
+      { auth, body: { pages: [{ id: pageId }] }, idempotent: true }
+    )
+
+    if (response.status === 200 || response.status === 202) {
+      console.error(`    📦 Archived page: ${title}`)
+      return true
+    }
+    console.error(`    ⚠️  Warning: Could not archive page '${title}' (HTTP ${response.status})`)
+  } catch (error) {
+    console.error(`    ⚠️  Warning: Could not archive page '${title}': ${error.message}`)
+  }
+
+  return false
+}
+
+/**
+ * Move a page to the space trash (recoverable by a space admin)
+ * @param {string} pageId - Page ID
+ * @param {string} title - Page title (for logging)
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<boolean>} True if the page was trashed
+ */
+async function trashPage (pageId, title, auth) {
+  if (CONFIG.dryRun) {
+    console.error(`    🧪 Dry run: would move page to trash: ${title}`)
+    return true
+  }
+
+  try {
+    const response = await confluenceRequest('DELETE',
+      `/content/${pageId}`,
+      { auth }
+    )
+
+    if (response.status === 204 || response.status === 200) {
+      console.error(`    🗑️  Moved page to trash: ${title}`)
+      return true
+    }
+    console.error(`    ⚠️  Warning: Could not trash page '${title}' (HTTP ${response.status})`)
+  } catch (error) {
+    console.error(`    ⚠️  Warning: Could not trash page '${title}': ${error.message}`)
+  }
+
+  return false
+}
+
 /**
  * Handle archived/trashed page restoration or deletion
  * Returns: { usable: boolean, pageId: string, title: string }
@@ -302,6 +479,11 @@ module.exports = {
   hasLabel,
   isPageSafeToUpdate,
   addLabelToPage,
+  getPageProperty,
+  setPageProperty,
+  replacePageProperty,
+  archivePage,
+  trashPage,
   handlePageStatus,
   handle403Error
 }
@@ -0,0 +1,168 @@
+/**
+ * Source path to Confluence page ID mapping
+ * @module @defra/delivery-info-arch-tooling/confluence/page-map
+ *
+ * Persists which page each markdown file was published to, so a document
+ * whose H1 changes (or which moves in the repo) keeps updating the same page
+ * instead of creating a duplicate by title.
+ */
+
+const fs = require('fs').promises
+const path = require('path')
+const { execFileSync } = require('child_process')
+
+/**
+ * Default manifest filename, written next to confluence-config.json
+ */
+const DEFAULT_PAGE_MAP_FILE = 'confluence-page-map.json'
+
+/**
+ * Normalise a file path to the repo-relative, forward-slash key used in the manifest
+ * @param {string} filePath - Path to source file
+ * @returns {string} Manifest key
+ */
+function toSourceKey (filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).replace(/\\/g, '/')
+}
+
+/**
+ * Resolve where the manifest lives for a given config
+ * @param {string} configPath - Path to confluence-config.json (optional)
+ * @param {Object} config - Parsed config (may name pageMapPath)
+ * @returns {string} Manifest path
+ */
+function resolvePageMapPath (configPath, config = {}) {
+  if (config.pageMapPath) {
+    return path.isAbsolute(config.pageMapPath) || !configPath
+      ? config.pageMapPath
+      : path.join(path.dirname(configPath), config.pageMapPath)
+  }
+  return configPath
+    ? path.join(path.dirname(configPath), DEFAULT_PAGE_MAP_FILE)
+    : DEFAULT_PAGE_MAP_FILE
+}
+
+/**
+ * Load the manifest, starting empty if it does not exist yet
+ * @param {string} mapPath - Manifest path
+ * @returns {Promise<Object>} Page map { path, pages, dirty }
+ */
+async function loadPageMap (mapPath) {
+  try {
+    const content = await fs.readFile(mapPath, 'utf-8')
+    const parsed = JSON.parse(content)
+    return { path: mapPath, pages: parsed.pages || {}, dirty: false }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { path: mapPath, pages: {}, dirty: false }
+    }
+    throw new Error(`Failed to read page map ${mapPath}: ${error.message}`)
+  }
+}
+
+/**
+ * Look up the page recorded for a source file
+ * @param {Object} pageMap - Page map
+ * @param {string} sourceKey - Manifest key
+ * @returns {Object|null} Entry { pageId, space, title } or null
+ */
+function getMappedPage (pageMap, sourceKey) {
+  if (!pageMap || !Object.prototype.hasOwnProperty.call(pageMap.pages, sourceKey)) {
+    return null
+  }
+  return pageMap.pages[sourceKey]
+}
+
+/**
+ * Record the page a source file was published to
+ * @param {Object} pageMap - Page map
+ * @param {string} sourceKey - Manifest key
+ * @param {Object} entry - Entry { pageId, space, title }
+ */
+function setMappedPage (pageMap, sourceKey, entry) {
+  if (!pageMap) return
+  const current = pageMap.pages[sourceKey]
+  if (current && current.pageId === entry.pageId && current.space === entry.space && current.title === entry.title) {
+    return
+  }
+  pageMap.pages[sourceKey] = { pageId: String(entry.pageId), space: entry.space, title: entry.title }
+  pageMap.dirty = true
+}
+
+/**
+ * Forget a source file's mapping (e.g. file moved or page deleted)
+ * @param {Object} pageMap - Page map
+ * @param {string} sourceKey - Manifest key
+ */
+function removeMappedPage (pageMap, sourceKey) {
+  if (pageMap && Object.prototype.hasOwnProperty.call(pageMap.pages, sourceKey)) {
+    delete pageMap.pages[sourceKey]
+    pageMap.dirty = true
+  }
+}
+
+/**
+ * Write the manifest if anything changed, with sorted keys for stable diffs
+ * @param {Object} pageMap - Page map
+ * @returns {Promise<boolean>} True if the file was written
+ */
+async function savePageMap (pageMap) {
+  if (!pageMap || !pageMap.dirty) {
+    return false
+  }
+
+  const pages = {}
+  for (const key of Object.keys(pageMap.pages).sort()) {
+    pages[key] = pageMap.pages[key]
+  }
+
+  await fs.writeFile(pageMap.path, JSON.stringify({ version: 1, pages }, null, 2) + '\n', 'utf-8')
+  pageMap.dirty = false
+  return true
+}
+
+/**
+ * Run git and return its output
+ * @param {Array<string>} args - git arguments (passed without a shell)
+ * @returns {string} stdout
+ */
+function git (args) {
+  return execFileSync('git', args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] })
+}
+
+/**
+ * List the paths a file has had in git history (newest first, excluding its current path)
+ * @param {string} filePath - Path to source file
+ * @returns {Array<string>} Previous paths, as manifest keys
+ */
+function findPreviousPaths (filePath) {
+  try {
+    // git log names files relative to the repository root; manifest keys are relative to the working directory
+    const root = git(['rev-parse', '--show-toplevel']).trim()
+    const output = git(['log', '--follow', '--name-only', '--format=', '--', filePath])
+    const current = toSourceKey(filePath)
+    const previous = []
+    for (const line of output.split('\n').map(l => l.trim())) {
+      const key = line && toSourceKey(path.join(root, line))
+      if (key && key !== current && !previous.includes(key)) {
+        previous.push(key)
+      }
+    }
+    return previous
+  } catch (e) {
+    // Git not available or not a git repo
+    return []
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_MAP_FILE,
+  toSourceKey,
+  resolvePageMapPath,
+  loadPageMap,
+  getMappedPage,
+  setMappedPage,
+  removeMappedPage,
+  savePageMap,
+  findPreviousPaths
+}
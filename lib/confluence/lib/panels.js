@@ -0,0 +1,43 @@
+/**
+ * Callout panels in Confluence storage format
+ * @module @defra/delivery-info-arch-tooling/confluence/panels
+ *
+ * GitHub alerts and Astro asides are published as ADF panels (see
+ * ../../panel-types). Confluence stores the panel types that have an older
+ * macro as that macro, and the rest as ADF extensions; reading a page maps
+ * either back to a GitHub alert, so a page that is read and republished
+ * keeps its panels:
+ *
+ *   GitHub alert    Astro aside            ADF panel   Storage format
+ *   [!NOTE]         :::note, :::info       info        info macro
+ *   [!TIP]          :::tip, :::success     success     tip macro
+ *   [!IMPORTANT]    :::important           note        ADF extension
+ *   [!WARNING]      :::caution, :::warning warning     note macro
+ *   [!CAUTION]      :::danger, :::error    error       warning macro
+ */
+
+const { ALERT_PANEL_TYPES } = require('../../panel-types')
+
+/**
+ * ADF panel type → storage-format macro Confluence keeps it as
+ */
+const PANEL_TYPE_MACROS = {
+  info: 'info',
+  success: 'tip',
+  warning: 'note',
+  error: 'warning'
+}
+
+/**
+ * GitHub alert type for an ADF panel type
+ * @param {string} panelType - ADF panel type
+ * @returns {string|null} Alert type, or null for panel types without one (such as custom panels)
+ */
+function panelAlertType (panelType) {
+  return Object.keys(ALERT_PANEL_TYPES).find(alert => ALERT_PANEL_TYPES[alert] === panelType) || null
+}
+
+module.exports = {
+  PANEL_TYPE_MACROS,
+  panelAlertType
+}
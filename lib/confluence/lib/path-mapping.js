@@ -0,0 +1,254 @@
+/**
+ * Rule-based mapping from source paths to Confluence spaces and folders
+ * @module @defra/delivery-info-arch-tooling/confluence/path-mapping
+ *
+ * `confluence-config.json` can list ordered `mappingRules`. Each rule matches a
+ * path relative to its content root (`contentRoots`, default `docs` and
+ * `astro/src/content/docs`) with a glob (`match`) or a regular expression
+ * (`regex`), and gives:
+ *
+ *   space           - Space key; may use captures ($1, $<name>)
+ *   spaceMappingKey - Key(s) to look up in `spaceMapping` instead; first found wins
+ *   parentPageId    - Page the folder hierarchy hangs from (overrides parentPageId)
+ *   strip           - Leading path segments left out of the folder hierarchy
+ *
+ * The first matching rule wins. In a glob, each `*` and `**` is a capture.
+ * Without `mappingRules`, DEFAULT_MAPPING_RULES give the original DIA layout.
+ */
+
+const path = require('path')
+
+/**
+ * Directories source paths are relative to when matching rules
+ */
+const DEFAULT_CONTENT_ROOTS = ['docs', 'astro/src/content/docs']
+
+/**
+ * The original DIA repository layout: `systems/<name>` maps through
+ * spaceMapping[<name>], `Trade/` through spaceMapping.trade (or .Trade), and
+ * neither those prefixes nor `delivery-information-architecture/` become folders.
+ */
+const DEFAULT_MAPPING_RULES = [
+  { match: 'delivery-information-architecture/systems/*/**', spaceMappingKey: '$1', strip: 3 },
+  { match: 'delivery-information-architecture/[Tt]rade/**', spaceMappingKey: ['trade', 'Trade'], strip: 2 },
+  { match: 'delivery-information-architecture/**', strip: 1 },
+  { match: '[Ss]ystems/*/**', spaceMappingKey: '$1', strip: 2 },
+  { match: '[Tt]rade/**', spaceMappingKey: ['trade', 'Trade'], strip: 1 },
+  { match: '**', strip: 0 }
+]
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp (value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+}
+
+/**
+ * Convert a glob to an anchored regular expression
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`; each `*` and `**` is a capture group.
+ * @param {string} glob - Glob pattern (forward slashes)
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp (glob) {
+  let source = ''
+  let i = 0
+  while (i < glob.length) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directories at all
+      if (glob[i + 2] === '/') {
+        source += '(?:(.*)/)?'
+        i += 3
+      } else {
+        source += '(.*)'
+        i += 2
+      }
+      continue
+    }
+    if (char === '*') {
+      source += '([^/]*)'
+      i++
+      continue
+    }
+    if (char === '?') {
+      source += '[^/]'
+      i++
+      continue
+    }
+    const close = { '[': ']', '{': '}' }[char]
+    const end = close ? glob.indexOf(close, i + 1) : -1
+    if (char === '[' && end > i) {
+      const set = glob.slice(i + 1, end)
+      source += `[${set.startsWith('!') ? `^${set.slice(1)}` : set}]`
+      i = end + 1
+      continue
+    }
+    if (char === '{' && end > i) {
+      source += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`
+      i = end + 1
+      continue
+    }
+    source += escapeRegExp(char)
+    i++
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Compile a mapping rule's pattern
+ * @param {Object} rule - Mapping rule
+ * @param {number} index - Position in mappingRules (for messages)
+ * @returns {RegExp} Pattern
+ * @throws {Error} When the rule is malformed
+ */
+function compileRule (rule, index) {
+  const label = `mappingRules[${index}]`
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${label}: must be an object`)
+  }
+  if ((rule.match === undefined) === (rule.regex === undefined)) {
+    throw new Error(`${label}: needs exactly one of 'match' (glob) or 'regex'`)
+  }
+  if (rule.strip !== undefined && !(Number.isInteger(rule.strip) && rule.strip >= 0)) {
+    throw new Error(`${label}: 'strip' must be a whole number of path segments (got '${rule.strip}')`)
+  }
+  if (rule.space !== undefined && rule.spaceMappingKey !== undefined) {
+    throw new Error(`${label}: use 'space' or 'spaceMappingKey', not both`)
+  }
+  if (rule.match !== undefined) {
+    if (typeof rule.match !== 'string' || rule.match === '') {
+      throw new Error(`${label}: 'match' must be a non-empty glob`)
+    }
+    return globToRegExp(rule.match)
+  }
+  try {
+    return new RegExp(rule.regex)
+  } catch (error) {
+    throw new Error(`${label}: invalid regex: ${error.message}`)
+  }
+}
+
+/**
+ * Check mapping rules without applying them
+ * @param {Array<Object>} rules - Mapping rules
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateMappingRules (rules) {
+  if (!Array.isArray(rules)) {
+    return ['mappingRules must be an array']
+  }
+  const errors = []
+  rules.forEach((rule, index) => {
+    try {
+      compileRule(rule, index)
+    } catch (error) {
+      errors.push(error.message)
+    }
+  })
+  return errors
+}
+
+/**
+ * Fill `$1` and `$<name>` placeholders from a match
+ * @param {string} template - Template
+ * @param {Array} match - RegExp match
+ * @returns {string} Expanded value (missing captures become '')
+ */
+function expandTemplate (template, match) {
+  return String(template).replace(/\$(?:(\d+)|<([^>]+)>)/g, (whole, index, name) => {
+    const value = index !== undefined ? match[Number(index)] : match.groups?.[name]
+    return value === undefined ? '' : value
+  })
+}
+
+/**
+ * Split a repository path into its content root and the path below it
+ * @param {string} repoPath - Repository-relative path (forward slashes)
+ * @param {Array<string>} [contentRoots] - Content roots
+ * @returns {Object} { root, relPath } (root is '' when none applies)
+ */
+function splitContentRoot (repoPath, contentRoots = DEFAULT_CONTENT_ROOTS) {
+  const roots = contentRoots
+    .map(root => String(root).replace(/\\/g, '/').replace(/^\.\/|\/+$/g, ''))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+  for (const root of roots) {
+    if (repoPath.startsWith(`${root}/`)) {
+      return { root, relPath: repoPath.slice(root.length + 1) }
+    }
+  }
+  return { root: '', relPath: repoPath }
+}
+
+/**
+ * Work out a file's space, parent and folder hierarchy from the mapping rules
+ * @param {string} filePath - Source file path (relative to the repository, or absolute)
+ * @param {Object} [options] - Mapping settings
+ * @param {Array<Object>} [options.rules] - Ordered rules (default: DEFAULT_MAPPING_RULES)
+ * @param {Object} [options.spaceMapping] - spaceMapping from the config
+ * @param {Array<string>} [options.contentRoots] - Content roots (default: DEFAULT_CONTENT_ROOTS)
+ * @returns {Object} { space, parentPageId, root, relPath, folders, rule }; space and parentPageId are null when not set
+ */
+function resolveMapping (filePath, options = {}) {
+  const repoPath = path.relative(process.cwd(), path.resolve(String(filePath || ''))).replace(/\\/g, '/')
+  const { root, relPath } = splitContentRoot(repoPath, options.contentRoots || DEFAULT_CONTENT_ROOTS)
+  const rules = options.rules || DEFAULT_MAPPING_RULES
+  const spaceMapping = options.spaceMapping || {}
+
+  const dirPath = path.posix.dirname(relPath)
+  const dirs = dirPath === '.' ? [] : dirPath.split('/').filter(Boolean)
+  const result = { space: null, parentPageId: null, root, relPath, folders: [], rule: null }
+
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index]
+    const match = relPath.match(compileRule(rule, index))
+    if (!match) continue
+
+    if (rule.space !== undefined) {
+      result.space = expandTemplate(rule.space, match) || null
+    } else if (rule.spaceMappingKey !== undefined) {
+      const keys = [].concat(rule.spaceMappingKey).map(key => expandTemplate(key, match))
+      const key = keys.find(candidate => spaceMapping[candidate])
+      result.space = key ? spaceMapping[key] : null
+    }
+    if (rule.parentPageId !== undefined && rule.parentPageId !== null) {
+      result.parentPageId = expandTemplate(rule.parentPageId, match) || null
+    }
+    result.rule = index
+    result.folders = dirs.slice(rule.strip || 0).map((name, i, kept) => ({
+      name,
+      // Repository path of this folder, for its GitHub link and provenance
+      path: [root, ...dirs.slice(0, dirs.length - kept.length + i + 1)].filter(Boolean).join('/')
+    }))
+    return result
+  }
+
+  // No rule matched: keep the whole directory path
+  result.folders = dirs.map((name, i) => ({ name, path: [root, ...dirs.slice(0, i + 1)].filter(Boolean).join('/') }))
+  return result
+}
+
+/**
+ * Space keys named outright by rules (not templated or looked up)
+ * @param {Array<Object>} [rules] - Mapping rules
+ * @returns {Array<string>} Space keys
+ */
+function ruleSpaces (rules) {
+  return (rules || [])
+    .map(rule => rule && rule.space)
+    .filter(space => typeof space === 'string' && space !== '' && !space.includes('$'))
+}
+
+module.exports = {
+  DEFAULT_CONTENT_ROOTS,
+  DEFAULT_MAPPING_RULES,
+  globToRegExp,
+  validateMappingRules,
+  expandTemplate,
+  splitContentRoot,
+  resolveMapping,
+  ruleSpaces
+}
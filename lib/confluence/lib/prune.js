@@ -0,0 +1,166 @@
+/**
+ * Orphaned generated-page detection and pruning
+ * @module @defra/delivery-info-arch-tooling/confluence/prune
+ *
+ * A generated page is orphaned when the source file it was published from is
+ * no longer matched by any publishPaths entry, or (for folder pages) when it
+ * no longer has any child pages that are being kept.
+ */
+
+const apiClient = require('./api-client')
+const pageManager = require('./page-manager')
+const { SOURCE_HASH_PROPERTY } = require('./source-hash')
+
+/**
+ * Configuration (will be set by main module)
+ */
+let CONFIG = {
+  generatedLabel: process.env.GENERATED_LABEL || 'generated',
+  dryRun: false
+}
+
+/**
+ * Prune actions accepted by prunePages
+ */
+const PRUNE_ACTIONS = ['report', 'archive', 'trash']
+
+/**
+ * Set configuration (called by main module)
+ * @param {Object} config - Configuration object
+ */
+function setConfig (config) {
+  CONFIG = { ...CONFIG, ...config }
+}
+
+/**
+ * Work out which source a generated page came from
+ * Uses the publish property on the page, then the page map
+ * @param {Object} page - Page from a search with the publish property expanded
+ * @param {Object} sourcePageMap - Loaded page map
+ * @returns {Object|null} { source, folder } or null if provenance is unknown
+ */
+function getPageSource (page, sourcePageMap) {
+  const property = page.metadata?.properties?.[SOURCE_HASH_PROPERTY]?.value
+  if (property && property.source) {
+    return { source: property.source, folder: Boolean(property.folder) }
+  }
+
+  const pages = sourcePageMap?.pages || {}
+  const mappedKey = Object.keys(pages).find(key => String(pages[key].pageId) === String(page.id))
+  if (mappedKey) {
+    return { source: mappedKey, folder: false }
+  }
+
+  return null
+}
+
+/**
+ * Find generated pages that no longer correspond to a published source
+ * @param {Object} options - Options
+ * @param {Array<string>} options.spaces - Space keys to inspect
+ * @param {Set<string>} options.sourceKeys - Page map keys of every file matched by publishPaths
+ * @param {Object} options.sourcePageMap - Loaded page map
+ * @param {Object} options.auth - Authentication credentials
+ * @returns {Promise<Object>} { orphaned: Array, unverified: Array, kept: number }
+ */
+async function findOrphanedPages ({ spaces, sourceKeys, sourcePageMap, auth }) {
+  const orphaned = []
+  const unverified = []
+  let kept = 0
+
+  for (const spaceKey of spaces) {
+    const pages = await apiClient.searchPagesByLabel(
+      CONFIG.generatedLabel,
+      spaceKey,
+      auth,
+      `version,ancestors,metadata.properties.${SOURCE_HASH_PROPERTY}`
+    )
+    const orphanedIds = new Set()
+    const folders = []
+
+    for (const page of pages) {
+      const info = getPageSource(page, sourcePageMap)
+      const entry = { id: page.id, title: page.title, space: spaceKey, source: info?.source || null }
+
+      if (!info) {
+        unverified.push({ ...entry, reason: 'no recorded source' })
+      } else if (info.folder) {
+        folders.push({ page, entry })
+      } else if (!sourceKeys.has(info.source)) {
+        orphaned.push({ ...entry, reason: 'source no longer published' })
+        orphanedIds.add(page.id)
+      } else {
+        kept++
+      }
+    }
+
+    // Deepest folders first, so a folder left holding only pruned sub-folders is pruned too
+    folders.sort((a, b) => (b.page.ancestors || []).length - (a.page.ancestors || []).length)
+    for (const { page, entry } of folders) {
+      const children = await apiClient.getChildPages(page.id, auth)
+      if (children.every(child => orphanedIds.has(child.id))) {
+        orphaned.push({ ...entry, reason: 'folder has no remaining pages' })
+        orphanedIds.add(page.id)
+      } else {
+        kept++
+      }
+    }
+  }
+
+  return { orphaned, unverified, kept }
+}
+
+/**
+ * Render a prune result as report lines
+ * @param {Object} result - Result of findOrphanedPages
+ * @param {string} action - Prune action
+ * @returns {string} Report
+ */
+function formatPruneReport (result, action = 'report') {
+  const lines = [
+    `  🧹 Prune report: ${result.orphaned.length} orphaned, ${result.unverified.length} unverified, ${result.kept} kept (action: ${action}${CONFIG.dryRun ? ', dry run' : ''})`
+  ]
+  for (const page of result.orphaned) {
+    lines.push(`    - [${page.space}] ${page.title} (ID: ${page.id}) — ${page.reason}${page.source ? `: ${page.source}` : ''}`)
+  }
+  for (const page of result.unverified) {
+    lines.push(`    ? [${page.space}] ${page.title} (ID: ${page.id}) — ${page.reason}, left alone`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Archive or trash orphaned pages (children before their folders)
+ * @param {Array<Object>} orphaned - Orphaned pages from findOrphanedPages
+ * @param {string} action - 'report', 'archive' or 'trash'
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<string>>} IDs of pages that were pruned
+ */
+async function prunePages (orphaned, action, auth) {
+  if (!PRUNE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown prune action '${action}' (expected one of: ${PRUNE_ACTIONS.join(', ')})`)
+  }
+  if (action === 'report') {
+    return []
+  }
+
+  const pruned = []
+  for (const page of orphaned) {
+    const ok = action === 'archive'
+      ? await pageManager.archivePage(page.id, page.title, auth)
+      : await pageManager.trashPage(page.id, page.title, auth)
+    if (ok) {
+      pruned.push(page.id)
+    }
+  }
+  return pruned
+}
+
+module.exports = {
+  PRUNE_ACTIONS,
+  setConfig,
+  getPageSource,
+  findOrphanedPages,
+  formatPruneReport,
+  prunePages
+}
@@ -0,0 +1,200 @@
+/**
+ * Advisory per-space lock so concurrent publish runs do not race
+ * @module @defra/delivery-info-arch-tooling/confluence/publish-lock
+ *
+ * The lock is the `defra-publish-lock` content property on the space's home
+ * page: { owner, runId, acquiredAt, expiresAt, released }. Property writes are
+ * compare-and-set on the property version, so of two runs that see the lock
+ * free only one can take it. A run waits for a held lock up to a timeout and
+ * takes over a lock whose holder let it expire (e.g. a cancelled CI job).
+ */
+
+const os = require('os')
+const crypto = require('crypto')
+const apiClient = require('./api-client')
+const pageManager = require('./page-manager')
+
+/**
+ * Content property key the lock is stored under
+ */
+const LOCK_PROPERTY = 'defra-publish-lock'
+
+/**
+ * Default timings: how long a lock is valid, how long to wait for one, how often to look
+ */
+const DEFAULT_LOCK_OPTIONS = {
+  ttlMs: 30 * 60 * 1000,
+  waitMs: 10 * 60 * 1000,
+  pollMs: 15 * 1000
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Describe this run for other runs' messages
+ * @returns {string} GitHub Actions run, or user@host
+ */
+function describeOwner () {
+  if (process.env.GITHUB_RUN_ID) {
+    return `${process.env.GITHUB_REPOSITORY || 'GitHub Actions'} run ${process.env.GITHUB_RUN_ID}`
+  }
+  let user = 'unknown'
+  try {
+    user = os.userInfo().username
+  } catch (error) {
+    // No user database entry (some containers)
+  }
+  return `${user}@${os.hostname()} (pid ${process.pid})`
+}
+
+/**
+ * Whether a lock value is held (not released and not expired)
+ * @param {Object|null} value - Lock property value
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if held
+ */
+function isHeld (value, now) {
+  return Boolean(value && !value.released && Date.parse(value.expiresAt) > now)
+}
+
+/**
+ * Take the publish lock on a space, waiting while another run holds it
+ * @param {string} spaceKey - Space key
+ * @param {Object} auth - Authentication credentials
+ * @param {Object} [options] - Options (see DEFAULT_LOCK_OPTIONS), plus owner and sleep (for testing)
+ * @returns {Promise<Object|null>} Lock { spaceKey, pageId, runId }, or null when the space has no home page to hold it
+ * @throws {Error} When the lock is still held after waitMs, or cannot be written
+ */
+async function acquireLock (spaceKey, auth, options = {}) {
+  const { ttlMs, waitMs, pollMs } = { ...DEFAULT_LOCK_OPTIONS, ...options }
+  const wait = options.sleep || sleep
+  const owner = options.owner || describeOwner()
+  const runId = crypto.randomUUID()
+
+  const pageId = await apiClient.getSpaceHomepageId(spaceKey, auth)
+  if (!pageId) {
+    console.error(`  ⚠️  Space ${spaceKey} has no home page to hold the publish lock; publishing without it`)
+    return null
+  }
+
+  const deadline = Date.now() + waitMs
+  let lostRace = null
+  for (;;) {
+    const current = await pageManager.getPageProperty(pageId, LOCK_PROPERTY, auth)
+    const held = current?.value || null
+    const now = Date.now()
+
+    // A failed write with nobody else changing the property is not a race we lost
+    if (lostRace !== null && (current?.version?.number || 0) === lostRace) {
+      throw new Error(`Could not write the publish lock on space ${spaceKey} (page ${pageId}); set options.lock.enabled to false to publish without it`)
+    }
+
+    if (!isHeld(held, now)) {
+      if (held && !held.released) {
+        console.error(`  ⚠️  Taking over the publish lock on space ${spaceKey}: ${held.owner} let it expire at ${held.expiresAt}`)
+      }
+      const value = {
+        owner,
+        runId,
+        acquiredAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      }
+      if (await pageManager.replacePageProperty(pageId, LOCK_PROPERTY, value, current, auth)) {
+        console.error(`  🔒 Locked space ${spaceKey} for publishing (until ${value.expiresAt})`)
+        return { spaceKey, pageId, runId }
+      }
+      // Another run wrote first; look again
+      lostRace = current?.version?.number || 0
+      continue
+    }
+    lostRace = null
+
+    if (now >= deadline) {
+      throw new Error(`Space ${spaceKey} is locked by ${held.owner} since ${held.acquiredAt} (expires ${held.expiresAt}); gave up after ${Math.round(waitMs / 1000)}s`)
+    }
+    console.error(`  ⏳ Space ${spaceKey} is locked by ${held.owner} (expires ${held.expiresAt}); waiting...`)
+    await wait(Math.min(pollMs, deadline - now))
+  }
+}
+
+/**
+ * Release a lock taken by acquireLock (a lock another run has taken over is left alone)
+ * @param {Object|null} lock - Lock from acquireLock
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<boolean>} True if released
+ */
+async function releaseLock (lock, auth) {
+  if (!lock) {
+    return false
+  }
+
+  try {
+    const current = await pageManager.getPageProperty(lock.pageId, LOCK_PROPERTY, auth)
+    if (current?.value?.runId !== lock.runId) {
+      console.error(`  ⚠️  The publish lock on space ${lock.spaceKey} is no longer ours${current?.value?.owner ? ` (held by ${current.value.owner})` : ''}`)
+      return false
+    }
+    const released = { ...current.value, released: true, releasedAt: new Date().toISOString() }
+    if (await pageManager.replacePageProperty(lock.pageId, LOCK_PROPERTY, released, current, auth)) {
+      console.error(`  🔓 Released the publish lock on space ${lock.spaceKey}`)
+      return true
+    }
+  } catch (error) {
+    console.error(`  ⚠️  Could not release the publish lock on space ${lock.spaceKey}: ${error.message}`)
+    return false
+  }
+  console.error(`  ⚠️  Could not release the publish lock on space ${lock.spaceKey}; it expires on its own`)
+  return false
+}
+
+/**
+ * Lock several spaces, in key order so two runs never wait on each other
+ * @param {Array<string>} spaceKeys - Space keys
+ * @param {Object} auth - Authentication credentials
+ * @param {Object} [options] - Options for acquireLock
+ * @returns {Promise<Array<Object>>} Locks taken
+ * @throws {Error} When a space cannot be locked (locks already taken are released first)
+ */
+async function acquireLocks (spaceKeys, auth, options = {}) {
+  const locks = []
+  try {
+    for (const spaceKey of [...new Set(spaceKeys.filter(Boolean))].sort()) {
+      const lock = await acquireLock(spaceKey, auth, options)
+      if (lock) {
+        locks.push(lock)
+      }
+    }
+  } catch (error) {
+    await releaseLocks(locks, auth)
+    throw error
+  }
+  return locks
+}
+
+/**
+ * Release locks taken by acquireLocks
+ * @param {Array<Object>} locks - Locks
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<void>}
+ */
+async function releaseLocks (locks, auth) {
+  for (const lock of locks) {
+    await releaseLock(lock, auth)
+  }
+}
+
+module.exports = {
+  LOCK_PROPERTY,
+  DEFAULT_LOCK_OPTIONS,
+  acquireLock,
+  releaseLock,
+  acquireLocks,
+  releaseLocks
+}
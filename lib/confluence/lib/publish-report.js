@@ -0,0 +1,205 @@
+/**
+ * Structured publish report (JSON and Markdown)
+ * @module @defra/delivery-info-arch-tooling/confluence/publish-report
+ *
+ * Records one entry per source file so CI can post PR comments, write a
+ * $GITHUB_STEP_SUMMARY, or fail a build on specific outcomes.
+ */
+
+const fs = require('fs').promises
+
+/**
+ * Per-file actions, and the publish() stat each one counts towards
+ */
+const ACTION_STATS = {
+  created: 'success',
+  updated: 'success',
+  unchanged: 'unchanged',
+  skipped: 'skipped',
+  failed: 'failed'
+}
+
+const ACTION_ICONS = {
+  created: '🆕',
+  updated: '✅',
+  unchanged: '💤',
+  skipped: '⏭️',
+  failed: '❌'
+}
+
+/**
+ * Start an empty report
+ * @param {Object} options - Report options
+ * @param {string} options.confluenceUrl - Confluence URL (for page links)
+ * @param {boolean} options.dryRun - Whether this run wrote to Confluence
+ * @returns {Object} Report
+ */
+function createReport ({ confluenceUrl, dryRun = false }) {
+  return {
+    confluenceUrl: String(confluenceUrl || '').replace(/\/+$/, ''),
+    dryRun: Boolean(dryRun),
+    startedAt: new Date().toISOString(),
+    entries: []
+  }
+}
+
+/**
+ * Build the view URL for a page
+ * @param {string} confluenceUrl - Confluence URL
+ * @param {string} pageId - Page ID
+ * @returns {string|null} Page URL, or null for missing or dry-run IDs
+ */
+function pageUrl (confluenceUrl, pageId) {
+  if (!pageId || String(pageId).startsWith('dryrun:')) {
+    return null
+  }
+  return `${confluenceUrl}/wiki/pages/viewpage.action?pageId=${pageId}`
+}
+
+/**
+ * Add a file's outcome to the report
+ * @param {Object} report - Report
+ * @param {Object} entry - { source, action, title, space, parentId, pageId, version, previousVersion, diagrams, reason, error, diff }
+ * @returns {Object} The normalised entry
+ */
+function addEntry (report, entry) {
+  if (!ACTION_STATS[entry.action]) {
+    throw new Error(`Unknown publish action '${entry.action}'`)
+  }
+  const normalised = {
+    source: entry.source,
+    action: entry.action,
+    title: entry.title || null,
+    space: entry.space || null,
+    parentId: entry.parentId || null,
+    pageId: entry.pageId ? String(entry.pageId) : null,
+    url: entry.url || pageUrl(report.confluenceUrl, entry.pageId),
+    version: entry.version || null, // Page version this run left behind
+    previousVersion: entry.previousVersion || null, // Version it replaced (what a rollback restores)
+    diagrams: entry.diagrams || [],
+    reason: entry.reason || null,
+    error: entry.error || null,
+    diff: entry.diff || null // Dry-run diff against the live page
+  }
+  report.entries.push(normalised)
+  return normalised
+}
+
+/**
+ * Count entries by action
+ * @param {Object} report - Report
+ * @returns {Object} { created, updated, unchanged, skipped, failed, total }
+ */
+function summarise (report) {
+  const summary = { created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0, total: report.entries.length }
+  for (const entry of report.entries) {
+    summary[entry.action]++
+  }
+  return summary
+}
+
+/**
+ * Render the report as a plain object for JSON output
+ * @param {Object} report - Report
+ * @returns {Object} { startedAt, finishedAt, dryRun, summary, files }
+ */
+function toJSON (report) {
+  return {
+    startedAt: report.startedAt,
+    finishedAt: new Date().toISOString(),
+    dryRun: report.dryRun,
+    summary: summarise(report),
+    files: [...report.entries].sort((a, b) => a.source.localeCompare(b.source))
+  }
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function cell (text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+}
+
+/**
+ * Render the report as Markdown (suitable for $GITHUB_STEP_SUMMARY or a PR comment)
+ * @param {Object} report - Report
+ * @returns {string} Markdown
+ */
+function toMarkdown (report) {
+  const summary = summarise(report)
+  const lines = [
+    `## Confluence publish report${report.dryRun ? ' (dry run)' : ''}`,
+    '',
+    `${ACTION_ICONS.created} ${summary.created} created · ${ACTION_ICONS.updated} ${summary.updated} updated · ` +
+      `${ACTION_ICONS.unchanged} ${summary.unchanged} unchanged · ${ACTION_ICONS.skipped} ${summary.skipped} skipped · ` +
+      `${ACTION_ICONS.failed} ${summary.failed} failed`,
+    ''
+  ]
+
+  if (report.entries.length === 0) {
+    lines.push('No files were processed.')
+    return lines.join('\n') + '\n'
+  }
+
+  lines.push('| | Source | Space | Page | Diagrams | Notes |')
+  lines.push('|---|---|---|---|---|---|')
+
+  // Failures first, then the rest by source path
+  const order = ['failed', 'created', 'updated', 'skipped', 'unchanged']
+  const entries = [...report.entries].sort((a, b) =>
+    order.indexOf(a.action) - order.indexOf(b.action) || a.source.localeCompare(b.source))
+
+  for (const entry of entries) {
+    const page = entry.url
+      ? `[${cell(entry.title || entry.pageId)}](${entry.url})`
+      : cell(entry.title || '')
+    lines.push(`| ${ACTION_ICONS[entry.action]} ${entry.action} | \`${cell(entry.source)}\` | ${cell(entry.space || '')} | ${page} | ` +
+      `${entry.diagrams.length || ''} | ${cell(entry.error || entry.reason || '')} |`)
+  }
+
+  // Four-backtick fences, so code blocks inside the diff cannot close them
+  for (const entry of entries.filter(e => e.diff)) {
+    lines.push('', `<details><summary>Changes to <code>${entry.source}</code></summary>`, '', '````diff', entry.diff, '````', '', '</details>')
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Write the report to the requested destinations
+ * @param {Object} report - Report
+ * @param {Object} options - Destinations
+ * @param {string} [options.jsonPath] - Write JSON here
+ * @param {string} [options.markdownPath] - Write Markdown here
+ * @param {string} [options.stepSummaryPath] - Append Markdown here (e.g. $GITHUB_STEP_SUMMARY)
+ * @returns {Promise<Array<string>>} Paths written
+ */
+async function writeReport (report, { jsonPath, markdownPath, stepSummaryPath } = {}) {
+  const written = []
+  if (jsonPath) {
+    await fs.writeFile(jsonPath, JSON.stringify(toJSON(report), null, 2) + '\n', 'utf-8')
+    written.push(jsonPath)
+  }
+  if (markdownPath) {
+    await fs.writeFile(markdownPath, toMarkdown(report), 'utf-8')
+    written.push(markdownPath)
+  }
+  if (stepSummaryPath) {
+    await fs.appendFile(stepSummaryPath, toMarkdown(report) + '\n', 'utf-8')
+    written.push(stepSummaryPath)
+  }
+  return written
+}
+
+module.exports = {
+  ACTION_STATS,
+  createReport,
+  pageUrl,
+  addEntry,
+  summarise,
+  toJSON,
+  toMarkdown,
+  writeReport
+}
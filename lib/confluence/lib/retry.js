@@ -0,0 +1,168 @@
+/**
+ * Retry with backoff for Confluence HTTP requests
+ * @module @defra/delivery-info-arch-tooling/confluence/retry
+ *
+ * Atlassian throttles large publishes with 429 and sheds load with 502/503/504.
+ * Requests are retried with exponential backoff and full jitter, waiting for
+ * Retry-After when the server sends it.
+ */
+
+/**
+ * Default retry settings (each can be overridden by config or environment)
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  retryStatuses: [429, 502, 503, 504]
+}
+
+/**
+ * Methods that are safe to repeat after a response may have been processed
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+/**
+ * Resolve retry settings from explicit options, then environment, then defaults
+ * @param {Object} [options] - Overrides { maxRetries, baseDelayMs, maxDelayMs, retryStatuses }
+ * @returns {Object} Retry settings
+ */
+function resolveRetryOptions (options = {}) {
+  const fromEnv = {}
+  if (process.env.CONFLUENCE_MAX_RETRIES !== undefined) {
+    fromEnv.maxRetries = parseInt(process.env.CONFLUENCE_MAX_RETRIES, 10)
+  }
+  if (process.env.CONFLUENCE_RETRY_BASE_DELAY_MS !== undefined) {
+    fromEnv.baseDelayMs = parseInt(process.env.CONFLUENCE_RETRY_BASE_DELAY_MS, 10)
+  }
+  if (process.env.CONFLUENCE_RETRY_MAX_DELAY_MS !== undefined) {
+    fromEnv.maxDelayMs = parseInt(process.env.CONFLUENCE_RETRY_MAX_DELAY_MS, 10)
+  }
+
+  const resolved = { ...DEFAULT_RETRY_OPTIONS }
+  for (const source of [fromEnv, options || {}]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined && value !== null && !Number.isNaN(value)) {
+        resolved[key] = value
+      }
+    }
+  }
+  return resolved
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in ms (for testing)
+ * @returns {number|null} Delay in ms, or null if absent or unparseable
+ */
+function parseRetryAfter (value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null
+  }
+  const text = String(value).trim()
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000)
+  }
+  const date = Date.parse(text)
+  if (Number.isNaN(date)) {
+    return null
+  }
+  return Math.max(0, date - now)
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * @param {number} attempt - Zero-based retry number
+ * @param {number|null} retryAfterMs - Server-requested delay, if any
+ * @param {Object} options - Retry settings
+ * @returns {number} Delay in ms
+ */
+function computeDelay (attempt, retryAfterMs, options) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, options.maxDelayMs)
+  }
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, attempt))
+  return Math.floor(Math.random() * ceiling)
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Read a header from a fetch Response (or a Map in tests)
+ * @param {Object} response - Response
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function getHeader (response, name) {
+  const headers = response && response.headers
+  if (!headers || typeof headers.get !== 'function') {
+    return null
+  }
+  return headers.get(name) ?? headers.get(name.toLowerCase()) ?? null
+}
+
+/**
+ * Send a request, retrying throttled and transiently failing responses
+ *
+ * Non-idempotent requests (POST unless marked idempotent) are only retried on
+ * 429, which Atlassian returns before doing any work. A 5xx or network error
+ * on a POST may mean the write landed, so repeating it could create duplicates.
+ *
+ * @param {Function} send - Performs one attempt and resolves to a fetch Response
+ * @param {Object} context - Request context
+ * @param {string} context.method - HTTP method
+ * @param {string} context.label - Description for log lines (e.g. "GET /content/123")
+ * @param {boolean} [context.idempotent] - Treat the request as safe to repeat regardless of method
+ * @param {Object} [context.retry] - Retry settings (see resolveRetryOptions)
+ * @param {Function} [context.sleep] - Delay function (for testing)
+ * @returns {Promise<Object>} The final Response
+ */
+async function withRetry (send, context) {
+  const options = resolveRetryOptions(context.retry)
+  const method = String(context.method || 'GET').toUpperCase()
+  const idempotent = context.idempotent ?? IDEMPOTENT_METHODS.includes(method)
+  const wait = context.sleep || sleep
+
+  for (let attempt = 0; ; attempt++) {
+    let response
+    try {
+      response = await send()
+    } catch (error) {
+      if (!idempotent || attempt >= options.maxRetries) {
+        throw error
+      }
+      const delay = computeDelay(attempt, null, options)
+      console.error(`    ⏳ ${context.label} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${options.maxRetries})`)
+      await wait(delay)
+      continue
+    }
+
+    const retryable = options.retryStatuses.includes(response.status) &&
+      (idempotent || response.status === 429)
+    if (!retryable || attempt >= options.maxRetries) {
+      return response
+    }
+
+    const delay = computeDelay(attempt, parseRetryAfter(getHeader(response, 'Retry-After')), options)
+    const reason = response.status === 429 ? 'Rate limited' : 'Service unavailable'
+    console.error(`    ⏳ ${reason} (HTTP ${response.status}) on ${context.label}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${options.maxRetries})`)
+    await wait(delay)
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  IDEMPOTENT_METHODS,
+  resolveRetryOptions,
+  parseRetryAfter,
+  computeDelay,
+  withRetry
+}
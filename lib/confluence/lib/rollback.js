@@ -0,0 +1,317 @@
+/**
+ * Roll generated pages back to earlier versions
+ * @module @defra/delivery-info-arch-tooling/confluence/rollback
+ *
+ * The pages to roll back, and the version each goes back to, come from one of:
+ *
+ *   report - a publish report (--report-json): pages that run updated go back
+ *            to the version they had before it
+ *   before - a point in time: generated pages changed since then go back to
+ *            the version they had at that time
+ *   label  - generated pages carrying a label go back to the version before
+ *            their last publish (recorded on the page by that publish)
+ *
+ * Confluence restores a version by saving a copy of it as a new version, so a
+ * rollback shows in the page history and can itself be rolled back. Only
+ * pages with the generated label are touched, and a page changed since the
+ * publish being undone is left alone unless forced.
+ */
+
+const fs = require('fs').promises
+const apiClient = require('./api-client')
+const pageManager = require('./page-manager')
+const utils = require('./utils')
+const { SOURCE_HASH_PROPERTY } = require('./source-hash')
+
+/**
+ * Configuration (will be set by main module)
+ */
+let CONFIG = {
+  generatedLabel: process.env.GENERATED_LABEL || 'generated',
+  dryRun: false
+}
+
+/**
+ * Longest version message Confluence keeps
+ */
+const MAX_MESSAGE_LENGTH = 255
+
+/**
+ * Set configuration (called by main module)
+ * @param {Object} config - Configuration object
+ */
+function setConfig (config) {
+  CONFIG = { ...CONFIG, ...config }
+}
+
+/**
+ * Read a publish report written with --report-json
+ * @param {string} reportPath - Report path
+ * @returns {Promise<Object>} Report { startedAt, dryRun, files }
+ * @throws {Error} When the file is not a publish report, or is from a dry run
+ */
+async function loadPublishReport (reportPath) {
+  let report
+  try {
+    report = JSON.parse(await fs.readFile(reportPath, 'utf-8'))
+  } catch (error) {
+    throw new Error(`Could not read publish report ${reportPath}: ${error.message}`)
+  }
+  if (!report || !Array.isArray(report.files)) {
+    throw new Error(`${reportPath} is not a publish report (no "files" list)`)
+  }
+  if (report.dryRun) {
+    throw new Error(`${reportPath} is from a dry run; it changed nothing to roll back`)
+  }
+  return report
+}
+
+/**
+ * Pick the pages a publish report says were updated
+ * @param {Object} report - Report from loadPublishReport
+ * @param {string|null} [spaceFilter] - Only pages in this space
+ * @returns {Object} { targets, skipped }: targets are { id, title, space, source, toVersion, expectedVersion }
+ */
+function selectFromReport (report, spaceFilter = null) {
+  const targets = []
+  const skipped = []
+
+  for (const file of report.files) {
+    if (!file.pageId || !['created', 'updated'].includes(file.action)) continue
+    if (spaceFilter && file.space !== spaceFilter) continue
+
+    const page = { id: String(file.pageId), title: file.title, space: file.space, source: file.source }
+    if (file.action === 'created') {
+      skipped.push({ ...page, action: 'skipped', reason: 'created by that publish, so it has no earlier version' })
+    } else if (!file.previousVersion) {
+      skipped.push({ ...page, action: 'skipped', reason: 'the report does not record the version it replaced' })
+    } else {
+      targets.push({ ...page, toVersion: file.previousVersion, expectedVersion: file.version || null })
+    }
+  }
+
+  return { targets, skipped }
+}
+
+/**
+ * Pick pages carrying a label, to go back to the version before their last publish
+ * @param {string} label - Label
+ * @param {Array<string>} spaces - Space keys to search
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} { targets, skipped }
+ */
+async function selectByLabel (label, spaces, auth) {
+  const targets = []
+  const skipped = []
+
+  for (const spaceKey of spaces) {
+    const pages = await apiClient.searchPagesByLabel(label, spaceKey, auth, `version,metadata.properties.${SOURCE_HASH_PROPERTY}`)
+    for (const page of pages) {
+      const record = page.metadata?.properties?.[SOURCE_HASH_PROPERTY]?.value
+      const entry = { id: String(page.id), title: page.title, space: spaceKey, source: record?.source || null }
+      if (!record?.previousVersion) {
+        skipped.push({ ...entry, action: 'skipped', reason: 'no earlier version recorded by its last publish' })
+      } else {
+        targets.push({ ...entry, toVersion: record.previousVersion, expectedVersion: record.pageVersion || null })
+      }
+    }
+  }
+
+  return { targets, skipped }
+}
+
+/**
+ * Pick generated pages changed after a point in time, to go back to the version they had then
+ * @param {Date} before - Point in time
+ * @param {Array<string>} spaces - Space keys to search
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Object>} { targets, skipped }
+ */
+async function selectBefore (before, spaces, auth) {
+  const targets = []
+  const skipped = []
+  const cutoff = before.getTime()
+
+  for (const spaceKey of spaces) {
+    const pages = await apiClient.searchPagesByLabel(CONFIG.generatedLabel, spaceKey, auth, `version,metadata.properties.${SOURCE_HASH_PROPERTY}`)
+    for (const page of pages) {
+      if (!(Date.parse(page.version?.when) > cutoff)) continue
+
+      const record = page.metadata?.properties?.[SOURCE_HASH_PROPERTY]?.value
+      const entry = { id: String(page.id), title: page.title, space: spaceKey, source: record?.source || null }
+      const versions = await apiClient.getPageVersions(page.id, auth)
+      const restore = versions.find(version => Date.parse(version.when) <= cutoff)
+      if (!restore) {
+        skipped.push({ ...entry, action: 'skipped', reason: `created after ${before.toISOString()}` })
+      } else {
+        targets.push({ ...entry, toVersion: restore.number, expectedVersion: null })
+      }
+    }
+  }
+
+  return { targets, skipped }
+}
+
+/**
+ * Build the version message for a rollback
+ * @param {number} toVersion - Version restored
+ * @param {string} [reason] - What the rollback undoes
+ * @returns {string} Message
+ */
+function rollbackMessage (toVersion, reason) {
+  return `Rolled back to version ${toVersion}${reason ? ` (${reason})` : ''}`.slice(0, MAX_MESSAGE_LENGTH)
+}
+
+/**
+ * Roll one page back
+ * @param {Object} target - Target from a select function
+ * @param {Object} auth - Authentication credentials
+ * @param {Object} options - { force, reason }
+ * @returns {Promise<Object>} Target with action ('restored', 'skipped' or 'failed'), fromVersion and reason or error
+ */
+async function rollbackPage (target, auth, { force, reason }) {
+  const page = await apiClient.getPageById(target.id, auth)
+  if (!page || (page.status || 'current') !== 'current') {
+    return { ...target, action: 'skipped', reason: page ? `page is ${page.status}` : 'page not found' }
+  }
+  const title = page.title || target.title
+  const fromVersion = page.version?.number || null
+  const entry = { ...target, title, fromVersion }
+
+  if (!await pageManager.isPageSafeToUpdate(target.id, auth)) {
+    return { ...entry, action: 'skipped', reason: `no '${CONFIG.generatedLabel}' label` }
+  }
+  if (fromVersion === target.toVersion) {
+    return { ...entry, action: 'skipped', reason: `already at version ${target.toVersion}` }
+  }
+  if (target.expectedVersion && fromVersion !== target.expectedVersion && !force) {
+    return { ...entry, action: 'skipped', reason: `changed since that publish (version ${target.expectedVersion} → ${fromVersion}); use --force to roll back anyway` }
+  }
+
+  if (CONFIG.dryRun) {
+    console.error(`  🧪 Dry run: would restore '${title}' (ID: ${target.id}) from version ${fromVersion} to ${target.toVersion}`)
+    return { ...entry, action: 'restored' }
+  }
+
+  const response = await apiClient.restorePageVersion(target.id, target.toVersion, rollbackMessage(target.toVersion, reason), auth)
+  if (response.status !== 200) {
+    console.error(`  ❌ Failed to restore '${title}' (ID: ${target.id}): HTTP ${response.status}`)
+    return { ...entry, action: 'failed', error: `HTTP ${response.status}: ${utils.extractError(response.body)}` }
+  }
+  const newVersion = response.body?.number || fromVersion + 1
+  console.error(`  ⏪ Restored '${title}' (ID: ${target.id}) to version ${target.toVersion} (now version ${newVersion})`)
+
+  // The restored content no longer matches the recorded hash, so the next publish rewrites the page;
+  // recording the new version keeps the rollback from looking like a hand edit
+  const record = await pageManager.getPageProperty(target.id, SOURCE_HASH_PROPERTY, auth)
+  if (record?.value) {
+    await pageManager.setPageProperty(target.id, SOURCE_HASH_PROPERTY, {
+      ...record.value,
+      hash: null,
+      pageVersion: newVersion,
+      previousVersion: fromVersion,
+      rolledBackAt: new Date().toISOString()
+    }, auth)
+  }
+
+  return { ...entry, action: 'restored', newVersion }
+}
+
+/**
+ * Roll pages back (in dry runs, only report what would be restored)
+ * @param {Array<Object>} targets - Targets from a select function
+ * @param {Object} auth - Authentication credentials
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Roll back pages changed since the publish being undone
+ * @param {string} [options.reason] - What is being undone, for the version message
+ * @returns {Promise<Array<Object>>} One entry per target (see rollbackPage)
+ */
+async function rollbackPages (targets, auth, { force = false, reason = null } = {}) {
+  const results = []
+  for (const target of targets) {
+    try {
+      results.push(await rollbackPage(target, auth, { force, reason }))
+    } catch (error) {
+      console.error(`  ❌ Failed to restore '${target.title}' (ID: ${target.id}): ${error.message}`)
+      results.push({ ...target, action: 'failed', error: error.message })
+    }
+  }
+  return results
+}
+
+/**
+ * Count rollback entries by action
+ * @param {Array<Object>} pages - Skipped entries from a select function, then entries from rollbackPages
+ * @returns {Object} { restored, skipped, failed }
+ */
+function summariseRollback (pages) {
+  const summary = { restored: 0, skipped: 0, failed: 0 }
+  for (const page of pages) {
+    summary[page.action]++
+  }
+  return summary
+}
+
+/**
+ * Render a rollback as report lines
+ * @param {Array<Object>} pages - Entries (see summariseRollback)
+ * @returns {string} Report
+ */
+function formatRollbackSummary (pages) {
+  const summary = summariseRollback(pages)
+  const lines = [
+    `  ⏪ Rollback: ${summary.restored} ${CONFIG.dryRun ? 'to restore' : 'restored'}, ${summary.skipped} skipped, ${summary.failed} failed${CONFIG.dryRun ? ' (dry run)' : ''}`
+  ]
+  for (const page of pages) {
+    const name = `[${page.space || '?'}] ${page.title || page.source || page.id} (ID: ${page.id})`
+    if (page.action === 'restored') {
+      lines.push(`    ⏪ ${name}: version ${page.fromVersion} → ${page.toVersion}`)
+    } else if (page.action === 'failed') {
+      lines.push(`    ❌ ${name}: ${page.error}`)
+    } else {
+      lines.push(`    ⏭️  ${name}: ${page.reason}`)
+    }
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Render a rollback as Markdown (suitable for $GITHUB_STEP_SUMMARY)
+ * @param {Array<Object>} pages - Entries (see summariseRollback)
+ * @returns {string} Markdown
+ */
+function toMarkdown (pages) {
+  const summary = summariseRollback(pages)
+  const lines = [
+    `## Confluence rollback${CONFIG.dryRun ? ' (dry run)' : ''}`,
+    '',
+    `⏪ ${summary.restored} ${CONFIG.dryRun ? 'to restore' : 'restored'} · ⏭️ ${summary.skipped} skipped · ❌ ${summary.failed} failed`,
+    ''
+  ]
+  if (pages.length === 0) {
+    lines.push('No pages matched.')
+    return lines.join('\n') + '\n'
+  }
+
+  lines.push('| | Page | Space | Versions | Notes |')
+  lines.push('|---|---|---|---|---|')
+  for (const page of pages) {
+    const versions = page.fromVersion && page.toVersion ? `${page.fromVersion} → ${page.toVersion}` : ''
+    const notes = String(page.error || page.reason || '').replace(/\|/g, '\\|')
+    lines.push(`| ${page.action} | ${String(page.title || page.id).replace(/\|/g, '\\|')} | ${page.space || ''} | ${versions} | ${notes} |`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  setConfig,
+  loadPublishReport,
+  selectFromReport,
+  selectByLabel,
+  selectBefore,
+  rollbackMessage,
+  rollbackPages,
+  summariseRollback,
+  formatRollbackSummary,
+  toMarkdown
+}
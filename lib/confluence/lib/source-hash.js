@@ -0,0 +1,67 @@
+/**
+ * Source hashing for change detection on publish
+ * @module @defra/delivery-info-arch-tooling/confluence/source-hash
+ *
+ * A page is only rewritten when the hash of what we would send differs from
+ * the hash stored on the page by the previous publish.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs').promises
+const path = require('path')
+
+/**
+ * Content property key the hash is stored under on each published page
+ */
+const SOURCE_HASH_PROPERTY = 'defra-publish-source-hash'
+
+/**
+ * Hash the contents of an image file
+ * @param {string} imagePath - Path to image
+ * @returns {Promise<string>} Hex digest, or 'missing' when the file cannot be read
+ */
+async function hashFile (imagePath) {
+  try {
+    const data = await fs.readFile(imagePath)
+    return crypto.createHash('sha256').update(data).digest('hex')
+  } catch (error) {
+    return 'missing'
+  }
+}
+
+/**
+ * Compute a stable hash of the rendered page and the images it embeds
+ * @param {Object} source - Page source
+ * @param {string} source.title - Page title
+ * @param {Object|string} source.body - Rendered body (ADF object or storage string)
+ * @param {Array<string>} [source.imagePaths] - Paths of images that will be attached
+ * @param {Array<string>} [source.labels] - Extra labels requested in frontmatter
+ * @returns {Promise<string>} Hex digest
+ */
+async function computeSourceHash ({ title, body, imagePaths = [], labels = [] }) {
+  const hash = crypto.createHash('sha256')
+  hash.update(`title:${title}\n`)
+  hash.update(`body:${typeof body === 'string' ? body : JSON.stringify(body)}\n`)
+  // Only hashed when present, so pages without frontmatter labels keep their hash
+  if (labels.length > 0) {
+    hash.update(`labels:${[...new Set(labels)].sort().join(',')}\n`)
+  }
+
+  // Key images by filename (absolute paths differ between machines) and sort
+  // so the hash does not depend on discovery order
+  const uniquePaths = [...new Set(imagePaths.filter(Boolean))].sort()
+  const entries = []
+  for (const imagePath of uniquePaths) {
+    entries.push(`image:${path.basename(imagePath)}:${await hashFile(imagePath)}`)
+  }
+  for (const entry of entries.sort()) {
+    hash.update(`${entry}\n`)
+  }
+
+  return hash.digest('hex')
+}
+
+module.exports = {
+  SOURCE_HASH_PROPERTY,
+  computeSourceHash
+}
@@ -0,0 +1,190 @@
+/**
+ * Take published pages down by source path
+ * @module @defra/delivery-info-arch-tooling/confluence/unpublish
+ *
+ * Archives or trashes the generated pages published from given source files,
+ * then any folder pages (from hierarchy-manager getOrCreateFolder) left with
+ * no children, walking up towards the space root. Pages without the generated
+ * label, and folders that still hold other pages, are left alone. Native
+ * folders (options.nativeFolders) are not removed.
+ */
+
+const apiClient = require('./api-client')
+const pageManager = require('./page-manager')
+const { SOURCE_HASH_PROPERTY } = require('./source-hash')
+
+/**
+ * Configuration (will be set by main module)
+ */
+let CONFIG = {
+  generatedLabel: process.env.GENERATED_LABEL || 'generated',
+  dryRun: false
+}
+
+/**
+ * What unpublish does with a page
+ */
+const UNPUBLISH_ACTIONS = ['archive', 'trash']
+
+/**
+ * Set configuration (called by main module)
+ * @param {Object} config - Configuration object
+ */
+function setConfig (config) {
+  CONFIG = { ...CONFIG, ...config }
+}
+
+/**
+ * Archive or trash a page
+ * @param {Object} page - { id, title }
+ * @param {string} action - 'archive' or 'trash'
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<boolean>} True if removed (always, in dry runs)
+ */
+function removePage (page, action, auth) {
+  return action === 'archive'
+    ? pageManager.archivePage(page.id, page.title, auth)
+    : pageManager.trashPage(page.id, page.title, auth)
+}
+
+/**
+ * Direct parent page of a page, if it is a page (not a native folder or the space root)
+ * @param {Object} page - Page with ancestors
+ * @returns {string|null} Parent page ID
+ */
+function parentPageId (page) {
+  const ancestors = page.ancestors || []
+  const parent = ancestors[ancestors.length - 1]
+  return parent && (parent.type || 'page') === 'page' ? String(parent.id) : null
+}
+
+/**
+ * Remove the pages published from source files
+ * @param {Array<Object>} targets - { source, id, title, space, reason, error } (id null when no page was found)
+ * @param {string} action - 'archive' or 'trash'
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<Object>>} Target with action ('removed', 'skipped' or 'failed'), parentId and reason
+ */
+async function unpublishPages (targets, action, auth) {
+  if (!UNPUBLISH_ACTIONS.includes(action)) {
+    throw new Error(`Unknown unpublish action '${action}' (expected one of: ${UNPUBLISH_ACTIONS.join(', ')})`)
+  }
+
+  const results = []
+  for (const target of targets) {
+    if (!target.id) {
+      results.push(target.error
+        ? { ...target, action: 'failed' }
+        : { ...target, action: 'skipped', reason: target.reason || 'no published page found' })
+      continue
+    }
+
+    const page = await apiClient.getPageById(target.id, auth)
+    if (!page || (page.status || 'current') !== 'current') {
+      results.push({ ...target, action: 'skipped', reason: page ? `page is already ${page.status}` : 'page not found' })
+      continue
+    }
+    const entry = { ...target, title: page.title || target.title, parentId: parentPageId(page) }
+
+    if (!await pageManager.isPageSafeToUpdate(target.id, auth)) {
+      console.error(`  ⏭️  Leaving '${entry.title}' (ID: ${target.id}): no '${CONFIG.generatedLabel}' label`)
+      results.push({ ...entry, action: 'skipped', reason: `no '${CONFIG.generatedLabel}' label` })
+      continue
+    }
+
+    results.push(await removePage(entry, action, auth)
+      ? { ...entry, action: 'removed' }
+      : { ...entry, action: 'failed', error: `could not ${action} the page` })
+  }
+  return results
+}
+
+/**
+ * Remove generated folder pages left with no children, walking up from the removed pages' parents
+ * @param {Array<Object>} removed - Entries from unpublishPages with action 'removed'
+ * @param {string} action - 'archive' or 'trash'
+ * @param {Object} auth - Authentication credentials
+ * @returns {Promise<Array<Object>>} Folder entries { id, title, space, source, folder: true, action }
+ */
+async function removeEmptyFolders (removed, action, auth) {
+  // Removed pages still show as children in dry runs, so track them
+  const removedIds = new Set(removed.map(page => String(page.id)))
+  const folders = []
+  const visited = new Set()
+
+  for (const start of removed) {
+    let folderId = start.parentId
+    while (folderId && !visited.has(folderId)) {
+      visited.add(folderId)
+
+      const folder = await apiClient.getPageById(folderId, auth)
+      if (!folder || (folder.status || 'current') !== 'current') break
+      const record = (await pageManager.getPageProperty(folderId, SOURCE_HASH_PROPERTY, auth))?.value
+      if (!record?.folder || !await pageManager.isPageSafeToUpdate(folderId, auth)) break
+
+      const children = await apiClient.getChildPages(folderId, auth)
+      if (children.some(child => !removedIds.has(String(child.id)))) break
+
+      const entry = { id: folderId, title: folder.title, space: folder.space?.key || start.space, source: record.source || null, folder: true }
+      if (await removePage(entry, action, auth)) {
+        folders.push({ ...entry, action: 'removed' })
+        removedIds.add(folderId)
+        folderId = parentPageId(folder)
+      } else {
+        folders.push({ ...entry, action: 'failed', error: `could not ${action} the folder page` })
+        break
+      }
+    }
+  }
+  return folders
+}
+
+/**
+ * Count unpublish entries by action
+ * @param {Array<Object>} pages - Entries from unpublishPages and removeEmptyFolders
+ * @returns {Object} { removed, skipped, failed, folders }
+ */
+function summariseUnpublish (pages) {
+  const summary = { removed: 0, skipped: 0, failed: 0, folders: 0 }
+  for (const page of pages) {
+    summary[page.action]++
+    if (page.folder && page.action === 'removed') {
+      summary.folders++
+    }
+  }
+  return summary
+}
+
+/**
+ * Render an unpublish as report lines
+ * @param {Array<Object>} pages - Entries from unpublishPages and removeEmptyFolders
+ * @param {string} action - 'archive' or 'trash'
+ * @returns {string} Report
+ */
+function formatUnpublishSummary (pages, action) {
+  const summary = summariseUnpublish(pages)
+  const verb = action === 'archive' ? 'archived' : 'trashed'
+  const lines = [
+    `  🗑️  Unpublish: ${summary.removed} ${CONFIG.dryRun ? `to be ${verb}` : verb} (${summary.folders} folder page(s)), ${summary.skipped} skipped, ${summary.failed} failed${CONFIG.dryRun ? ' (dry run)' : ''}`
+  ]
+  for (const page of pages) {
+    const name = `${page.folder ? 'folder ' : ''}[${page.space || '?'}] ${page.title || page.source}${page.id ? ` (ID: ${page.id})` : ''}`
+    if (page.action === 'removed') {
+      lines.push(`    - ${name}${page.source && !page.folder ? ` ← ${page.source}` : ''}`)
+    } else if (page.action === 'failed') {
+      lines.push(`    ❌ ${name}: ${page.error}`)
+    } else {
+      lines.push(`    ⏭️  ${name}: ${page.reason}`)
+    }
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  UNPUBLISH_ACTIONS,
+  setConfig,
+  unpublishPages,
+  removeEmptyFolders,
+  summariseUnpublish,
+  formatUnpublishSummary
+}
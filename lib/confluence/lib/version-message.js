@@ -0,0 +1,140 @@
+/**
+ * Page version messages from git commit metadata
+ * @module @defra/delivery-info-arch-tooling/confluence/version-message
+ *
+ * Each page update records the latest commit touching the page's source file
+ * in the page history, from a template with these placeholders:
+ *
+ *   {shortSha} {sha}   - Commit SHA
+ *   {subject}          - First line of the commit message
+ *   {author} {email}   - Commit author
+ *   {date}             - Author date (ISO 8601)
+ *   {url}              - Commit on GitHub (empty when the repository is unknown)
+ *   {source}           - Source file, relative to the repository root
+ *
+ * Sources with uncommitted changes get " (with uncommitted changes)" appended;
+ * files git does not track get no message.
+ */
+
+const path = require('path')
+const { execFileSync } = require('child_process')
+const { getGitHubCommitUrl } = require('./github')
+
+/**
+ * Default template
+ */
+const DEFAULT_VERSION_MESSAGE_TEMPLATE = '{shortSha} {subject} ({author}) {url}'
+
+/**
+ * Longest message written (the subject is shortened to fit)
+ */
+const MAX_VERSION_MESSAGE_LENGTH = 255
+
+/**
+ * Field separator for git log output
+ */
+const SEPARATOR = '\x1f'
+
+/**
+ * Run git in a file's directory
+ * @param {string} filePath - File the command is about
+ * @param {Array<string>} args - Git arguments
+ * @returns {string} Standard output
+ */
+function git (filePath, args) {
+  return execFileSync('git', args, {
+    cwd: path.dirname(path.resolve(filePath)),
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+}
+
+/**
+ * Get the latest commit touching a file
+ * @param {string} filePath - Source file
+ * @returns {Object|null} { sha, shortSha, subject, author, email, date, source, dirty }, or null when git has no commit for it
+ */
+function getLastCommit (filePath) {
+  const absolutePath = path.resolve(filePath)
+  let output
+  let status
+  try {
+    output = git(absolutePath, ['log', '-1', `--format=%H${SEPARATOR}%h${SEPARATOR}%s${SEPARATOR}%an${SEPARATOR}%ae${SEPARATOR}%aI`, '--', absolutePath]).trim()
+    status = git(absolutePath, ['status', '--porcelain', '--', absolutePath]).trim()
+  } catch (error) {
+    // Not a git repository, or git is not installed
+    return null
+  }
+  if (!output) {
+    return null
+  }
+
+  const [sha, shortSha, subject, author, email, date] = output.split(SEPARATOR)
+  let source = path.basename(absolutePath)
+  try {
+    source = path.relative(git(absolutePath, ['rev-parse', '--show-toplevel']).trim(), absolutePath).replace(/\\/g, '/')
+  } catch (error) {
+    // Keep the file name
+  }
+  return { sha, shortSha, subject, author, email, date, source, dirty: status !== '' }
+}
+
+/**
+ * Fill a template's placeholders (unknown placeholders are left as written)
+ * @param {string} template - Template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Message with whitespace collapsed
+ */
+function fillTemplate (template, values) {
+  return template
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name] ?? '') : placeholder))
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Render a version message for a commit
+ * @param {Object} commit - Result of getLastCommit
+ * @param {string} [template] - Template (default: DEFAULT_VERSION_MESSAGE_TEMPLATE)
+ * @returns {string} Message of at most MAX_VERSION_MESSAGE_LENGTH characters
+ */
+function renderVersionMessage (commit, template = DEFAULT_VERSION_MESSAGE_TEMPLATE) {
+  const values = {
+    sha: commit.sha,
+    shortSha: commit.shortSha,
+    subject: commit.subject,
+    author: commit.author,
+    email: commit.email,
+    date: commit.date,
+    url: getGitHubCommitUrl(commit.sha),
+    source: commit.source
+  }
+  const suffix = commit.dirty ? ' (with uncommitted changes)' : ''
+  let message = fillTemplate(template, values) + suffix
+
+  // Shorten the subject rather than cut off the link
+  const overflow = message.length - MAX_VERSION_MESSAGE_LENGTH
+  if (overflow > 0 && values.subject && template.includes('{subject}') && values.subject.length > overflow + 1) {
+    message = fillTemplate(template, { ...values, subject: `${values.subject.slice(0, values.subject.length - overflow - 1)}…` }) + suffix
+  }
+  return message.slice(0, MAX_VERSION_MESSAGE_LENGTH)
+}
+
+/**
+ * Build the version message for an update of a page published from a file
+ * @param {string} filePath - Source file
+ * @param {string} [template] - Template (default: DEFAULT_VERSION_MESSAGE_TEMPLATE)
+ * @returns {string|null} Message, or null when the file has no commit
+ */
+function buildVersionMessage (filePath, template) {
+  const commit = getLastCommit(filePath)
+  return commit ? renderVersionMessage(commit, template) : null
+}
+
+module.exports = {
+  DEFAULT_VERSION_MESSAGE_TEMPLATE,
+  MAX_VERSION_MESSAGE_LENGTH,
+  getLastCommit,
+  renderVersionMessage,
+  buildVersionMessage
+}
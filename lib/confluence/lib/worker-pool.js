@@ -0,0 +1,96 @@
+/**
+ * Bounded worker pool for publishing files concurrently
+ * @module @defra/delivery-info-arch-tooling/confluence/worker-pool
+ *
+ * Publishing modules log progress with console.error as they go. When several
+ * files are in flight those lines would interleave, so while the pool runs
+ * with more than one worker, each task's output is buffered and printed as a
+ * single block when the task finishes.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks')
+const util = require('util')
+
+const logStore = new AsyncLocalStorage()
+
+/**
+ * Route console.error into the current task's buffer, if there is one
+ * @returns {Function} Restores the original console.error and returns it
+ */
+function bufferConsoleError () {
+  const original = console.error
+  console.error = (...args) => {
+    const lines = logStore.getStore()
+    if (lines) {
+      lines.push(util.format(...args))
+    } else {
+      original(...args)
+    }
+  }
+  return () => {
+    console.error = original
+    return original
+  }
+}
+
+/**
+ * Run items through a worker with at most `concurrency` in flight
+ * Workers should handle their own errors; a rejection stops the pool.
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Maximum number of items in flight (1 = serial)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results, in item order
+ */
+async function runPool (items, concurrency, worker) {
+  const results = new Array(items.length)
+  const limit = Math.max(1, Math.min(Number(concurrency) || 1, items.length))
+  let next = 0
+
+  if (limit === 1) {
+    for (let i = 0; i < items.length; i++) {
+      results[i] = await worker(items[i], i)
+    }
+    return results
+  }
+
+  const original = console.error
+  const restore = bufferConsoleError()
+  try {
+    await Promise.all(Array.from({ length: limit }, async () => {
+      while (next < items.length) {
+        const index = next++
+        const lines = []
+        try {
+          results[index] = await logStore.run(lines, () => worker(items[index], index))
+        } finally {
+          if (lines.length > 0) {
+            original(lines.join('\n'))
+          }
+        }
+      }
+    }))
+  } finally {
+    restore()
+  }
+
+  return results
+}
+
+/**
+ * Resolve the concurrency setting from an option, then config, defaulting to serial
+ * @param {number|string} option - Explicit value (e.g. from --concurrency)
+ * @param {number|string} configValue - Value from confluence-config.json options
+ * @returns {number} Concurrency (at least 1)
+ */
+function resolveConcurrency (option, configValue) {
+  const value = parseInt(option ?? configValue ?? 1, 10)
+  if (Number.isNaN(value) || value < 1) {
+    throw new Error(`Invalid concurrency '${option ?? configValue}' (expected a positive integer)`)
+  }
+  return value
+}
+
+module.exports = {
+  runPool,
+  resolveConcurrency
+}
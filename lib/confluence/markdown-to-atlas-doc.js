@@ -1,14 +1,248 @@
 #!/usr/bin/env node
 /**
  * Convert Markdown to Confluence Atlas Doc Format (Cloud Editor Format)
- * 
+ *
  * This converter transforms markdown content into Confluence's native
  * atlas_doc_format JSON structure, which is compatible with the cloud editor
  * and eliminates the legacy editor warning.
+ *
+ * Markdown is parsed by markdown-it (CommonMark, plus GFM tables,
+ * strikethrough, bare URLs and task lists, footnotes and definition lists)
+ * into a token tree, and each node type has an emitter that builds its ADF
+ * node. GitHub alerts (> [!NOTE]) and Astro
+ * asides (:::note[Title]) become panels (see lib/panels.js). Images are ADF media blocks: remote
+ * images as external media, local ones as placeholders that publishing swaps for the uploaded
+ * attachment. ADF is stricter than Markdown about what
+ * may nest where (no headings, rules or quotes in list items or quotes, no
+ * other marks on inline code), so such content is fitted to what ADF allows
+ * rather than rejected. tests/confluence/markdown-conformance.test.js checks
+ * the output against the CommonMark spec examples.
+ *
+ * Used as a module (convertMarkdownToAtlasDoc), or as a script reading
+ * markdown from stdin and writing compact JSON to stdout.
  */
 
 const readline = require('readline');
-const { collapseBlankLinesInTables, isTableRow, isTableSeparator } = require('../ppt/content-filters');
+const MarkdownIt = require('markdown-it');
+const markdownItFootnote = require('markdown-it-footnote');
+const markdownItDeflist = require('markdown-it-deflist');
+const { collapseBlankLinesInTables } = require('../ppt/content-filters');
+const { ALERT_PANEL_TYPES, ASIDE_PANEL_TYPES } = require('../panel-types');
+
+/**
+ * Resolved targets for relative links (link as written → URL), set per conversion
+ */
+let linkTargets = {};
+
+/**
+ * Task lists and items made so far in this conversion, for their local IDs
+ * (numbered rather than random, so an unchanged page converts the same)
+ */
+let taskCount = 0;
+
+/**
+ * Block nodes ADF allows inside each container (containers not listed take any block)
+ */
+const ALLOWED_CHILDREN = {
+    listItem: ['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle'],
+    blockquote: ['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle', 'mediaGroup'],
+    panel: ['paragraph', 'heading', 'bulletList', 'orderedList', 'taskList', 'codeBlock', 'mediaSingle', 'mediaGroup', 'rule']
+};
+
+/**
+ * Block nodes a list item may start with
+ */
+const LIST_ITEM_FIRST_CHILDREN = ['paragraph', 'codeBlock', 'mediaSingle'];
+
+/**
+ * Confluence image placeholders from diagrams: <ac:image-placeholder-viewid="viewId"/>,
+ * with alt="..." for mermaid fences
+ */
+const IMAGE_PLACEHOLDER = /^<ac:image-placeholder-viewid="([^"]+)"(?:\s+alt="([^"]*)")?\s*\/?>/;
+
+/**
+ * Width hint written straight after an image: ![alt](src){width=600} or {width=50%}
+ */
+const IMAGE_WIDTH_HINT = /^\{\s*width\s*=\s*["']?(\d+(?:px|%)?)["']?\s*\}/;
+
+/**
+ * An HTML image tag, and the attributes in it
+ */
+const IMG_TAG = /<img\b[^>]*>/gi;
+const HTML_ATTRIBUTE = /([A-Za-z_:][-A-Za-z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+
+/**
+ * Image sources published as external media; anything else is a file to upload
+ */
+const REMOTE_IMAGE = /^(?:https?:)?\/\//i;
+
+/**
+ * GitHub alert marker, alone on the first line of a quote
+ */
+const GITHUB_ALERT = /^\[!([A-Za-z]+)\][ \t]*(?:\n|$)/;
+
+/**
+ * Astro aside fences: :::type or :::type[Title] to open, ::: to close
+ */
+const ASIDE_OPEN = /^:::[ \t]*([A-Za-z]+)(?:\[([^\]]*)\])?[ \t]*$/;
+const ASIDE_CLOSE = /^:::[ \t]*$/;
+
+/**
+ * GFM task list item marker, at the start of the item: [ ] to do, [x] done
+ */
+const TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+
+/**
+ * GFM table column alignment (from markdown-it's cell style) → ADF alignment mark
+ */
+const TABLE_ALIGNMENT = {
+    'text-align:center': 'center',
+    'text-align:right': 'end'
+};
+
+/**
+ * Inline rule: image placeholders, which markdown-it would otherwise read as autolinks
+ */
+function imagePlaceholderRule(state, silent) {
+    if (state.src.charCodeAt(state.pos) !== 0x3C /* < */) return false;
+    const match = IMAGE_PLACEHOLDER.exec(state.src.slice(state.pos));
+    if (!match) return false;
+    if (!silent) {
+        const token = state.push('image_placeholder', '', 0);
+        token.meta = { viewId: match[1], alt: match[2] && md.utils.unescapeAll(match[2]) };
+    }
+    state.pos += match[0].length;
+    return true;
+}
+
+/**
+ * Core rule: a width hint straight after an image is kept on the image token (hint removed)
+ */
+function imageWidthRule(state) {
+    for (const inline of state.tokens.filter(token => token.type === 'inline')) {
+        const children = inline.children || [];
+        for (let i = 0; i + 1 < children.length; i++) {
+            if (children[i].type !== 'image' || children[i + 1].type !== 'text') continue;
+            const match = IMAGE_WIDTH_HINT.exec(children[i + 1].content);
+            if (!match) continue;
+            children[i].meta = { width: match[1] };
+            children[i + 1].content = children[i + 1].content.slice(match[0].length);
+        }
+    }
+}
+
+/**
+ * Core rule: __text__ is italic, as in Defra docs (see normalizeDefraEmphasisForMarkdown
+ * in ../ppt/content-filters), where CommonMark makes it bold
+ */
+function defraEmphasisRule(state) {
+    for (const inline of state.tokens.filter(token => token.type === 'inline')) {
+        for (const token of inline.children || []) {
+            if (token.markup !== '__' || (token.type !== 'strong_open' && token.type !== 'strong_close')) continue;
+            token.type = token.type.replace('strong', 'em');
+            token.tag = 'em';
+        }
+    }
+}
+
+/**
+ * Core rule: a quote starting with a GitHub alert marker is a panel (marker removed)
+ */
+function githubAlertRule(state) {
+    const tokens = state.tokens;
+    for (let i = 0; i + 2 < tokens.length; i++) {
+        if (tokens[i].type !== 'blockquote_open' || tokens[i + 1].type !== 'paragraph_open') continue;
+        const match = GITHUB_ALERT.exec(tokens[i + 2].content);
+        const panelType = match && ALERT_PANEL_TYPES[match[1].toUpperCase()];
+        if (!panelType) continue;
+        tokens[i].meta = { panelType };
+        tokens[i + 2].content = tokens[i + 2].content.slice(match[0].length);
+    }
+}
+
+/**
+ * Block rule: Astro asides, fenced by ::: lines
+ */
+function asideRule(state, startLine, endLine, silent) {
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    const match = ASIDE_OPEN.exec(state.src.slice(state.bMarks[startLine] + state.tShift[startLine], state.eMarks[startLine]));
+    const panelType = match && ASIDE_PANEL_TYPES[match[1].toLowerCase()];
+    if (!panelType) return false;
+    if (silent) return true;
+
+    // The aside runs to its closing fence, or the end of its container
+    let nextLine = startLine + 1;
+    let closed = false;
+    for (; nextLine < endLine; nextLine++) {
+        const lineStart = state.bMarks[nextLine] + state.tShift[nextLine];
+        const lineEnd = state.eMarks[nextLine];
+        if (lineStart < lineEnd && state.sCount[nextLine] < state.blkIndent) break;
+        if (state.sCount[nextLine] - state.blkIndent < 4 && ASIDE_CLOSE.test(state.src.slice(lineStart, lineEnd))) {
+            closed = true;
+            break;
+        }
+    }
+
+    const oldParentType = state.parentType;
+    const oldLineMax = state.lineMax;
+    state.parentType = 'aside';
+    state.lineMax = nextLine;
+
+    const open = state.push('aside_open', 'aside', 1);
+    open.meta = { panelType, title: match[2] ? match[2].trim() : null };
+    open.map = [startLine, nextLine];
+    state.md.block.tokenize(state, startLine + 1, nextLine);
+    state.push('aside_close', 'aside', -1);
+
+    state.parentType = oldParentType;
+    state.lineMax = oldLineMax;
+    state.line = nextLine + (closed ? 1 : 0);
+    return true;
+}
+
+/**
+ * Create the markdown-it parser
+ */
+function createParser() {
+    const md = new MarkdownIt('commonmark', { html: true, linkify: true });
+    md.enable(['table', 'strikethrough', 'linkify']);
+    md.use(markdownItFootnote);
+    md.use(markdownItDeflist);
+    md.inline.ruler.before('autolink', 'image_placeholder', imagePlaceholderRule);
+    md.block.ruler.before('fence', 'aside', asideRule, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+    md.core.ruler.after('block', 'github_alert', githubAlertRule);
+    md.core.ruler.after('inline', 'image_width', imageWidthRule);
+    // Last, so inline footnotes (moved to the end by the footnote plugin) are covered too
+    md.core.ruler.push('defra_emphasis', defraEmphasisRule);
+    return md;
+}
+
+const md = createParser();
+
+/**
+ * Nest markdown-it's flat token stream into a tree of { type, token, children }
+ */
+function buildTree(tokens) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    for (const token of tokens) {
+        const parent = stack[stack.length - 1];
+        if (token.nesting === 1) {
+            const node = { type: token.type.replace(/_open$/, ''), token, children: [] };
+            parent.children.push(node);
+            stack.push(node);
+        } else if (token.nesting === -1) {
+            stack.pop();
+        } else {
+            parent.children.push({
+                type: token.type,
+                token,
+                children: token.children ? buildTree(token.children).children : []
+            });
+        }
+    }
+    return root;
+}
 
 /**
  * Create a text node with optional marks (formatting)
@@ -27,139 +261,328 @@ function createTextNode(text, marks = []) {
 /**
  * Create a mark (formatting like bold, italic, code)
  */
-function createMark(type, attrs = {}) {
-    return { type, attrs };
+function createMark(type, attrs) {
+    return attrs ? { type, attrs } : { type };
 }
 
 /**
- * Parse inline markdown formatting and return text nodes with marks
+ * Plain text of an inline tree (image alt text, link text)
  */
-function parseInlineFormatting(text) {
-    const nodes = [];
-    let currentPos = 0;
-    let currentText = '';
-    let currentMarks = [];
+function plainText(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'text' || node.type === 'code_inline') return node.token.content;
+        if (node.type === 'softbreak' || node.type === 'hardbreak') return ' ';
+        return plainText(node.children);
+    }).join('');
+}
 
-    // Patterns for markdown formatting
-    const patterns = [
-        { regex: /\*\*([^*]+)\*\*/g, mark: 'strong' },      // Bold
-        { regex: /__([^_]+)__/g, mark: 'em' },               // Italic (Defra convention)
-        { regex: /\*([^*]+)\*/g, mark: 'em' },              // Italic
-        { regex: /_([^_]+)_/g, mark: 'em' },                // Italic (underscore)
-        { regex: /`([^`]+)`/g, mark: 'code' },              // Inline code
-        { regex: /\[([^\]]+)\]\(([^)]+)\)/g, mark: 'link' } // Links
-    ];
+/**
+ * Resolved target of a link, trying it as written and with percent-encoding undone
+ */
+function resolveLink(href) {
+    if (linkTargets[href]) return linkTargets[href];
+    try {
+        return linkTargets[decodeURI(href)] || null;
+    } catch (error) {
+        return null;
+    }
+}
 
-    // Simple approach: process text character by character and detect patterns
-    // For now, use a simpler regex-based approach
-    // Use a placeholder format that won't be interpreted as markdown (no underscores)
-    let processed = text;
-    const placeholders = new Map();
-    let placeholderId = 0;
-
-    // Process code first (backticks) - highest priority
-    processed = processed.replace(/`([^`]+)`/g, (match, code) => {
-        const id = `\u0001PLACEHOLDER${placeholderId++}\u0001`;
-        placeholders.set(id, { type: 'code', text: code });
-        return id;
-    });
+/**
+ * Whether raw inline HTML is a line break tag
+ */
+function isLineBreakTag(html) {
+    return /^<br\s*\/?>$/i.test(html.trim());
+}
 
-    // Process links
-    processed = processed.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
-        const id = `\u0001PLACEHOLDER${placeholderId++}\u0001`;
-        placeholders.set(id, { type: 'link', text: linkText, url: url });
-        return id;
-    });
+/**
+ * Remove HTML comments (including the content filter markers) from raw HTML
+ */
+function stripComments(html) {
+    return html.replace(/<!--[\s\S]*?-->/g, '');
+}
 
-    // Process bold (must come before italic)
-    processed = processed.replace(/\*\*([^*]+)\*\*/g, (match, boldText) => {
-        if (match.includes('\u0001PLACEHOLDER')) return match; // Skip if contains placeholder
-        const id = `\u0001PLACEHOLDER${placeholderId++}\u0001`;
-        placeholders.set(id, { type: 'strong', text: boldText });
-        return id;
-    });
-    processed = processed.replace(/__([^_]+)__/g, (match, italicText) => {
-        if (match.includes('\u0001PLACEHOLDER')) return match;
-        const id = `\u0001PLACEHOLDER${placeholderId++}\u0001`;
-        placeholders.set(id, { type: 'em', text: italicText });
-        return id;
-    });
+/**
+ * Source, alt text and width of an HTML <img> tag, or null when it has no usable source
+ */
+function parseImageTag(html) {
+    const attributes = {};
+    for (const [, name, ...values] of html.matchAll(HTML_ATTRIBUTE)) {
+        attributes[name.toLowerCase()] = md.utils.unescapeAll(values.find(value => value !== undefined));
+    }
+    const src = attributes.src && md.normalizeLink(attributes.src.trim());
+    if (!src || !md.validateLink(src)) return null;
+    return { src, alt: attributes.alt || '', width: attributes.width || null };
+}
 
-    // Process italic
-    processed = processed.replace(/\*([^*]+)\*/g, (match, italicText) => {
-        if (match.includes('\u0001PLACEHOLDER')) return match;
-        const id = `\u0001PLACEHOLDER${placeholderId++}\u0001`;
-        placeholders.set(id, { type: 'em', text: italicText });
-        return id;
-    });
-    processed = processed.replace(/_([^_]+)_/g, (match, italicText) => {
-        if (match.includes('\u0001PLACEHOLDER')) return match;
-        const id = `\u0001PLACEHOLDER${placeholderId++}\u0001`;
-        placeholders.set(id, { type: 'em', text: italicText });
-        return id;
-    });
+/**
+ * mediaSingle width attributes for a width hint in pixels (600, 600px) or percent (50%)
+ */
+function mediaWidth(hint) {
+    const match = /^(\d+)(px|%)?$/.exec(String(hint || '').trim());
+    if (!match || Number(match[1]) === 0) return {};
+    return match[2] === '%'
+        ? { width: Math.min(Number(match[1]), 100), widthType: 'percentage' }
+        : { width: Number(match[1]), widthType: 'pixel' };
+}
 
-    // Split by placeholders and build nodes
-    // Use control character (SOH) to mark placeholders - won't be interpreted as markdown
-    const placeholderRegex = /(\u0001PLACEHOLDER\d+\u0001)/g;
-    const parts = processed.split(placeholderRegex);
+/**
+ * Create an image block. Remote images are external media; local images are file media
+ * with their source as written, which publishing swaps for the uploaded attachment
+ */
+function createImage(src, alt, width, marks = []) {
+    const media = {
+        type: 'media',
+        attrs: {
+            type: REMOTE_IMAGE.test(src) ? 'external' : 'file',
+            url: src
+        }
+    };
+    if (alt) {
+        media.attrs.alt = alt;
+    }
+    // Media can be a link, but takes no formatting
+    const links = marks.filter(mark => mark.type === 'link');
+    if (links.length > 0) {
+        media.marks = links;
+    }
+    return {
+        type: 'mediaSingle',
+        attrs: { layout: 'center', ...mediaWidth(width) },
+        content: [media]
+    };
+}
 
-    for (const part of parts) {
-        if (!part) continue; // Skip empty strings
+/**
+ * Emitters for inline node types: (node, marks) → ADF inline nodes
+ */
+const INLINE_EMITTERS = {
+    text: (node, marks) => [createTextNode(node.token.content, marks)],
+    // ADF has no soft line break; the line wraps like HTML would
+    softbreak: (node, marks) => [createTextNode(' ', marks)],
+    hardbreak: () => [{ type: 'hardBreak' }],
+    // ADF allows no mark alongside code except a link
+    code_inline: (node, marks) => [createTextNode(node.token.content, [...marks.filter(mark => mark.type === 'link'), createMark('code')])],
+    strong: (node, marks) => emitInline(node.children, [...marks, createMark('strong')]),
+    em: (node, marks) => emitInline(node.children, [...marks, createMark('em')]),
+    s: (node, marks) => emitInline(node.children, [...marks, createMark('strike')]),
+    link: (node, marks) => {
+        const href = node.token.attrGet('href');
+        const title = node.token.attrGet('title');
+        const target = resolveLink(href);
+        if (target && node.token.markup !== 'linkify' && [href, md.normalizeLinkText(href)].includes(plainText(node.children))) {
+            // Bare link to another document: let Confluence show it as a smart link
+            return [{ type: 'inlineCard', attrs: { url: target } }];
+        }
+        const attrs = { href: target || href };
+        if (title) attrs.title = title;
+        return emitInline(node.children, [...marks, createMark('link', attrs)]);
+    },
+    // Images are blocks in ADF; paragraphs are split around them (see splitMedia)
+    image: (node, marks) => [createImage(node.token.attrGet('src'), plainText(node.children), node.token.meta && node.token.meta.width, marks)],
+    image_placeholder: (node) => [{
+        type: 'mediaSingle',
+        attrs: { layout: 'center' },
+        content: [{
+            type: 'media',
+            attrs: {
+                type: 'file',
+                __placeholder_viewid: node.token.meta.viewId,  // Special marker for replacement
+                ...(node.token.meta.alt && { alt: node.token.meta.alt })
+            }
+        }]
+    }],
+    // Footnote references are superscript numbers linking to the footnote (see createFootnotes)
+    footnote_ref: (node, marks) => [createTextNode(String(node.token.meta.id + 1), [
+        ...marks.filter(mark => mark.type !== 'link'),
+        createMark('link', { href: `#${footnoteAnchor(node.token.meta.id)}` }),
+        createMark('subsup', { type: 'sup' })
+    ])],
+    // ADF has no raw HTML: comments are dropped, <br> breaks the line, <img> shows the image and other tags show as written
+    html_inline: (node, marks) => {
+        const html = node.token.content;
+        if (isLineBreakTag(html)) return [{ type: 'hardBreak' }];
+        const image = /^<img\b/i.test(html) && parseImageTag(html);
+        if (image) return [createImage(image.src, image.alt, image.width, marks)];
+        return stripComments(html) ? [createTextNode(html, marks)] : [];
+    }
+};
 
-        if (part.startsWith('\u0001PLACEHOLDER') && placeholders.has(part)) {
-            const placeholder = placeholders.get(part);
-            const marks = [];
+/**
+ * Whether two mark lists are the same
+ */
+function sameMarks(a = [], b = []) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
 
-            if (placeholder.type === 'strong') {
-                marks.push(createMark('strong'));
-            } else if (placeholder.type === 'em') {
-                marks.push(createMark('em'));
-            } else if (placeholder.type === 'code') {
-                marks.push(createMark('code'));
+/**
+ * Convert an inline tree to ADF inline nodes, joining neighbouring text with the same marks
+ */
+function emitInline(nodes, marks = []) {
+    const result = [];
+    for (const node of nodes) {
+        const emitter = INLINE_EMITTERS[node.type];
+        const emitted = emitter ? emitter(node, marks) : emitInline(node.children, marks);
+        for (const inline of emitted) {
+            const previous = result[result.length - 1];
+            if (inline.type === 'text' && previous && previous.type === 'text' && sameMarks(previous.marks, inline.marks)) {
+                previous.text += inline.text;
+            } else if (inline.type !== 'text' || inline.text) {
+                result.push(inline);
             }
+        }
+    }
+    return result;
+}
 
-            if (placeholder.type === 'link') {
-                nodes.push({
-                    type: 'text',
-                    text: placeholder.text,
-                    marks: [{ type: 'link', attrs: { href: placeholder.url } }]
-                });
-            } else {
-                nodes.push(createTextNode(placeholder.text, marks));
-            }
-        } else if (part && !part.startsWith('\u0001PLACEHOLDER')) {
-            // Only add non-placeholder text
-            nodes.push(createTextNode(part));
+/**
+ * Inline content of a block node (its single inline child)
+ */
+function inlineContent(node, marks) {
+    const inline = node.children.find(child => child.type === 'inline');
+    return inline ? emitInline(inline.children, marks) : [];
+}
+
+/**
+ * Trim whitespace and line breaks from the start and/or end of inline nodes
+ */
+function trimInline(nodes, start, end) {
+    const isBlank = inline => inline.type === 'hardBreak' || (inline.type === 'text' && !inline.text.trim());
+    const trimmed = nodes.slice();
+    while (start && trimmed.length > 0 && isBlank(trimmed[0])) trimmed.shift();
+    while (end && trimmed.length > 0 && isBlank(trimmed[trimmed.length - 1])) trimmed.pop();
+    const last = trimmed.length - 1;
+    if (start && last >= 0 && trimmed[0].type === 'text') {
+        trimmed[0] = { ...trimmed[0], text: trimmed[0].text.trimStart() };
+    }
+    if (end && last >= 0 && trimmed[last].type === 'text') {
+        trimmed[last] = { ...trimmed[last], text: trimmed[last].text.trimEnd() };
+    }
+    return trimmed;
+}
+
+/**
+ * Paragraphs of inline content, split around images: ADF media is a block of its own
+ * (paragraph holds any other attributes for the paragraphs, such as alignment marks)
+ */
+function splitMedia(content, paragraph = {}) {
+    const blocks = [];
+    let inline = [];
+    let afterMedia = false;
+    const flush = (beforeMedia) => {
+        const trimmed = trimInline(inline, afterMedia, beforeMedia);
+        if (trimmed.length > 0) {
+            blocks.push({ type: 'paragraph', ...paragraph, content: trimmed });
+        }
+        inline = [];
+    };
+    for (const node of content) {
+        if (node.type === 'mediaSingle') {
+            flush(true);
+            blocks.push(node);
+            afterMedia = true;
+        } else {
+            inline.push(node);
         }
     }
+    flush(false);
+    return blocks;
+}
 
-    return nodes.length > 0 ? nodes : [createTextNode(text)];
+/**
+ * Inline content with images as their alt text, where ADF allows no media (headings)
+ */
+function mediaAsText(content) {
+    return content.flatMap(node => {
+        if (node.type !== 'mediaSingle') return [node];
+        const alt = node.content[0].attrs.alt;
+        return alt ? [createTextNode(alt)] : [];
+    });
 }
 
 /**
- * Count headings in markdown to determine if TOC is needed
+ * Whether a list item starts with a task marker: its state (TODO or DONE), or null
  */
-function countHeadings(markdown) {
-    const headingRegex = /^#{1,6}\s+.+$/gm;
-    const matches = markdown.match(headingRegex);
-    return matches ? matches.length : 0;
+function taskState(item) {
+    const paragraph = item.children[0];
+    const inline = paragraph && paragraph.type === 'paragraph' && paragraph.children.find(child => child.type === 'inline');
+    const first = inline && inline.children[0];
+    const match = first && first.type === 'text' && TASK_MARKER.exec(first.token.content);
+    if (!match) return null;
+    return match[1] === ' ' ? 'TODO' : 'DONE';
 }
 
 /**
- * Create a table of contents macro for Confluence
+ * Whether a list can be an ADF task list: every item starts with a task marker, and holds
+ * only text and task lists (ADF task items take only inline content)
  */
-function createTableOfContents() {
+function isTaskList(list) {
+    return list.type === 'bullet_list' && list.children.every(item => taskState(item) &&
+        item.children.every(child => child.type === 'paragraph' || isTaskList(child)));
+}
+
+/**
+ * Create a task list; a nested list follows the task it belongs to
+ */
+function createTaskList(list) {
+    const taskList = { type: 'taskList', attrs: { localId: `task-${++taskCount}` }, content: [] };
+    for (const item of list.children) {
+        const paragraphs = item.children.filter(child => child.type === 'paragraph');
+        // Paragraphs of one task show as lines
+        const content = mediaAsText(paragraphs.flatMap((paragraph, i) => [...(i > 0 ? [{ type: 'hardBreak' }] : []), ...inlineContent(paragraph)]));
+        const marker = TASK_MARKER.exec(content[0].text)[0];
+        content[0] = { ...content[0], text: content[0].text.slice(marker.length) };
+        taskList.content.push({
+            type: 'taskItem',
+            attrs: { localId: `task-${++taskCount}`, state: taskState(item) },
+            content: content.filter(inline => inline.type !== 'text' || inline.text)
+        });
+        for (const nested of item.children.filter(child => child.type !== 'paragraph')) {
+            taskList.content.push(createTaskList(nested));
+        }
+    }
+    return taskList;
+}
+
+/**
+ * Make a task list fit where ADF allows no task lists: a bullet list with the markers as written
+ */
+function taskListAsBulletList(taskList) {
+    const content = [];
+    for (const node of taskList.content) {
+        if (node.type === 'taskList') {
+            content[content.length - 1].content.push(taskListAsBulletList(node));
+            continue;
+        }
+        const marker = node.attrs.state === 'DONE' ? '[x] ' : '[ ] ';
+        const [first, ...rest] = node.content;
+        const inline = first && first.type === 'text' && !first.marks
+            ? [createTextNode(marker + first.text), ...rest]
+            : [createTextNode(marker), ...node.content];
+        content.push({ type: 'listItem', content: [{ type: 'paragraph', content: inline }] });
+    }
+    return { type: 'bulletList', content };
+}
+
+/**
+ * Anchor name of a footnote (by markdown-it's footnote ID)
+ */
+function footnoteAnchor(id) {
+    return `footnote-${id + 1}`;
+}
+
+/**
+ * Create an anchor macro that links can jump to
+ */
+function createAnchor(name) {
     return {
-        type: 'extension',
+        type: 'inlineExtension',
         attrs: {
             extensionType: 'com.atlassian.confluence.macro.core',
-            extensionKey: 'toc',
+            extensionKey: 'anchor',
             parameters: {
                 macroParams: {
-                    minLevel: { value: '1' },
-                    maxLevel: { value: '3' },
-                    style: { value: 'default' }
+                    '': { value: name }
                 }
             }
         }
@@ -167,113 +590,264 @@ function createTableOfContents() {
 }
 
 /**
- * Parse a markdown table into ADF table format
+ * Create the references section: a rule, then the footnotes numbered as they are
+ * referenced, each starting with the anchor its references link to
  */
-function parseTable(lines, startIndex) {
-    const tableRows = [];
-    let i = startIndex;
-
-    // Check if this is a valid table (header row, separator row, data rows)
-    const headerRow = lines[i];
-    const separatorRow = lines[i + 1];
-
-    // Separator row must have pipes and dashes
-    if (!separatorRow || !separatorRow.match(/^\|?[\s\-:|]+\|?$/)) {
-        return { table: null, endIndex: startIndex };
-    }
-
-    // Parse all table rows
-    while (i < lines.length) {
-        const line = lines[i];
-
-        if (!line.trim()) {
-            let j = i + 1;
-            while (j < lines.length && !lines[j].trim()) j++;
+function createFootnotes(footnoteBlock) {
+    return [
+        { type: 'rule' },
+        {
+            type: 'orderedList',
+            content: footnoteBlock.children.map(footnote => {
+                const content = fitContent('listItem', emitBlocks(footnote.children));
+                const anchor = createAnchor(footnoteAnchor(footnote.token.meta.id));
+                if (content.length > 0 && content[0].type === 'paragraph') {
+                    content[0] = { ...content[0], content: [anchor, ...content[0].content] };
+                } else {
+                    content.unshift({ type: 'paragraph', content: [anchor] });
+                }
+                return { type: 'listItem', content };
+            })
+        }
+    ];
+}
 
-            const nextLine = j < lines.length ? lines[j] : '';
-            const lineAfterNext = j + 1 < lines.length ? lines[j + 1] : '';
-            const nextStartsNewTable = isTableRow(nextLine) && isTableSeparator(lineAfterNext);
+/**
+ * Make a definition list: each term a bold paragraph, its definitions indented below it
+ */
+function createDefinitionList(list) {
+    return list.children.flatMap(child => {
+        if (child.type === 'dt') {
+            return [{ type: 'paragraph', content: mediaAsText(inlineContent(child, [createMark('strong')])) }];
+        }
+        return emitBlocks(child.children).map(block => (block.type === 'paragraph'
+            ? { ...block, marks: [...(block.marks || []), createMark('indentation', { level: 1 })] }
+            : block));
+    });
+}
 
-            if (isTableRow(nextLine) && !nextStartsNewTable) {
-                i = j;
-                continue;
+/**
+ * Make a heading fit where ADF allows only paragraphs: a bold paragraph
+ */
+function headingAsParagraph(heading) {
+    return {
+        type: 'paragraph',
+        content: heading.content.map(inline => {
+            if (inline.type !== 'text' || (inline.marks || []).some(mark => mark.type === 'code' || mark.type === 'strong')) {
+                return inline;
             }
+            return createTextNode(inline.text, [createMark('strong'), ...(inline.marks || [])]);
+        })
+    };
+}
 
-            break;
-        }
+/**
+ * Make a table fit where ADF allows no tables: a paragraph per row, cells separated by " | "
+ */
+function tableAsParagraphs(table) {
+    return table.content.map(row => ({
+        type: 'paragraph',
+        content: row.content.flatMap((cell, i) => [
+            ...(i > 0 ? [createTextNode(' | ')] : []),
+            ...cell.content.flatMap(block => (block.type === 'mediaSingle' ? mediaAsText([block]) : block.content || []))
+        ])
+    }));
+}
 
-        // Stop if line doesn't look like a table row
-        if (!line.includes('|')) {
-            break;
+/**
+ * Fit block nodes to what an ADF container allows
+ */
+function fitContent(parentType, nodes) {
+    const allowed = ALLOWED_CHILDREN[parentType];
+    if (!allowed) return nodes;
+
+    const fitted = [];
+    for (const node of nodes) {
+        if (node.type === 'paragraph' && (node.marks || []).some(mark => mark.type === 'indentation')) {
+            // Indentation is for top-level paragraphs only
+            const { marks, ...paragraph } = node;
+            const kept = marks.filter(mark => mark.type !== 'indentation');
+            fitted.push(kept.length > 0 ? { ...paragraph, marks: kept } : paragraph);
+        } else if (allowed.includes(node.type)) {
+            fitted.push(node);
+        } else if (node.type === 'taskList') {
+            fitted.push(taskListAsBulletList(node));
+        } else if (node.type === 'heading') {
+            fitted.push(headingAsParagraph(node));
+        } else if (node.type === 'blockquote' || node.type === 'panel') {
+            fitted.push(...fitContent(parentType, node.content));
+        } else if (node.type === 'table') {
+            fitted.push(...tableAsParagraphs(node));
         }
+        // Rules have no equivalent inside containers, and are dropped
+    }
+    return fitted;
+}
 
-        // Skip separator row
-        if (isTableSeparator(line)) {
-            i++;
-            continue;
+/**
+ * Emitters for block node types: (node) → ADF block node, a list of them, or null for none
+ */
+const BLOCK_EMITTERS = {
+    paragraph: (node) => splitMedia(inlineContent(node)),
+    heading: (node) => ({
+        type: 'heading',
+        attrs: { level: Number(node.token.tag.slice(1)) },
+        content: mediaAsText(inlineContent(node))
+    }),
+    bullet_list: (node) => {
+        if (isTaskList(node)) return createTaskList(node);
+        return {
+            type: 'bulletList',
+            content: emitBlocks(node.children)
+        };
+    },
+    ordered_list: (node) => {
+        // markdown-it only sets start when it is not 1
+        const start = node.token.attrGet('start');
+        return {
+            type: 'orderedList',
+            ...(start !== null ? { attrs: { order: Number(start) } } : {}),
+            content: emitBlocks(node.children)
+        };
+    },
+    list_item: (node) => {
+        const content = fitContent('listItem', emitBlocks(node.children));
+        if (content.length === 0 || !LIST_ITEM_FIRST_CHILDREN.includes(content[0].type)) {
+            content.unshift({ type: 'paragraph', content: [] });
         }
-
-        // Parse cells from the row
-        const cells = line
-            .split('|')
-            .map(cell => cell.trim())
-            .filter((cell, idx, arr) => {
-                // Remove empty cells at start and end (from leading/trailing pipes)
-                if (idx === 0 && cell === '') return false;
-                if (idx === arr.length - 1 && cell === '') return false;
-                return true;
-            });
-
-        if (cells.length > 0) {
-            const isHeader = tableRows.length === 0;
-            const row = {
-                type: 'tableRow',
-                content: cells.map(cellContent => ({
-                    type: isHeader ? 'tableHeader' : 'tableCell',
+        return { type: 'listItem', content };
+    },
+    blockquote: (node) => {
+        if (node.token.meta && node.token.meta.panelType) {
+            return createPanel(node.token.meta.panelType, null, node.children);
+        }
+        const content = fitContent('blockquote', emitBlocks(node.children));
+        return { type: 'blockquote', content: content.length > 0 ? content : [{ type: 'paragraph', content: [] }] };
+    },
+    fence: (node) => {
+        const language = md.utils.unescapeAll(node.token.info).trim().split(/\s+/)[0];
+        return createCodeBlock(node.token.content, language || 'plain');
+    },
+    aside: (node) => createPanel(node.token.meta.panelType, node.token.meta.title, node.children),
+    footnote_block: (node) => createFootnotes(node),
+    dl: (node) => createDefinitionList(node),
+    code_block: (node) => createCodeBlock(node.token.content, 'plain'),
+    hr: () => ({ type: 'rule' }),
+    table: (node) => ({
+        type: 'table',
+        attrs: {
+            isNumberColumnEnabled: false,
+            layout: 'default'
+        },
+        content: node.children.flatMap(section => section.children.map(row => ({
+            type: 'tableRow',
+            content: row.children.map(cell => {
+                const align = TABLE_ALIGNMENT[cell.token.attrGet('style')];
+                const paragraph = align ? { marks: [createMark('alignment', { align })] } : {};
+                const content = splitMedia(inlineContent(cell), paragraph);
+                return {
+                    type: cell.type === 'th' ? 'tableHeader' : 'tableCell',
                     attrs: {},
-                    content: [{
-                        type: 'paragraph',
-                        content: parseInlineFormatting(cellContent)
-                    }]
-                }))
-            };
-            tableRows.push(row);
+                    content: content.length > 0 ? content : [{ type: 'paragraph', ...paragraph, content: [] }]
+                };
+            })
+        })))
+    }),
+    // ADF has no raw HTML: comments are dropped, <img> tags show the images and other HTML shows as written
+    html_block: (node) => {
+        const html = stripComments(node.token.content);
+        if (!html.trim()) return null;
+        const images = html.match(IMG_TAG);
+        if (images && !html.replace(IMG_TAG, '').trim()) {
+            const parsed = images.map(parseImageTag);
+            if (parsed.every(Boolean)) return parsed.map(image => createImage(image.src, image.alt, image.width));
         }
+        const lines = node.token.content.replace(/\n$/, '').split('\n');
+        return {
+            type: 'paragraph',
+            content: lines.flatMap((line, i) => [...(i > 0 ? [{ type: 'hardBreak' }] : []), ...(line ? [createTextNode(line)] : [])])
+        };
+    }
+};
 
-        i++;
+/**
+ * Create a panel, with its title (if any) as a bold first paragraph
+ */
+function createPanel(panelType, title, children) {
+    const content = fitContent('panel', emitBlocks(children));
+    if (title) {
+        const [inline] = md.parseInline(title, {});
+        content.unshift({ type: 'paragraph', content: mediaAsText(emitInline(buildTree(inline.children).children, [createMark('strong')])) });
     }
+    return {
+        type: 'panel',
+        attrs: { panelType },
+        content: content.length > 0 ? content : [{ type: 'paragraph', content: [] }]
+    };
+}
+
+/**
+ * Create a code block, without the final line ending
+ */
+function createCodeBlock(code, language) {
+    const text = code.replace(/\n$/, '');
+    return {
+        type: 'codeBlock',
+        attrs: { language },
+        content: text ? [createTextNode(text)] : []
+    };
+}
 
-    if (tableRows.length < 2) {
-        // Not enough rows for a valid table
-        return { table: null, endIndex: startIndex };
+/**
+ * Convert block tree nodes to ADF block nodes
+ */
+function emitBlocks(nodes) {
+    const result = [];
+    for (const node of nodes) {
+        const emitter = BLOCK_EMITTERS[node.type];
+        const emitted = emitter ? emitter(node) : null;
+        if (Array.isArray(emitted)) {
+            result.push(...emitted);
+        } else if (emitted) {
+            result.push(emitted);
+        }
     }
+    return result;
+}
 
+/**
+ * Create a table of contents macro for Confluence
+ */
+function createTableOfContents() {
     return {
-        table: {
-            type: 'table',
-            attrs: {
-                isNumberColumnEnabled: false,
-                layout: 'default'
-            },
-            content: tableRows
-        },
-        endIndex: i - 1
+        type: 'extension',
+        attrs: {
+            extensionType: 'com.atlassian.confluence.macro.core',
+            extensionKey: 'toc',
+            parameters: {
+                macroParams: {
+                    minLevel: { value: '1' },
+                    maxLevel: { value: '3' },
+                    style: { value: 'default' }
+                }
+            }
+        }
     };
 }
 
 /**
  * Convert markdown to atlas_doc_format
+ * options.links maps relative links as written to their resolved URLs
  */
 function convertMarkdownToAtlasDoc(markdown, options = {}) {
-    const { addTableOfContents = true, tocThreshold = 4 } = options;
+    const { addTableOfContents = true, tocThreshold = 4, links = {} } = options;
+    linkTargets = links;
+    taskCount = 0;
 
     // Remove GITHUB_ONLY and PPT_ONLY blocks (should already be filtered, but be safe)
     // Remove multi-line blocks (case-insensitive, flexible whitespace)
     markdown = markdown.replace(/<!--\s*GITHUB_ONLY\s*-->[\s\S]*?<!--\s*\/\s*GITHUB_ONLY\s*-->/gi, '');
     markdown = markdown.replace(/<!--\s*PPT_ONLY\s*-->[\s\S]*?<!--\s*\/\s*PPT_ONLY\s*-->/gi, '');
-    // Remove single-line blocks
-    markdown = markdown.replace(/<!--\s*GITHUB_ONLY\s*-->.*?<!--\s*\/\s*GITHUB_ONLY\s*-->/gi, '');
-    markdown = markdown.replace(/<!--\s*PPT_ONLY\s*-->.*?<!--\s*\/\s*PPT_ONLY\s*-->/gi, '');
     // Remove CONFLUENCE_ONLY markers (keep content, remove markers)
     markdown = markdown.replace(/<!--\s*CONFLUENCE_ONLY\s*-->/gi, '');
     markdown = markdown.replace(/<!--\s*\/\s*CONFLUENCE_ONLY\s*-->/gi, '');
@@ -281,402 +855,70 @@ function convertMarkdownToAtlasDoc(markdown, options = {}) {
     markdown = markdown.replace(/<!--\s*NOT_PPT\s*-->/gi, '');
     markdown = markdown.replace(/<!--\s*\/\s*NOT_PPT\s*-->/gi, '');
     markdown = collapseBlankLinesInTables(markdown);
-    // Remove Astro/MDX note blocks (:::note[...], :::warning, etc.) - these are Astro-specific
-    markdown = markdown.replace(/^:::[a-zA-Z]+(\[[^\]]*\])?[\s\S]*?^:::$/gm, '');
 
-    const lines = markdown.split('\n');
+    const tokens = md.parse(markdown, {});
     const doc = {
         type: 'doc',
         version: 1,
-        content: []
+        content: emitBlocks(buildTree(tokens).children)
     };
 
-    // Count headings to determine if TOC should be added
-    const headingCount = countHeadings(markdown);
-    const shouldAddToc = addTableOfContents && headingCount >= tocThreshold;
-    let tocInserted = false;
-    let warningPanelSeen = false;
-
-    let inCodeBlock = false;
-    let codeBlockContent = [];
-    let codeBlockLanguage = null;
-    // Stack to track nested lists: [{ type, items, indent }]
-    let listStack = [];
-
-    for (let i = 0; i < lines.length; i++) {
-        let line = lines[i];
-
-        // Skip lines that are just GITHUB_ONLY, PPT_ONLY, CONFLUENCE_ONLY, or NOT_PPT tags (shouldn't happen after filtering, but be safe)
-        if (line.trim().match(/^<!--\s*(GITHUB_ONLY|PPT_ONLY|PPT_SLIDE|CONFLUENCE_ONLY|NOT_PPT|\/\s*(GITHUB_ONLY|PPT_ONLY|CONFLUENCE_ONLY|NOT_PPT))\s*-->$/i)) {
-            continue;
-        }
-
-        // Handle code blocks
-        if (line.trim().startsWith('```')) {
-            if (inCodeBlock) {
-                // End code block - join all lines with newlines into a single text node
-                const language = codeBlockLanguage || 'plain';
-                const codeText = codeBlockContent.join('\n');
-                doc.content.push({
-                    type: 'codeBlock',
-                    attrs: { language: language },
-                    content: codeText ? [createTextNode(codeText)] : []
-                });
-                codeBlockContent = [];
-                codeBlockLanguage = null;
-                inCodeBlock = false;
-            } else {
-                // Start code block
-                inCodeBlock = true;
-                codeBlockLanguage = line.trim().substring(3).trim() || null;
-            }
-            continue;
-        }
-
-        if (inCodeBlock) {
-            codeBlockContent.push(line);
-            continue;
-        }
-
-        // Handle tables (check for markdown table syntax)
-        if (line.includes('|') && i + 1 < lines.length && lines[i + 1].match(/^\|?[\s\-:|]+\|?$/)) {
-            // This looks like a table header row followed by separator
-            const { table, endIndex } = parseTable(lines, i);
-            if (table) {
-                doc.content.push(table);
-                i = endIndex;
-                continue;
-            }
-        }
-
-        // Handle list items
-        const listMatch = line.match(/^(\s*)([-*+]|\d+\.)\s+(.+)$/);
-        if (listMatch) {
-            const indent = listMatch[1].length;
-            const marker = listMatch[2];
-            const content = listMatch[3];
-            const isOrdered = /^\d+\.$/.test(marker);
-            const listType = isOrdered ? 'orderedList' : 'bulletList';
-
-            // Close any lists that are at a deeper indent level (we're going shallower)
-            while (listStack.length > 0 && listStack[listStack.length - 1].indent > indent) {
-                const finishedList = listStack.pop();
-                // If this list has a nestedListNode, update it with the final items
-                if (finishedList.nestedListNode) {
-                    finishedList.nestedListNode.content = finishedList.items;
-                } else if (listStack.length > 0) {
-                    // Add finished list as nested list in parent listItem
-                    const parentList = listStack[listStack.length - 1];
-                    const lastItem = parentList.items[parentList.items.length - 1];
-                    // Check if we already added a list of this type (avoid duplicates)
-                    const existingList = lastItem.content.find(c =>
-                        (c.type === 'bulletList' || c.type === 'orderedList')
-                    );
-                    if (!existingList) {
-                        lastItem.content.push({
-                            type: finishedList.type,
-                            content: finishedList.items
-                        });
-                    } else {
-                        // Merge items into existing list
-                        existingList.content.push(...finishedList.items);
-                    }
-                } else {
-                    // Top-level list finished, add to doc
-                    doc.content.push({
-                        type: finishedList.type,
-                        content: finishedList.items
-                    });
-                }
-            }
-
-            // Check if we have a list at the current indent level with matching type
-            let currentList = null;
-            if (listStack.length > 0 && listStack[listStack.length - 1].indent === indent) {
-                const topList = listStack[listStack.length - 1];
-                if (topList.type === listType) {
-                    currentList = topList;
-                } else {
-                    // Different type at same indent - close the old list
-                    const finishedList = listStack.pop();
-                    // If this list has a nestedListNode, update it with the final items
-                    if (finishedList.nestedListNode) {
-                        finishedList.nestedListNode.content = finishedList.items;
-                    } else if (listStack.length > 0) {
-                        const parentList = listStack[listStack.length - 1];
-                        const lastItem = parentList.items[parentList.items.length - 1];
-                        const existingList = lastItem.content.find(c =>
-                            (c.type === 'bulletList' || c.type === 'orderedList')
-                        );
-                        if (!existingList) {
-                            lastItem.content.push({
-                                type: finishedList.type,
-                                content: finishedList.items
-                            });
-                        } else {
-                            existingList.content.push(...finishedList.items);
-                        }
-                    } else {
-                        doc.content.push({
-                            type: finishedList.type,
-                            content: finishedList.items
-                        });
-                    }
-                }
-            }
-
-            // If we need a new list at this indent level
-            if (!currentList) {
-                const newList = {
-                    type: listType,
-                    items: [],
-                    indent: indent
-                };
-                listStack.push(newList);
-                currentList = newList;
-
-                // If this is a nested list (indent > 0), add it to the parent listItem's content
-                if (listStack.length > 1) {
-                    const parentList = listStack[listStack.length - 2];
-                    const lastItem = parentList.items[parentList.items.length - 1];
-                    // Create the nested list structure in the parent item
-                    const nestedList = {
-                        type: listType,
-                        content: []  // Will be populated as we add items
-                    };
-                    lastItem.content.push(nestedList);
-                    // Store reference to the actual nested list node so we can update it
-                    newList.nestedListNode = nestedList;
-                }
-            }
-
-            // Create list item
-            const paragraphContent = parseInlineFormatting(content);
-            const listItem = {
-                type: 'listItem',
-                content: [{
-                    type: 'paragraph',
-                    content: paragraphContent.length > 0 ? paragraphContent : [createTextNode('')]
-                }]
-            };
-
-            // Add to current list
-            currentList.items.push(listItem);
-            continue;
-        }
-
-        // Continuation of previous list item (indented line without a list marker) — keep list open so numbering stays correct
-        if (listStack.length > 0 && line.trim() !== '' && /^\s+/.test(line)) {
-            const currentList = listStack[listStack.length - 1];
-            const lastItem = currentList.items[currentList.items.length - 1];
-            const paragraphContent = parseInlineFormatting(line.trim());
-            lastItem.content.push({
-                type: 'paragraph',
-                content: paragraphContent.length > 0 ? paragraphContent : [createTextNode('')]
-            });
-            continue;
-        }
-
-        // Empty line inside a list: keep the list open (markdown "loose" list).
-        // The next numbered/bulleted line will continue the same list; a non-list
-        // line will close the list via the block below.
-        if (listStack.length > 0 && line.trim() === '') {
-            continue;
-        }
-
-        // Close all lists if we hit a non-list line
-        while (listStack.length > 0) {
-            const finishedList = listStack.pop();
-            // If this list was already attached as a nested node, fill in its items (they were accumulated in .items)
-            if (finishedList.nestedListNode) {
-                finishedList.nestedListNode.content = finishedList.items;
-            }
-            if (listStack.length > 0) {
-                // Nested list was already added to parent when we first saw it; no need to push again
-                const parentList = listStack[listStack.length - 1];
-                const lastItem = parentList.items[parentList.items.length - 1];
-                const existingList = lastItem.content.find(c => c.type === 'orderedList' || c.type === 'bulletList');
-                if (!existingList) {
-                    lastItem.content.push({
-                        type: finishedList.type,
-                        content: finishedList.items
-                    });
-                }
-            } else {
-                // Top-level list finished, add to doc
-                doc.content.push({
-                    type: finishedList.type,
-                    content: finishedList.items
-                });
-            }
-        }
-
-        // Handle headings
-        const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
-        if (headingMatch) {
-            const level = headingMatch[1].length;
-            const text = headingMatch[2];
-            doc.content.push({
-                type: 'heading',
-                attrs: { level: level },
-                content: parseInlineFormatting(text)
-            });
-            continue;
-        }
-
-        // Handle horizontal rules
-        if (line.trim().match(/^[-*_]{3,}$/)) {
-            doc.content.push({ type: 'rule' });
-            continue;
-        }
-
-        // Handle empty lines
-        if (line.trim().length === 0) {
-            // Skip empty lines - Confluence automatically adds spacing between different content types
-            // (headings, lists, paragraphs, etc.), so we don't need to add empty paragraphs
-            continue;
-        }
-
-        // Handle images (basic markdown image syntax)
-        if (line.match(/^!\[([^\]]*)\]\(([^)]+)\)$/)) {
-            const imageMatch = line.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
-            doc.content.push({
-                type: 'paragraph',
-                content: [{
-                    type: 'media',
-                    attrs: {
-                        type: 'file',
-                        url: imageMatch[2],
-                        alt: imageMatch[1] || ''
-                    }
-                }]
-            });
-            continue;
-        }
-
-        // Handle Confluence image placeholders (from LikeC4 diagrams)
-        // Format: <ac:image-placeholder-viewid="viewId"/>
-        // These can appear anywhere in the line, not just at the start
-        if (line.includes('<ac:image-placeholder-viewid=')) {
-            // Extract all placeholders from the line
-            const placeholderRegex = /<ac:image-placeholder-viewid="([^"]+)"\s*\/?>/g;
-            let match;
-            let lastIndex = 0;
-            const paragraphContent = [];
-
-            while ((match = placeholderRegex.exec(line)) !== null) {
-                // Add text before the placeholder
-                if (match.index > lastIndex) {
-                    const textBefore = line.substring(lastIndex, match.index);
-                    if (textBefore.trim().length > 0) {
-                        paragraphContent.push(...parseInlineFormatting(textBefore));
-                    }
-                }
-
-                // Add placeholder media node
-                const viewId = match[1];
-                paragraphContent.push({
-                    type: 'media',
-                    attrs: {
-                        type: 'file',
-                        __placeholder_viewid: viewId  // Special marker for replacement
-                    }
-                });
-
-                lastIndex = match.index + match[0].length;
-            }
-
-            // Add remaining text after last placeholder
-            if (lastIndex < line.length) {
-                const textAfter = line.substring(lastIndex);
-                if (textAfter.trim().length > 0) {
-                    paragraphContent.push(...parseInlineFormatting(textAfter));
-                }
-            }
-
-            if (paragraphContent.length > 0) {
-                doc.content.push({
-                    type: 'paragraph',
-                    content: paragraphContent
-                });
-            }
-            continue;
-        }
-
-        // Regular paragraph
-        const paragraphContent = parseInlineFormatting(line);
-        doc.content.push({
-            type: 'paragraph',
-            content: paragraphContent.length > 0 ? paragraphContent : [createTextNode('')]
-        });
-    }
-
-    // Close any open lists
-    while (listStack.length > 0) {
-        const finishedList = listStack.pop();
-        // If this list has a nestedListNode, update it with the final items
-        if (finishedList.nestedListNode) {
-            finishedList.nestedListNode.content = finishedList.items;
-        } else if (listStack.length > 0) {
-            // Add finished list as nested list in parent listItem
-            const parentList = listStack[listStack.length - 1];
-            const lastItem = parentList.items[parentList.items.length - 1];
-            if (!lastItem.content.find(c => c.type === finishedList.type || c.type === 'orderedList' || c.type === 'bulletList')) {
-                lastItem.content.push({
-                    type: finishedList.type,
-                    content: finishedList.items
-                });
-            }
-        } else {
-            // Top-level list finished, add to doc
-            doc.content.push({
-                type: finishedList.type,
-                content: finishedList.items
-            });
-        }
-    }
-
-    // Remove trailing empty paragraphs
-    while (doc.content.length > 0 &&
-        doc.content[doc.content.length - 1].type === 'paragraph' &&
-        (doc.content[doc.content.length - 1].content.length === 0 ||
-            (doc.content[doc.content.length - 1].content.length === 1 &&
-                doc.content[doc.content.length - 1].content[0].type === 'text' &&
-                doc.content[doc.content.length - 1].content[0].text.trim() === ''))) {
-        doc.content.pop();
-    }
-
     // Add table of contents if there are enough headings
     // Insert at the very beginning - the warning panel will be prepended by the publish script
     // so final order will be: Warning Panel → TOC → Content
-    if (shouldAddToc && doc.content.length > 0) {
+    const headingCount = tokens.filter(token => token.type === 'heading_open').length;
+    if (addTableOfContents && headingCount >= tocThreshold && doc.content.length > 0) {
         doc.content.unshift(createTableOfContents());
     }
 
     return doc;
 }
 
-// Read from stdin
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    terminal: false
-});
+/**
+ * Run as a script: markdown on stdin, compact JSON on stdout
+ * Optional --links '<json>': resolved targets for relative links
+ */
+function main() {
+    const linksArgIndex = process.argv.indexOf('--links');
+    let links = {};
+    if (linksArgIndex !== -1) {
+        try {
+            links = JSON.parse(process.argv[linksArgIndex + 1] || '{}');
+        } catch (error) {
+            console.error('Error parsing --links:', error.message);
+            process.exit(1);
+        }
+    }
 
-let markdown = '';
+    // Read from stdin
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: false
+    });
 
-rl.on('line', (line) => {
-    markdown += line + '\n';
-});
+    let markdown = '';
 
-rl.on('close', () => {
-    try {
-        const atlasDoc = convertMarkdownToAtlasDoc(markdown);
-        // Output as compact JSON (single line) for use in shell script
-        console.log(JSON.stringify(atlasDoc));
-    } catch (error) {
-        console.error('Error converting markdown to atlas_doc_format:', error.message);
-        process.exit(1);
-    }
-});
+    rl.on('line', (line) => {
+        markdown += line + '\n';
+    });
+
+    rl.on('close', () => {
+        try {
+            const atlasDoc = convertMarkdownToAtlasDoc(markdown, { links });
+            // Output as compact JSON (single line) for use in shell script
+            console.log(JSON.stringify(atlasDoc));
+        } catch (error) {
+            console.error('Error converting markdown to atlas_doc_format:', error.message);
+            process.exit(1);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
 
+module.exports = {
+    convertMarkdownToAtlasDoc
+};
@@ -1,74 +1,81 @@
 /**
  * Read-side Confluence client.
  *
- * Mirrors the auth and endpoint conventions of `api-client.js` (Basic auth
- * against `/wiki/rest/api`) but is concerned only with reading: fetching
- * pages, walking hierarchies and searching.
+ * Mirrors the auth and endpoint conventions of `api-client.js` (any
+ * auth-provider mode against `/rest/api`, or `/api/v2` for pages and spaces
+ * when `apiVersion` is 'v2') but is concerned only with reading: fetching
+ * pages, walking hierarchies and searching. CQL search and `whoami` stay on v1.
  *
  * @module @defra/delivery-info-arch-tooling/confluence/read-client
  */
 
+const { withRetry } = require('./lib/retry')
+const { API_BASE_PATHS, resolveApiVersion } = require('./lib/api-client')
+const apiV2 = require('./lib/api-v2')
+const authProvider = require('./lib/auth-provider')
+
 const DEFAULT_BASE_URL = process.env.CONFLUENCE_URL || 'https://eaflood.atlassian.net'
 const PAGE_EXPAND = 'body.storage,version,space,ancestors,metadata.labels,history.lastUpdated'
-
-/**
- * Build the Basic auth header value from credentials.
- * @param {Object} auth - Credentials
- * @param {string} auth.username - Atlassian account email
- * @param {string} auth.apiToken - Atlassian API token
- * @returns {string} Authorization header value
- */
-function basicAuth ({ username, apiToken }) {
-  return `Basic ${Buffer.from(`${username}:${apiToken}`).toString('base64')}`
-}
+// Deepest level the v2 descendants endpoint returns in one request
+const DESCENDANT_DEPTH = 5
 
 /**
  * Resolve credentials from explicit options then environment.
- * @param {Object} [options] - Overrides
- * @returns {{username: string, apiToken: string}} Credentials
- * @throws {Error} When either credential is missing
+ * @param {Object} [options] - Overrides { authMode, username, apiToken, token, clientId, clientSecret, cloudId }
+ * @returns {Object} Auth object { mode, ...credentials } (see auth-provider)
+ * @throws {Error} When a credential the mode needs is missing
  */
 function resolveAuth (options = {}) {
-  const username = options.username || process.env.CONFLUENCE_USERNAME || process.env.CONFLUENCE_USER_EMAIL
-  const apiToken = options.apiToken || process.env.CONFLUENCE_API_TOKEN
+  const auth = authProvider.resolveAuth({ ...options, mode: options.authMode })
+  const status = authProvider.credentialStatus(auth)
 
-  if (!username || !apiToken) {
+  if (status.some(credential => !credential.set)) {
+    const names = status.map(credential => credential.env)
     throw new Error(
-      'Missing credentials. Set CONFLUENCE_USERNAME and CONFLUENCE_API_TOKEN:\n' +
-      '  export CONFLUENCE_USERNAME="your-email@defra.gov.uk"\n' +
-      '  export CONFLUENCE_API_TOKEN="your-api-token"\n' +
-      `  (CONFLUENCE_USERNAME: ${username ? 'SET' : 'NOT SET'}, CONFLUENCE_API_TOKEN: ${apiToken ? 'SET' : 'NOT SET'})`
+      `Missing credentials for ${auth.mode} auth. Set ${names.join(' and ')}:\n` +
+      (auth.mode === 'basic'
+        ? '  export CONFLUENCE_USERNAME="your-email@defra.gov.uk"\n  export CONFLUENCE_API_TOKEN="your-api-token"\n'
+        : names.map(name => `  export ${name}="..."\n`).join('')) +
+      `  (${status.map(credential => `${credential.env}: ${credential.set ? 'SET' : 'NOT SET'}`).join(', ')})`
     )
   }
-  return { username, apiToken }
+  return auth
 }
 
 /**
  * Create a client bound to a base URL and credentials.
  * @param {Object} [options] - Client options
  * @param {string} [options.baseUrl] - Confluence base URL, without /wiki
- * @param {string} [options.username] - Atlassian account email
- * @param {string} [options.apiToken] - Atlassian API token
+ * @param {string} [options.authMode] - 'basic', 'bearer' or 'oauth' (default: CONFLUENCE_AUTH_MODE, else from the credentials set)
+ * @param {string} [options.username] - Atlassian account email (basic)
+ * @param {string} [options.apiToken] - Atlassian API token (basic)
+ * @param {string} [options.token] - Personal access token (bearer)
+ * @param {Object} [options.retry] - Retry overrides { maxRetries, baseDelayMs, maxDelayMs, retryStatuses }
+ * @param {string} [options.apiVersion] - 'v1' or 'v2' (default: CONFLUENCE_API_VERSION, then 'v1')
  * @returns {Object} Client with request helpers
  */
 function createClient (options = {}) {
   const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '').replace(/\/wiki$/, '')
   const auth = resolveAuth(options)
+  const apiVersion = resolveApiVersion(options.apiVersion)
+  const apiRoot = authProvider.apiRoot(auth, options.baseUrl || DEFAULT_BASE_URL)
+  const spaceKeys = new Map()
 
   /**
-   * Issue a GET against the Confluence REST API.
-   * @param {string} endpoint - Endpoint below /wiki/rest/api
+   * Issue a GET against the Confluence REST API, retrying throttled responses.
+   * @param {string} endpoint - Endpoint below /rest/api
    * @returns {Promise<Object>} Parsed JSON body
    * @throws {Error} On non-2xx responses, with the API's own message
    */
   async function get (endpoint) {
-    const url = endpoint.startsWith('http') ? endpoint : `${baseUrl}/wiki/rest/api${endpoint}`
-    const response = await fetch(url, {
+    const url = endpoint.startsWith('http') ? endpoint : `${apiRoot}${API_BASE_PATHS.v1}${endpoint}`
+    const authorization = await authProvider.getAuthorizationHeader(auth, { retry: options.retry })
+    const response = await withRetry(() => fetch(url, {
       headers: {
-        Authorization: basicAuth(auth),
+        Authorization: authorization,
         Accept: 'application/json'
       }
-    })
+    }), { method: 'GET', label: `GET ${url.split('?')[0]}`, retry: options.retry })
 
     const text = await response.text()
     let body
@@ -87,7 +94,7 @@ function createClient (options = {}) {
 
   /**
    * Follow a paginated collection endpoint to the end.
-   * @param {string} endpoint - Endpoint below /wiki/rest/api
+   * @param {string} endpoint - Endpoint below /rest/api
    * @param {number} [max] - Stop once this many results are collected
    * @returns {Promise<Array<Object>>} Collected results
    */
@@ -97,14 +104,130 @@ function createClient (options = {}) {
     while (next && results.length < max) {
       const body = await get(next)
       results.push(...(body.results || []))
+      // v1 next links are relative to the API root, v2 cursor links to the site (/wiki/api/v2/...)
       const link = body._links && body._links.next
-      next = link ? `${baseUrl}/wiki${link}` : null
+      next = link ? `${apiRoot}${link.replace(/^\/wiki(?=\/api\/v2\/)/, '')}` : null
     }
     return results.slice(0, max === Infinity ? undefined : max)
   }
 
+  /**
+   * Build an absolute v2 URL.
+   * @param {string} endpoint - Endpoint below /api/v2
+   * @returns {string} URL
+   */
+  function v2Url (endpoint) {
+    return `${apiRoot}${API_BASE_PATHS.v2}${endpoint}`
+  }
+
+  /**
+   * Look up (and cache) a space key from its v2 ID.
+   * @param {string} spaceId - Space ID
+   * @returns {Promise<string|null>} Space key
+   */
+  async function spaceKeyFor (spaceId) {
+    if (!spaceId) return null
+    if (!spaceKeys.has(String(spaceId))) {
+      const space = await get(v2Url(`/spaces/${spaceId}`))
+      spaceKeys.set(String(spaceId), space.key)
+    }
+    return spaceKeys.get(String(spaceId))
+  }
+
+  /**
+   * Adapt v2 pages to the v1 shape the CLI prints.
+   * @param {Array<Object>} pages - v2 pages
+   * @param {string} [spaceKey] - Space key when the pages do not carry a space ID
+   * @returns {Promise<Array<Object>>} Pages in v1 shape
+   */
+  async function adaptAll (pages, spaceKey = null) {
+    const adapted = []
+    for (const page of pages) {
+      adapted.push(apiV2.adaptPage(page, spaceKey || await spaceKeyFor(page.spaceId)))
+    }
+    return adapted
+  }
+
+  /**
+   * Fetch a page through v2, with its storage body, labels and titled ancestors.
+   * @param {string} id - Page ID
+   * @returns {Promise<Object>} Page in v1 shape
+   */
+  async function getPageV2 (id) {
+    const encoded = encodeURIComponent(id)
+    const [page] = await adaptAll([await get(v2Url(`/pages/${encoded}?body-format=storage&include-labels=true`))])
+    const ancestors = await getAll(v2Url(`/pages/${encoded}/ancestors?limit=250`))
+    page.ancestors = []
+    for (const ancestor of ancestors) {
+      const type = ancestor.type === 'folder' ? 'folders' : 'pages'
+      const detail = await get(v2Url(`/${type}/${encodeURIComponent(ancestor.id)}`))
+      page.ancestors.push({ id: String(ancestor.id), type: ancestor.type || 'page', title: detail.title })
+    }
+    return page
+  }
+
+  /**
+   * Find a space's v2 ID from its key.
+   * @param {string} spaceKey - Space key
+   * @returns {Promise<string>} Space ID
+   * @throws {Error} When the space does not exist
+   */
+  async function spaceIdFor (spaceKey) {
+    const body = await get(v2Url(`/spaces?keys=${encodeURIComponent(spaceKey)}`))
+    const space = (body.results || [])[0]
+    if (!space) throw new Error(`Space ${spaceKey} not found`)
+    spaceKeys.set(String(space.id), space.key)
+    return space.id
+  }
+
+  /**
+   * List every descendant of a page or folder through v2. The descendants endpoint
+   * stops at DESCENDANT_DEPTH levels, so the deepest ones returned are walked in turn.
+   * @param {string} id - Page or folder ID
+   * @param {string} [type] - 'pages' or 'folders'
+   * @returns {Promise<Array<Object>>} v2 descendants (pages and folders)
+   */
+  async function getDescendantsV2 (id, type = 'pages') {
+    const descendants = await getAll(v2Url(`/${type}/${encodeURIComponent(id)}/descendants?depth=${DESCENDANT_DEPTH}&limit=250`))
+    const deeper = []
+    for (const descendant of descendants) {
+      if (descendant.depth >= DESCENDANT_DEPTH) {
+        deeper.push(...await getDescendantsV2(descendant.id, descendant.type === 'folder' ? 'folders' : 'pages'))
+      }
+    }
+    return [...descendants, ...deeper]
+  }
+
+  // Same interface as the v1 client below; pages and spaces come from v2 and are adapted to v1 shapes
+  if (apiVersion === 'v2') {
+    return {
+      baseUrl,
+      apiVersion,
+      authDescription: authProvider.describeAuth(auth),
+      get,
+      getAll,
+      getPage: getPageV2,
+      getChildren: async (id, limit = 200) =>
+        adaptAll(await getAll(v2Url(`/pages/${encodeURIComponent(id)}/children?limit=250`), limit)),
+      getDescendants: async (id, limit = 1000) => {
+        // Descendants carry no space, so take it from the root page
+        const root = await get(v2Url(`/pages/${encodeURIComponent(id)}`))
+        const descendants = await getDescendantsV2(id)
+        return adaptAll(descendants.filter(page => page.type === 'page').slice(0, limit), await spaceKeyFor(root.spaceId))
+      },
+      getSpacePages: async (spaceKey, limit = 1000) =>
+        adaptAll(await getAll(v2Url(`/spaces/${await spaceIdFor(spaceKey)}/pages?limit=250`), limit), spaceKey),
+      getSpaces: (limit = 500) => getAll(v2Url('/spaces?limit=250'), limit),
+      search: (cql, limit = 50) =>
+        getAll(`/content/search?cql=${encodeURIComponent(cql)}&expand=version,space&limit=50`, limit),
+      whoami: () => get('/user/current')
+    }
+  }
+
   return {
     baseUrl,
+    apiVersion,
+    authDescription: authProvider.describeAuth(auth),
     get,
     getAll,
 
@@ -197,7 +320,7 @@ function parsePageId (input) {
 async function resolveShortLink (url, auth) {
   const response = await fetch(url, {
     redirect: 'follow',
-    headers: { Authorization: basicAuth(auth) }
+    headers: { Authorization: await authProvider.getAuthorizationHeader(auth) }
   })
   return parsePageId(response.url)
 }
@@ -7,6 +7,8 @@
  * @module @defra/delivery-info-arch-tooling/confluence/storage-to-markdown
  */
 
+const { PANEL_TYPE_MACROS, panelAlertType } = require('./lib/panels')
+
 const NAMED_ENTITIES = {
   amp: '&',
   lt: '<',
@@ -34,14 +36,22 @@ const NAMED_ENTITIES = {
   check: '✓'
 }
 
+/**
+ * Panel macros → GitHub alert type, so panels published from alerts and Astro
+ * asides read back as alerts. A plain panel macro takes its alert type from a
+ * panelType parameter, and is a labelled quote without one.
+ */
 const PANEL_MACROS = {
-  info: 'ℹ️ **Info**',
-  note: '📝 **Note**',
-  tip: '💡 **Tip**',
-  warning: '⚠️ **Warning**',
-  panel: '**Panel**'
+  ...Object.fromEntries(Object.entries(PANEL_TYPE_MACROS).map(([panelType, macro]) => [macro, panelAlertType(panelType)])),
+  panel: null
 }
 
+/**
+ * Panels Confluence stores as ADF extensions (panel types without a macro),
+ * with the content also given as a fallback rendering
+ */
+const ADF_PANEL_EXTENSION = /<ac:adf-extension>\s*<ac:adf-node type="panel">([\s\S]*?)<\/ac:adf-node>[\s\S]*?<\/ac:adf-extension>/gi
+
 /**
  * Decode XML/HTML entities, including numeric ones.
  * @param {string} text - Raw text
@@ -179,9 +189,13 @@ function convertMacro (name, inner) {
   }
 
   if (Object.prototype.hasOwnProperty.call(PANEL_MACROS, key)) {
-    const label = params.title ? `**${params.title}**` : PANEL_MACROS[key]
+    const alert = key === 'panel' ? panelAlertType(params.panelType) : PANEL_MACROS[key]
+    const title = params.title ? `**${params.title}**` : null
+    const head = alert
+      ? [`[!${alert}]`, ...(title ? [title, ''] : [])]
+      : [title || '**Panel**', '']
     const body = convert(stripMacroScaffolding(inner)).trim()
-    const quoted = `${label}\n\n${body}`.split('\n')
+    const quoted = [...head, body].join('\n').split('\n')
       .map(line => `> ${line}`.replace(/\s+$/, ''))
       .join('\n')
     return `\n\n${quoted}\n\n`
@@ -223,6 +237,19 @@ function convertMacro (name, inner) {
     : `\n\n<!-- macro: ${key}${paramNote} -->\n\n`
 }
 
+/**
+ * Rewrite a panel stored as an ADF extension as a panel macro.
+ * @param {string} node - ac:adf-node inner XHTML
+ * @returns {string} Panel macro XHTML
+ */
+function adfPanelAsMacro (node) {
+  const panelType = (node.match(/<ac:adf-attribute key="panel-type">([^<]*)<\/ac:adf-attribute>/i) || [])[1] || ''
+  const content = (node.match(/<ac:adf-content>([\s\S]*)<\/ac:adf-content>/i) || [])[1] || ''
+  return '<ac:structured-macro ac:name="panel">' +
+    `<ac:parameter ac:name="panelType">${panelType}</ac:parameter>` +
+    `<ac:rich-text-body>${content}</ac:rich-text-body></ac:structured-macro>`
+}
+
 /**
  * Remove macro parameter/body scaffolding so only rich content remains.
  * @param {string} inner - Macro inner XHTML
@@ -368,16 +395,56 @@ function convertList (html, ordered, depth) {
  */
 function convertTaskList (html) {
   const items = []
-  const re = /<ac:task>([\s\S]*?)<\/ac:task>/gi
-  let match
-  while ((match = re.exec(html)) !== null) {
-    const done = /<ac:task-status>\s*complete\s*<\/ac:task-status>/i.test(match[1])
-    const body = inlineCell((match[1].match(/<ac:task-body[^>]*>([\s\S]*?)<\/ac:task-body>/i) || [])[1] || '')
-    items.push(`- [${done ? 'x' : ' '}] ${body}`)
+  // Walk the top-level tasks and nested task lists in order. A nested list
+  // may sit inside a task body or (as ADF has it) after the task it belongs to.
+  const openRe = /<ac:task(-list)?(?:\s[^>]*)?>/gi
+  let open
+  while ((open = openRe.exec(html)) !== null) {
+    const element = matchElement(html, open[1] ? 'ac:task-list' : 'ac:task', open.index + open[0].length)
+    if (!element) break
+    openRe.lastIndex = element.end
+
+    if (open[1]) {
+      const nested = convertTaskList(element.inner).trim()
+      if (nested) items.push(indent(nested, 2))
+      continue
+    }
+    const bodyOpen = /<ac:task-body(?:\s[^>]*)?>/i.exec(element.inner)
+    // The task's own status, not that of tasks nested in its body
+    const done = /<ac:task-status>\s*complete\s*<\/ac:task-status>/i.test(element.inner.slice(0, bodyOpen ? bodyOpen.index : undefined))
+    const body = bodyOpen && matchElement(element.inner, 'ac:task-body', bodyOpen.index + bodyOpen[0].length)
+    const { text, lists } = splitTaskBody(body ? body.inner : '')
+    items.push(`- [${done ? 'x' : ' '}] ${text}`)
+    for (const list of lists) {
+      const nested = convertTaskList(list).trim()
+      if (nested) items.push(indent(nested, 2))
+    }
   }
   return items.length ? `\n\n${items.join('\n')}\n\n` : ''
 }
 
+/**
+ * Split a task body into its text, as one line of Markdown, and the task lists nested in it.
+ * @param {string} html - Task body inner XHTML
+ * @returns {{text: string, lists: Array<string>}} Text and nested task list inner XHTML
+ */
+function splitTaskBody (html) {
+  const lists = []
+  let rest = ''
+  let cursor = 0
+  const openRe = /<ac:task-list(?:\s[^>]*)?>/gi
+  let open
+  while ((open = openRe.exec(html)) !== null) {
+    const element = matchElement(html, 'ac:task-list', open.index + open[0].length)
+    if (!element) break
+    rest += html.slice(cursor, open.index)
+    lists.push(element.inner)
+    cursor = openRe.lastIndex = element.end
+  }
+  rest += html.slice(cursor)
+  return { text: convert(rest).replace(/\s+/g, ' ').trim(), lists }
+}
+
 /**
  * Find the matching close tag for an opening tag, honouring nesting.
  * @param {string} html - Full source
@@ -447,6 +514,7 @@ function convert (storage, depth = 0) {
   if (!storage) return ''
   let html = String(storage)
     .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(ADF_PANEL_EXTENSION, (match, node) => adfPanelAsMacro(node))
     .replace(/<\/?(?:span|font|ac:layout|ac:layout-section|ac:layout-cell|ac:adf-extension|ac:adf-fallback)[^>]*>/gi, '')
 
   let out = ''
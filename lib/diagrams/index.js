@@ -8,6 +8,7 @@
 const { execSync } = require('child_process')
 const fs = require('fs').promises
 const path = require('path')
+const { replaceMermaidFences } = require('./mermaid-fences')
 
 /**
  * Convert LikeC4 dynamic views to Mermaid sequence diagrams
@@ -88,6 +89,7 @@ async function exportLikeC4Diagrams (options = {}) {
 module.exports = {
   convertLikeC4ToMermaid,
   renderMermaidDiagrams,
+  replaceMermaidFences,
   exportLikeC4Diagrams
 }
 
@@ -0,0 +1,200 @@
+/**
+ * Render fenced mermaid code blocks to images
+ * @module @defra/delivery-info-arch-tooling/diagrams/mermaid-fences
+ *
+ * Authors can write ```mermaid fences inline instead of separate .mmd files
+ * referenced by <MermaidDiagram>. Each fence is rendered with mmdc (see
+ * ./mmdc) to a PNG named after a hash of its source, so an unchanged diagram
+ * is rendered once and reused by every page, slide deck and PDF showing it.
+ * The caller decides what replaces a rendered fence: a Confluence image
+ * placeholder, or a Markdown image. Fences that fail to render are left as
+ * code blocks. A dry run only plans the renders: nothing is rendered or
+ * written to the cache.
+ */
+
+const { createHash } = require('crypto')
+const { execFile } = require('child_process')
+const { existsSync, mkdirSync, writeFileSync, rmSync } = require('fs')
+const { join, resolve } = require('path')
+const { promisify } = require('util')
+const MarkdownIt = require('markdown-it')
+const { mmdcInvocation } = require('./mmdc')
+
+const execFileAsync = promisify(execFile)
+
+/**
+ * Where rendered fences are cached, relative to the repository root
+ */
+const DEFAULT_OUTPUT_DIR = 'generated/diagrams/mermaid'
+
+/**
+ * mmdc starts a headless browser; give up on a diagram rather than hang
+ */
+const RENDER_TIMEOUT_MS = 120000
+
+/**
+ * Block parser used to find fences (including fences in lists and quotes)
+ */
+const md = new MarkdownIt('commonmark')
+
+/**
+ * Hash of a diagram's source, used to name its image
+ * @param {string} source - Mermaid source
+ * @returns {string} Hex hash
+ */
+function hashSource (source) {
+  return createHash('sha256').update(source).digest('hex').slice(0, 16)
+}
+
+/**
+ * Text describing a diagram, for its image's alt text: the title in its
+ * frontmatter, else its accTitle, else its first line
+ * @param {string} source - Mermaid source
+ * @returns {string} Alt text
+ */
+function describeMermaid (source) {
+  const lines = source.split('\n').map(line => line.trim())
+  const fieldValue = line => line.slice(line.indexOf(':') + 1).trim().replace(/^(["'])(.*)\1$/, '$2')
+
+  let body = lines
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1)
+    const title = lines.slice(1, end).find(line => /^title\s*:/.test(line))
+    if (title && fieldValue(title)) {
+      return fieldValue(title)
+    }
+    body = lines.slice(end + 1)
+  }
+
+  const accTitle = body.find(line => /^accTitle\s*:/.test(line))
+  if (accTitle && fieldValue(accTitle)) {
+    return fieldValue(accTitle)
+  }
+  return body.find(line => line && !line.startsWith('%%')) || 'Mermaid diagram'
+}
+
+/**
+ * Markdown image for a diagram, with its alt text escaped
+ * @param {Object} diagram - Diagram { alt } from replaceMermaidFences
+ * @param {string} src - Image source
+ * @returns {string} Markdown image
+ */
+function mermaidImageMarkdown (diagram, src) {
+  return `![${diagram.alt.replace(/[[\]\\]/g, '\\$&')}](${src})`
+}
+
+/**
+ * Find ```mermaid fences in markdown
+ * @param {string} markdown - Markdown content (with \n line endings)
+ * @returns {Array<Object>} Fences { startLine, endLine (exclusive), prefix, source, id } in document order
+ */
+function findMermaidFences (markdown) {
+  const lines = markdown.split('\n')
+  return md.parse(markdown, {})
+    .filter(token => token.type === 'fence' && token.info.trim().split(/\s+/)[0].toLowerCase() === 'mermaid')
+    .map(token => {
+      const [startLine, endLine] = token.map
+      const firstLine = lines[startLine]
+      return {
+        startLine,
+        endLine,
+        // Container markers before the fence (quote markers, list bullets, indentation)
+        prefix: firstLine.slice(0, firstLine.indexOf(token.markup)),
+        source: token.content,
+        id: `mermaid-${hashSource(token.content)}`
+      }
+    })
+}
+
+/**
+ * Render mermaid source to a PNG, unless an image of the same source is already cached
+ * @param {string} source - Mermaid source
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Repository root (defaults to the working directory)
+ * @param {string} [options.outputDir] - Cache directory, relative to rootDir
+ * @param {boolean} [options.dryRun] - Only plan the render: return where the image would be
+ * @returns {Promise<string|null>} Absolute image path, or null if it could not be rendered
+ */
+async function renderMermaid (source, options = {}) {
+  const { rootDir = process.cwd(), outputDir = DEFAULT_OUTPUT_DIR, dryRun = false } = options
+  const id = `mermaid-${hashSource(source)}`
+  const dir = resolve(rootDir, outputDir)
+  const imagePath = join(dir, `${id}.png`)
+  if (existsSync(imagePath)) {
+    return imagePath
+  }
+  if (dryRun) {
+    console.error(`    → Would render mermaid diagram: ${id}`)
+    return imagePath
+  }
+
+  mkdirSync(dir, { recursive: true })
+  const sourcePath = join(dir, `${id}.mmd`)
+  writeFileSync(sourcePath, source)
+  console.error(`    → Rendering mermaid diagram: ${id}`)
+  const mmdc = mmdcInvocation(rootDir)
+  try {
+    await execFileAsync(mmdc.file, [...mmdc.args, '-i', sourcePath, '-o', imagePath, '-b', 'white', '-s', '3'], {
+      timeout: RENDER_TIMEOUT_MS
+    })
+  } catch (error) {
+    const message = (error.stderr && error.stderr.toString().trim()) || error.message
+    console.error(`    ⚠️  Could not render mermaid diagram ${id}: ${message.split('\n')[0]}`)
+    return null
+  } finally {
+    rmSync(sourcePath, { force: true })
+  }
+  return existsSync(imagePath) ? imagePath : null
+}
+
+/**
+ * Render the ```mermaid fences in markdown and replace each with what the caller embeds
+ * @param {string} markdown - Markdown content
+ * @param {Function} replace - (diagram) → markdown shown instead of the fence, for
+ *   diagram { id, imagePath, source, alt }
+ * @param {Object} [options] - Rendering options (see renderMermaid)
+ * @returns {Promise<{ content: string, diagrams: Array<Object> }>} Content, and the diagrams
+ *   rendered (each once; planned, in a dry run)
+ */
+async function replaceMermaidFences (markdown, replace, options = {}) {
+  const normalised = markdown.replace(/\r\n?/g, '\n')
+  const fences = findMermaidFences(normalised)
+  if (fences.length === 0) {
+    return { content: markdown, diagrams: [] }
+  }
+
+  const diagrams = new Map()
+  for (const fence of fences) {
+    if (!diagrams.has(fence.id)) {
+      diagrams.set(fence.id, {
+        id: fence.id,
+        imagePath: await renderMermaid(fence.source, options),
+        source: fence.source,
+        alt: describeMermaid(fence.source)
+      })
+    }
+  }
+
+  // Replace from the end, so the line numbers of earlier fences still hold
+  const lines = normalised.split('\n')
+  for (const fence of fences.slice().reverse()) {
+    const diagram = diagrams.get(fence.id)
+    if (diagram.imagePath) {
+      lines.splice(fence.startLine, fence.endLine - fence.startLine, fence.prefix + replace(diagram))
+    }
+  }
+
+  return {
+    content: lines.join('\n'),
+    diagrams: [...diagrams.values()].filter(diagram => diagram.imagePath)
+  }
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_DIR,
+  describeMermaid,
+  findMermaidFences,
+  mermaidImageMarkdown,
+  renderMermaid,
+  replaceMermaidFences
+}
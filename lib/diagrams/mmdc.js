@@ -20,6 +20,17 @@ function findMmdc (rootDir = process.cwd()) {
   return 'npx mmdc'
 }
 
+/**
+ * Executable and leading arguments that run mmdc without a shell
+ * @param {string} [rootDir] - Consumer repository root
+ * @returns {{ file: string, args: Array<string> }} A found executable, or npx with mmdc as its first argument
+ */
+function mmdcInvocation (rootDir = process.cwd()) {
+  const mmdc = findMmdc(rootDir)
+  return mmdc.startsWith('npx ') ? { file: 'npx', args: ['mmdc'] } : { file: mmdc, args: [] }
+}
+
 module.exports = {
-  findMmdc
+  findMmdc,
+  mmdcInvocation
 }
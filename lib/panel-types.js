@@ -0,0 +1,46 @@
+/**
+ * Callout panel types
+ * @module @defra/delivery-info-arch-tooling/panel-types
+ *
+ * GitHub alerts and Astro asides mark callouts in the docs. Each maps to a
+ * panel type (named as in Confluence's ADF); publishers show the callout as
+ * that kind of panel, and filters that drop directives keep these ones:
+ *
+ *   GitHub alert    Astro aside            Panel
+ *   [!NOTE]         :::note, :::info       info
+ *   [!TIP]          :::tip, :::success     success
+ *   [!IMPORTANT]    :::important           note
+ *   [!WARNING]      :::caution, :::warning warning
+ *   [!CAUTION]      :::danger, :::error    error
+ */
+
+/**
+ * GitHub alert type → panel type
+ */
+const ALERT_PANEL_TYPES = {
+  NOTE: 'info',
+  TIP: 'success',
+  IMPORTANT: 'note',
+  WARNING: 'warning',
+  CAUTION: 'error'
+}
+
+/**
+ * Astro aside type (and common aliases) → panel type
+ */
+const ASIDE_PANEL_TYPES = {
+  note: 'info',
+  info: 'info',
+  tip: 'success',
+  success: 'success',
+  important: 'note',
+  caution: 'warning',
+  warning: 'warning',
+  danger: 'error',
+  error: 'error'
+}
+
+module.exports = {
+  ALERT_PANEL_TYPES,
+  ASIDE_PANEL_TYPES
+}
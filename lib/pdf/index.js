@@ -7,6 +7,7 @@
 
 const fs = require('fs')
 const path = require('path')
+const { mermaidImageMarkdown, replaceMermaidFences } = require('../diagrams/mermaid-fences')
 
 /**
  * Export markdown to PDF
@@ -52,6 +53,10 @@ async function exportToPdf (options) {
     fs.mkdirSync(outputDirPath, { recursive: true })
   }
 
+  // Render ```mermaid fences to images, embedded as data URIs so the PDF needs no other files
+  const { content, diagrams } = await replaceMermaidFences(fs.readFileSync(inputPath, 'utf-8'), diagram =>
+    mermaidImageMarkdown(diagram, `data:image/png;base64,${fs.readFileSync(diagram.imagePath).toString('base64')}`))
+
   // Build PDF options
   const pdfOptions = {
     pdf_options: {
@@ -72,8 +77,12 @@ async function exportToPdf (options) {
     }
   }
 
-  // Convert markdown to PDF
-  const pdf = await mdToPdf({ path: inputPath }, pdfOptions)
+  // Convert markdown to PDF (rewritten content keeps resolving relative images against its file)
+  const input = diagrams.length > 0 ? { content } : { path: inputPath }
+  if (diagrams.length > 0) {
+    pdfOptions.basedir = path.dirname(inputPath)
+  }
+  const pdf = await mdToPdf(input, pdfOptions)
 
   if (!pdf) {
     throw new Error('PDF generation returned null')
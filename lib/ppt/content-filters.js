@@ -3,12 +3,22 @@
  * @module @defra/delivery-info-arch-tooling/ppt/content-filters
  */
 
-function removeAstroComponents (content) {
+const { ASIDE_PANEL_TYPES } = require('../panel-types')
+
+/**
+ * Remove Astro ::: directives (asides and the like)
+ * @param {string} content - Markdown content
+ * @param {Array<string>} [keepTypes] - Directive types to keep as written
+ * @returns {string} Content without the other directives
+ */
+function removeAstroComponents (content, keepTypes = []) {
+  const keep = new Set(keepTypes.map(type => type.toLowerCase()))
+  const strip = (match, type) => (keep.has(type.toLowerCase()) ? match : '')
   let filtered = content
 
-  filtered = filtered.replace(/:::note\[[^\]]*\]\s*\n[\s\S]*?:::/g, '')
-  filtered = filtered.replace(/:::(?:warning|tip|info|danger|caution)\[?[^\]]*\]?\s*\n[\s\S]*?:::/g, '')
-  filtered = filtered.replace(/:::[^\n]*\n[\s\S]*?:::/g, '')
+  filtered = filtered.replace(/:::(note)\[[^\]]*\]\s*\n[\s\S]*?:::/g, strip)
+  filtered = filtered.replace(/:::(warning|tip|info|danger|caution)\[?[^\]]*\]?\s*\n[\s\S]*?:::/g, strip)
+  filtered = filtered.replace(/:::[ \t]*([A-Za-z]*)[^\n]*\n[\s\S]*?:::/g, strip)
 
   return filtered
 }
@@ -93,7 +103,8 @@ function filterContentByFormat (content, targetFormat) {
     filtered = filtered.replace(/^[ \t]*<!--\s*\/CONFLUENCE_ONLY\s*-->[ \t]*\r?\n/gm, '')
     filtered = filtered.replace(/^[ \t]*<!--\s*NOT_PPT\s*-->[ \t]*\r?\n/gm, '')
     filtered = filtered.replace(/^[ \t]*<!--\s*\/NOT_PPT\s*-->[ \t]*\r?\n/gm, '')
-    filtered = removeAstroComponents(filtered)
+    // Asides are kept for the Confluence converter to turn into panels; other directives are removed
+    filtered = removeAstroComponents(filtered, Object.keys(ASIDE_PANEL_TYPES))
     filtered = filtered.replace(/^[ \t]*<!--\s*PPT_SLIDE\s*-->[ \t]*\r?\n/gm, '')
     filtered = collapseBlankLinesInTables(filtered)
   } else if (targetFormat === 'github' || targetFormat === 'astro') {
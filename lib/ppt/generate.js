@@ -22,6 +22,7 @@ const { join, dirname, basename, resolve, extname, relative } = require('path');
 const { filterContentByFormat } = require('./content-filters');
 const { buildPptDiagrams } = require('./build-diagrams');
 const { applyPptSlideMarkers } = require('./slide-breaks');
+const { mermaidImageMarkdown, replaceMermaidFences } = require('../diagrams/mermaid-fences');
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -643,7 +644,7 @@ ${bgImageTag}
 `;
 }
 
-function convertToMarp(inputFile, options, rootDir) {
+async function convertToMarp(inputFile, options, rootDir) {
   const inputPath = resolve(inputFile);
 
   if (!existsSync(inputPath)) {
@@ -676,6 +677,10 @@ function convertToMarp(inputFile, options, rootDir) {
   marpContent = convertLikeC4ViewToImage(marpContent, inputPath, rootDir);
   marpContent = convertMermaidDiagramToImage(marpContent, inputPath, rootDir);
 
+  // Render ```mermaid fences to images (cached by content hash)
+  marpContent = (await replaceMermaidFences(marpContent, (diagram) =>
+    mermaidImageMarkdown(diagram, calculateRelativePath(diagram.imagePath, dirname(inputPath))), { rootDir })).content;
+
   // Convert specified heading level to slide breaks
   marpContent = convertHeadingsToSlideBreaks(marpContent, inputPath, rootDir, options.headingLevel || 1);
 
@@ -810,7 +815,7 @@ function convertMarpToPptx(marpFile, outputFile, theme, rootDir, editable = fals
 // Main Function
 // ====================
 
-function convertMdToPptxViaMarp(inputFile, options) {
+async function convertMdToPptxViaMarp(inputFile, options) {
   const rootDir = process.cwd();
   const inputPath = resolve(inputFile);
 
@@ -822,7 +827,7 @@ function convertMdToPptxViaMarp(inputFile, options) {
 
   // Step 1: Convert markdown to Marp format
   console.log('Step 1: Converting markdown to Marp format...\n');
-  const marpFile = convertToMarp(inputPath, options, rootDir);
+  const marpFile = await convertToMarp(inputPath, options, rootDir);
   console.log(`✓ Converted to Marp format: ${marpFile}\n`);
 
   // Step 2: Convert Marp to PPTX
@@ -892,4 +897,7 @@ if (!options.inputFile) {
   process.exit(1);
 }
 
-convertMdToPptxViaMarp(options.inputFile, options);
+convertMdToPptxViaMarp(options.inputFile, options).catch(error => {
+  console.error(`\n✗ Failed to generate PPTX: ${error.message}`);
+  process.exit(1);
+});
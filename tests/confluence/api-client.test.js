@@ -10,13 +10,20 @@ const {
   confluenceRequest,
   searchPagesByTitle,
   getPageByTitle,
-  findPageByTitle
+  findPageByTitle,
+  getPageById,
+  getPageWithBody,
+  createPage,
+  resolveApiVersion,
+  searchPagesByLabel,
+  getChildPages,
+  getPageVersions
 } = require('../../lib/confluence/lib/api-client')
 
 describe('api-client', () => {
   beforeEach(() => {
     jest.clearAllMocks()
-    setConfig({ confluenceUrl: 'https://test.atlassian.net' })
+    setConfig({ confluenceUrl: 'https://test.atlassian.net', apiVersion: 'v1', retry: { baseDelayMs: 0 } })
   })
 
   describe('setConfig', () => {
@@ -118,13 +125,62 @@ describe('api-client', () => {
     })
 
     it('should throw error on network failure', async () => {
-      global.fetch.mockRejectedValueOnce(new Error('Network error'))
+      global.fetch.mockRejectedValue(new Error('Network error'))
 
       await expect(confluenceRequest('GET', '/content/123', {
         auth: { username: 'user', apiToken: 'token' }
       })).rejects.toThrow('HTTP request failed')
     })
 
+    it('should retry a throttled request after Retry-After', async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          status: 429,
+          ok: false,
+          text: jest.fn().mockResolvedValue('{}'),
+          headers: new Map([['Retry-After', '0']])
+        })
+        .mockResolvedValueOnce({
+          status: 200,
+          ok: true,
+          text: jest.fn().mockResolvedValue('{"id": "123"}'),
+          headers: new Map()
+        })
+
+      const result = await confluenceRequest('GET', '/content/123', {
+        auth: { username: 'user', apiToken: 'token' }
+      })
+
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(result.status).toBe(200)
+    })
+
+    it('should not repeat a POST after a 503 unless marked idempotent', async () => {
+      global.fetch.mockResolvedValue({
+        status: 503,
+        ok: false,
+        text: jest.fn().mockResolvedValue('Service Unavailable'),
+        headers: new Map()
+      })
+
+      const result = await confluenceRequest('POST', '/content', {
+        auth: { username: 'user', apiToken: 'token' },
+        body: { title: 'New page' }
+      })
+
+      expect(result.status).toBe(503)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+
+      global.fetch.mockClear()
+      await confluenceRequest('POST', '/content/123/label', {
+        auth: { username: 'user', apiToken: 'token' },
+        body: { name: 'generated' },
+        idempotent: true
+      })
+
+      expect(global.fetch).toHaveBeenCalledTimes(5)
+    })
+
     it('should include custom headers', async () => {
       const mockResponse = {
         status: 200,
@@ -421,4 +477,215 @@ describe('api-client', () => {
       expect(result.page.results).toEqual([])
     })
   })
+
+  describe('getPageById', () => {
+    it('should fetch a page including archived status', async () => {
+      global.fetch.mockResolvedValueOnce({
+        status: 200,
+        ok: true,
+        text: jest.fn().mockResolvedValue(JSON.stringify({ id: '123', status: 'archived', version: { number: 4 } })),
+        headers: new Map()
+      })
+
+      const result = await getPageById('123', { username: 'user', apiToken: 'token' })
+
+      expect(result.status).toBe('archived')
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://test.atlassian.net/wiki/rest/api/content/123?status=any&expand=version,ancestors,space',
+        expect.any(Object)
+      )
+    })
+
+    it('should return null for a missing page', async () => {
+      global.fetch.mockResolvedValueOnce({
+        status: 404,
+        ok: false,
+        text: jest.fn().mockResolvedValue(JSON.stringify({ message: 'No content found' })),
+        headers: new Map()
+      })
+
+      expect(await getPageById('999', { username: 'user', apiToken: 'token' })).toBeNull()
+    })
+  })
+
+  describe('searchPagesByLabel', () => {
+    it('should follow pagination until a short page is returned', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ id: String(i) }))
+      global.fetch
+        .mockResolvedValueOnce({
+          status: 200,
+          ok: true,
+          text: jest.fn().mockResolvedValue(JSON.stringify({ results: firstPage })),
+          headers: new Map()
+        })
+        .mockResolvedValueOnce({
+          status: 200,
+          ok: true,
+          text: jest.fn().mockResolvedValue(JSON.stringify({ results: [{ id: '100' }] })),
+          headers: new Map()
+        })
+
+      const pages = await searchPagesByLabel('generated', 'TEST', { username: 'user', apiToken: 'token' })
+
+      expect(pages).toHaveLength(101)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(global.fetch.mock.calls[1][0]).toContain('start=100')
+      expect(decodeURIComponent(global.fetch.mock.calls[0][0])).toContain('space="TEST" AND type=page AND label="generated"')
+    })
+
+    it('should follow next links when the server returns fewer results than asked for', async () => {
+      const page = (results, links = {}) => ({
+        status: 200,
+        ok: true,
+        text: jest.fn().mockResolvedValue(JSON.stringify({ results, _links: links })),
+        headers: new Map()
+      })
+      global.fetch
+        .mockResolvedValueOnce(page([{ id: '1' }, { id: '2' }], { next: '/rest/api/content/search?start=2' }))
+        .mockResolvedValueOnce(page([{ id: '3' }]))
+
+      const pages = await searchPagesByLabel('generated', 'TEST', { username: 'user', apiToken: 'token' })
+
+      expect(pages.map(found => found.id)).toEqual(['1', '2', '3'])
+      expect(global.fetch.mock.calls[1][0]).toContain('start=2')
+    })
+
+    it('should throw when the search fails', async () => {
+      global.fetch.mockResolvedValueOnce({
+        status: 400,
+        ok: false,
+        text: jest.fn().mockResolvedValue('{}'),
+        headers: new Map()
+      })
+
+      await expect(searchPagesByLabel('generated', 'TEST', { username: 'user', apiToken: 'token' }))
+        .rejects.toThrow('Label search failed in space TEST (HTTP 400)')
+    })
+  })
+
+  describe('getChildPages', () => {
+    /**
+     * Mock one page of child results
+     */
+    function childResults (results, links = {}) {
+      return { status: 200, ok: true, text: jest.fn().mockResolvedValue(JSON.stringify({ results, _links: links })), headers: new Map() }
+    }
+
+    it('should follow next links, including when the server returns fewer than asked for', async () => {
+      const firstPage = Array.from({ length: 25 }, (_, i) => ({ id: String(i) }))
+      global.fetch
+        .mockResolvedValueOnce(childResults(firstPage, { next: '/rest/api/content/1/child/page?start=25' }))
+        .mockResolvedValueOnce(childResults([{ id: '25' }]))
+
+      const children = await getChildPages('1', { username: 'user', apiToken: 'token' })
+
+      expect(children).toHaveLength(26)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(global.fetch.mock.calls[1][0]).toContain('start=25')
+    })
+
+    it('should throw when the children cannot be listed', async () => {
+      global.fetch.mockResolvedValueOnce({ status: 404, ok: false, text: jest.fn().mockResolvedValue('{}'), headers: new Map() })
+
+      await expect(getChildPages('1', { username: 'user', apiToken: 'token' }))
+        .rejects.toThrow('Could not list children of page 1 (HTTP 404)')
+    })
+  })
+
+  describe('getPageVersions', () => {
+    it('should follow next links when the server caps the limit, newest first', async () => {
+      const page = (results, links = {}) => ({
+        status: 200,
+        ok: true,
+        text: jest.fn().mockResolvedValue(JSON.stringify({ results, _links: links })),
+        headers: new Map()
+      })
+      global.fetch
+        .mockResolvedValueOnce(page([{ number: 1 }, { number: 2 }], { next: '/rest/api/content/7/version?start=2' }))
+        .mockResolvedValueOnce(page([{ number: 3 }]))
+
+      const versions = await getPageVersions('7', { username: 'user', apiToken: 'token' })
+
+      expect(versions.map(version => version.number)).toEqual([3, 2, 1])
+      expect(global.fetch.mock.calls[1][0]).toContain('start=2')
+    })
+  })
+
+  describe('auth modes', () => {
+    it('should send a personal access token to the Data Center REST root', async () => {
+      setConfig({ confluenceUrl: 'https://confluence.example.gov.uk' })
+      global.fetch.mockResolvedValueOnce({ status: 200, ok: true, text: jest.fn().mockResolvedValue('{}'), headers: new Map() })
+
+      await confluenceRequest('GET', '/content/123', { auth: { mode: 'bearer', token: 'pat-123' } })
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://confluence.example.gov.uk/rest/api/content/123',
+        expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer pat-123' }) })
+      )
+    })
+  })
+
+  describe('resolveApiVersion', () => {
+    it('should default to v1 and accept v2 in any case', () => {
+      expect(resolveApiVersion()).toBe('v1')
+      expect(resolveApiVersion('V2')).toBe('v2')
+    })
+
+    it('should reject unknown versions', () => {
+      expect(() => resolveApiVersion('v3')).toThrow("Unknown Confluence API version 'v3' (expected one of: v1, v2)")
+    })
+  })
+
+  describe('v2 transport', () => {
+    const auth = { username: 'user', apiToken: 'token' }
+
+    /**
+     * Build a fetch Response stub with a JSON body.
+     */
+    function jsonResponse (body, status = 200) {
+      return { status, ok: status < 300, text: jest.fn().mockResolvedValue(JSON.stringify(body)), headers: new Map() }
+    }
+
+    beforeEach(() => {
+      setConfig({ apiVersion: 'v2' })
+    })
+
+    it('should send api: v2 requests to /wiki/api/v2', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ id: '1' }))
+
+      await confluenceRequest('GET', '/pages/1', { auth, api: 'v2' })
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://test.atlassian.net/wiki/api/v2/pages/1')
+    })
+
+    it('should create pages through POST /pages', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ results: [{ id: 42, key: 'V2CREATE' }] }))
+        .mockResolvedValueOnce(jsonResponse({ id: '100' }))
+
+      const result = await createPage({
+        title: 'New',
+        space: { key: 'V2CREATE' },
+        body: { storage: { value: '<p/>', representation: 'storage' } }
+      }, auth)
+
+      expect(result.body.id).toBe('100')
+      expect(global.fetch.mock.calls[1][0]).toBe('https://test.atlassian.net/wiki/api/v2/pages')
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toMatchObject({ spaceId: '42', title: 'New' })
+    })
+
+    it('should fall back to the storage body when a page has no ADF', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ id: '7', spaceId: '43', body: {} }))
+        .mockResolvedValueOnce(jsonResponse({ id: '43', key: 'TEST' }))
+        .mockResolvedValueOnce(jsonResponse({ id: '7', spaceId: '43', body: { storage: { value: '<p>Hi</p>' } } }))
+
+      const page = await getPageWithBody('7', auth)
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/wiki/api/v2/pages/7?body-format=atlas_doc_format')
+      expect(global.fetch.mock.calls[2][0]).toContain('/wiki/api/v2/pages/7?body-format=storage')
+      expect(page.body.storage.value).toBe('<p>Hi</p>')
+      expect(page.space.key).toBe('TEST')
+    })
+  })
 })
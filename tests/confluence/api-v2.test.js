@@ -0,0 +1,233 @@
+/**
+ * Unit tests for confluence/lib/api-v2.js
+ */
+
+const { confluenceRequest } = require('../../lib/confluence/lib/api-client')
+jest.mock('../../lib/confluence/lib/api-client', () => ({
+  confluenceRequest: jest.fn()
+}))
+
+const apiV2 = require('../../lib/confluence/lib/api-v2')
+
+const auth = { username: 'user', apiToken: 'token' }
+
+/**
+ * Build a response in the shape confluenceRequest returns.
+ */
+function response (status, body) {
+  return { status, ok: status >= 200 && status < 300, body, headers: {} }
+}
+
+describe('api-v2', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    apiV2.resetCache()
+  })
+
+  describe('request', () => {
+    it('should send requests to the v2 base path', async () => {
+      confluenceRequest.mockResolvedValueOnce(response(200, {}))
+
+      await apiV2.request('GET', '/pages/1', { auth })
+
+      expect(confluenceRequest).toHaveBeenCalledWith('GET', '/pages/1', { auth, api: 'v2' })
+    })
+  })
+
+  describe('nextEndpoint', () => {
+    it('should strip the v2 base from cursor links', () => {
+      expect(apiV2.nextEndpoint({ _links: { next: '/wiki/api/v2/pages?cursor=abc' } })).toBe('/pages?cursor=abc')
+      expect(apiV2.nextEndpoint({ _links: {} })).toBeNull()
+    })
+  })
+
+  describe('paginate', () => {
+    it('should follow cursor links until the last page', async () => {
+      confluenceRequest
+        .mockResolvedValueOnce(response(200, { results: [{ id: 1 }], _links: { next: '/wiki/api/v2/pages?cursor=2' } }))
+        .mockResolvedValueOnce(response(200, { results: [{ id: 2 }] }))
+
+      const results = await apiV2.paginate('/pages?limit=1', auth)
+
+      expect(results).toEqual([{ id: 1 }, { id: 2 }])
+      expect(confluenceRequest.mock.calls[1][1]).toBe('/pages?cursor=2')
+    })
+
+    it('should throw when a page of results fails', async () => {
+      confluenceRequest.mockResolvedValueOnce(response(403, { message: 'nope' }))
+
+      await expect(apiV2.paginate('/pages?limit=1', auth)).rejects.toThrow('GET /pages failed (HTTP 403)')
+    })
+  })
+
+  describe('getSpaceId', () => {
+    it('should look up and cache the space ID', async () => {
+      confluenceRequest.mockResolvedValueOnce(response(200, { results: [{ id: 42, key: 'TEST' }] }))
+
+      expect(await apiV2.getSpaceId('TEST', auth)).toBe('42')
+      expect(await apiV2.getSpaceId('TEST', auth)).toBe('42')
+      expect(await apiV2.getSpaceKey('42', auth)).toBe('TEST')
+      expect(confluenceRequest).toHaveBeenCalledTimes(1)
+    })
+
+    it('should throw when the space does not exist', async () => {
+      confluenceRequest.mockResolvedValueOnce(response(200, { results: [] }))
+
+      await expect(apiV2.getSpaceId('NOPE', auth)).rejects.toThrow('Space NOPE not found')
+    })
+  })
+
+  describe('adaptPage', () => {
+    it('should map a v2 page to the v1 shape', () => {
+      const page = apiV2.adaptPage({
+        id: 7,
+        title: 'Page',
+        status: 'current',
+        spaceId: '42',
+        parentId: '5',
+        parentType: 'folder',
+        version: { number: 3, createdAt: '2024-01-01T00:00:00Z', authorId: 'abc' },
+        labels: { results: [{ name: 'generated' }] }
+      }, 'TEST')
+
+      expect(page).toEqual({
+        id: '7',
+        type: 'page',
+        status: 'current',
+        title: 'Page',
+        version: { number: 3, when: '2024-01-01T00:00:00Z', by: { accountId: 'abc' } },
+        space: { key: 'TEST', id: '42' },
+        ancestors: [{ id: '5', type: 'folder' }],
+        body: {},
+        metadata: { labels: { results: [{ name: 'generated' }] } }
+      })
+    })
+  })
+
+  describe('getPage', () => {
+    it('should request the body format and adapt the page', async () => {
+      confluenceRequest
+        .mockResolvedValueOnce(response(200, { id: '7', title: 'Page', spaceId: '42', version: { number: 2 } }))
+        .mockResolvedValueOnce(response(200, { id: '42', key: 'TEST' }))
+
+      const page = await apiV2.getPage('7', auth, 'atlas_doc_format')
+
+      expect(confluenceRequest.mock.calls[0][1]).toBe('/pages/7?body-format=atlas_doc_format')
+      expect(page.space.key).toBe('TEST')
+      expect(page.version.number).toBe(2)
+    })
+
+    it('should return null when the page does not exist', async () => {
+      confluenceRequest.mockResolvedValueOnce(response(404, { message: 'Not found' }))
+
+      expect(await apiV2.getPage('999', auth)).toBeNull()
+    })
+  })
+
+  describe('createPage', () => {
+    it('should translate a v1 payload and set page properties afterwards', async () => {
+      confluenceRequest
+        .mockResolvedValueOnce(response(200, { results: [{ id: 42, key: 'TEST' }] }))
+        .mockResolvedValueOnce(response(200, { id: '100' }))
+        .mockResolvedValueOnce(response(200, { results: [] }))
+        .mockResolvedValueOnce(response(200, {}))
+
+      const result = await apiV2.createPage({
+        type: 'page',
+        title: 'New',
+        space: { key: 'TEST' },
+        ancestors: [{ id: '5' }],
+        body: { atlas_doc_format: { value: '{"type":"doc"}', representation: 'atlas_doc_format' } },
+        metadata: { properties: { 'content-appearance-published': { value: 'full-width' } } }
+      }, auth)
+
+      expect(result.body.id).toBe('100')
+      expect(confluenceRequest.mock.calls[1]).toEqual(['POST', '/pages', {
+        auth,
+        api: 'v2',
+        body: {
+          spaceId: '42',
+          status: 'current',
+          title: 'New',
+          parentId: '5',
+          body: { representation: 'atlas_doc_format', value: '{"type":"doc"}' }
+        }
+      }])
+      expect(confluenceRequest.mock.calls[3]).toEqual(['POST', '/pages/100/properties', {
+        auth,
+        api: 'v2',
+        body: { key: 'content-appearance-published', value: 'full-width' }
+      }])
+    })
+  })
+
+  describe('updatePage', () => {
+    it('should PUT the page with its next version', async () => {
+      confluenceRequest.mockResolvedValueOnce(response(200, { id: '7' }))
+
+      await apiV2.updatePage('7', {
+        title: 'Page',
+        body: { storage: { value: '<p>Hi</p>', representation: 'storage' } },
+        version: { number: 4 }
+      }, auth)
+
+      expect(confluenceRequest).toHaveBeenCalledWith('PUT', '/pages/7', {
+        auth,
+        api: 'v2',
+        body: {
+          id: '7',
+          status: 'current',
+          title: 'Page',
+          body: { representation: 'storage', value: '<p>Hi</p>' },
+          version: { number: 4 }
+        }
+      })
+    })
+  })
+
+  describe('setProperty', () => {
+    it('should update an existing property with the next version', async () => {
+      confluenceRequest
+        .mockResolvedValueOnce(response(200, { results: [{ id: 'p1', key: 'k', version: { number: 2 } }] }))
+        .mockResolvedValueOnce(response(200, {}))
+
+      await apiV2.setProperty('9', 'k', { a: 1 }, auth, 'folders')
+
+      expect(confluenceRequest.mock.calls[0][1]).toBe('/folders/9/properties?key=k')
+      expect(confluenceRequest.mock.calls[1]).toEqual(['PUT', '/folders/9/properties/p1', {
+        auth,
+        api: 'v2',
+        body: { key: 'k', value: { a: 1 }, version: { number: 3 } }
+      }])
+    })
+  })
+
+  describe('getAttachments', () => {
+    it('should filter by filename and map to the v1 shape', async () => {
+      confluenceRequest.mockResolvedValueOnce(response(200, {
+        results: [{ id: 'att1', title: 'a.png', fileId: 'f1', mediaType: 'image/png' }]
+      }))
+
+      const attachments = await apiV2.getAttachments('7', auth, 'a.png')
+
+      expect(confluenceRequest.mock.calls[0][1]).toBe('/pages/7/attachments?limit=250&filename=a.png')
+      expect(attachments).toEqual([{ id: 'att1', title: 'a.png', extensions: { fileId: 'f1', mediaType: 'image/png' } }])
+    })
+  })
+
+  describe('createFolder', () => {
+    it('should create a native folder under its parent', async () => {
+      confluenceRequest
+        .mockResolvedValueOnce(response(200, { results: [{ id: 42, key: 'TEST' }] }))
+        .mockResolvedValueOnce(response(200, { id: '300', type: 'folder' }))
+
+      await apiV2.createFolder('Architecture', '5', 'TEST', auth)
+
+      expect(confluenceRequest.mock.calls[1]).toEqual(['POST', '/folders', {
+        auth,
+        api: 'v2',
+        body: { spaceId: '42', title: 'Architecture', parentId: '5' }
+      }])
+    })
+  })
+})
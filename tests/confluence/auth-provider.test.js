@@ -0,0 +1,142 @@
+/**
+ * Unit tests for confluence/lib/auth-provider.js
+ */
+
+const {
+  resolveAuth,
+  credentialStatus,
+  validateAuth,
+  describeAuth,
+  getAuthorizationHeader,
+  apiRoot,
+  resetTokenCache
+} = require('../../lib/confluence/lib/auth-provider')
+
+const OAUTH = { mode: 'oauth', clientId: 'client-1', clientSecret: 'secret', cloudId: 'cloud-1', tokenUrl: 'https://auth.example/oauth/token' }
+
+/**
+ * Build a minimal fetch Response stub.
+ */
+function fakeResponse ({ ok = true, status = 200, body = {} } = {}) {
+  return {
+    ok,
+    status,
+    headers: new Map(),
+    text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))
+  }
+}
+
+describe('auth-provider', () => {
+  beforeEach(() => {
+    resetTokenCache()
+    global.fetch = jest.fn()
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  describe('resolveAuth', () => {
+    it('should default to basic auth from the environment', () => {
+      const env = { CONFLUENCE_USERNAME: 'user@defra.gov.uk', CONFLUENCE_API_TOKEN: 'token' }
+
+      expect(resolveAuth({}, env)).toEqual({ mode: 'basic', username: 'user@defra.gov.uk', apiToken: 'token' })
+    })
+
+    it('should infer the mode from the credentials that are set', () => {
+      expect(resolveAuth({}, { CONFLUENCE_PAT: 'pat' })).toEqual({ mode: 'bearer', token: 'pat' })
+      expect(resolveAuth({}, { CONFLUENCE_CLIENT_ID: 'id', CONFLUENCE_CLIENT_SECRET: 's', CONFLUENCE_CLOUD_ID: 'c' })).toEqual({
+        mode: 'oauth',
+        clientId: 'id',
+        clientSecret: 's',
+        cloudId: 'c',
+        tokenUrl: 'https://auth.atlassian.com/oauth/token'
+      })
+    })
+
+    it('should let an explicit mode win over the credentials set', () => {
+      const env = { CONFLUENCE_USERNAME: 'user', CONFLUENCE_API_TOKEN: 'token', CONFLUENCE_AUTH_MODE: 'bearer' }
+
+      expect(resolveAuth({ token: 'pat' }, env)).toEqual({ mode: 'bearer', token: 'pat' })
+      expect(resolveAuth({ mode: 'BASIC' }, env).mode).toBe('basic')
+    })
+
+    it('should reject unknown modes', () => {
+      expect(() => resolveAuth({ mode: 'kerberos' }, {})).toThrow("Unknown Confluence auth mode 'kerberos' (expected one of: basic, bearer, oauth)")
+    })
+  })
+
+  describe('validateAuth', () => {
+    it('should treat auth without a mode as basic', () => {
+      expect(validateAuth({ username: 'user', apiToken: 'token' })).toEqual({ valid: true, mode: 'basic', missing: [] })
+      expect(validateAuth(undefined)).toEqual({ valid: false, mode: 'basic', missing: ['username', 'apiToken'] })
+    })
+
+    it('should list the credentials a mode is missing', () => {
+      expect(validateAuth({ mode: 'oauth', clientId: 'id' }).missing).toEqual(['clientSecret', 'cloudId'])
+      expect(credentialStatus({ mode: 'bearer' })).toEqual([{ field: 'token', env: 'CONFLUENCE_PAT', set: false }])
+    })
+  })
+
+  describe('describeAuth', () => {
+    it('should describe each mode without secrets', () => {
+      expect(describeAuth({ username: 'user@defra.gov.uk', apiToken: 'token' })).toBe('basic (API token for user@defra.gov.uk)')
+      expect(describeAuth({ mode: 'bearer', token: 'pat' })).toBe('bearer (personal access token)')
+      expect(describeAuth(OAUTH)).toBe('oauth (client credentials, client client-1, cloud ID cloud-1)')
+    })
+  })
+
+  describe('apiRoot', () => {
+    it('should add /wiki for Cloud and keep Data Center URLs as given', () => {
+      expect(apiRoot({ mode: 'basic' }, 'https://eaflood.atlassian.net/')).toBe('https://eaflood.atlassian.net/wiki')
+      expect(apiRoot({ mode: 'basic' }, 'https://eaflood.atlassian.net/wiki')).toBe('https://eaflood.atlassian.net/wiki')
+      expect(apiRoot({ mode: 'bearer' }, 'https://confluence.example.gov.uk/confluence')).toBe('https://confluence.example.gov.uk/confluence')
+    })
+
+    it('should route OAuth requests through the Atlassian gateway', () => {
+      expect(apiRoot(OAUTH, 'https://eaflood.atlassian.net')).toBe('https://api.atlassian.com/ex/confluence/cloud-1/wiki')
+    })
+  })
+
+  describe('getAuthorizationHeader', () => {
+    it('should build Basic and Bearer headers', async () => {
+      expect(await getAuthorizationHeader({ username: 'user', apiToken: 'token' }))
+        .toBe(`Basic ${Buffer.from('user:token').toString('base64')}`)
+      expect(await getAuthorizationHeader({ mode: 'bearer', token: 'pat' })).toBe('Bearer pat')
+    })
+
+    it('should exchange client credentials once and reuse the token', async () => {
+      global.fetch.mockResolvedValue(fakeResponse({ body: { access_token: 'access-1', expires_in: 3600 } }))
+
+      const [first, second] = await Promise.all([getAuthorizationHeader(OAUTH), getAuthorizationHeader(OAUTH)])
+
+      expect(first).toBe('Bearer access-1')
+      expect(second).toBe('Bearer access-1')
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(global.fetch.mock.calls[0][0]).toBe('https://auth.example/oauth/token')
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+        grant_type: 'client_credentials',
+        client_id: 'client-1',
+        client_secret: 'secret'
+      })
+    })
+
+    it('should request a new token once the cached one is about to expire', async () => {
+      global.fetch
+        .mockResolvedValueOnce(fakeResponse({ body: { access_token: 'short', expires_in: 30 } }))
+        .mockResolvedValueOnce(fakeResponse({ body: { access_token: 'fresh', expires_in: 3600 } }))
+
+      expect(await getAuthorizationHeader(OAUTH)).toBe('Bearer short')
+      expect(await getAuthorizationHeader(OAUTH)).toBe('Bearer fresh')
+    })
+
+    it('should report a refused token request and not cache the failure', async () => {
+      global.fetch
+        .mockResolvedValueOnce(fakeResponse({ ok: false, status: 401, body: { error: 'access_denied', error_description: 'Unauthorized' } }))
+        .mockResolvedValueOnce(fakeResponse({ body: { access_token: 'access-2' } }))
+
+      await expect(getAuthorizationHeader(OAUTH)).rejects.toThrow('OAuth token request failed (HTTP 401): Unauthorized')
+      expect(await getAuthorizationHeader(OAUTH)).toBe('Bearer access-2')
+    })
+  })
+})
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for confluence/lib/config-loader.js
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  findConfigFile,
+  mergeConfig,
+  loadConfig,
+  validateConfigObject
+} = require('../../lib/confluence/lib/config-loader')
+
+describe('config-loader', () => {
+  let dir
+
+  /**
+   * Write a file into the temporary directory and return its path.
+   */
+  function write (name, content) {
+    const filePath = path.join(dir, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content))
+    return filePath
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-config-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('loadConfig', () => {
+    it('should read YAML and CommonJS configs', () => {
+      const yamlPath = write('confluence-config.yaml', 'spaceMapping:\n  BTMS: BTMS\npublishPaths:\n  - path: "**/*.md"\n')
+      const jsPath = write('confluence-config.cjs', "module.exports = () => ({ spaceMapping: { BTMS: 'BTMS' }, publishPaths: [] })")
+
+      expect(loadConfig(yamlPath)).toEqual({ spaceMapping: { BTMS: 'BTMS' }, publishPaths: [{ path: '**/*.md' }] })
+      expect(loadConfig(jsPath)).toEqual({ spaceMapping: { BTMS: 'BTMS' }, publishPaths: [] })
+    })
+
+    it('should merge extended configs underneath, replacing arrays', () => {
+      write('shared/base.json', { spaceMapping: { BTMS: 'BTMS' }, excludePatterns: ['README.md'], options: { concurrency: 2, dryRun: true } })
+      write('shared/extra.yaml', 'spaceMapping:\n  Trade: TIDIA\n')
+      const configPath = write('confluence-config.json', {
+        extends: ['./shared/base.json', './shared/extra.yaml'],
+        excludePatterns: ['_*.md'],
+        options: { dryRun: false },
+        publishPaths: []
+      })
+
+      expect(loadConfig(configPath)).toEqual({
+        spaceMapping: { BTMS: 'BTMS', Trade: 'TIDIA' },
+        excludePatterns: ['_*.md'],
+        options: { concurrency: 2, dryRun: false },
+        publishPaths: []
+      })
+    })
+
+    it('should reject circular extends', () => {
+      write('a.json', { extends: './b.json' })
+      write('b.json', { extends: './a.json' })
+
+      expect(() => loadConfig(path.join(dir, 'a.json'))).toThrow(/Circular extends: .*a\.json -> .*b\.json -> .*a\.json/)
+    })
+
+    it('should name the file and keep the error code when a config is missing', () => {
+      const configPath = write('confluence-config.json', { extends: './missing.json' })
+
+      expect(() => loadConfig(configPath)).toThrow(/missing\.json/)
+      expect(() => loadConfig(path.join(dir, 'nope.json'))).toThrow(expect.objectContaining({ code: 'ENOENT' }))
+    })
+
+    it('should reject unsupported formats', () => {
+      const configPath = write('confluence-config.toml', '')
+
+      expect(() => loadConfig(configPath)).toThrow("unsupported config format '.toml'")
+    })
+  })
+
+  describe('findConfigFile', () => {
+    it('should find the first supported config file, defaulting to JSON', () => {
+      expect(findConfigFile(dir)).toBe(path.join(dir, 'confluence-config.json'))
+
+      write('confluence-config.yml', 'publishPaths: []\n')
+
+      expect(findConfigFile(dir)).toBe(path.join(dir, 'confluence-config.yml'))
+    })
+  })
+
+  describe('mergeConfig', () => {
+    it('should not modify either input', () => {
+      const base = { options: { retry: { maxRetries: 1 } } }
+      const override = { options: { retry: { baseDelayMs: 10 } } }
+
+      expect(mergeConfig(base, override)).toEqual({ options: { retry: { maxRetries: 1, baseDelayMs: 10 } } })
+      expect(base).toEqual({ options: { retry: { maxRetries: 1 } } })
+    })
+  })
+
+  describe('validateConfigObject', () => {
+    it('should accept a valid config, including $-prefixed comment keys', () => {
+      expect(validateConfigObject({
+        $schema: './confluence-config.schema.json',
+        spaceMapping: { BTMS: 'BTMS' },
+        publishPaths: [{ path: 'systems/BTMS/**/*.md', type: 'markdown', $comment: 'BTMS' }],
+        options: { apiVersion: 'v2', concurrency: 4 }
+      })).toEqual({ valid: true, errors: [] })
+    })
+
+    it('should report each problem with its JSON pointer', () => {
+      const result = validateConfigObject({
+        spaceMapping: { BTMS: 'BTMS' },
+        publishPaths: [{ path: 'a/*.md', type: 'markdwn', exlude: ['README.md'] }, {}],
+        options: { concurrency: 0 }
+      })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors).toEqual(expect.arrayContaining([
+        "/publishPaths/0/exlude: unknown property (did you mean 'exclude'?)",
+        '/publishPaths/0/type: must be one of: markdown, diagram',
+        "/publishPaths/1: must have required property 'path'",
+        '/options/concurrency: must be >= 1'
+      ]))
+      expect(result.errors).toHaveLength(4)
+    })
+
+    it('should require spaceMapping or mappingRules and check rule semantics', () => {
+      expect(validateConfigObject({ publishPaths: [] }).errors)
+        .toEqual(["/: must have property 'spaceMapping' or 'mappingRules'"])
+      expect(validateConfigObject({ publishPaths: [], mappingRules: [{ regex: '(' }] }).errors)
+        .toEqual([expect.stringMatching(/^\/mappingRules\/0: invalid regex/)])
+    })
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for confluence/lib/content-diff.js
+ */
+
+const { getPageWithBody } = require('../../lib/confluence/lib/api-client')
+jest.mock('../../lib/confluence/lib/api-client', () => ({
+  getPageWithBody: jest.fn()
+}))
+
+const {
+  adfToText,
+  fetchLiveContent,
+  renderContent,
+  diffLines,
+  unifiedDiff,
+  diffAgainstLivePage
+} = require('../../lib/confluence/lib/content-diff')
+
+const auth = { username: 'user', apiToken: 'token' }
+
+/**
+ * Build an ADF document from block nodes.
+ */
+function doc (...content) {
+  return { type: 'doc', version: 1, content }
+}
+
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks && { marks }) })
+const paragraph = (...content) => ({ type: 'paragraph', content })
+
+describe('content-diff', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('adfToText', () => {
+    it('should render headings, marks, lists and tables', () => {
+      const result = adfToText(doc(
+        { type: 'heading', attrs: { level: 2 }, content: [text('Title')] },
+        paragraph(text('bold', [{ type: 'strong' }]), text(' and '), text('link', [{ type: 'link', attrs: { href: 'https://x' } }])),
+        { type: 'bulletList', content: [{ type: 'listItem', content: [paragraph(text('one'))] }] },
+        { type: 'orderedList', content: [{ type: 'listItem', content: [paragraph(text('first'))] }] },
+        {
+          type: 'table',
+          content: [{ type: 'tableRow', content: [{ type: 'tableHeader', content: [paragraph(text('A'))] }, { type: 'tableCell', content: [paragraph(text('B'))] }] }]
+        }
+      ))
+
+      expect(result).toBe('## Title\n\n**bold** and [link](https://x)\n\n- one\n\n1. first\n\n| A | B |')
+    })
+
+    it('should render task lists with nested lists under their task', () => {
+      const task = (state, value) => ({ type: 'taskItem', attrs: { localId: value, state }, content: [text(value)] })
+      const result = adfToText(doc({
+        type: 'taskList',
+        content: [task('DONE', 'parent'), { type: 'taskList', content: [task('TODO', 'child')] }, task('TODO', 'next')]
+      }))
+
+      expect(result).toBe('- [x] parent\n  - [ ] child\n- [ ] next')
+    })
+
+    it('should render placeholders and uploaded images the same way', () => {
+      const placeholder = doc(paragraph({ type: 'media', attrs: { type: 'external', url: 'diagram.png', __placeholder_viewid: 'index' } }))
+      const uploaded = doc({ type: 'mediaSingle', content: [{ type: 'media', attrs: { type: 'file', id: 'abc', collection: 'c' } }] })
+
+      expect(adfToText(placeholder)).toBe(adfToText(uploaded))
+    })
+
+    it('should accept a JSON string and render panels and code blocks', () => {
+      const result = adfToText(JSON.stringify(doc(
+        { type: 'panel', attrs: { panelType: 'warning' }, content: [paragraph(text('Careful'))] },
+        { type: 'codeBlock', attrs: { language: 'js' }, content: [text('const a = 1')] }
+      )))
+
+      expect(result).toBe('> [warning]\n> Careful\n\n```js\nconst a = 1\n```')
+    })
+  })
+
+  describe('renderContent', () => {
+    it('should render storage format through storage-to-markdown', () => {
+      expect(renderContent({ format: 'storage', value: '<h1>Title</h1><p>Body</p>' })).toContain('# Title')
+    })
+  })
+
+  describe('diffLines', () => {
+    it('should mark removed and added lines around common ones', () => {
+      const ops = diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd'])
+
+      expect(ops.map(op => `${op.type}${op.line}`)).toEqual([' a', '-b', ' c', '+x', ' d'])
+    })
+  })
+
+  describe('unifiedDiff', () => {
+    it('should return an empty string when nothing changed', () => {
+      expect(unifiedDiff('same\ntext', 'same\ntext')).toBe('')
+    })
+
+    it('should produce hunks with context and line numbers', () => {
+      const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`)
+      const after = [...before]
+      after[1] = 'changed 2'
+      after[17] = 'changed 18'
+
+      const diff = unifiedDiff(before.join('\n'), after.join('\n'), { context: 1 })
+
+      expect(diff.split('\n')).toEqual([
+        '--- live',
+        '+++ generated',
+        '@@ -1,3 +1,3 @@',
+        ' line 1',
+        '-line 2',
+        '+changed 2',
+        ' line 3',
+        '@@ -17,3 +17,3 @@',
+        ' line 17',
+        '-line 18',
+        '+changed 18',
+        ' line 19'
+      ])
+    })
+  })
+
+  describe('fetchLiveContent', () => {
+    it('should prefer the ADF body', async () => {
+      getPageWithBody.mockResolvedValueOnce({
+        body: { atlas_doc_format: { value: '{"type":"doc"}' }, storage: { value: '<p/>' } }
+      })
+
+      expect(await fetchLiveContent('123', auth)).toEqual({ format: 'adf', value: '{"type":"doc"}' })
+      expect(getPageWithBody).toHaveBeenCalledWith('123', auth)
+    })
+
+    it('should fall back to storage, and return null when the page cannot be read', async () => {
+      getPageWithBody
+        .mockResolvedValueOnce({ body: { storage: { value: '<p>Hi</p>' } } })
+        .mockResolvedValueOnce(null)
+
+      expect(await fetchLiveContent('123', auth)).toEqual({ format: 'storage', value: '<p>Hi</p>' })
+      expect(await fetchLiveContent('999', auth)).toBeNull()
+    })
+  })
+
+  describe('diffAgainstLivePage', () => {
+    it('should diff the live ADF against the generated ADF', async () => {
+      getPageWithBody.mockResolvedValueOnce({
+        body: { atlas_doc_format: { value: JSON.stringify(doc(paragraph(text('Old text')))) } }
+      })
+
+      const diff = await diffAgainstLivePage('123', doc(paragraph(text('New text'))), true, auth)
+
+      expect(diff).toContain('--- live (page 123)')
+      expect(diff).toContain('-Old text')
+      expect(diff).toContain('+New text')
+    })
+
+    it('should return null when the live page is unavailable', async () => {
+      getPageWithBody.mockResolvedValueOnce(null)
+
+      expect(await diffAgainstLivePage('123', doc(), true, auth)).toBeNull()
+    })
+  })
+})
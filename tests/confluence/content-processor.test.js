@@ -88,12 +88,10 @@ describe('content-processor', () => {
       expect(result).not.toContain('CONFLUENCE_ONLY')
     })
 
-    it('should remove Astro note blocks', () => {
+    it('should keep Astro note blocks, which are published as panels', () => {
       const content = 'Start\n:::note\nNote content\n:::\nEnd'
       const result = filterContentForFormat(content, 'confluence')
-      expect(result).not.toContain('Note content')
-      expect(result).toContain('Start')
-      expect(result).toContain('End')
+      expect(result).toBe(content)
     })
 
     it('should return content unchanged for non-confluence formats', () => {
@@ -193,6 +191,11 @@ describe('content-processor', () => {
       expect(result).toContain('<a href="https://example.com">Link text</a>')
     })
 
+    it('should rewrite resolved relative links', () => {
+      const result = convertMarkdownToStorage('[ADR](../adr.md)', { links: { '../adr.md': 'https://test.atlassian.net/wiki/spaces/ARCH/pages/42' } })
+      expect(result).toContain('<a href="https://test.atlassian.net/wiki/spaces/ARCH/pages/42">ADR</a>')
+    })
+
     it('should convert paragraphs', () => {
       const content = 'First paragraph\n\nSecond paragraph'
       const result = convertMarkdownToStorage(content)
@@ -0,0 +1,267 @@
+/**
+ * Unit tests for confluence/fake-server.js
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createFakeConfluence, compileCql, adfToStorage } = require('../../lib/confluence/fake-server')
+const apiClient = require('../../lib/confluence/lib/api-client')
+const pageManager = require('../../lib/confluence/lib/page-manager')
+const imageHandler = require('../../lib/confluence/lib/image-handler')
+const { createClient } = require('../../lib/confluence/read-client')
+const confluence = require('../../lib/confluence')
+
+const auth = { username: 'user@example.com', apiToken: 'token' }
+
+describe('fake-server', () => {
+  let fake
+  let url
+  let consoleErrorSpy
+
+  beforeEach(async () => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation()
+    fake = createFakeConfluence({ spaces: ['DEMO'] })
+    url = await fake.start()
+    const config = { confluenceUrl: url, apiVersion: 'v1', dryRun: false, retry: { baseDelayMs: 0 } }
+    apiClient.setConfig(config)
+    pageManager.setConfig(config)
+    imageHandler.setConfig(config)
+  })
+
+  afterEach(async () => {
+    await fake.stop()
+    consoleErrorSpy.mockRestore()
+  })
+
+  describe('compileCql', () => {
+    const fields = (content, field) => content ? [].concat(content[field] || []) : []
+
+    it('should combine comparisons with AND, OR, NOT and IN', () => {
+      const matches = compileCql('space=DEMO AND title="Say \\"hi\\"" AND (status=current OR status=archived) ORDER BY title', fields)
+
+      expect(matches({ space: 'DEMO', title: 'Say "hi"', status: 'archived' })).toBe(true)
+      expect(matches({ space: 'DEMO', title: 'Say "hi"', status: 'trashed' })).toBe(false)
+      expect(compileCql('label IN (a, "b c") AND NOT title ~ draft', fields)({ label: ['b c'], title: 'Final' })).toBe(true)
+    })
+
+    it('should reject queries it cannot parse', () => {
+      expect(() => compileCql('title = ', fields)).toThrow('Could not parse cql')
+      expect(() => compileCql('(space=DEMO', fields)).toThrow('Could not parse cql')
+    })
+  })
+
+  describe('adfToStorage', () => {
+    it('should render common nodes and marks', () => {
+      expect(adfToStorage([
+        { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Title' }] },
+        { type: 'paragraph', content: [{ type: 'text', text: 'a < b', marks: [{ type: 'strong' }] }] }
+      ])).toBe('<h2>Title</h2><p><strong>a &lt; b</strong></p>')
+    })
+  })
+
+  describe('REST API', () => {
+    it('should require an Authorization header', async () => {
+      const response = await fetch(`${url}/wiki/rest/api/user/current`)
+
+      expect(response.status).toBe(401)
+    })
+
+    it('should create pages, find them by title and reject stale versions', async () => {
+      const payload = pageManager.createPagePayload('Overview', '<p>One</p>', null, null, 'DEMO', false)
+      const created = await apiClient.createPage(payload, auth)
+      const pageId = created.body.id
+
+      expect(created.status).toBe(200)
+      expect((await apiClient.findPageByTitle('Overview', 'DEMO', auth)).count).toBe(1)
+      expect((await apiClient.createPage(payload, auth)).status).toBe(400)
+
+      const stale = await apiClient.updatePage(pageId, pageManager.createPagePayload('Overview', '<p>Two</p>', null, 3, 'DEMO', false), auth)
+      expect(stale.status).toBe(409)
+      expect(stale.body.message).toBe('Version must be incremented on update. Current version is: 1')
+
+      const updated = await apiClient.updatePage(pageId, pageManager.createPagePayload('Overview', '<p>Two</p>', null, 2, 'DEMO', false), auth)
+      expect(updated.status).toBe(200)
+      expect(fake.storageOf(fake.getContent(pageId))).toBe('<p>Two</p>')
+    })
+
+    it('should find pages by label with CQL and hide trashed pages', async () => {
+      const kept = fake.addPage({ space: 'DEMO', title: 'Kept', labels: ['generated'] })
+      const trashed = fake.addPage({ space: 'DEMO', title: 'Gone', labels: ['generated'] })
+      expect(await pageManager.trashPage(trashed.id, 'Gone', auth)).toBe(true)
+
+      const pages = await apiClient.searchPagesByLabel('generated', 'DEMO', auth)
+
+      expect(pages.map(page => page.id)).toEqual([kept.id])
+      expect(await apiClient.getPageById(trashed.id, auth)).toMatchObject({ status: 'trashed' })
+    })
+
+    it('should only write a property against the version that was read', async () => {
+      const page = fake.addPage({ space: 'DEMO', title: 'Locked' })
+      await pageManager.setPageProperty(page.id, 'lock', { owner: 'a' }, auth)
+      const read = await pageManager.getPageProperty(page.id, 'lock', auth)
+
+      expect(await pageManager.replacePageProperty(page.id, 'lock', { owner: 'b' }, read, auth)).toBe(true)
+      expect(await pageManager.replacePageProperty(page.id, 'lock', { owner: 'c' }, read, auth)).toBe(false)
+      expect(await pageManager.replacePageProperty(page.id, 'lock', { owner: 'd' }, null, auth)).toBe(false)
+      expect((await pageManager.getPageProperty(page.id, 'lock', auth)).value).toEqual({ owner: 'b' })
+    })
+
+    it('should list page versions and restore an earlier one as a new version', async () => {
+      const page = fake.addPage({ space: 'DEMO', title: 'History', body: '<p>One</p>' })
+      await apiClient.updatePage(page.id, pageManager.createPagePayload('History', '<p>Two</p>', null, 2, 'DEMO', false, 'second'), auth)
+
+      const restored = await apiClient.restorePageVersion(page.id, 1, 'Back to one', auth)
+      const versions = await apiClient.getPageVersions(page.id, auth)
+
+      expect(restored.body).toMatchObject({ number: 3, message: 'Back to one' })
+      expect(versions.map(version => [version.number, version.message])).toEqual([[3, 'Back to one'], [2, 'second'], [1, undefined]])
+      expect(fake.storageOf(fake.getContent(page.id))).toBe('<p>One</p>')
+      expect((await apiClient.restorePageVersion(page.id, 3, '', auth)).status).toBe(400)
+    })
+
+    it('should store uploaded attachments and new versions of them', async () => {
+      const page = fake.addPage({ space: 'DEMO', title: 'Diagrams' })
+      const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-confluence-'))
+      const imagePath = path.join(imageDir, 'context.png')
+      fs.writeFileSync(imagePath, Buffer.from([0x89, 0x50, 0x4e, 0x47]))
+
+      const first = await imageHandler.uploadImageAttachment(page.id, imagePath, auth)
+      const second = await imageHandler.uploadImageAttachment(page.id, imagePath, auth)
+      fs.rmSync(imageDir, { recursive: true, force: true })
+
+      expect(first).toEqual({ attachmentId: expect.stringMatching(/^att/), fileId: expect.any(String), filename: 'context.png' })
+      expect(second.attachmentId).toBe(first.attachmentId)
+      expect(fake.getContent(first.attachmentId)).toMatchObject({ version: { number: 2 }, mediaType: 'image/png' })
+      expect(fake.getContent(first.attachmentId).data).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47]))
+    })
+  })
+
+  describe('read-client', () => {
+    it('should read ADF pages back as storage and follow pagination links', async () => {
+      const parent = fake.addPage({ space: 'DEMO', title: 'Parent' })
+      fake.addPage({
+        space: 'DEMO',
+        title: 'Child',
+        parentId: parent.id,
+        body: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'From ADF' }] }] }
+      })
+      fake.addPage({ space: 'DEMO', title: 'Second child', parentId: parent.id })
+      const client = createClient({ baseUrl: url, authMode: 'basic', username: auth.username, apiToken: auth.apiToken, apiVersion: 'v1' })
+
+      const children = await client.getAll(`/content/${parent.id}/child/page?limit=1`)
+      const child = await client.getPage(children[0].id)
+
+      expect(children.map(page => page.title)).toEqual(['Child', 'Second child'])
+      expect(child.body.storage.value).toBe('<p>From ADF</p>')
+      expect(child.ancestors.map(ancestor => ancestor.title)).toEqual(['DEMO Home', 'Parent'])
+      expect((await client.search('text ~ "from adf"')).map(page => page.title)).toEqual(['Child'])
+    })
+  })
+
+  describe('publish', () => {
+    let cwd
+    let workDir
+
+    beforeEach(() => {
+      cwd = process.cwd()
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-confluence-publish-'))
+      fs.mkdirSync(path.join(workDir, 'docs', 'guides'), { recursive: true })
+      fs.writeFileSync(path.join(workDir, 'confluence-config.json'), JSON.stringify({
+        mappingRules: [{ match: '**', space: 'DEMO' }],
+        publishPaths: [{ path: 'docs/**/*.md', type: 'markdown' }]
+      }))
+      fs.writeFileSync(path.join(workDir, 'docs', 'overview.md'), '# Overview\n\nHello **world**.\n')
+      fs.writeFileSync(path.join(workDir, 'docs', 'guides', 'setup.md'), '# Setup\n\nSee [the overview](../overview.md).\n')
+      process.chdir(workDir)
+    })
+
+    afterEach(() => {
+      process.chdir(cwd)
+      fs.rmSync(workDir, { recursive: true, force: true })
+    })
+
+    it('should publish end to end, then skip unchanged pages and update edited ones', async () => {
+      const options = { configPath: 'confluence-config.json', auth, confluenceUrl: url, contentRoot: '.' }
+
+      const first = await confluence.publish(options)
+      const setup = fake.findPages({ title: 'Setup' })[0]
+
+      expect(first).toMatchObject({ success: 2, failed: 0 })
+      expect(setup.labels).toContain('generated')
+      expect(fake.getContent(setup.parentId).title).toBe('guides')
+      const home = fake.getContent(fake.getSpace('DEMO').homepageId)
+      expect(home.properties.get('defra-publish-lock').value.released).toBe(true)
+
+      expect(await confluence.publish(options)).toMatchObject({ success: 0, unchanged: 2 })
+
+      fs.writeFileSync(path.join(workDir, 'docs', 'overview.md'), '# Overview\n\nHello again.\n')
+      expect(await confluence.publish(options)).toMatchObject({ success: 1, unchanged: 1 })
+      expect(fake.findPages({ title: 'Overview' })[0].version.number).toBe(2)
+    })
+
+    it('should fail a file whose image update fails, without recording a published version', async () => {
+      const options = { configPath: 'confluence-config.json', auth, confluenceUrl: url, contentRoot: '.' }
+      fs.writeFileSync(path.join(workDir, 'docs', 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]))
+      fs.writeFileSync(path.join(workDir, 'docs', 'overview.md'), '# Overview\n\n![Logo](logo.png)\n')
+      const updatePage = apiClient.updatePage
+      jest.spyOn(apiClient, 'updatePage').mockImplementation((pageId, payload, auth) => (
+        payload.title === 'Overview' ? { status: 500, body: { message: 'Internal error' } } : updatePage(pageId, payload, auth)
+      ))
+
+      try {
+        const result = await confluence.publish(options)
+
+        expect(result).toMatchObject({ success: 1, failed: 1 })
+        const overview = fake.findPages({ title: 'Overview' })[0]
+        expect(overview.version.number).toBe(1)
+        expect(overview.properties.has('defra-publish-source-hash')).toBe(false)
+      } finally {
+        apiClient.updatePage.mockRestore()
+      }
+    })
+
+    it('should unpublish pages by glob, with folder pages they leave empty', async () => {
+      const options = { configPath: 'confluence-config.json', auth, confluenceUrl: url, contentRoot: '.' }
+      await confluence.publish(options)
+      const setup = fake.findPages({ title: 'Setup' })[0]
+      const guides = fake.getContent(setup.parentId)
+
+      const dryRun = await confluence.unpublish({ ...options, paths: ['docs/guides/*.md'], dryRun: true })
+      expect(dryRun).toMatchObject({ removed: 2, folders: 1 })
+      expect(setup.status).toBe('current')
+
+      const result = await confluence.unpublish({ ...options, paths: ['docs/guides/*.md'] })
+
+      expect(result).toMatchObject({ removed: 2, folders: 1, skipped: 0, failed: 0 })
+      expect([setup.status, guides.status]).toEqual(['archived', 'archived'])
+      expect(fake.findPages({ title: 'Overview' })[0].status).toBe('current')
+      const mapped = JSON.parse(fs.readFileSync(path.join(workDir, 'confluence-page-map.json'), 'utf-8')).pages
+      expect(Object.keys(mapped)).toEqual(['docs/overview.md'])
+    })
+
+    it('should roll back the pages a publish updated, from its report', async () => {
+      const options = { configPath: 'confluence-config.json', auth, confluenceUrl: url, contentRoot: '.' }
+      await confluence.publish(options)
+      const overview = fake.findPages({ title: 'Overview' })[0]
+      const published = fake.storageOf(overview)
+
+      fs.writeFileSync(path.join(workDir, 'docs', 'overview.md'), '# Overview\n\nA mistake.\n')
+      await confluence.publish({ ...options, reportJsonPath: 'report.json' })
+      expect(fake.storageOf(overview)).toContain('A mistake')
+
+      const dryRun = await confluence.rollback({ ...options, reportPath: 'report.json', dryRun: true })
+      expect(dryRun).toMatchObject({ restored: 1, skipped: 0, failed: 0 })
+      expect(overview.version.number).toBe(2)
+
+      const result = await confluence.rollback({ ...options, reportPath: 'report.json' })
+      expect(result).toMatchObject({ restored: 1, failed: 0 })
+      expect(overview.version).toMatchObject({ number: 3, message: expect.stringContaining('Rolled back to version 1') })
+      expect(fake.storageOf(overview)).toBe(published)
+
+      // The rolled-back page is written again by the next publish, without looking hand-edited
+      expect(await confluence.publish(options)).toMatchObject({ success: 1, unchanged: 1 })
+      expect(fake.storageOf(overview)).toContain('A mistake')
+    })
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for confluence/lib/frontmatter.js
+ */
+
+const fs = require('fs')
+const {
+  CONFLUENCE_KEYS,
+  parseFrontmatter,
+  getConfluenceMetadata,
+  readConfluenceMetadata
+} = require('../../lib/confluence/lib/frontmatter')
+
+describe('frontmatter', () => {
+  describe('parseFrontmatter', () => {
+    it('should split YAML frontmatter from the body', () => {
+      const { data, body } = parseFrontmatter('---\ntitle: Hello\nconfluence:\n  space: TEST\n---\n# Body\n')
+
+      expect(data).toEqual({ title: 'Hello', confluence: { space: 'TEST' } })
+      expect(body).toBe('# Body\n')
+    })
+
+    it('should return empty data when there is no frontmatter', () => {
+      expect(parseFrontmatter('# Just markdown\n\n---\n')).toEqual({ data: {}, body: '# Just markdown\n\n---\n' })
+    })
+
+    it('should reject invalid YAML', () => {
+      expect(() => parseFrontmatter('---\ntitle: [unclosed\n---\n')).toThrow('Invalid frontmatter')
+    })
+  })
+
+  describe('getConfluenceMetadata', () => {
+    it('should return defaults when there is no confluence block', () => {
+      expect(getConfluenceMetadata({ title: 'Hello' })).toEqual({ labels: [], skip: false })
+    })
+
+    it('should normalise every supported key', () => {
+      const metadata = getConfluenceMetadata({
+        confluence: { title: ' Overview ', space: 'BTMS', parentId: 123, labels: ['BTMS', 'overview'], skip: false, pageId: '456' }
+      })
+
+      expect(metadata).toEqual({ title: 'Overview', space: 'BTMS', parentId: '123', labels: ['btms', 'overview'], skip: false, pageId: '456' })
+      expect(CONFLUENCE_KEYS).toEqual(['title', 'space', 'parentId', 'labels', 'skip', 'pageId'])
+    })
+
+    it('should accept dotted keys and a single label', () => {
+      expect(getConfluenceMetadata({ 'confluence.skip': true, 'confluence.labels': 'draft' }))
+        .toEqual({ labels: ['draft'], skip: true })
+    })
+
+    it('should reject unknown keys, naming the allowed ones', () => {
+      expect(() => getConfluenceMetadata({ confluence: { titel: 'Typo' } }))
+        .toThrow("unknown key 'confluence.titel' (allowed: title, space, parentId, labels, skip, pageId)")
+    })
+
+    it('should report every invalid value at once', () => {
+      let message
+      try {
+        getConfluenceMetadata({ confluence: { title: '', parentId: 'abc', labels: ['two words'], skip: 'yes' } })
+      } catch (error) {
+        message = error.message
+      }
+
+      expect(message).toContain("'confluence.title' must be a non-empty string")
+      expect(message).toContain("'confluence.parentId' must be a numeric page ID (got 'abc')")
+      expect(message).toContain("'confluence.labels' entries must be strings without spaces (got 'two words')")
+      expect(message).toContain("'confluence.skip' must be true or false (got 'yes')")
+    })
+
+    it('should reject a confluence value that is not a mapping', () => {
+      expect(() => getConfluenceMetadata({ confluence: 'BTMS' })).toThrow("frontmatter key 'confluence' must be a mapping")
+    })
+  })
+
+  describe('readConfluenceMetadata', () => {
+    let readFileSpy
+
+    afterEach(() => {
+      readFileSpy.mockRestore()
+    })
+
+    it('should read and validate a file', async () => {
+      readFileSpy = jest.spyOn(fs.promises, 'readFile').mockResolvedValue('---\nconfluence:\n  pageId: "42"\n---\n# Page\n')
+
+      expect(await readConfluenceMetadata('docs/page.md')).toEqual({ labels: [], skip: false, pageId: '42' })
+    })
+
+    it('should prefix errors with the file path', async () => {
+      readFileSpy = jest.spyOn(fs.promises, 'readFile').mockResolvedValue('---\nconfluence:\n  colour: red\n---\n')
+
+      await expect(readConfluenceMetadata('docs/page.md')).rejects.toThrow(/^docs\/page\.md: Invalid confluence frontmatter: unknown key 'confluence\.colour'/)
+    })
+  })
+})
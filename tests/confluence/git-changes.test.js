@@ -0,0 +1,129 @@
+/**
+ * Unit tests for confluence/lib/git-changes.js
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { execFileSync } = require('child_process')
+const {
+  getChangedFiles,
+  findChangedDiagrams,
+  changedEmbeds,
+  selectAffectedFiles
+} = require('../../lib/confluence/lib/git-changes')
+
+jest.mock('child_process', () => ({
+  execFileSync: jest.fn()
+}))
+
+describe('git-changes', () => {
+  let readFileSpy
+
+  /**
+   * Fake file contents by path relative to the working directory.
+   */
+  function mockFiles (files) {
+    readFileSpy.mockImplementation(async (file) => {
+      const key = path.relative(process.cwd(), path.resolve(file)).replace(/\\/g, '/')
+      if (files[key] === undefined) {
+        throw Object.assign(new Error(`ENOENT: ${key}`), { code: 'ENOENT' })
+      }
+      return files[key]
+    })
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    readFileSpy = jest.spyOn(fs.promises, 'readFile')
+  })
+
+  afterEach(() => {
+    readFileSpy.mockRestore()
+  })
+
+  describe('getChangedFiles', () => {
+    it('should list changed and untracked files from the repository root', () => {
+      execFileSync.mockImplementation((command, args) => {
+        if (args[0] === 'rev-parse') return '/repo\n'
+        if (args[0] === 'diff') return 'docs/a.md\0architecture/model.c4\0'
+        return 'docs/new.md\0docs/a.md\0'
+      })
+
+      expect(getChangedFiles('origin/main')).toEqual([
+        path.join('/repo', 'docs/a.md'),
+        path.join('/repo', 'architecture/model.c4'),
+        path.join('/repo', 'docs/new.md')
+      ])
+      expect(execFileSync).toHaveBeenCalledWith('git', ['diff', '--name-only', '-z', '--diff-filter=d', 'origin/main', '--'], expect.any(Object))
+    })
+
+    it('should report an unknown ref', () => {
+      execFileSync.mockImplementation((command, args) => {
+        if (args[0] === 'rev-parse') return '/repo\n'
+        throw Object.assign(new Error('Command failed'), { stderr: "fatal: bad revision 'nope'\n" })
+      })
+
+      expect(() => getChangedFiles('nope')).toThrow("Cannot list changes since 'nope': fatal: bad revision 'nope'")
+    })
+  })
+
+  describe('findChangedDiagrams', () => {
+    it('should map Mermaid sources, LikeC4 views and exported images to diagram IDs', async () => {
+      mockFiles({ 'architecture/views.c4': 'views {\n  view context {\n  }\n  view containers {\n  }\n}\n' })
+
+      const changes = await findChangedDiagrams([
+        'architecture/mmd/sequence.mmd',
+        'architecture/views.c4',
+        'generated/diagrams/landscape.png',
+        'docs/images/landscape.png'
+      ])
+
+      expect([...changes.mermaidDiagrams]).toEqual(['sequence', 'landscape'])
+      expect([...changes.likeC4Views]).toEqual(['context', 'containers', 'landscape'])
+      expect(changes.allLikeC4Views).toBe(false)
+    })
+
+    it('should treat a model change as affecting every LikeC4 view', async () => {
+      mockFiles({ 'architecture/model.c4': 'model {\n  system = softwareSystem "System"\n}\n' })
+
+      expect((await findChangedDiagrams(['architecture/model.c4'])).allLikeC4Views).toBe(true)
+    })
+  })
+
+  describe('changedEmbeds', () => {
+    it('should list only the changed diagrams a page embeds', () => {
+      const content = '<LikeC4View viewId="context" />\n<LikeC4View viewId="other" />\n<MermaidDiagram diagramId="sequence" />\n'
+      const changes = { likeC4Views: new Set(['context']), mermaidDiagrams: new Set(['sequence']), allLikeC4Views: false }
+
+      expect(changedEmbeds(content, changes)).toEqual(['context', 'sequence'])
+      expect(changedEmbeds(content, { ...changes, allLikeC4Views: true })).toEqual(['context', 'other', 'sequence'])
+    })
+  })
+
+  describe('selectAffectedFiles', () => {
+    it('should select changed files and pages embedding changed diagrams', async () => {
+      mockFiles({
+        'docs/a.md': '# A\n',
+        'docs/b.md': '# B\n<MermaidDiagram diagramId="sequence" />\n',
+        'docs/c.md': '# C\n<MermaidDiagram diagramId="unrelated" />\n'
+      })
+
+      const selected = await selectAffectedFiles(
+        ['docs/a.md', 'docs/b.md', 'docs/c.md'],
+        [path.resolve('docs/a.md'), path.resolve('architecture/mmd/sequence.mmd')]
+      )
+
+      expect([...selected]).toEqual([
+        ['docs/a.md', 'changed'],
+        ['docs/b.md', 'embeds changed diagram(s): sequence']
+      ])
+    })
+
+    it('should not read pages when no diagram changed', async () => {
+      const selected = await selectAffectedFiles(['docs/a.md', 'docs/b.md'], [path.resolve('docs/b.md')])
+
+      expect([...selected.keys()]).toEqual(['docs/b.md'])
+      expect(readFileSpy).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -4,7 +4,7 @@
 
 const { execSync } = require('child_process')
 const path = require('path')
-const { getGitHubSourceUrl } = require('../../lib/confluence/lib/github')
+const { getGitHubSourceUrl, getGitHubCommitUrl } = require('../../lib/confluence/lib/github')
 
 // Mock child_process
 jest.mock('child_process', () => ({
@@ -159,4 +159,18 @@ describe('github', () => {
       expect(result).toBeNull()
     })
   })
+
+  describe('getGitHubCommitUrl', () => {
+    it('should link to the commit in the detected repository', () => {
+      execSync.mockImplementation(() => 'git@github.com:defra/test-repo.git')
+
+      expect(getGitHubCommitUrl('a1b2c3d4')).toBe('https://github.com/defra/test-repo/commit/a1b2c3d4')
+    })
+
+    it('should return null when the repository is unknown', () => {
+      execSync.mockImplementation(() => '')
+
+      expect(getGitHubCommitUrl('a1b2c3d4')).toBeNull()
+    })
+  })
 })
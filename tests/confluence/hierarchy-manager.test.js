@@ -2,18 +2,26 @@
  * Unit tests for confluence/lib/hierarchy-manager.js
  */
 
-const fs = require('fs')
+const configLoader = require('../../lib/confluence/lib/config-loader')
 const apiClient = require('../../lib/confluence/lib/api-client')
 
 jest.mock('../../lib/confluence/lib/api-client', () => ({
   confluenceRequest: jest.fn(),
   getPageByTitle: jest.fn(),
-  searchPagesByTitle: jest.fn()
+  searchPagesByTitle: jest.fn(),
+  createPage: jest.fn(),
+  updatePage: jest.fn(),
+  getPageWithBody: jest.fn()
+}))
+
+jest.mock('../../lib/confluence/lib/api-v2', () => ({
+  createFolder: jest.fn()
 }))
 
 jest.mock('../../lib/confluence/lib/page-manager', () => ({
   createPagePayload: jest.fn(),
-  addLabelToPage: jest.fn()
+  addLabelToPage: jest.fn(),
+  setPageProperty: jest.fn()
 }))
 
 jest.mock('../../lib/confluence/lib/github', () => ({
@@ -23,23 +31,23 @@ jest.mock('../../lib/confluence/lib/github', () => ({
 const hierarchyManager = require('../../lib/confluence/lib/hierarchy-manager')
 
 describe('hierarchy-manager', () => {
-  let readFileSpy
+  let loadConfigSpy
 
   beforeEach(() => {
     jest.clearAllMocks()
     hierarchyManager.resetCache()
     hierarchyManager.setConfig({ configPath: 'C:/temp/confluence-config.json', dryRun: false })
-    readFileSpy = jest.spyOn(fs.promises, 'readFile').mockResolvedValue(JSON.stringify({
+    loadConfigSpy = jest.spyOn(configLoader, 'loadConfig').mockReturnValue({
       spaceMapping: {
         Trade: 'TIDIA',
         BTMS: 'BTMS',
         EUDP: 'EUDP'
       }
-    }))
+    })
   })
 
   afterEach(() => {
-    readFileSpy.mockRestore()
+    loadConfigSpy.mockRestore()
   })
 
   describe('getSpaceForPath', () => {
@@ -93,6 +101,66 @@ describe('hierarchy-manager', () => {
       getOrCreateFolderSpy.mockRestore()
     })
 
+    it('should follow mappingRules from the config for space, parent and stripped segments', async () => {
+      loadConfigSpy.mockReturnValue({
+        mappingRules: [{ match: 'handbook/*/**', space: 'HB', parentPageId: '900', strip: 2 }]
+      })
+      const getOrCreateFolderSpy = jest.spyOn(hierarchyManager, 'getOrCreateFolder')
+        .mockImplementation(async (folderName, parentId) => `${parentId}/${folderName}`)
+
+      const space = await hierarchyManager.getSpaceForPath('docs/handbook/team/guides/a.md')
+      const parent = await hierarchyManager.getParentForPath('docs/handbook/team/guides/a.md', space, '123', { username: 'user', apiToken: 'token' })
+
+      expect(space).toBe('HB')
+      expect(parent).toBe('900/guides')
+      expect(getOrCreateFolderSpy.mock.calls[0][3]).toBe('docs/handbook/team/guides')
+
+      getOrCreateFolderSpy.mockRestore()
+    })
+
+    it('should create each folder once when files are published concurrently', async () => {
+      const getOrCreateFolderSpy = jest.spyOn(hierarchyManager, 'getOrCreateFolder')
+        .mockImplementation(async (folderName, parentId) => {
+          await new Promise(resolve => setImmediate(resolve))
+          return parentId ? `${parentId}/${folderName}` : folderName
+        })
+      const auth = { username: 'user', apiToken: 'token' }
+
+      const results = await Promise.all([
+        hierarchyManager.getParentForPath('docs/Trade/Technology View/Current State Views/A.md', 'TIDIA', null, auth),
+        hierarchyManager.getParentForPath('docs/Trade/Technology View/Current State Views/B.md', 'TIDIA', null, auth),
+        hierarchyManager.getParentForPath('docs/Trade/Technology View/Other/C.md', 'TIDIA', null, auth)
+      ])
+
+      expect(results).toEqual([
+        'Technology View/Current State Views',
+        'Technology View/Current State Views',
+        'Technology View/Other'
+      ])
+      expect(getOrCreateFolderSpy.mock.calls.map(call => call[3])).toEqual([
+        'docs/Trade/Technology View',
+        'docs/Trade/Technology View/Current State Views',
+        'docs/Trade/Technology View/Other'
+      ])
+
+      getOrCreateFolderSpy.mockRestore()
+    })
+
+    it('should retry a folder that could not be resolved', async () => {
+      const getOrCreateFolderSpy = jest.spyOn(hierarchyManager, 'getOrCreateFolder')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce('folder-1')
+      const auth = { username: 'user', apiToken: 'token' }
+
+      await hierarchyManager.getParentForPath('docs/Trade/Technology View/A.md', 'TIDIA', null, auth)
+      const result = await hierarchyManager.getParentForPath('docs/Trade/Technology View/B.md', 'TIDIA', null, auth)
+
+      expect(result).toBe('folder-1')
+      expect(getOrCreateFolderSpy).toHaveBeenCalledTimes(2)
+
+      getOrCreateFolderSpy.mockRestore()
+    })
+
     it('should not create missing folders during dry run', async () => {
       hierarchyManager.setConfig({ configPath: 'C:/temp/confluence-config.json', dryRun: true })
       apiClient.getPageByTitle.mockResolvedValueOnce({ results: [] })
@@ -109,20 +177,39 @@ describe('hierarchy-manager', () => {
       expect(apiClient.confluenceRequest).not.toHaveBeenCalled()
     })
 
+    it('should record folder provenance when creating a folder', async () => {
+      const pageManager = require('../../lib/confluence/lib/page-manager')
+      apiClient.getPageByTitle.mockResolvedValueOnce({ results: [] })
+      apiClient.createPage.mockResolvedValueOnce({ status: 200, body: { id: 'folder-new' } })
+
+      const result = await hierarchyManager.getOrCreateFolder(
+        'Current State Views',
+        'parent-123',
+        'TIDIA',
+        'docs/Trade/Current State Views',
+        { username: 'user', apiToken: 'token' }
+      )
+
+      expect(result).toBe('folder-new')
+      expect(pageManager.setPageProperty).toHaveBeenCalledWith(
+        'folder-new',
+        'defra-publish-source-hash',
+        { source: 'docs/Trade/Current State Views', folder: true },
+        { username: 'user', apiToken: 'token' }
+      )
+    })
+
     it('should not update existing folder pages during dry run', async () => {
       hierarchyManager.setConfig({ configPath: 'C:/temp/confluence-config.json', dryRun: true })
       apiClient.getPageByTitle.mockResolvedValueOnce({
         results: [{ id: 'folder-123', ancestors: [] }]
       })
-      apiClient.confluenceRequest.mockResolvedValueOnce({
-        status: 200,
+      apiClient.getPageWithBody.mockResolvedValueOnce({
         body: {
-          body: {
-            storage: { value: '<ac:structured-macro ac:name="error"></ac:structured-macro>' },
-            atlas_doc_format: { value: '' }
-          },
-          version: { number: 1 }
-        }
+          storage: { value: '<ac:structured-macro ac:name="error"></ac:structured-macro>' },
+          atlas_doc_format: { value: '' }
+        },
+        version: { number: 1 }
       })
 
       const result = await hierarchyManager.getOrCreateFolder(
@@ -134,12 +221,28 @@ describe('hierarchy-manager', () => {
       )
 
       expect(result).toBe('folder-123')
-      expect(apiClient.confluenceRequest).toHaveBeenCalledTimes(1)
-      expect(apiClient.confluenceRequest).toHaveBeenCalledWith(
-        'GET',
-        '/content/folder-123?expand=body.atlas_doc_format,body.storage,version',
-        expect.any(Object)
-      )
+      expect(apiClient.getPageWithBody).toHaveBeenCalledWith('folder-123', expect.any(Object))
+      expect(apiClient.updatePage).not.toHaveBeenCalled()
+    })
+
+    it('should reuse or create native folders when nativeFolders is set', async () => {
+      const apiV2 = require('../../lib/confluence/lib/api-v2')
+      const pageManager = require('../../lib/confluence/lib/page-manager')
+      const auth = { username: 'user', apiToken: 'token' }
+      hierarchyManager.setConfig({ configPath: 'C:/temp/confluence-config.json', dryRun: false, nativeFolders: true })
+      apiClient.confluenceRequest
+        .mockResolvedValueOnce({ status: 200, body: { results: [{ id: 'f-1', ancestors: [{ id: 'parent-123' }] }] } })
+        .mockResolvedValueOnce({ status: 200, body: { results: [{ id: 'f-elsewhere', ancestors: [{ id: 'other' }] }] } })
+      apiV2.createFolder.mockResolvedValueOnce({ status: 200, body: { id: 'f-2' } })
+
+      expect(await hierarchyManager.getOrCreateFolder('Views', 'parent-123', 'TIDIA', 'docs/Trade/Views', auth)).toBe('f-1')
+      expect(await hierarchyManager.getOrCreateFolder('Views', 'parent-456', 'TIDIA', 'docs/Trade/Other/Views', auth)).toBe('f-2')
+
+      expect(apiClient.confluenceRequest.mock.calls[0][1]).toContain(encodeURIComponent('type=folder'))
+      expect(apiV2.createFolder).toHaveBeenCalledWith('Views', 'parent-456', 'TIDIA', auth)
+      expect(pageManager.setPageProperty).toHaveBeenCalledWith('f-2', 'defra-publish-source-hash',
+        { source: 'docs/Trade/Other/Views', folder: true }, auth, { folder: true })
+      expect(apiClient.createPage).not.toHaveBeenCalled()
     })
   })
 })
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for confluence/lib/image-handler.js
+ */
+
+const { execSync } = require('child_process')
+
+jest.mock('child_process', () => ({
+  execSync: jest.fn()
+}))
+
+const imageHandler = require('../../lib/confluence/lib/image-handler')
+const { convertMarkdownToAtlasDoc } = require('../../lib/confluence/markdown-to-atlas-doc')
+
+describe('image-handler', () => {
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation()
+    // No sips; ImageMagick reports every image as 400x200
+    execSync.mockImplementation(command => {
+      if (command === 'command -v sips') return ''
+      if (command === 'command -v identify') return '/usr/bin/identify'
+      return '400 200'
+    })
+  })
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore()
+  })
+
+  describe('findLocalImages', () => {
+    it('should list local images once each, leaving out remote images and diagram placeholders', () => {
+      const doc = convertMarkdownToAtlasDoc('![Flow](img/flow.png)\n\n- ![](img/flow.png) again\n- ![Badge](https://example.com/badge.svg)\n\n<ac:image-placeholder-viewid="index"/>\n\n| ![Icon](img/icon.png) |\n|---|\n')
+
+      expect(imageHandler.findLocalImages(JSON.stringify(doc))).toEqual([
+        { url: 'img/flow.png', alt: 'Flow' },
+        { url: 'img/icon.png', alt: 'Icon' }
+      ])
+    })
+  })
+
+  describe('replaceImagePlaceholdersAtlas', () => {
+    it('should swap local images for their attachment, keeping alt text, links and width hints', async () => {
+      const doc = convertMarkdownToAtlasDoc('[![Flow](img/flow.png){width=300}](https://example.com)\n\nAnd ![Flow](img/flow.png) again\n', { addTableOfContents: false })
+
+      const replaced = await imageHandler.replaceImagePlaceholdersAtlas(doc, [
+        { imagePath: '/repo/docs/img/flow.png', attachmentInfo: 'att1|file-1|flow.png', originalPath: 'img/flow.png' }
+      ], '42')
+
+      const media = { type: 'file', collection: 'contentId-42', id: 'file-1', width: 400, height: 200, alt: 'Flow' }
+      expect(replaced.content).toEqual([
+        {
+          type: 'mediaSingle',
+          attrs: { layout: 'center', width: 300, widthType: 'pixel' },
+          content: [{ type: 'media', attrs: media, marks: [{ type: 'link', attrs: { href: 'https://example.com' } }] }]
+        },
+        { type: 'paragraph', content: [{ type: 'text', text: 'And' }] },
+        { type: 'mediaSingle', attrs: { layout: 'center' }, content: [{ type: 'media', attrs: media }] },
+        { type: 'paragraph', content: [{ type: 'text', text: 'again' }] }
+      ])
+    })
+
+    it('should show diagrams 1600px wide unless the placeholder sets a width', async () => {
+      const doc = convertMarkdownToAtlasDoc('<ac:image-placeholder-viewid="index"/>\n\n<ac:image-placeholder-viewid="flow"/>\n')
+
+      const replaced = await imageHandler.replaceImagePlaceholdersAtlas(doc, [
+        { viewId: 'index', imagePath: '/repo/generated/index.png', attachmentInfo: 'att1|file-1|index.png' },
+        { viewId: 'flow', imagePath: '/repo/build/flow.png', attachmentInfo: 'att2|file-2|flow.png', width: 900 }
+      ], '42')
+
+      expect(replaced.content.map(node => node.content[0].attrs)).toEqual([
+        { type: 'file', collection: 'contentId-42', id: 'file-1', width: 1600, height: 800 },
+        { type: 'file', collection: 'contentId-42', id: 'file-2', width: 900, height: 450 }
+      ])
+    })
+  })
+})
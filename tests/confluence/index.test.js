@@ -10,7 +10,8 @@ jest.mock('glob', () => ({
 }))
 
 jest.mock('../../lib/confluence/lib/api-client', () => ({
-  setConfig: jest.fn()
+  setConfig: jest.fn(),
+  resolveApiVersion: jest.fn(() => 'v1')
 }))
 
 jest.mock('../../lib/confluence/lib/page-manager', () => ({
@@ -26,10 +27,12 @@ jest.mock('../../lib/confluence/lib/image-handler', () => ({
 }))
 
 jest.mock('../../lib/confluence/lib/hierarchy-manager', () => ({
-  setConfig: jest.fn()
+  setConfig: jest.fn(),
+  resetCache: jest.fn()
 }))
 
 const { publish } = require('../../lib/confluence')
+const gitChanges = require('../../lib/confluence/lib/git-changes')
 
 describe('confluence index', () => {
   let readFileSpy
@@ -50,7 +53,10 @@ describe('confluence index', () => {
   beforeEach(() => {
     jest.clearAllMocks()
     readFileSpy = jest.spyOn(fs.promises, 'readFile').mockResolvedValue(configJson)
-    readFileSyncSpy = jest.spyOn(fs, 'readFileSync').mockReturnValue(configJson)
+    // Only the config is faked; the config schema is read for real
+    const realReadFileSync = fs.readFileSync
+    readFileSyncSpy = jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) =>
+      String(file).endsWith('confluence-config.json') ? configJson : realReadFileSync(file, ...args))
     consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
   })
 
@@ -76,10 +82,73 @@ describe('confluence index', () => {
     expect(result).toEqual({
       success: 0,
       failed: 0,
-      skipped: 1
+      skipped: 1,
+      unchanged: 0,
+      report: expect.objectContaining({
+        dryRun: false,
+        summary: { created: 0, updated: 0, unchanged: 0, skipped: 1, failed: 0, total: 1 },
+        files: [expect.objectContaining({
+          source: 'docs/systems/EUDP/TRACES Integration Gateway/TIG - Technology/TIG - Analysis/API Calls/**/*.md',
+          action: 'skipped',
+          reason: 'No files matched'
+        })]
+      })
     })
     expect(consoleErrorSpy).toHaveBeenCalledWith(
       "  ⚠️  No files matched: docs/systems/EUDP/TRACES Integration Gateway/TIG - Technology/TIG - Analysis/API Calls/**/*.md"
     )
   })
+  it('should report files left out by the file filter as skipped', async () => {
+    glob.mockResolvedValueOnce(['docs/systems/EUDP/a.md', 'docs/systems/EUDP/b.md'])
+    const statSpy = jest.spyOn(fs.promises, 'stat').mockResolvedValue({ isFile: () => true })
+
+    try {
+      const result = await publish({
+        configPath: 'C:/temp/confluence-config.json',
+        auth: { username: 'user', apiToken: 'token' },
+        contentRoot: 'docs',
+        fileFilter: 'docs/systems/EUDP/c.md'
+      })
+
+      expect(result).toMatchObject({ success: 0, failed: 0, skipped: 2 })
+      expect(result.report.summary.skipped).toBe(result.skipped)
+      expect(result.report.files).toEqual([
+        expect.objectContaining({ source: 'docs/systems/EUDP/a.md', action: 'skipped', reason: 'Not the file filter' }),
+        expect.objectContaining({ source: 'docs/systems/EUDP/b.md', action: 'skipped', reason: 'Not the file filter' })
+      ])
+    } finally {
+      statSpy.mockRestore()
+    }
+  })
+
+  it('should publish only files affected by changes since a git ref', async () => {
+    const files = ['docs/systems/EUDP/a.md', 'docs/systems/EUDP/b.md']
+    glob.mockResolvedValueOnce(files)
+    const statSpy = jest.spyOn(fs.promises, 'stat').mockResolvedValue({ isFile: () => true })
+    const changedSpy = jest.spyOn(gitChanges, 'getChangedFiles').mockReturnValue(['/repo/README.md'])
+    const selectSpy = jest.spyOn(gitChanges, 'selectAffectedFiles').mockResolvedValue(new Map())
+
+    try {
+      const result = await publish({
+        configPath: 'C:/temp/confluence-config.json',
+        auth: { username: 'user', apiToken: 'token' },
+        contentRoot: 'docs',
+        since: 'origin/main'
+      })
+
+      expect(changedSpy).toHaveBeenCalledWith('origin/main')
+      expect(selectSpy).toHaveBeenCalledWith(files, ['/repo/README.md'], { exportsDir: 'generated/diagrams' })
+      expect(result).toMatchObject({ success: 0, failed: 0, skipped: 2 })
+      expect(result.report.summary.skipped).toBe(result.skipped)
+      expect(result.report.files).toEqual([
+        expect.objectContaining({ source: 'docs/systems/EUDP/a.md', action: 'skipped', reason: 'Unchanged since origin/main' }),
+        expect.objectContaining({ source: 'docs/systems/EUDP/b.md', action: 'skipped', reason: 'Unchanged since origin/main' })
+      ])
+      expect(consoleErrorSpy).toHaveBeenCalledWith('  🔀 Changed since origin/main: 1 file(s), 0 page(s) to publish')
+    } finally {
+      statSpy.mockRestore()
+      changedSpy.mockRestore()
+      selectSpy.mockRestore()
+    }
+  })
 })
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for confluence/lib/link-resolver.js
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { getGitHubSourceUrl } = require('../../lib/confluence/lib/github')
+const { getSpaceForPath } = require('../../lib/confluence/lib/hierarchy-manager')
+
+jest.mock('../../lib/confluence/lib/github', () => ({
+  getGitHubSourceUrl: jest.fn()
+}))
+
+jest.mock('../../lib/confluence/lib/hierarchy-manager', () => ({
+  getSpaceForPath: jest.fn()
+}))
+
+const {
+  parseRelativeLink,
+  findRelativeLinks,
+  githubSlug,
+  confluenceAnchor,
+  resolveLinks
+} = require('../../lib/confluence/lib/link-resolver')
+
+describe('link-resolver', () => {
+  describe('parseRelativeLink', () => {
+    it('should split relative Markdown links into path and anchor', () => {
+      expect(parseRelativeLink('../adr/0003-messaging.md#decision')).toEqual({ linkPath: '../adr/0003-messaging.md', anchor: 'decision' })
+      expect(parseRelativeLink('page%20one.mdx')).toEqual({ linkPath: 'page one.mdx', anchor: '' })
+    })
+
+    it('should ignore absolute URLs, in-page anchors and other files', () => {
+      expect(parseRelativeLink('https://example.com/readme.md')).toBeNull()
+      expect(parseRelativeLink('mailto:team@example.com')).toBeNull()
+      expect(parseRelativeLink('#section')).toBeNull()
+      expect(parseRelativeLink('diagram.png')).toBeNull()
+    })
+  })
+
+  describe('findRelativeLinks', () => {
+    it('should list distinct document links, skipping images and code', () => {
+      const markdown = [
+        'See [ADR](../adr/0003.md) and [again](../adr/0003.md "title").',
+        '![diagram](./img/flow.md)',
+        '`[not a link](code.md)`',
+        '```',
+        '[fenced](fenced.md)',
+        '```',
+        '[web](https://example.com/x.md) [other](other.md#usage)'
+      ].join('\n')
+
+      expect(findRelativeLinks(markdown)).toEqual(['../adr/0003.md', 'other.md#usage'])
+    })
+  })
+
+  describe('anchors', () => {
+    it('should build GitHub slugs and Confluence anchors from heading text', () => {
+      expect(githubSlug('Message Flow (v2)')).toBe('message-flow-v2')
+      expect(confluenceAnchor('Message Flow (v2)')).toBe('Message-Flow-(v2)')
+    })
+  })
+
+  describe('resolveLinks', () => {
+    const docsDir = path.join(process.cwd(), 'docs')
+    const filePath = path.join(docsDir, 'guide', 'index.md')
+    let readFileSpy
+    let consoleErrorSpy
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+      readFileSpy = jest.spyOn(fs.promises, 'readFile').mockImplementation(async (file) => {
+        if (file.endsWith('new.md')) return '---\nconfluence:\n  title: Brand New\n---\n# Ignored\n\n## Message Flow\n'
+        if (file.endsWith('adr.md')) return '# ADR\n\n## Decision Outcome\n'
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' })
+      })
+      getGitHubSourceUrl.mockImplementation((file) => `https://github.com/org/repo/blob/main/${path.relative(process.cwd(), file)}`)
+      getSpaceForPath.mockResolvedValue('ARCH')
+    })
+
+    afterEach(() => {
+      readFileSpy.mockRestore()
+      consoleErrorSpy.mockRestore()
+    })
+
+    const context = (extra = {}) => ({
+      sources: new Set(['docs/adr.md', 'docs/new.md']),
+      pageMap: { version: 1, pages: { 'docs/adr.md': { pageId: '42', space: 'ARCH', title: 'ADR' } } },
+      confluenceUrl: 'https://test.atlassian.net/',
+      ...extra
+    })
+
+    it('should link mapped pages by ID, translating the anchor', async () => {
+      const links = await resolveLinks('[adr](../adr.md#decision-outcome)', filePath, context())
+
+      expect(links).toEqual({ '../adr.md#decision-outcome': 'https://test.atlassian.net/wiki/spaces/ARCH/pages/42#Decision-Outcome' })
+    })
+
+    it('should link unpublished members of the publish set by space and title', async () => {
+      const links = await resolveLinks('[new](../new.md#message-flow)', filePath, context())
+
+      expect(links).toEqual({ '../new.md#message-flow': 'https://test.atlassian.net/wiki/display/ARCH/Brand+New#Message-Flow' })
+      expect(getSpaceForPath).toHaveBeenCalledWith(path.join(docsDir, 'new.md'), undefined)
+    })
+
+    it('should fall back to GitHub for files outside the publish set', async () => {
+      const links = await resolveLinks('[notes](./notes.md#todo)', filePath, context({ sources: async () => new Set() }))
+
+      expect(links).toEqual({ './notes.md#todo': 'https://github.com/org/repo/blob/main/docs/guide/notes.md#todo' })
+    })
+
+    it('should leave links alone when there is nowhere to point them', async () => {
+      getGitHubSourceUrl.mockReturnValue(null)
+      getSpaceForPath.mockResolvedValue(null)
+
+      expect(await resolveLinks('[x](../new.md) [y](y.md)', filePath, context())).toEqual({})
+    })
+  })
+})
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for confluence/lib/manual-edits.js
+ */
+
+const fs = require('fs')
+const path = require('path')
+const apiClient = require('../../lib/confluence/lib/api-client')
+const {
+  resetCache,
+  getPublisherAccountId,
+  detectManualEdit,
+  backupPage
+} = require('../../lib/confluence/lib/manual-edits')
+
+jest.mock('../../lib/confluence/lib/api-client', () => ({
+  getCurrentUser: jest.fn(),
+  getPageWithBody: jest.fn()
+}))
+
+/**
+ * Build a page with the given latest version.
+ */
+function pageAt (number, { accountId = 'editor-1', displayName = 'Jo Editor', when = '2026-10-01T10:00:00.000Z' } = {}) {
+  return { id: '123', title: 'Overview', version: { number, when, by: { accountId, displayName } } }
+}
+
+describe('manual-edits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    resetCache()
+  })
+
+  describe('detectManualEdit', () => {
+    it('should flag a version newer than the recorded publish', () => {
+      expect(detectManualEdit(pageAt(5), { pageVersion: 4 }, null)).toEqual({
+        version: 5,
+        author: 'Jo Editor',
+        when: '2026-10-01T10:00:00.000Z',
+        reason: 'version 5 is newer than the published version 4'
+      })
+      expect(detectManualEdit(pageAt(4), { pageVersion: 4 }, 'publisher')).toBeNull()
+    })
+
+    it('should fall back to the publish time for records without a version', () => {
+      const record = { publishedAt: '2026-09-30T00:00:00.000Z' }
+
+      expect(detectManualEdit(pageAt(3), record, null).reason)
+        .toBe('version 3 was saved after the last publish (2026-09-30T00:00:00.000Z)')
+      expect(detectManualEdit(pageAt(3, { when: '2026-09-29T23:59:00.000Z' }), record, null)).toBeNull()
+    })
+
+    it('should compare authors when nothing was recorded', () => {
+      expect(detectManualEdit(pageAt(2), null, 'publisher').reason).toBe('version 2 was not written by the publishing account')
+      expect(detectManualEdit(pageAt(2, { accountId: 'publisher' }), null, 'publisher')).toBeNull()
+      expect(detectManualEdit(pageAt(2), null, null)).toBeNull()
+    })
+  })
+
+  describe('getPublisherAccountId', () => {
+    it('should look the account up once per auth object', async () => {
+      apiClient.getCurrentUser.mockResolvedValue({ accountId: 'publisher' })
+      const auth = { username: 'user', apiToken: 'token' }
+
+      expect(await getPublisherAccountId(auth)).toBe('publisher')
+      expect(await getPublisherAccountId(auth)).toBe('publisher')
+      expect(apiClient.getCurrentUser).toHaveBeenCalledTimes(1)
+    })
+
+    it('should return null when the account cannot be looked up', async () => {
+      apiClient.getCurrentUser.mockResolvedValue(null)
+
+      expect(await getPublisherAccountId({ mode: 'bearer', token: 'pat' })).toBeNull()
+    })
+  })
+
+  describe('backupPage', () => {
+    let mkdirSpy
+    let writeFileSpy
+
+    beforeEach(() => {
+      mkdirSpy = jest.spyOn(fs.promises, 'mkdir').mockResolvedValue()
+      writeFileSpy = jest.spyOn(fs.promises, 'writeFile').mockResolvedValue()
+    })
+
+    afterEach(() => {
+      mkdirSpy.mockRestore()
+      writeFileSpy.mockRestore()
+    })
+
+    it('should save the live body with its version and author', async () => {
+      apiClient.getPageWithBody.mockResolvedValue({ title: 'Overview', body: { atlas_doc_format: { value: '{"type":"doc"}' } } })
+      const edit = detectManualEdit(pageAt(5), { pageVersion: 4 }, null)
+
+      const backupPath = await backupPage(pageAt(5), edit, { auth: {}, backupDir: 'backups', source: 'docs/a.md', space: 'TIDIA' })
+
+      expect(backupPath).toBe(path.join('backups', '123-v5.json'))
+      expect(JSON.parse(writeFileSpy.mock.calls[0][1])).toMatchObject({
+        pageId: '123',
+        title: 'Overview',
+        space: 'TIDIA',
+        source: 'docs/a.md',
+        version: 5,
+        author: 'Jo Editor',
+        representation: 'atlas_doc_format',
+        body: '{"type":"doc"}'
+      })
+    })
+
+    it('should fail without writing when the body cannot be read', async () => {
+      apiClient.getPageWithBody.mockResolvedValue(null)
+
+      await expect(backupPage(pageAt(5), { version: 5 }, { auth: {} })).rejects.toThrow('Could not read the body of page 123 to back it up')
+      expect(writeFileSpy).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,294 @@
+/**
+ * CommonMark conformance tests for confluence/markdown-to-atlas-doc.js
+ *
+ * Every example in the CommonMark spec is converted to ADF, rendered back to
+ * HTML and compared with the spec's HTML. Whitespace between block tags, and
+ * whether a list is tight or loose (ADF list items always hold paragraphs),
+ * are ignored. Examples ADF cannot express are listed in UNSUPPORTED with
+ * the reason; they must still convert to valid ADF.
+ */
+
+const commonmarkSpec = require('commonmark-spec')
+const { convertMarkdownToAtlasDoc } = require('../../lib/confluence/markdown-to-atlas-doc')
+
+/**
+ * Spec examples whose HTML ADF cannot reproduce, by reason
+ */
+const UNSUPPORTED = {
+  // Shown as written, or dropped when it is a comment
+  'ADF has no raw HTML': [
+    21, 31, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167,
+    168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189,
+    190, 191, 201, 308, 309, 344, 475, 476, 477, 491, 494, 524, 536, 613, 614, 615, 616, 617, 623, 625, 626, 627,
+    628, 629, 630, 631, 642, 643
+  ],
+  // Headings become bold paragraphs, quotes give up their content, rules are dropped
+  'ADF allows no headings, quotes or rules in list items and quotes': [
+    61, 228, 229, 230, 232, 250, 251, 254, 259, 260, 263, 286, 287, 288, 290, 292, 293, 300, 320, 321
+  ],
+  'ADF allows no formatting on inline code': [478, 479, 516, 530],
+  // Defra docs convention (see lib/ppt/content-filters.js)
+  '__text__ is italic, not bold': [382, 389, 390, 399, 402, 403, 406, 424, 425, 426, 452, 453, 456, 458, 462, 465, 468, 470],
+  'ADF has no empty links': [484, 487],
+  'ADF media has no title': [572, 573, 576, 577, 579, 584, 585, 586, 587, 588, 589, 591],
+  // GFM autolinks bare URLs and email addresses
+  'Bare URLs are links': [602, 608, 611, 612]
+}
+
+/**
+ * GFM extension examples (tables, strikethrough, bare URLs) after the GFM spec
+ */
+const GFM_EXAMPLES = [
+  {
+    name: 'table',
+    markdown: '| foo | bar |\n| --- | --- |\n| baz | bim |\n',
+    html: '<table>\n<thead>\n<tr>\n<th>foo</th>\n<th>bar</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>baz</td>\n<td>bim</td>\n</tr>\n</tbody>\n</table>\n'
+  },
+  {
+    name: 'table column alignment',
+    markdown: '| abc | defghi |\n:-: | -----------:\nbar | baz\n',
+    html: '<table>\n<thead>\n<tr>\n<th align="center">abc</th>\n<th align="right">defghi</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td align="center">bar</td>\n<td align="right">baz</td>\n</tr>\n</tbody>\n</table>\n'
+  },
+  {
+    name: 'table cells with escaped pipes and inlines',
+    markdown: '| f\\|oo  |\n| ------ |\n| b `\\|` az |\n| b **\\|** im |\n',
+    html: '<table>\n<thead>\n<tr>\n<th>f|oo</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>b <code>|</code> az</td>\n</tr>\n<tr>\n<td>b <strong>|</strong> im</td>\n</tr>\n</tbody>\n</table>\n'
+  },
+  {
+    name: 'table ended by another block',
+    markdown: '| abc | def |\n| --- | --- |\n| bar | baz |\n> bar\n',
+    html: '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>bar</td>\n<td>baz</td>\n</tr>\n</tbody>\n</table>\n<blockquote>\n<p>bar</p>\n</blockquote>\n'
+  },
+  {
+    name: 'table rows padded and cut to the header',
+    markdown: '| abc | def |\n| --- | --- |\n| bar |\n| bar | baz | boo |\n',
+    html: '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>bar</td>\n<td></td>\n</tr>\n<tr>\n<td>bar</td>\n<td>baz</td>\n</tr>\n</tbody>\n</table>\n'
+  },
+  {
+    name: 'table with only a header row',
+    markdown: '| abc | def |\n| --- | --- |\n',
+    html: '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n</table>\n'
+  },
+  {
+    name: 'strikethrough',
+    markdown: '~~Hi~~ Hello, world!\n',
+    html: '<p><del>Hi</del> Hello, world!</p>\n'
+  },
+  {
+    name: 'strikethrough does not span paragraphs',
+    markdown: 'This ~~has a\n\nnew paragraph~~.\n',
+    html: '<p>This ~~has a</p>\n<p>new paragraph~~.</p>\n'
+  },
+  {
+    name: 'bare email address',
+    markdown: 'Mail foo@bar.baz.\n',
+    html: '<p>Mail <a href="mailto:foo@bar.baz">foo@bar.baz</a>.</p>\n'
+  },
+  {
+    name: 'bare URL without trailing punctuation',
+    markdown: 'Visit https://www.commonmark.org.\n',
+    html: '<p>Visit <a href="https://www.commonmark.org">https://www.commonmark.org</a>.</p>\n'
+  }
+]
+
+/**
+ * Spec examples, with the spec's visible tabs (→) made real
+ */
+const specExamples = commonmarkSpec.tests.map(example => ({
+  ...example,
+  markdown: example.markdown.replace(/→/g, '\t'),
+  html: example.html.replace(/→/g, '\t')
+}))
+
+const unsupportedReasons = new Map(Object.entries(UNSUPPORTED).flatMap(([reason, numbers]) => numbers.map(number => [number, reason])))
+
+/**
+ * Escape text for HTML as the spec's renderer does
+ */
+function escapeHtml (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Opening and closing tags for an ADF mark
+ */
+function markTags (mark) {
+  switch (mark.type) {
+    case 'strong': return ['<strong>', '</strong>']
+    case 'em': return ['<em>', '</em>']
+    case 'code': return ['<code>', '</code>']
+    case 'strike': return ['<del>', '</del>']
+    case 'link': return [`<a href="${escapeHtml(mark.attrs.href)}"${mark.attrs.title ? ` title="${escapeHtml(mark.attrs.title)}"` : ''}>`, '</a>']
+    default: throw new Error(`Unexpected mark ${mark.type}`)
+  }
+}
+
+/**
+ * Render ADF inline nodes to HTML, nesting marks shared by neighbouring text
+ */
+function renderInline (nodes = []) {
+  let html = ''
+  let open = []
+  const closeFrom = (index) => {
+    html += open.slice(index).reverse().map(mark => markTags(mark)[1]).join('')
+    open = open.slice(0, index)
+  }
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      const marks = node.marks || []
+      let keep = 0
+      while (keep < open.length && keep < marks.length && JSON.stringify(open[keep]) === JSON.stringify(marks[keep])) keep++
+      closeFrom(keep)
+      for (const mark of marks.slice(keep)) {
+        html += markTags(mark)[0]
+        open.push(mark)
+      }
+      html += escapeHtml(node.text)
+    } else if (node.type === 'hardBreak') {
+      html += '<br />\n'
+    } else if (node.type === 'inlineCard') {
+      html += `<a href="${escapeHtml(node.attrs.url)}">${escapeHtml(node.attrs.url)}</a>`
+    } else {
+      throw new Error(`Unexpected inline node ${node.type}`)
+    }
+  }
+  closeFrom(0)
+  return html
+}
+
+/**
+ * Render ADF block nodes to HTML in the spec's layout
+ */
+function renderBlocks (nodes = []) {
+  return nodes.map(node => {
+    switch (node.type) {
+      // markdown-it never makes empty paragraphs; the converter adds them where ADF needs a block
+      case 'paragraph': return node.content.length > 0 ? `<p>${renderInline(node.content)}</p>\n` : ''
+      case 'heading': return `<h${node.attrs.level}>${renderInline(node.content)}</h${node.attrs.level}>\n`
+      case 'bulletList': return `<ul>\n${renderBlocks(node.content)}</ul>\n`
+      case 'orderedList': return `<ol${node.attrs?.order !== undefined ? ` start="${node.attrs.order}"` : ''}>\n${renderBlocks(node.content)}</ol>\n`
+      case 'listItem': return `<li>${renderBlocks(node.content)}</li>\n`
+      case 'blockquote': return `<blockquote>\n${renderBlocks(node.content)}</blockquote>\n`
+      case 'rule': return '<hr />\n'
+      case 'codeBlock': {
+        const text = node.content.map(child => child.text).join('')
+        const language = node.attrs.language === 'plain' ? '' : ` class="language-${escapeHtml(node.attrs.language)}"`
+        return `<pre><code${language}>${escapeHtml(text)}${text ? '\n' : ''}</code></pre>\n`
+      }
+      case 'table': return renderTable(node)
+      case 'mediaSingle': return `<p>${renderMedia(node.content[0])}</p>\n`
+      default: throw new Error(`Unexpected block node ${node.type}`)
+    }
+  }).join('')
+}
+
+/**
+ * Render ADF media as an image, inside its link if it has one
+ */
+function renderMedia (media) {
+  const image = `<img src="${escapeHtml(media.attrs.url)}" alt="${escapeHtml(media.attrs.alt || '')}" />`
+  const link = media.marks?.find(mark => mark.type === 'link')
+  return link ? `${markTags(link)[0]}${image}${markTags(link)[1]}` : image
+}
+
+/**
+ * Render an ADF table in the GFM spec's layout
+ */
+function renderTable (table) {
+  const [head, ...body] = table.content
+  const row = (cells) => `<tr>\n${cells.content.map(cell => {
+    const tag = cell.type === 'tableHeader' ? 'th' : 'td'
+    const align = cell.content[0].marks?.find(mark => mark.type === 'alignment')?.attrs.align
+    const style = align ? ` align="${align === 'end' ? 'right' : align}"` : ''
+    return `<${tag}${style}>${renderInline(cell.content[0].content)}</${tag}>\n`
+  }).join('')}</tr>\n`
+  return `<table>\n<thead>\n${row(head)}</thead>\n${body.length > 0 ? `<tbody>\n${body.map(row).join('')}</tbody>\n` : ''}</table>\n`
+}
+
+/**
+ * Normalise HTML for comparison: collapse whitespace outside <pre>, drop it
+ * around block tags, and drop paragraph tags directly inside list items
+ */
+function normaliseHtml (html) {
+  const preformatted = []
+  const blockTag = /\s*(<\/?(?:p|li|ul|ol|blockquote|h[1-6]|hr|pre|table|thead|tbody|tr|th|td|br)\b[^>]*>)\s*/g
+  let normalised = html
+    .replace(/(<pre[^>]*>)([\s\S]*?)(<\/pre>)/g, (match, open, content, close) => `${open}\uE000${preformatted.push(content) - 1}\uE000${close}`)
+    .replace(/\s+/g, ' ')
+    .replace(blockTag, '$1')
+    .replace(/\s*\/>/g, '>')
+    .trim()
+
+  const containers = []
+  normalised = normalised.replace(/<(\/?)([a-z][a-z0-9]*)\b[^>]*>/g, (tag, closing, name) => {
+    if (name === 'p') {
+      return containers[containers.length - 1] === 'li' ? '' : tag
+    }
+    if (['li', 'ul', 'ol', 'blockquote', 'table', 'td', 'th'].includes(name)) {
+      if (closing) containers.pop()
+      else containers.push(name)
+    }
+    return tag
+  })
+  return normalised.replace(/\uE000(\d+)\uE000/g, (match, index) => preformatted[index])
+}
+
+/**
+ * Structural problems ADF validation would reject
+ */
+function adfProblems (node, parentType = 'doc') {
+  const problems = []
+  const allowed = {
+    listItem: ['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle'],
+    blockquote: ['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle', 'mediaGroup']
+  }[parentType]
+  if (allowed && !allowed.includes(node.type)) problems.push(`${node.type} in ${parentType}`)
+  if (node.type === 'text' && !node.text) problems.push('empty text node')
+  if (node.type === 'media' && parentType !== 'mediaSingle') problems.push(`media in ${parentType}`)
+  if (node.type === 'text' && node.marks?.some(mark => mark.type === 'code') && node.marks.some(mark => !['code', 'link'].includes(mark.type))) {
+    problems.push('code mark combined with formatting')
+  }
+  if (node.type === 'listItem' && !['paragraph', 'codeBlock', 'mediaSingle'].includes(node.content[0]?.type)) {
+    problems.push(`list item starting with ${node.content[0]?.type}`)
+  }
+  for (const child of node.content || []) {
+    problems.push(...adfProblems(child, node.type))
+  }
+  return problems
+}
+
+/**
+ * Convert markdown as a page body would be, without the table of contents
+ */
+function convert (markdown) {
+  return convertMarkdownToAtlasDoc(markdown, { addTableOfContents: false })
+}
+
+describe('markdown-to-atlas-doc CommonMark conformance', () => {
+  const supported = specExamples.filter(example => !unsupportedReasons.has(example.number))
+
+  it.each(supported.map(example => [example.number, example.section, example]))('example %i (%s)', (number, section, example) => {
+    expect(normaliseHtml(renderBlocks(convert(example.markdown).content))).toBe(normaliseHtml(example.html))
+  })
+
+  it.each(specExamples.map(example => [example.number, example]))('example %i converts to valid ADF', (number, example) => {
+    expect(adfProblems(convert(example.markdown))).toEqual([])
+  })
+
+  it('should list only examples that exist and still differ', () => {
+    const stale = specExamples
+      .filter(example => unsupportedReasons.has(example.number))
+      .filter(example => normaliseHtml(renderBlocks(convert(example.markdown).content)) === normaliseHtml(example.html))
+      .map(example => example.number)
+
+    expect(stale).toEqual([])
+    expect([...unsupportedReasons.keys()].every(number => specExamples.some(example => example.number === number))).toBe(true)
+  })
+})
+
+describe('markdown-to-atlas-doc GFM extensions', () => {
+  it.each(GFM_EXAMPLES.map(example => [example.name, example]))('%s', (name, example) => {
+    expect(normaliseHtml(renderBlocks(convert(example.markdown).content))).toBe(normaliseHtml(example.html))
+  })
+})
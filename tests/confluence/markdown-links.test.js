@@ -0,0 +1,36 @@
+const { spawnSync } = require('child_process')
+const path = require('path')
+
+const converterPath = path.join(__dirname, '../../lib/confluence/markdown-to-atlas-doc.js')
+
+function convertMarkdown (markdown, links) {
+  const args = links ? [converterPath, '--links', JSON.stringify(links)] : [converterPath]
+  const result = spawnSync('node', args, { input: markdown, encoding: 'utf8' })
+  if (result.status !== 0) {
+    throw new Error(result.stderr || 'converter failed')
+  }
+  return JSON.parse(result.stdout)
+}
+
+describe('markdown-to-atlas-doc relative links', () => {
+  const links = { '../adr/0003.md#decision': 'https://test.atlassian.net/wiki/spaces/ARCH/pages/42#Decision' }
+
+  it('rewrites resolved links and keeps the link text', () => {
+    const doc = convertMarkdown('See [the ADR](../adr/0003.md#decision) and [web](https://example.com).', links)
+    const hrefs = doc.content[0].content.filter(node => node.marks).map(node => node.marks[0].attrs.href)
+
+    expect(hrefs).toEqual(['https://test.atlassian.net/wiki/spaces/ARCH/pages/42#Decision', 'https://example.com'])
+  })
+
+  it('turns bare resolved links into smart links', () => {
+    const doc = convertMarkdown('[../adr/0003.md#decision](../adr/0003.md#decision)', links)
+
+    expect(doc.content[0].content).toEqual([{ type: 'inlineCard', attrs: { url: 'https://test.atlassian.net/wiki/spaces/ARCH/pages/42#Decision' } }])
+  })
+
+  it('leaves links unchanged without --links', () => {
+    const doc = convertMarkdown('[the ADR](../adr/0003.md)')
+
+    expect(doc.content[0].content[0].marks[0].attrs.href).toBe('../adr/0003.md')
+  })
+})
@@ -0,0 +1,263 @@
+/**
+ * Unit tests for confluence/markdown-to-atlas-doc.js
+ */
+
+const { convertMarkdownToAtlasDoc } = require('../../lib/confluence/markdown-to-atlas-doc')
+const { adfToStorage } = require('../../lib/confluence/fake-server')
+const storageToMarkdown = require('../../lib/confluence/storage-to-markdown')
+
+/**
+ * Build a text node
+ */
+function text (value, ...marks) {
+  return marks.length > 0 ? { type: 'text', text: value, marks } : { type: 'text', text: value }
+}
+
+describe('markdown-to-atlas-doc', () => {
+  it('should join lazy continuation lines into one paragraph', () => {
+    const doc = convertMarkdownToAtlasDoc('> A quote that\ncarries on\n\nNext *para*\ngraph')
+
+    expect(doc.content).toEqual([
+      { type: 'blockquote', content: [{ type: 'paragraph', content: [text('A quote that carries on')] }] },
+      { type: 'paragraph', content: [text('Next '), text('para', { type: 'em' }), text(' graph')] }
+    ])
+  })
+
+  it('should nest lists by content indent and keep ordered list numbering', () => {
+    const doc = convertMarkdownToAtlasDoc('3. Three\n   - nested\n\n     more\n4. Four\n')
+
+    expect(doc.content).toEqual([{
+      type: 'orderedList',
+      attrs: { order: 3 },
+      content: [
+        {
+          type: 'listItem',
+          content: [
+            { type: 'paragraph', content: [text('Three')] },
+            {
+              type: 'bulletList',
+              content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [text('nested')] }, { type: 'paragraph', content: [text('more')] }] }]
+            }
+          ]
+        },
+        { type: 'listItem', content: [{ type: 'paragraph', content: [text('Four')] }] }
+      ]
+    }])
+  })
+
+  it('should fit headings, rules and quotes in list items to what ADF allows', () => {
+    const doc = convertMarkdownToAtlasDoc('- ## Step `one`\n  ***\n  > quoted\n- - nested first\n')
+    const [first, second] = doc.content[0].content
+
+    expect(first.content).toEqual([
+      { type: 'paragraph', content: [text('Step ', { type: 'strong' }), text('one', { type: 'code' })] },
+      { type: 'paragraph', content: [text('quoted')] }
+    ])
+    expect(second.content.map(node => node.type)).toEqual(['paragraph', 'bulletList'])
+    expect(second.content[0]).toEqual({ type: 'paragraph', content: [] })
+  })
+
+  it('should make __text__ italic, as in Defra docs, and **text** bold', () => {
+    const doc = convertMarkdownToAtlasDoc('__x__ and **y**')
+
+    expect(doc.content[0].content).toEqual([text('x', { type: 'em' }), text(' and '), text('y', { type: 'strong' })])
+  })
+
+  it('should keep links on inline code but not other marks', () => {
+    const doc = convertMarkdownToAtlasDoc('**[run `npm test`](https://example.com)**')
+    const link = { type: 'link', attrs: { href: 'https://example.com' } }
+
+    expect(doc.content[0].content).toEqual([
+      text('run ', { type: 'strong' }, link),
+      text('npm test', link, { type: 'code' })
+    ])
+  })
+
+  it('should convert code blocks, rules and aligned table columns', () => {
+    const doc = convertMarkdownToAtlasDoc('```js title="x"\nconst a = 1\n```\n\n    indented\n\n---\n\n| A | B |\n|:-:|--:|\n| 1 |   |\n')
+
+    expect(doc.content[0]).toEqual({ type: 'codeBlock', attrs: { language: 'js' }, content: [text('const a = 1')] })
+    expect(doc.content[1]).toEqual({ type: 'codeBlock', attrs: { language: 'plain' }, content: [text('indented')] })
+    expect(doc.content[2]).toEqual({ type: 'rule' })
+    expect(doc.content[3].content[1].content).toEqual([
+      { type: 'tableCell', attrs: {}, content: [{ type: 'paragraph', marks: [{ type: 'alignment', attrs: { align: 'center' } }], content: [text('1')] }] },
+      { type: 'tableCell', attrs: {}, content: [{ type: 'paragraph', marks: [{ type: 'alignment', attrs: { align: 'end' } }], content: [] }] }
+    ])
+  })
+
+  it('should drop HTML comments and content filter markers, and break lines at <br>', () => {
+    const doc = convertMarkdownToAtlasDoc('<!-- PPT_SLIDE -->\n\nKeep<!-- CONFLUENCE_ONLY --> this<br>and this\n\n<!-- GITHUB_ONLY -->\nGitHub only\n<!-- /GITHUB_ONLY -->\n')
+
+    expect(doc.content).toEqual([{ type: 'paragraph', content: [text('Keep this'), { type: 'hardBreak' }, text('and this')] }])
+  })
+
+  it('should split paragraphs around diagram placeholders and images, which ADF only allows as blocks', () => {
+    const doc = convertMarkdownToAtlasDoc('See <ac:image-placeholder-viewid="index"/> below\n\n![Context diagram](images/context.png)\n')
+
+    expect(doc.content).toEqual([
+      { type: 'paragraph', content: [text('See')] },
+      { type: 'mediaSingle', attrs: { layout: 'center' }, content: [{ type: 'media', attrs: { type: 'file', __placeholder_viewid: 'index' } }] },
+      { type: 'paragraph', content: [text('below')] },
+      { type: 'mediaSingle', attrs: { layout: 'center' }, content: [{ type: 'media', attrs: { type: 'file', url: 'images/context.png', alt: 'Context diagram' } }] }
+    ])
+  })
+
+  it('should keep the alt text of a diagram placeholder', () => {
+    const doc = convertMarkdownToAtlasDoc('<ac:image-placeholder-viewid="mermaid-abc" alt="A &amp; B --&gt; C"/>\n')
+
+    expect(doc.content[0].content[0].attrs).toEqual({ type: 'file', __placeholder_viewid: 'mermaid-abc', alt: 'A & B --> C' })
+  })
+
+  it('should keep image width hints and links, and show remote images as external media', () => {
+    const doc = convertMarkdownToAtlasDoc('![Flow](./img/flow.png){width=600}\n\n[![](https://example.com/badge.svg){width=50%}](https://example.com)\n\n<img src="img/my flow.png" alt="Mine &amp; yours" width="300px">\n')
+
+    expect(doc.content).toEqual([
+      {
+        type: 'mediaSingle',
+        attrs: { layout: 'center', width: 600, widthType: 'pixel' },
+        content: [{ type: 'media', attrs: { type: 'file', url: './img/flow.png', alt: 'Flow' } }]
+      },
+      {
+        type: 'mediaSingle',
+        attrs: { layout: 'center', width: 50, widthType: 'percentage' },
+        content: [{ type: 'media', attrs: { type: 'external', url: 'https://example.com/badge.svg' }, marks: [{ type: 'link', attrs: { href: 'https://example.com' } }] }]
+      },
+      {
+        type: 'mediaSingle',
+        attrs: { layout: 'center', width: 300, widthType: 'pixel' },
+        content: [{ type: 'media', attrs: { type: 'file', url: 'img/my%20flow.png', alt: 'Mine & yours' } }]
+      }
+    ])
+  })
+
+  it('should show images in headings as their alt text, and keep them in table cells', () => {
+    const doc = convertMarkdownToAtlasDoc('# ![Logo](logo.png) Service\n\n| Icon |\n|:-:|\n| ![ok](ok.png) done |\n')
+
+    expect(doc.content[0]).toEqual({ type: 'heading', attrs: { level: 1 }, content: [text('Logo'), text(' Service')] })
+    expect(doc.content[1].content[1].content[0].content).toEqual([
+      { type: 'mediaSingle', attrs: { layout: 'center' }, content: [{ type: 'media', attrs: { type: 'file', url: 'ok.png', alt: 'ok' } }] },
+      { type: 'paragraph', marks: [{ type: 'alignment', attrs: { align: 'center' } }], content: [text('done')] }
+    ])
+  })
+
+  it('should turn GitHub alerts and Astro asides into panels', () => {
+    const doc = convertMarkdownToAtlasDoc('> [!caution]\n> Do not *deploy*\n\n:::tip[Use `npm ci`]\nIt is faster.\n:::\n\n> [!NOTE] not on its own line\n')
+
+    expect(doc.content).toEqual([
+      { type: 'panel', attrs: { panelType: 'error' }, content: [{ type: 'paragraph', content: [text('Do not '), text('deploy', { type: 'em' })] }] },
+      {
+        type: 'panel',
+        attrs: { panelType: 'success' },
+        content: [
+          { type: 'paragraph', content: [text('Use ', { type: 'strong' }), text('npm ci', { type: 'code' })] },
+          { type: 'paragraph', content: [text('It is faster.')] }
+        ]
+      },
+      { type: 'blockquote', content: [{ type: 'paragraph', content: [text('[!NOTE] not on its own line')] }] }
+    ])
+  })
+
+  it('should end an aside with its container, and flatten it in list items', () => {
+    const doc = convertMarkdownToAtlasDoc('- item\n\n  :::danger\n  Inside\n\n:::warning\nUnclosed\n')
+
+    expect(doc.content[0].content[0].content).toEqual([
+      { type: 'paragraph', content: [text('item')] },
+      { type: 'paragraph', content: [text('Inside')] }
+    ])
+    expect(doc.content[1]).toEqual({ type: 'panel', attrs: { panelType: 'warning' }, content: [{ type: 'paragraph', content: [text('Unclosed')] }] })
+  })
+
+  it.each(['NOTE', 'TIP', 'IMPORTANT', 'WARNING', 'CAUTION'])('should round-trip [!%s] panels through storage format', (alert) => {
+    const doc = convertMarkdownToAtlasDoc(`> [!${alert}]\n> **Title**\n>\n> Body text\n`)
+    const readBack = storageToMarkdown.convert(adfToStorage(doc.content))
+
+    expect(readBack).toBe(`> [!${alert}]\n> **Title**\n>\n> Body text\n`)
+    expect(convertMarkdownToAtlasDoc(readBack)).toEqual(doc)
+  })
+
+  it('should round-trip remote images through storage format', () => {
+    const doc = convertMarkdownToAtlasDoc('Intro\n\n![Build status](https://example.com/badge.svg)\n')
+    const readBack = storageToMarkdown.convert(adfToStorage(doc.content))
+
+    expect(readBack.trim()).toBe('Intro\n\n![Build status](https://example.com/badge.svg)')
+    expect(convertMarkdownToAtlasDoc(readBack)).toEqual(doc)
+  })
+
+  it('should turn task lists into ADF tasks, nesting each list after its task', () => {
+    const doc = convertMarkdownToAtlasDoc('- [ ] Buy *milk*\n- [X] Done\n  - [ ] nested\n\nThen\n\n- [ ] task\n- not a task\n', { addTableOfContents: false })
+
+    expect(doc.content[0]).toEqual({
+      type: 'taskList',
+      attrs: { localId: 'task-1' },
+      content: [
+        { type: 'taskItem', attrs: { localId: 'task-2', state: 'TODO' }, content: [text('Buy '), text('milk', { type: 'em' })] },
+        { type: 'taskItem', attrs: { localId: 'task-3', state: 'DONE' }, content: [text('Done')] },
+        {
+          type: 'taskList',
+          attrs: { localId: 'task-4' },
+          content: [{ type: 'taskItem', attrs: { localId: 'task-5', state: 'TODO' }, content: [text('nested')] }]
+        }
+      ]
+    })
+    expect(doc.content[2].type).toBe('bulletList')
+  })
+
+  it('should keep task markers as text where ADF allows no task lists', () => {
+    const doc = convertMarkdownToAtlasDoc('> - [x] **Shipped**\n')
+
+    expect(doc.content[0].content[0].content[0].content).toEqual([
+      { type: 'paragraph', content: [text('[x] '), text('Shipped', { type: 'strong' })] }
+    ])
+  })
+
+  it('should round-trip task lists through storage format', () => {
+    const markdown = '- [ ] Buy *milk* | eggs\n- [x] Done\n  - [ ] nested\n- [ ] Last\n'
+    const doc = convertMarkdownToAtlasDoc(markdown)
+    const readBack = storageToMarkdown.convert(adfToStorage(doc.content))
+
+    expect(readBack).toBe(markdown)
+    expect(convertMarkdownToAtlasDoc(readBack)).toEqual(doc)
+  })
+
+  it('should number footnotes as superscript links to a references section', () => {
+    const doc = convertMarkdownToAtlasDoc('See[^src] and *again*[^src]^[Inline note].\n\n[^src]: The source\n', { addTableOfContents: false })
+    const ref = (number) => text(String(number), { type: 'link', attrs: { href: `#footnote-${number}` } }, { type: 'subsup', attrs: { type: 'sup' } })
+    const anchor = (name) => ({
+      type: 'inlineExtension',
+      attrs: { extensionType: 'com.atlassian.confluence.macro.core', extensionKey: 'anchor', parameters: { macroParams: { '': { value: name } } } }
+    })
+
+    expect(doc.content).toEqual([
+      { type: 'paragraph', content: [text('See'), ref(1), text(' and '), text('again', { type: 'em' }), ref(1), ref(2), text('.')] },
+      { type: 'rule' },
+      {
+        type: 'orderedList',
+        content: [
+          { type: 'listItem', content: [{ type: 'paragraph', content: [anchor('footnote-1'), text('The source')] }] },
+          { type: 'listItem', content: [{ type: 'paragraph', content: [anchor('footnote-2'), text('Inline note')] }] }
+        ]
+      }
+    ])
+  })
+
+  it('should show definition lists as bold terms over indented definitions', () => {
+    const doc = convertMarkdownToAtlasDoc('ADF\n: Atlassian *Document* Format\n: A JSON format\n', { addTableOfContents: false })
+    const indentation = { type: 'indentation', attrs: { level: 1 } }
+
+    expect(doc.content).toEqual([
+      { type: 'paragraph', content: [text('ADF', { type: 'strong' })] },
+      { type: 'paragraph', content: [text('Atlassian '), text('Document', { type: 'em' }), text(' Format')], marks: [indentation] },
+      { type: 'paragraph', content: [text('A JSON format')], marks: [indentation] }
+    ])
+    // Indentation is for top-level paragraphs only
+    expect(convertMarkdownToAtlasDoc('- Term\n\n  : Nested\n').content[0].content[0].content[1]).toEqual({ type: 'paragraph', content: [text('Nested')] })
+  })
+
+  it('should add a table of contents from the heading threshold', () => {
+    const fourHeadings = '# One\n\nTwo\n===\n\n## Three\n\n### Four\n'
+
+    expect(convertMarkdownToAtlasDoc(fourHeadings).content[0]).toMatchObject({ type: 'extension', attrs: { extensionKey: 'toc' } })
+    expect(convertMarkdownToAtlasDoc('# One\n\n```\n# not a heading\n```\n').content[0].type).toBe('heading')
+    expect(convertMarkdownToAtlasDoc(fourHeadings, { addTableOfContents: false }).content[0].type).toBe('heading')
+  })
+})
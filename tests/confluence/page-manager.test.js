@@ -15,6 +15,11 @@ const {
   hasLabel,
   isPageSafeToUpdate,
   addLabelToPage,
+  getPageProperty,
+  setPageProperty,
+  replacePageProperty,
+  archivePage,
+  trashPage,
   handlePageStatus
 } = require('../../lib/confluence/lib/page-manager')
 
@@ -90,6 +95,12 @@ describe('page-manager', () => {
       expect(payload.ancestors).toBeUndefined()
     })
 
+    it('should add a version message to update payloads', () => {
+      const payload = createPagePayload('Test Page', '<p>x</p>', null, 6, 'TEST', false, 'a1b2c3d Fix typo (Jo Bloggs)')
+
+      expect(payload.version).toEqual({ number: 6, message: 'a1b2c3d Fix typo (Jo Bloggs)' })
+    })
+
     it('should handle string Atlas document', () => {
       const atlasJson = JSON.stringify({
         type: 'doc',
@@ -328,6 +339,131 @@ describe('page-manager', () => {
     })
   })
 
+  describe('getPageProperty', () => {
+    it('should return the property when set', async () => {
+      confluenceRequest.mockResolvedValueOnce({
+        status: 200,
+        body: { key: 'hash', value: { hash: 'abc' }, version: { number: 2 } }
+      })
+
+      const result = await getPageProperty('page123', 'hash', { username: 'user', apiToken: 'token' })
+
+      expect(result.value).toEqual({ hash: 'abc' })
+      expect(confluenceRequest).toHaveBeenCalledWith('GET', '/content/page123/property/hash', expect.any(Object))
+    })
+
+    it('should return null when the property is missing', async () => {
+      confluenceRequest.mockResolvedValueOnce({ status: 404, body: { message: 'Not found' } })
+
+      const result = await getPageProperty('page123', 'hash', { username: 'user', apiToken: 'token' })
+
+      expect(result).toBeNull()
+    })
+  })
+
+  describe('setPageProperty', () => {
+    it('should create a property that does not exist yet', async () => {
+      confluenceRequest
+        .mockResolvedValueOnce({ status: 404, body: {} })
+        .mockResolvedValueOnce({ status: 200, body: {} })
+
+      const result = await setPageProperty('page123', 'hash', { hash: 'abc' }, { username: 'user', apiToken: 'token' })
+
+      expect(result).toBe(true)
+      expect(confluenceRequest).toHaveBeenLastCalledWith('POST', '/content/page123/property', expect.objectContaining({
+        body: { key: 'hash', value: { hash: 'abc' } }
+      }))
+    })
+
+    it('should bump the version of an existing property', async () => {
+      confluenceRequest
+        .mockResolvedValueOnce({ status: 200, body: { key: 'hash', value: { hash: 'old' }, version: { number: 3 } } })
+        .mockResolvedValueOnce({ status: 200, body: {} })
+
+      const result = await setPageProperty('page123', 'hash', { hash: 'new' }, { username: 'user', apiToken: 'token' })
+
+      expect(result).toBe(true)
+      expect(confluenceRequest).toHaveBeenLastCalledWith('PUT', '/content/page123/property/hash', expect.objectContaining({
+        body: { key: 'hash', value: { hash: 'new' }, version: { number: 4 } }
+      }))
+    })
+
+    it('should not write during dry run', async () => {
+      setConfig({ generatedLabel: 'generated', dryRun: true })
+
+      const result = await setPageProperty('page123', 'hash', { hash: 'abc' }, { username: 'user', apiToken: 'token' })
+
+      expect(result).toBe(true)
+      expect(confluenceRequest).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('replacePageProperty', () => {
+    it('should write against the version that was read, even in dry run', async () => {
+      setConfig({ generatedLabel: 'generated', dryRun: true })
+      confluenceRequest.mockResolvedValueOnce({ status: 409, body: {} })
+
+      const result = await replacePageProperty('page123', 'lock', { runId: 'b' }, { value: { runId: 'a' }, version: { number: 5 } }, { username: 'user', apiToken: 'token' })
+
+      expect(result).toBe(false)
+      expect(confluenceRequest).toHaveBeenCalledTimes(1)
+      expect(confluenceRequest).toHaveBeenCalledWith('PUT', '/content/page123/property/lock', expect.objectContaining({
+        body: { key: 'lock', value: { runId: 'b' }, version: { number: 6 } }
+      }))
+    })
+
+    it('should create the property when none was read', async () => {
+      confluenceRequest.mockResolvedValueOnce({ status: 200, body: {} })
+
+      expect(await replacePageProperty('page123', 'lock', { runId: 'a' }, null, { username: 'user', apiToken: 'token' })).toBe(true)
+      expect(confluenceRequest).toHaveBeenCalledWith('POST', '/content/page123/property', expect.any(Object))
+    })
+  })
+
+  describe('archivePage', () => {
+    it('should request the page be archived', async () => {
+      confluenceRequest.mockResolvedValueOnce({ status: 202, body: {} })
+
+      const result = await archivePage('page123', 'Old Page', { username: 'user', apiToken: 'token' })
+
+      expect(result).toBe(true)
+      expect(confluenceRequest).toHaveBeenCalledWith('POST', '/content/archive', expect.objectContaining({
+        body: { pages: [{ id: 'page123' }] }
+      }))
+    })
+
+    it('should return false when archiving fails', async () => {
+      confluenceRequest.mockResolvedValueOnce({ status: 403, body: {} })
+
+      expect(await archivePage('page123', 'Old Page', { username: 'user', apiToken: 'token' })).toBe(false)
+    })
+
+    it('should not archive during dry run', async () => {
+      setConfig({ generatedLabel: 'generated', dryRun: true })
+
+      expect(await archivePage('page123', 'Old Page', { username: 'user', apiToken: 'token' })).toBe(true)
+      expect(confluenceRequest).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('trashPage', () => {
+    it('should move the page to trash without deleting permanently', async () => {
+      confluenceRequest.mockResolvedValueOnce({ status: 204, body: '' })
+
+      const result = await trashPage('page123', 'Old Page', { username: 'user', apiToken: 'token' })
+
+      expect(result).toBe(true)
+      expect(confluenceRequest).toHaveBeenCalledWith('DELETE', '/content/page123', expect.any(Object))
+    })
+
+    it('should not trash during dry run', async () => {
+      setConfig({ generatedLabel: 'generated', dryRun: true })
+
+      expect(await trashPage('page123', 'Old Page', { username: 'user', apiToken: 'token' })).toBe(true)
+      expect(confluenceRequest).not.toHaveBeenCalled()
+    })
+  })
+
   describe('handlePageStatus', () => {
     it('should return usable for current page', async () => {
       const result = await handlePageStatus('page123', 'current', 'Test Page', {
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for confluence/lib/page-map.js
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { execFileSync } = require('child_process')
+
+jest.mock('child_process', () => ({
+  execFileSync: jest.fn()
+}))
+
+const {
+  toSourceKey,
+  resolvePageMapPath,
+  loadPageMap,
+  getMappedPage,
+  setMappedPage,
+  removeMappedPage,
+  savePageMap,
+  findPreviousPaths
+} = require('../../lib/confluence/lib/page-map')
+
+describe('page-map', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('toSourceKey', () => {
+    it('should produce repo-relative forward-slash paths', () => {
+      expect(toSourceKey(path.join(process.cwd(), 'docs', 'systems', 'BTMS', 'overview.md')))
+        .toBe('docs/systems/BTMS/overview.md')
+      expect(toSourceKey('docs/a.md')).toBe('docs/a.md')
+    })
+  })
+
+  describe('resolvePageMapPath', () => {
+    it('should default to a file next to the config', () => {
+      expect(resolvePageMapPath('scripts/confluence-config.json', {}))
+        .toBe(path.join('scripts', 'confluence-page-map.json'))
+    })
+
+    it('should resolve a configured path relative to the config', () => {
+      expect(resolvePageMapPath('scripts/confluence-config.json', { pageMapPath: 'maps/pages.json' }))
+        .toBe(path.join('scripts', 'maps', 'pages.json'))
+    })
+
+    it('should fall back to the working directory without a config', () => {
+      expect(resolvePageMapPath(null)).toBe('confluence-page-map.json')
+    })
+  })
+
+  describe('loadPageMap', () => {
+    let readFileSpy
+
+    afterEach(() => {
+      readFileSpy.mockRestore()
+    })
+
+    it('should load existing entries', async () => {
+      readFileSpy = jest.spyOn(fs.promises, 'readFile').mockResolvedValue(JSON.stringify({
+        version: 1,
+        pages: { 'docs/a.md': { pageId: '1', space: 'BTMS', title: 'A' } }
+      }))
+
+      const pageMap = await loadPageMap('map.json')
+
+      expect(getMappedPage(pageMap, 'docs/a.md')).toEqual({ pageId: '1', space: 'BTMS', title: 'A' })
+      expect(pageMap.dirty).toBe(false)
+    })
+
+    it('should start empty when the file does not exist', async () => {
+      readFileSpy = jest.spyOn(fs.promises, 'readFile').mockRejectedValue(Object.assign(new Error('nope'), { code: 'ENOENT' }))
+
+      const pageMap = await loadPageMap('map.json')
+
+      expect(pageMap.pages).toEqual({})
+    })
+
+    it('should reject a corrupt file', async () => {
+      readFileSpy = jest.spyOn(fs.promises, 'readFile').mockResolvedValue('{not json')
+
+      await expect(loadPageMap('map.json')).rejects.toThrow(/Failed to read page map map.json/)
+    })
+  })
+
+  describe('setMappedPage / removeMappedPage / savePageMap', () => {
+    let writeFileSpy
+
+    beforeEach(() => {
+      writeFileSpy = jest.spyOn(fs.promises, 'writeFile').mockResolvedValue()
+    })
+
+    afterEach(() => {
+      writeFileSpy.mockRestore()
+    })
+
+    it('should only mark the map dirty when an entry changes', () => {
+      const pageMap = { path: 'map.json', pages: { 'docs/a.md': { pageId: '1', space: 'BTMS', title: 'A' } }, dirty: false }
+
+      setMappedPage(pageMap, 'docs/a.md', { pageId: '1', space: 'BTMS', title: 'A' })
+      expect(pageMap.dirty).toBe(false)
+
+      setMappedPage(pageMap, 'docs/a.md', { pageId: 1, space: 'BTMS', title: 'Renamed' })
+      expect(pageMap.dirty).toBe(true)
+      expect(getMappedPage(pageMap, 'docs/a.md')).toEqual({ pageId: '1', space: 'BTMS', title: 'Renamed' })
+    })
+
+    it('should write sorted entries and skip clean maps', async () => {
+      const pageMap = { path: 'map.json', pages: {}, dirty: false }
+      expect(await savePageMap(pageMap)).toBe(false)
+
+      setMappedPage(pageMap, 'docs/z.md', { pageId: '2', space: 'X', title: 'Z' })
+      setMappedPage(pageMap, 'docs/a.md', { pageId: '1', space: 'X', title: 'A' })
+      removeMappedPage(pageMap, 'docs/missing.md')
+
+      expect(await savePageMap(pageMap)).toBe(true)
+      const written = JSON.parse(writeFileSpy.mock.calls[0][1])
+      expect(Object.keys(written.pages)).toEqual(['docs/a.md', 'docs/z.md'])
+      expect(written.version).toBe(1)
+      expect(pageMap.dirty).toBe(false)
+    })
+
+    it('should remove entries', () => {
+      const pageMap = { path: 'map.json', pages: { 'docs/a.md': { pageId: '1' } }, dirty: false }
+
+      removeMappedPage(pageMap, 'docs/a.md')
+
+      expect(getMappedPage(pageMap, 'docs/a.md')).toBeNull()
+      expect(pageMap.dirty).toBe(true)
+    })
+  })
+
+  describe('findPreviousPaths', () => {
+    /**
+     * Fake git: the repository root is `root`, and `git log` prints `log`
+     */
+    function fakeGit (root, log) {
+      execFileSync.mockImplementation((command, args) => (args[0] === 'rev-parse' ? `${root}\n` : log))
+    }
+
+    it('should list earlier names of a renamed file', () => {
+      fakeGit(process.cwd(), 'docs/new.md\n\ndocs/old.md\n\ndocs/old.md\ndocs/older.md\n')
+
+      expect(findPreviousPaths('docs/new.md')).toEqual(['docs/old.md', 'docs/older.md'])
+    })
+
+    it('should key paths relative to the working directory when run from a subdirectory', () => {
+      const sub = path.basename(process.cwd())
+      fakeGit(path.dirname(process.cwd()), `${sub}/docs/new.md\n\n${sub}/docs/old.md\n`)
+
+      expect(findPreviousPaths('docs/new.md')).toEqual(['docs/old.md'])
+    })
+
+    it('should pass the path to git as an argument, not through a shell', () => {
+      fakeGit(process.cwd(), '')
+
+      findPreviousPaths('docs/$(touch x) "quoted" `tick`.md')
+
+      expect(execFileSync).toHaveBeenCalledWith('git', ['log', '--follow', '--name-only', '--format=', '--', 'docs/$(touch x) "quoted" `tick`.md'], expect.any(Object))
+    })
+
+    it('should return nothing when git is unavailable', () => {
+      execFileSync.mockImplementation(() => { throw new Error('not a git repo') })
+
+      expect(findPreviousPaths('docs/new.md')).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for confluence/lib/path-mapping.js
+ */
+
+const {
+  globToRegExp,
+  validateMappingRules,
+  expandTemplate,
+  splitContentRoot,
+  resolveMapping,
+  ruleSpaces
+} = require('../../lib/confluence/lib/path-mapping')
+
+const spaceMapping = { BTMS: 'BTMS', Trade: 'TIDIA' }
+
+/**
+ * Folder names and paths of a mapping, for compact assertions.
+ */
+function folders (mapping) {
+  return mapping.folders.map(folder => `${folder.name} @ ${folder.path}`)
+}
+
+describe('path-mapping', () => {
+  describe('globToRegExp', () => {
+    it('should capture * and ** and match across directories only with **', () => {
+      const regex = globToRegExp('systems/*/**')
+
+      expect('systems/BTMS/a/b.md'.match(regex).slice(1)).toEqual(['BTMS', 'a/b.md'])
+      expect(globToRegExp('*.md').test('a/b.md')).toBe(false)
+      expect(globToRegExp('**/b.md').test('b.md')).toBe(true)
+    })
+
+    it('should support character classes and alternatives', () => {
+      expect(globToRegExp('[Tt]rade/**').test('trade/x.md')).toBe(true)
+      expect(globToRegExp('{adr,decisions}/*.md').test('decisions/0001.md')).toBe(true)
+      expect(globToRegExp('{adr,decisions}/*.md').test('notes/0001.md')).toBe(false)
+    })
+  })
+
+  describe('expandTemplate', () => {
+    it('should fill numbered and named captures', () => {
+      const match = 'teams/alpha/x.md'.match(/^teams\/(?<team>[^/]+)\/(.*)$/)
+
+      expect(expandTemplate('$<team>-$2', match)).toBe('alpha-x.md')
+      expect(expandTemplate('$9', match)).toBe('')
+    })
+  })
+
+  describe('splitContentRoot', () => {
+    it('should prefer the longest matching root', () => {
+      expect(splitContentRoot('astro/src/content/docs/systems/BTMS/a.md'))
+        .toEqual({ root: 'astro/src/content/docs', relPath: 'systems/BTMS/a.md' })
+      expect(splitContentRoot('other/a.md')).toEqual({ root: '', relPath: 'other/a.md' })
+    })
+  })
+
+  describe('resolveMapping with the default rules', () => {
+    it('should map systems through spaceMapping and leave them out of the hierarchy', () => {
+      const mapping = resolveMapping('docs/systems/BTMS/Delivery Passport/Overview.md', { spaceMapping })
+
+      expect(mapping.space).toBe('BTMS')
+      expect(folders(mapping)).toEqual(['Delivery Passport @ docs/systems/BTMS/Delivery Passport'])
+    })
+
+    it('should map Trade and strip delivery-information-architecture', () => {
+      const mapping = resolveMapping('docs/delivery-information-architecture/Trade/Views/A.md', { spaceMapping })
+
+      expect(mapping.space).toBe('TIDIA')
+      expect(folders(mapping)).toEqual(['Views @ docs/delivery-information-architecture/Trade/Views'])
+    })
+
+    it('should keep the full hierarchy and no space for other paths', () => {
+      const mapping = resolveMapping('astro/src/content/docs/guides/setup/a.md', { spaceMapping })
+
+      expect(mapping.space).toBeNull()
+      expect(folders(mapping)).toEqual([
+        'guides @ astro/src/content/docs/guides',
+        'setup @ astro/src/content/docs/guides/setup'
+      ])
+    })
+
+    it('should return no space for an unmapped system', () => {
+      expect(resolveMapping('docs/systems/UNKNOWN/a.md', { spaceMapping }).space).toBeNull()
+    })
+  })
+
+  describe('resolveMapping with custom rules', () => {
+    const rules = [
+      { regex: '^teams/(?<team>[^/]+)/adr/', space: 'ADR', parentPageId: '555', strip: 3 },
+      { match: 'teams/*/**', space: '$1', strip: 2 },
+      { match: '**', space: 'FALLBACK' }
+    ]
+
+    it('should apply the first matching rule', () => {
+      const adr = resolveMapping('handbook/teams/alpha/adr/2024/0001.md', { rules, contentRoots: ['handbook'] })
+      const team = resolveMapping('handbook/teams/alpha/guides/a.md', { rules, contentRoots: ['handbook'] })
+
+      expect(adr).toMatchObject({ space: 'ADR', parentPageId: '555', rule: 0 })
+      expect(folders(adr)).toEqual(['2024 @ handbook/teams/alpha/adr/2024'])
+      expect(team).toMatchObject({ space: 'alpha', parentPageId: null, rule: 1 })
+      expect(folders(team)).toEqual(['guides @ handbook/teams/alpha/guides'])
+    })
+
+    it('should ignore strip beyond the directory depth', () => {
+      const mapping = resolveMapping('handbook/teams/beta/a.md', { rules, contentRoots: ['handbook'] })
+
+      expect(mapping.folders).toEqual([])
+    })
+  })
+
+  describe('validateMappingRules', () => {
+    it('should report every malformed rule', () => {
+      expect(validateMappingRules([
+        { match: '**', space: 'A' },
+        { space: 'B' },
+        { regex: '(', space: 'C' },
+        { match: '**', strip: -1 },
+        { match: '**', space: 'D', spaceMappingKey: 'x' }
+      ])).toEqual([
+        "mappingRules[1]: needs exactly one of 'match' (glob) or 'regex'",
+        expect.stringMatching(/^mappingRules\[2\]: invalid regex/),
+        "mappingRules[3]: 'strip' must be a whole number of path segments (got '-1')",
+        "mappingRules[4]: use 'space' or 'spaceMappingKey', not both"
+      ])
+      expect(validateMappingRules({})).toEqual(['mappingRules must be an array'])
+    })
+  })
+
+  describe('ruleSpaces', () => {
+    it('should list only literal space keys', () => {
+      expect(ruleSpaces([{ match: '**', space: 'ADR' }, { match: '*', space: '$1' }, { match: '*' }])).toEqual(['ADR'])
+    })
+  })
+})
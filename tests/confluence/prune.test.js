@@ -0,0 +1,162 @@
+/**
+ * Unit tests for confluence/lib/prune.js
+ */
+
+const apiClient = require('../../lib/confluence/lib/api-client')
+const pageManager = require('../../lib/confluence/lib/page-manager')
+
+jest.mock('../../lib/confluence/lib/api-client', () => ({
+  getChildPages: jest.fn(),
+  searchPagesByLabel: jest.fn()
+}))
+
+jest.mock('../../lib/confluence/lib/page-manager', () => ({
+  archivePage: jest.fn(),
+  trashPage: jest.fn()
+}))
+
+const prune = require('../../lib/confluence/lib/prune')
+
+const auth = { username: 'user', apiToken: 'token' }
+
+/**
+ * Build a search result page carrying the publish property
+ */
+function generatedPage (id, title, value, ancestors = []) {
+  return {
+    id,
+    title,
+    ancestors,
+    metadata: { properties: value ? { 'defra-publish-source-hash': { value } } : {} }
+  }
+}
+
+describe('prune', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    prune.setConfig({ generatedLabel: 'generated', dryRun: false })
+  })
+
+  describe('getPageSource', () => {
+    it('should prefer the source recorded on the page', () => {
+      const page = generatedPage('1', 'A', { hash: 'x', source: 'docs/a.md' })
+      expect(prune.getPageSource(page, { pages: {} })).toEqual({ source: 'docs/a.md', folder: false })
+    })
+
+    it('should fall back to the page map', () => {
+      const page = generatedPage('2', 'B')
+      const sourcePageMap = { pages: { 'docs/b.md': { pageId: '2', space: 'TEST', title: 'B' } } }
+      expect(prune.getPageSource(page, sourcePageMap)).toEqual({ source: 'docs/b.md', folder: false })
+    })
+
+    it('should return null when provenance is unknown', () => {
+      expect(prune.getPageSource(generatedPage('3', 'C'), { pages: {} })).toBeNull()
+    })
+  })
+
+  describe('findOrphanedPages', () => {
+    it('should classify pages as orphaned, unverified or kept', async () => {
+      apiClient.searchPagesByLabel.mockResolvedValueOnce([
+        generatedPage('1', 'Kept', { source: 'docs/kept.md' }),
+        generatedPage('2', 'Removed', { source: 'docs/removed.md' }),
+        generatedPage('3', 'Unknown')
+      ])
+
+      const result = await prune.findOrphanedPages({
+        spaces: ['TEST'],
+        sourceKeys: new Set(['docs/kept.md']),
+        sourcePageMap: { pages: {} },
+        auth
+      })
+
+      expect(result.kept).toBe(1)
+      expect(result.orphaned).toEqual([
+        { id: '2', title: 'Removed', space: 'TEST', source: 'docs/removed.md', reason: 'source no longer published' }
+      ])
+      expect(result.unverified.map(p => p.id)).toEqual(['3'])
+      expect(apiClient.searchPagesByLabel).toHaveBeenCalledWith(
+        'generated', 'TEST', auth, 'version,ancestors,metadata.properties.defra-publish-source-hash'
+      )
+    })
+
+    it('should orphan folders whose children are all orphaned, deepest first', async () => {
+      apiClient.searchPagesByLabel.mockResolvedValueOnce([
+        generatedPage('10', 'Parent', { source: 'docs/Parent', folder: true }, [{ id: 'root' }]),
+        generatedPage('11', 'Child', { source: 'docs/Parent/Child', folder: true }, [{ id: 'root' }, { id: '10' }]),
+        generatedPage('12', 'Old page', { source: 'docs/Parent/Child/old.md' })
+      ])
+      apiClient.getChildPages
+        .mockResolvedValueOnce([{ id: '12' }])
+        .mockResolvedValueOnce([{ id: '11' }])
+
+      const result = await prune.findOrphanedPages({
+        spaces: ['TEST'],
+        sourceKeys: new Set(['docs/other.md']),
+        sourcePageMap: { pages: {} },
+        auth
+      })
+
+      expect(result.orphaned.map(p => p.id)).toEqual(['12', '11', '10'])
+      expect(apiClient.getChildPages.mock.calls[0][0]).toBe('11')
+    })
+
+    it('should keep folders that still have published children', async () => {
+      apiClient.searchPagesByLabel.mockResolvedValueOnce([
+        generatedPage('10', 'Folder', { source: 'docs/Folder', folder: true }),
+        generatedPage('12', 'Live page', { source: 'docs/Folder/live.md' })
+      ])
+      apiClient.getChildPages.mockResolvedValueOnce([{ id: '12' }])
+
+      const result = await prune.findOrphanedPages({
+        spaces: ['TEST'],
+        sourceKeys: new Set(['docs/Folder/live.md']),
+        sourcePageMap: { pages: {} },
+        auth
+      })
+
+      expect(result.orphaned).toEqual([])
+      expect(result.kept).toBe(2)
+    })
+  })
+
+  describe('formatPruneReport', () => {
+    it('should list orphaned and unverified pages', () => {
+      const report = prune.formatPruneReport({
+        orphaned: [{ id: '2', title: 'Removed', space: 'TEST', source: 'docs/removed.md', reason: 'source no longer published' }],
+        unverified: [{ id: '3', title: 'Unknown', space: 'TEST', source: null, reason: 'no recorded source' }],
+        kept: 4
+      }, 'archive')
+
+      expect(report).toContain('1 orphaned, 1 unverified, 4 kept (action: archive)')
+      expect(report).toContain('[TEST] Removed (ID: 2)')
+      expect(report).toContain('left alone')
+    })
+  })
+
+  describe('prunePages', () => {
+    const orphaned = [{ id: '2', title: 'Removed' }, { id: '5', title: 'Gone' }]
+
+    it('should not change anything for the report action', async () => {
+      expect(await prune.prunePages(orphaned, 'report', auth)).toEqual([])
+      expect(pageManager.archivePage).not.toHaveBeenCalled()
+      expect(pageManager.trashPage).not.toHaveBeenCalled()
+    })
+
+    it('should archive pages and return those that succeeded', async () => {
+      pageManager.archivePage.mockResolvedValueOnce(true).mockResolvedValueOnce(false)
+
+      expect(await prune.prunePages(orphaned, 'archive', auth)).toEqual(['2'])
+      expect(pageManager.archivePage).toHaveBeenCalledWith('2', 'Removed', auth)
+    })
+
+    it('should trash pages', async () => {
+      pageManager.trashPage.mockResolvedValue(true)
+
+      expect(await prune.prunePages(orphaned, 'trash', auth)).toEqual(['2', '5'])
+    })
+
+    it('should reject unknown actions', async () => {
+      await expect(prune.prunePages(orphaned, 'delete', auth)).rejects.toThrow("Unknown prune action 'delete'")
+    })
+  })
+})
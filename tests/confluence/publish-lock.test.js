@@ -0,0 +1,164 @@
+/**
+ * Unit tests for confluence/lib/publish-lock.js
+ */
+
+const apiClient = require('../../lib/confluence/lib/api-client')
+const pageManager = require('../../lib/confluence/lib/page-manager')
+const {
+  LOCK_PROPERTY,
+  acquireLock,
+  releaseLock,
+  acquireLocks
+} = require('../../lib/confluence/lib/publish-lock')
+
+jest.mock('../../lib/confluence/lib/api-client', () => ({
+  getSpaceHomepageId: jest.fn()
+}))
+
+jest.mock('../../lib/confluence/lib/page-manager', () => ({
+  getPageProperty: jest.fn(),
+  replacePageProperty: jest.fn()
+}))
+
+const auth = { username: 'user', apiToken: 'token' }
+
+/**
+ * Build a lock property value expiring the given number of ms from now.
+ */
+function lockProperty (expiresInMs, { owner = 'other run', runId = 'other', released = false, version = 3 } = {}) {
+  return {
+    key: LOCK_PROPERTY,
+    value: { owner, runId, acquiredAt: '2026-10-19T09:00:00.000Z', expiresAt: new Date(Date.now() + expiresInMs).toISOString(), released },
+    version: { number: version }
+  }
+}
+
+describe('publish-lock', () => {
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation()
+    apiClient.getSpaceHomepageId.mockResolvedValue('home1')
+  })
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore()
+  })
+
+  describe('acquireLock', () => {
+    it('should take a free lock on the space home page', async () => {
+      pageManager.getPageProperty.mockResolvedValue(null)
+      pageManager.replacePageProperty.mockResolvedValue(true)
+
+      const lock = await acquireLock('TIDIA', auth, { owner: 'me' })
+
+      expect(lock).toEqual({ spaceKey: 'TIDIA', pageId: 'home1', runId: expect.any(String) })
+      expect(pageManager.replacePageProperty).toHaveBeenCalledWith('home1', LOCK_PROPERTY, expect.objectContaining({ owner: 'me', runId: lock.runId }), null, auth)
+    })
+
+    it('should take a released lock without a warning', async () => {
+      const released = lockProperty(60000, { released: true })
+      pageManager.getPageProperty.mockResolvedValue(released)
+      pageManager.replacePageProperty.mockResolvedValue(true)
+
+      expect(await acquireLock('TIDIA', auth)).not.toBeNull()
+      expect(pageManager.replacePageProperty.mock.calls[0][3]).toBe(released)
+      expect(consoleErrorSpy).not.toHaveBeenCalledWith(expect.stringContaining('Taking over'))
+    })
+
+    it('should take over an expired lock', async () => {
+      pageManager.getPageProperty.mockResolvedValue(lockProperty(-1000))
+      pageManager.replacePageProperty.mockResolvedValue(true)
+
+      expect(await acquireLock('TIDIA', auth)).not.toBeNull()
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Taking over the publish lock on space TIDIA: other run let it expire'))
+    })
+
+    it('should wait for a held lock to be released', async () => {
+      const sleep = jest.fn().mockResolvedValue()
+      pageManager.getPageProperty
+        .mockResolvedValueOnce(lockProperty(60000))
+        .mockResolvedValueOnce(lockProperty(60000, { released: true, version: 4 }))
+      pageManager.replacePageProperty.mockResolvedValue(true)
+
+      expect(await acquireLock('TIDIA', auth, { pollMs: 5, sleep })).not.toBeNull()
+      expect(sleep).toHaveBeenCalledWith(5)
+    })
+
+    it('should give up when the lock is still held after waiting', async () => {
+      pageManager.getPageProperty.mockResolvedValue(lockProperty(60000))
+
+      await expect(acquireLock('TIDIA', auth, { waitMs: 0 })).rejects.toThrow('Space TIDIA is locked by other run')
+      expect(pageManager.replacePageProperty).not.toHaveBeenCalled()
+    })
+
+    it('should look again after losing the race for a free lock', async () => {
+      const sleep = jest.fn().mockResolvedValue()
+      pageManager.getPageProperty
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(lockProperty(60000, { version: 1 }))
+      pageManager.replacePageProperty.mockResolvedValue(false)
+
+      await expect(acquireLock('TIDIA', auth, { waitMs: 0, sleep })).rejects.toThrow('is locked by other run')
+      expect(pageManager.replacePageProperty).toHaveBeenCalledTimes(1)
+    })
+
+    it('should fail when the lock cannot be written and nobody else holds it', async () => {
+      pageManager.getPageProperty.mockResolvedValue(null)
+      pageManager.replacePageProperty.mockResolvedValue(false)
+
+      await expect(acquireLock('TIDIA', auth)).rejects.toThrow('Could not write the publish lock on space TIDIA')
+      expect(pageManager.replacePageProperty).toHaveBeenCalledTimes(1)
+    })
+
+    it('should publish without a lock when the space has no home page', async () => {
+      apiClient.getSpaceHomepageId.mockResolvedValue(null)
+
+      expect(await acquireLock('TIDIA', auth)).toBeNull()
+      expect(pageManager.getPageProperty).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('releaseLock', () => {
+    it('should mark our lock released', async () => {
+      const current = lockProperty(60000, { runId: 'ours' })
+      pageManager.getPageProperty.mockResolvedValue(current)
+      pageManager.replacePageProperty.mockResolvedValue(true)
+
+      expect(await releaseLock({ spaceKey: 'TIDIA', pageId: 'home1', runId: 'ours' }, auth)).toBe(true)
+      expect(pageManager.replacePageProperty).toHaveBeenCalledWith('home1', LOCK_PROPERTY, expect.objectContaining({ runId: 'ours', released: true }), current, auth)
+    })
+
+    it('should leave a lock another run has taken over', async () => {
+      pageManager.getPageProperty.mockResolvedValue(lockProperty(60000, { runId: 'theirs' }))
+
+      expect(await releaseLock({ spaceKey: 'TIDIA', pageId: 'home1', runId: 'ours' }, auth)).toBe(false)
+      expect(pageManager.replacePageProperty).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('acquireLocks', () => {
+    it('should lock spaces in key order', async () => {
+      pageManager.getPageProperty.mockResolvedValue(null)
+      pageManager.replacePageProperty.mockResolvedValue(true)
+
+      const locks = await acquireLocks(['ZETA', 'ALPHA', 'ZETA'], auth)
+
+      expect(locks.map(lock => lock.spaceKey)).toEqual(['ALPHA', 'ZETA'])
+    })
+
+    it('should release the locks already taken when a later space is locked', async () => {
+      apiClient.getSpaceHomepageId.mockImplementation(async spaceKey => `home-${spaceKey}`)
+      let alphaLock = null
+      pageManager.getPageProperty.mockImplementation(async pageId => pageId === 'home-ZETA' ? lockProperty(60000) : alphaLock)
+      pageManager.replacePageProperty.mockImplementation(async (pageId, key, value) => {
+        alphaLock = { key, value, version: { number: 1 } }
+        return true
+      })
+
+      await expect(acquireLocks(['ALPHA', 'ZETA'], auth, { waitMs: 0 })).rejects.toThrow('Space ZETA is locked')
+      expect(alphaLock.value.released).toBe(true)
+    })
+  })
+})
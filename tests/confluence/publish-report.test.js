@@ -0,0 +1,149 @@
+/**
+ * Unit tests for confluence/lib/publish-report.js
+ */
+
+const fs = require('fs')
+const {
+  ACTION_STATS,
+  createReport,
+  pageUrl,
+  addEntry,
+  summarise,
+  toJSON,
+  toMarkdown,
+  writeReport
+} = require('../../lib/confluence/lib/publish-report')
+
+describe('publish-report', () => {
+  let report
+
+  beforeEach(() => {
+    report = createReport({ confluenceUrl: 'https://test.atlassian.net/', dryRun: false })
+  })
+
+  describe('pageUrl', () => {
+    it('should link to the page by ID', () => {
+      expect(pageUrl('https://test.atlassian.net', '123')).toBe('https://test.atlassian.net/wiki/pages/viewpage.action?pageId=123')
+    })
+
+    it('should not link dry-run placeholder IDs', () => {
+      expect(pageUrl('https://test.atlassian.net', 'dryrun:TEST:docs/a')).toBeNull()
+      expect(pageUrl('https://test.atlassian.net', null)).toBeNull()
+    })
+  })
+
+  describe('addEntry', () => {
+    it('should normalise an entry and derive the page URL', () => {
+      const entry = addEntry(report, { source: 'docs/a.md', action: 'created', title: 'A', space: 'TEST', pageId: 42, version: 1 })
+
+      expect(entry).toEqual({
+        source: 'docs/a.md',
+        action: 'created',
+        title: 'A',
+        space: 'TEST',
+        parentId: null,
+        pageId: '42',
+        url: 'https://test.atlassian.net/wiki/pages/viewpage.action?pageId=42',
+        version: 1,
+        previousVersion: null,
+        diagrams: [],
+        reason: null,
+        error: null,
+        diff: null
+      })
+    })
+
+    it('should reject unknown actions', () => {
+      expect(() => addEntry(report, { source: 'docs/a.md', action: 'published' })).toThrow("Unknown publish action 'published'")
+    })
+
+    it('should map every action to a publish stat', () => {
+      expect(Object.keys(ACTION_STATS).sort()).toEqual(['created', 'failed', 'skipped', 'unchanged', 'updated'])
+    })
+  })
+
+  describe('summarise and toJSON', () => {
+    it('should count entries by action and sort files by source', () => {
+      addEntry(report, { source: 'docs/b.md', action: 'updated', pageId: '2' })
+      addEntry(report, { source: 'docs/a.md', action: 'failed', error: 'HTTP 500' })
+      addEntry(report, { source: 'docs/c.md', action: 'updated', pageId: '3' })
+
+      expect(summarise(report)).toEqual({ created: 0, updated: 2, unchanged: 0, skipped: 0, failed: 1, total: 3 })
+
+      const json = toJSON(report)
+      expect(json.dryRun).toBe(false)
+      expect(json.files.map(f => f.source)).toEqual(['docs/a.md', 'docs/b.md', 'docs/c.md'])
+      expect(json.finishedAt).toEqual(expect.any(String))
+    })
+  })
+
+  describe('toMarkdown', () => {
+    it('should render a summary line and a table with failures first', () => {
+      addEntry(report, { source: 'docs/a.md', action: 'updated', title: 'A | B', space: 'TEST', pageId: '1', diagrams: ['x.png'] })
+      addEntry(report, { source: 'docs/z.md', action: 'failed', error: 'HTTP 500: boom' })
+
+      const markdown = toMarkdown(report)
+      const rows = markdown.split('\n').filter(line => line.startsWith('| ❌') || line.startsWith('| ✅'))
+
+      expect(markdown).toContain('## Confluence publish report')
+      expect(markdown).toContain('1 updated')
+      expect(rows[0]).toContain('`docs/z.md`')
+      expect(rows[0]).toContain('HTTP 500: boom')
+      expect(rows[1]).toContain('[A \\| B](https://test.atlassian.net/wiki/pages/viewpage.action?pageId=1)')
+      expect(rows[1]).toContain('| 1 |')
+    })
+
+    it('should include dry-run diffs in collapsible sections', () => {
+      addEntry(report, { source: 'docs/a.md', action: 'updated', pageId: '1', diff: '--- live\n+++ generated\n@@ -1,1 +1,1 @@\n-old\n+new' })
+
+      const markdown = toMarkdown(report)
+
+      expect(markdown).toContain('<details><summary>Changes to <code>docs/a.md</code></summary>')
+      expect(markdown).toContain('````diff\n--- live\n+++ generated\n@@ -1,1 +1,1 @@\n-old\n+new\n````')
+    })
+
+    it('should mark dry runs and empty reports', () => {
+      const dryRun = createReport({ confluenceUrl: 'https://test.atlassian.net', dryRun: true })
+
+      const markdown = toMarkdown(dryRun)
+
+      expect(markdown).toContain('(dry run)')
+      expect(markdown).toContain('No files were processed.')
+    })
+  })
+
+  describe('writeReport', () => {
+    let writeFileSpy
+    let appendFileSpy
+
+    beforeEach(() => {
+      writeFileSpy = jest.spyOn(fs.promises, 'writeFile').mockResolvedValue()
+      appendFileSpy = jest.spyOn(fs.promises, 'appendFile').mockResolvedValue()
+    })
+
+    afterEach(() => {
+      writeFileSpy.mockRestore()
+      appendFileSpy.mockRestore()
+    })
+
+    it('should write JSON and Markdown, and append to the step summary', async () => {
+      addEntry(report, { source: 'docs/a.md', action: 'unchanged', pageId: '1' })
+
+      const written = await writeReport(report, {
+        jsonPath: 'report.json',
+        markdownPath: 'report.md',
+        stepSummaryPath: '/tmp/step-summary'
+      })
+
+      expect(written).toEqual(['report.json', 'report.md', '/tmp/step-summary'])
+      expect(JSON.parse(writeFileSpy.mock.calls[0][1]).summary.unchanged).toBe(1)
+      expect(writeFileSpy.mock.calls[1][1]).toContain('## Confluence publish report')
+      expect(appendFileSpy).toHaveBeenCalledWith('/tmp/step-summary', expect.stringContaining('💤 1 unchanged'), 'utf-8')
+    })
+
+    it('should write nothing when no destination is given', async () => {
+      expect(await writeReport(report)).toEqual([])
+      expect(writeFileSpy).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -15,12 +15,13 @@ const AUTH = { username: 'user@defra.gov.uk', apiToken: 'token-123' }
 /**
  * Build a minimal fetch Response stub.
  */
-function fakeResponse ({ ok = true, status = 200, statusText = 'OK', body = {}, url = '' } = {}) {
+function fakeResponse ({ ok = true, status = 200, statusText = 'OK', body = {}, url = '', headers = {} } = {}) {
   return {
     ok,
     status,
     statusText,
     url,
+    headers: new Map(Object.entries(headers)),
     text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))
   }
 }
@@ -29,7 +30,7 @@ describe('read-client', () => {
   const savedEnv = {}
 
   beforeEach(() => {
-    for (const key of ['CONFLUENCE_USERNAME', 'CONFLUENCE_USER_EMAIL', 'CONFLUENCE_API_TOKEN']) {
+    for (const key of ['CONFLUENCE_USERNAME', 'CONFLUENCE_USER_EMAIL', 'CONFLUENCE_API_TOKEN', 'CONFLUENCE_AUTH_MODE', 'CONFLUENCE_PAT']) {
       savedEnv[key] = process.env[key]
       delete process.env[key]
     }
@@ -46,13 +47,13 @@ describe('read-client', () => {
 
   describe('resolveAuth', () => {
     it('should use explicit options first', () => {
-      expect(resolveAuth(AUTH)).toEqual(AUTH)
+      expect(resolveAuth(AUTH)).toEqual({ mode: 'basic', ...AUTH })
     })
 
     it('should fall back to environment variables', () => {
       process.env.CONFLUENCE_USERNAME = 'env@defra.gov.uk'
       process.env.CONFLUENCE_API_TOKEN = 'env-token'
-      expect(resolveAuth()).toEqual({ username: 'env@defra.gov.uk', apiToken: 'env-token' })
+      expect(resolveAuth()).toEqual({ mode: 'basic', username: 'env@defra.gov.uk', apiToken: 'env-token' })
     })
 
     it('should accept CONFLUENCE_USER_EMAIL as the username', () => {
@@ -65,6 +66,12 @@ describe('read-client', () => {
       expect(() => resolveAuth()).toThrow(/Missing credentials/)
       expect(() => resolveAuth({ username: 'only-user' })).toThrow(/CONFLUENCE_API_TOKEN: NOT SET/)
     })
+
+    it('should use a personal access token in bearer mode', () => {
+      process.env.CONFLUENCE_PAT = 'pat-123'
+      expect(resolveAuth()).toEqual({ mode: 'bearer', token: 'pat-123' })
+      expect(() => resolveAuth({ authMode: 'oauth' })).toThrow(/Missing credentials for oauth auth/)
+    })
   })
 
   describe('parsePageId', () => {
@@ -139,6 +146,30 @@ describe('read-client', () => {
       await expect(client.getPage('999')).rejects.toThrow(/404 Not Found[\s\S]*No content found/)
     })
 
+    it('should retry throttled requests, honouring Retry-After', async () => {
+      global.fetch
+        .mockResolvedValueOnce(fakeResponse({ ok: false, status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '0' } }))
+        .mockResolvedValueOnce(fakeResponse({ body: { id: '123', title: 'Page' } }))
+      const client = createClient({ ...AUTH, baseUrl: 'https://example.atlassian.net', retry: { baseDelayMs: 0 } })
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      const page = await client.getPage('123')
+
+      expect(page.title).toBe('Page')
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      console.error.mockRestore()
+    })
+
+    it('should give up after the configured number of retries', async () => {
+      global.fetch.mockResolvedValue(fakeResponse({ ok: false, status: 503, statusText: 'Service Unavailable', body: 'busy' }))
+      const client = createClient({ ...AUTH, baseUrl: 'https://example.atlassian.net', retry: { maxRetries: 2, baseDelayMs: 0 } })
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      await expect(client.getPage('123')).rejects.toThrow(/503 Service Unavailable/)
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+      console.error.mockRestore()
+    })
+
     it('should tolerate non-JSON error bodies', async () => {
       global.fetch.mockResolvedValue(fakeResponse({
         ok: false,
@@ -190,6 +221,88 @@ describe('read-client', () => {
       expect(global.fetch.mock.calls[0][0])
         .toContain(`cql=${encodeURIComponent('space=EUDP AND text ~ "gateway"')}`)
     })
+
+    it('should send bearer tokens to a Data Center site without /wiki', async () => {
+      global.fetch.mockResolvedValue(fakeResponse({ body: { id: '1' } }))
+      const client = createClient({ authMode: 'bearer', token: 'pat-123', baseUrl: 'https://confluence.example.gov.uk/confluence' })
+
+      await client.getPage('1')
+
+      expect(client.authDescription).toBe('bearer (personal access token)')
+      expect(global.fetch.mock.calls[0][0]).toMatch(/^https:\/\/confluence\.example\.gov\.uk\/confluence\/rest\/api\/content\/1\?/)
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer pat-123')
+    })
+
+    it('should read pages through v2 and adapt them to the v1 shape', async () => {
+      global.fetch
+        .mockResolvedValueOnce(fakeResponse({ body: { id: '10', title: 'Page', spaceId: '42', parentId: '5', version: { number: 3 }, body: { storage: { value: '<p/>' } } } }))
+        .mockResolvedValueOnce(fakeResponse({ body: { id: '42', key: 'EUDP' } }))
+        .mockResolvedValueOnce(fakeResponse({ body: { results: [{ id: '5', type: 'page' }] } }))
+        .mockResolvedValueOnce(fakeResponse({ body: { id: '5', title: 'Parent' } }))
+      const client = createClient({ ...AUTH, baseUrl: 'https://example.atlassian.net', apiVersion: 'v2' })
+
+      const page = await client.getPage('10')
+
+      expect(client.apiVersion).toBe('v2')
+      expect(global.fetch.mock.calls[0][0])
+        .toBe('https://example.atlassian.net/wiki/api/v2/pages/10?body-format=storage&include-labels=true')
+      expect(page.space.key).toBe('EUDP')
+      expect(page.version.number).toBe(3)
+      expect(page.ancestors).toEqual([{ id: '5', type: 'page', title: 'Parent' }])
+    })
+
+    it('should follow v2 cursor links without doubling /wiki', async () => {
+      global.fetch
+        .mockResolvedValueOnce(fakeResponse({
+          body: { results: [{ id: '1', spaceId: '42' }], _links: { next: '/wiki/api/v2/pages/9/children?cursor=abc' } }
+        }))
+        .mockResolvedValueOnce(fakeResponse({ body: { results: [{ id: '2', spaceId: '42' }] } }))
+        .mockResolvedValueOnce(fakeResponse({ body: { id: '42', key: 'EUDP' } }))
+      const client = createClient({ ...AUTH, baseUrl: 'https://example.atlassian.net', apiVersion: 'v2' })
+
+      const pages = await client.getChildren('9')
+
+      expect(pages.map(p => p.id)).toEqual(['1', '2'])
+      expect(global.fetch.mock.calls[1][0])
+        .toBe('https://example.atlassian.net/wiki/api/v2/pages/9/children?cursor=abc')
+    })
+  })
+
+  describe('v2 descendants', () => {
+    it('should walk below the levels one descendants request returns', async () => {
+      // A chain of pages 1 > 2 > ... > 8, with folder 9 under page 7 holding page 10
+      const parents = { 2: '1', 3: '2', 4: '3', 5: '4', 6: '5', 7: '6', 8: '7', 9: '7', 10: '9' }
+      // Levels from ancestor down to id (0 when id is not below it)
+      const depthBelow = (id, ancestor) => {
+        let depth = 0
+        for (let current = id; current; current = parents[current]) {
+          if (current === ancestor) return depth
+          depth++
+        }
+        return 0
+      }
+      global.fetch.mockImplementation(url => {
+        const { pathname, searchParams } = new URL(url)
+        const descendantsOf = pathname.match(/\/(?:pages|folders)\/(\d+)\/descendants$/)
+        if (descendantsOf) {
+          const maxDepth = Number(searchParams.get('depth'))
+          const results = Object.keys(parents)
+            .map(id => ({ id, depth: depthBelow(id, descendantsOf[1]) }))
+            .filter(page => page.depth > 0 && page.depth <= maxDepth)
+            .map(page => ({ ...page, type: page.id === '9' ? 'folder' : 'page', spaceId: '42', parentId: parents[page.id] }))
+          return Promise.resolve(fakeResponse({ body: { results } }))
+        }
+        if (pathname.endsWith('/pages/1')) return Promise.resolve(fakeResponse({ body: { id: '1', spaceId: '42' } }))
+        return Promise.resolve(fakeResponse({ body: { id: '42', key: 'EUDP' } }))
+      })
+      const client = createClient({ ...AUTH, baseUrl: 'https://example.atlassian.net', apiVersion: 'v2' })
+
+      const pages = await client.getDescendants('1')
+
+      expect(pages.map(page => page.id).sort((a, b) => a - b)).toEqual(['2', '3', '4', '5', '6', '7', '8', '10'])
+      expect(global.fetch.mock.calls.map(([url]) => new URL(url).pathname).filter(path => path.endsWith('/descendants')))
+        .toEqual(['/wiki/api/v2/pages/1/descendants', '/wiki/api/v2/pages/6/descendants'])
+    })
   })
 
   describe('resolveShortLink', () => {
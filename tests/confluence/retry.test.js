@@ -0,0 +1,144 @@
+/**
+ * Unit tests for confluence/lib/retry.js
+ */
+
+const {
+  DEFAULT_RETRY_OPTIONS,
+  resolveRetryOptions,
+  parseRetryAfter,
+  computeDelay,
+  withRetry
+} = require('../../lib/confluence/lib/retry')
+
+/**
+ * Build a minimal fetch Response stub.
+ */
+function fakeResponse (status, headers = {}) {
+  return { status, ok: status < 400, headers: new Map(Object.entries(headers)) }
+}
+
+describe('retry', () => {
+  const savedEnv = {}
+
+  beforeEach(() => {
+    for (const key of ['CONFLUENCE_MAX_RETRIES', 'CONFLUENCE_RETRY_BASE_DELAY_MS', 'CONFLUENCE_RETRY_MAX_DELAY_MS']) {
+      savedEnv[key] = process.env[key]
+      delete process.env[key]
+    }
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    }
+    console.error.mockRestore()
+  })
+
+  describe('resolveRetryOptions', () => {
+    it('should return defaults when nothing is configured', () => {
+      expect(resolveRetryOptions()).toEqual(DEFAULT_RETRY_OPTIONS)
+    })
+
+    it('should let explicit options override environment variables', () => {
+      process.env.CONFLUENCE_MAX_RETRIES = '7'
+      process.env.CONFLUENCE_RETRY_BASE_DELAY_MS = '50'
+
+      const options = resolveRetryOptions({ maxRetries: 2 })
+
+      expect(options.maxRetries).toBe(2)
+      expect(options.baseDelayMs).toBe(50)
+    })
+  })
+
+  describe('parseRetryAfter', () => {
+    it('should parse delta-seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000)
+    })
+
+    it('should parse an HTTP date relative to now', () => {
+      const now = Date.parse('2025-01-01T00:00:00Z')
+      expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now)).toBe(5000)
+    })
+
+    it('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(null)).toBeNull()
+      expect(parseRetryAfter('soon')).toBeNull()
+    })
+  })
+
+  describe('computeDelay', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 }
+
+    it('should honour Retry-After up to the maximum delay', () => {
+      expect(computeDelay(0, 2000, options)).toBe(2000)
+      expect(computeDelay(0, 90000, options)).toBe(5000)
+    })
+
+    it('should back off exponentially with jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.999)
+      expect(computeDelay(0, null, options)).toBe(999)
+      expect(computeDelay(2, null, options)).toBe(3996)
+      expect(computeDelay(10, null, options)).toBe(4995)
+      Math.random.mockRestore()
+    })
+  })
+
+  describe('withRetry', () => {
+    const sleep = jest.fn().mockResolvedValue()
+
+    beforeEach(() => {
+      sleep.mockClear()
+    })
+
+    it('should retry 429 responses using Retry-After', async () => {
+      const send = jest.fn()
+        .mockResolvedValueOnce(fakeResponse(429, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(fakeResponse(200))
+
+      const response = await withRetry(send, { method: 'GET', label: 'GET /content', sleep })
+
+      expect(response.status).toBe(200)
+      expect(sleep).toHaveBeenCalledWith(2000)
+    })
+
+    it('should stop after maxRetries and return the last response', async () => {
+      const send = jest.fn().mockResolvedValue(fakeResponse(503))
+
+      const response = await withRetry(send, { method: 'GET', label: 'GET /content', retry: { maxRetries: 2 }, sleep })
+
+      expect(response.status).toBe(503)
+      expect(send).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not retry other error statuses', async () => {
+      const send = jest.fn().mockResolvedValue(fakeResponse(404))
+
+      await withRetry(send, { method: 'GET', label: 'GET /content', sleep })
+
+      expect(send).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry a POST on 429 but not on 5xx', async () => {
+      const throttled = jest.fn()
+        .mockResolvedValueOnce(fakeResponse(429))
+        .mockResolvedValueOnce(fakeResponse(201))
+      const unavailable = jest.fn().mockResolvedValue(fakeResponse(502))
+
+      expect((await withRetry(throttled, { method: 'POST', label: 'POST /content', sleep })).status).toBe(201)
+      expect((await withRetry(unavailable, { method: 'POST', label: 'POST /content', sleep })).status).toBe(502)
+      expect(unavailable).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry network errors only for idempotent requests', async () => {
+      const failing = () => jest.fn()
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce(fakeResponse(200))
+
+      expect((await withRetry(failing(), { method: 'PUT', label: 'PUT /content/1', sleep })).status).toBe(200)
+      await expect(withRetry(failing(), { method: 'POST', label: 'POST /content', sleep })).rejects.toThrow('ECONNRESET')
+      expect((await withRetry(failing(), { method: 'POST', label: 'POST /content/1/label', idempotent: true, sleep })).status).toBe(200)
+    })
+  })
+})
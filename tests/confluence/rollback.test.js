@@ -0,0 +1,234 @@
+/**
+ * Unit tests for confluence/lib/rollback.js
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const apiClient = require('../../lib/confluence/lib/api-client')
+const pageManager = require('../../lib/confluence/lib/page-manager')
+
+jest.mock('../../lib/confluence/lib/api-client', () => ({
+  getPageById: jest.fn(),
+  getPageVersions: jest.fn(),
+  restorePageVersion: jest.fn(),
+  searchPagesByLabel: jest.fn()
+}))
+
+jest.mock('../../lib/confluence/lib/page-manager', () => ({
+  isPageSafeToUpdate: jest.fn(),
+  getPageProperty: jest.fn(),
+  setPageProperty: jest.fn()
+}))
+
+const rollback = require('../../lib/confluence/lib/rollback')
+
+const auth = { username: 'user', apiToken: 'token' }
+
+/**
+ * Build a search result page carrying the publish property
+ */
+function generatedPage (id, title, when, value) {
+  return {
+    id,
+    title,
+    version: { number: 5, when },
+    metadata: { properties: value ? { 'defra-publish-source-hash': { value } } : {} }
+  }
+}
+
+describe('rollback', () => {
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation()
+    rollback.setConfig({ generatedLabel: 'generated', dryRun: false })
+    pageManager.isPageSafeToUpdate.mockResolvedValue(true)
+    pageManager.getPageProperty.mockResolvedValue(null)
+  })
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore()
+  })
+
+  describe('loadPublishReport', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rollback-report-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should read a report written with --report-json', async () => {
+      const reportPath = path.join(dir, 'report.json')
+      fs.writeFileSync(reportPath, JSON.stringify({ dryRun: false, files: [] }))
+
+      expect(await rollback.loadPublishReport(reportPath)).toEqual({ dryRun: false, files: [] })
+    })
+
+    it('should refuse dry-run reports and other JSON', async () => {
+      const dryRunPath = path.join(dir, 'dry.json')
+      const otherPath = path.join(dir, 'other.json')
+      fs.writeFileSync(dryRunPath, JSON.stringify({ dryRun: true, files: [] }))
+      fs.writeFileSync(otherPath, '{}')
+
+      await expect(rollback.loadPublishReport(dryRunPath)).rejects.toThrow('is from a dry run')
+      await expect(rollback.loadPublishReport(otherPath)).rejects.toThrow('is not a publish report')
+      await expect(rollback.loadPublishReport(path.join(dir, 'missing.json'))).rejects.toThrow('Could not read publish report')
+    })
+  })
+
+  describe('selectFromReport', () => {
+    it('should target updated pages and explain the others', () => {
+      const report = {
+        files: [
+          { source: 'docs/a.md', action: 'updated', title: 'A', space: 'TEST', pageId: '1', version: 4, previousVersion: 3 },
+          { source: 'docs/b.md', action: 'created', title: 'B', space: 'TEST', pageId: '2', version: 1, previousVersion: null },
+          { source: 'docs/c.md', action: 'updated', title: 'C', space: 'TEST', pageId: '3', version: 2, previousVersion: null },
+          { source: 'docs/d.md', action: 'unchanged', title: 'D', space: 'TEST', pageId: '4' },
+          { source: 'docs/e.md', action: 'updated', title: 'E', space: 'OTHER', pageId: '5', version: 9, previousVersion: 8 }
+        ]
+      }
+
+      const { targets, skipped } = rollback.selectFromReport(report, 'TEST')
+
+      expect(targets).toEqual([{ id: '1', title: 'A', space: 'TEST', source: 'docs/a.md', toVersion: 3, expectedVersion: 4 }])
+      expect(skipped.map(page => [page.id, page.reason])).toEqual([
+        ['2', 'created by that publish, so it has no earlier version'],
+        ['3', 'the report does not record the version it replaced']
+      ])
+    })
+  })
+
+  describe('selectByLabel', () => {
+    it('should go back to the version recorded before the last publish', async () => {
+      apiClient.searchPagesByLabel.mockResolvedValueOnce([
+        generatedPage('1', 'A', '2026-01-02T00:00:00Z', { source: 'docs/a.md', pageVersion: 5, previousVersion: 4 }),
+        generatedPage('2', 'B', '2026-01-02T00:00:00Z', { source: 'docs/b.md', pageVersion: 1 })
+      ])
+
+      const { targets, skipped } = await rollback.selectByLabel('release-7', ['TEST'], auth)
+
+      expect(apiClient.searchPagesByLabel).toHaveBeenCalledWith('release-7', 'TEST', auth, 'version,metadata.properties.defra-publish-source-hash')
+      expect(targets).toEqual([{ id: '1', title: 'A', space: 'TEST', source: 'docs/a.md', toVersion: 4, expectedVersion: 5 }])
+      expect(skipped).toEqual([{ id: '2', title: 'B', space: 'TEST', source: 'docs/b.md', action: 'skipped', reason: 'no earlier version recorded by its last publish' }])
+    })
+  })
+
+  describe('selectBefore', () => {
+    it('should go back to the latest version at or before the time', async () => {
+      apiClient.searchPagesByLabel.mockResolvedValueOnce([
+        generatedPage('1', 'Changed', '2026-01-03T00:00:00Z'),
+        generatedPage('2', 'Untouched', '2026-01-01T00:00:00Z'),
+        generatedPage('3', 'New', '2026-01-03T00:00:00Z')
+      ])
+      apiClient.getPageVersions
+        .mockResolvedValueOnce([
+          { number: 5, when: '2026-01-03T00:00:00Z' },
+          { number: 4, when: '2026-01-02T00:00:00Z' },
+          { number: 3, when: '2026-01-01T12:00:00Z' }
+        ])
+        .mockResolvedValueOnce([{ number: 1, when: '2026-01-03T00:00:00Z' }])
+
+      const { targets, skipped } = await rollback.selectBefore(new Date('2026-01-02T00:00:00Z'), ['TEST'], auth)
+
+      expect(targets).toEqual([{ id: '1', title: 'Changed', space: 'TEST', source: null, toVersion: 4, expectedVersion: null }])
+      expect(skipped.map(page => [page.id, page.reason])).toEqual([['3', 'created after 2026-01-02T00:00:00.000Z']])
+      expect(apiClient.getPageVersions).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('rollbackPages', () => {
+    const target = { id: '1', title: 'A', space: 'TEST', source: 'docs/a.md', toVersion: 3, expectedVersion: 4 }
+
+    it('should restore the version and mark the publish record stale', async () => {
+      apiClient.getPageById.mockResolvedValueOnce({ id: '1', title: 'A', status: 'current', version: { number: 4 } })
+      apiClient.restorePageVersion.mockResolvedValueOnce({ status: 200, body: { number: 5 } })
+      pageManager.getPageProperty.mockResolvedValueOnce({ value: { hash: 'abc', source: 'docs/a.md', pageVersion: 4, previousVersion: 3 } })
+
+      const [result] = await rollback.rollbackPages([target], auth, { reason: 'undoing the publish' })
+
+      expect(result).toMatchObject({ action: 'restored', fromVersion: 4, toVersion: 3, newVersion: 5 })
+      expect(apiClient.restorePageVersion).toHaveBeenCalledWith('1', 3, 'Rolled back to version 3 (undoing the publish)', auth)
+      expect(pageManager.setPageProperty).toHaveBeenCalledWith('1', 'defra-publish-source-hash', expect.objectContaining({
+        hash: null,
+        source: 'docs/a.md',
+        pageVersion: 5,
+        previousVersion: 4
+      }), auth)
+    })
+
+    it('should skip pages changed since the publish unless forced', async () => {
+      apiClient.getPageById.mockResolvedValue({ id: '1', title: 'A', status: 'current', version: { number: 6 } })
+      apiClient.restorePageVersion.mockResolvedValue({ status: 200, body: { number: 7 } })
+
+      const [skipped] = await rollback.rollbackPages([target], auth)
+      const [forced] = await rollback.rollbackPages([target], auth, { force: true })
+
+      expect(skipped).toMatchObject({ action: 'skipped', reason: expect.stringContaining('changed since that publish (version 4 → 6)') })
+      expect(forced).toMatchObject({ action: 'restored', fromVersion: 6 })
+      expect(apiClient.restorePageVersion).toHaveBeenCalledTimes(1)
+    })
+
+    it('should leave pages without the generated label alone', async () => {
+      apiClient.getPageById.mockResolvedValueOnce({ id: '1', title: 'A', status: 'current', version: { number: 4 } })
+      pageManager.isPageSafeToUpdate.mockResolvedValueOnce(false)
+
+      const [result] = await rollback.rollbackPages([target], auth)
+
+      expect(result).toMatchObject({ action: 'skipped', reason: "no 'generated' label" })
+      expect(apiClient.restorePageVersion).not.toHaveBeenCalled()
+    })
+
+    it('should report failures and missing pages', async () => {
+      apiClient.getPageById
+        .mockResolvedValueOnce({ id: '1', title: 'A', status: 'current', version: { number: 4 } })
+        .mockResolvedValueOnce(null)
+      apiClient.restorePageVersion.mockResolvedValueOnce({ status: 403, body: { message: 'Not permitted' } })
+
+      const results = await rollback.rollbackPages([target, { ...target, id: '2' }], auth)
+
+      expect(results[0]).toMatchObject({ action: 'failed', error: 'HTTP 403: Not permitted' })
+      expect(results[1]).toMatchObject({ action: 'skipped', reason: 'page not found' })
+    })
+
+    it('should not write in a dry run', async () => {
+      rollback.setConfig({ dryRun: true })
+      apiClient.getPageById.mockResolvedValueOnce({ id: '1', title: 'A', status: 'current', version: { number: 4 } })
+
+      const [result] = await rollback.rollbackPages([target], auth)
+
+      expect(result).toMatchObject({ action: 'restored', fromVersion: 4, toVersion: 3 })
+      expect(apiClient.restorePageVersion).not.toHaveBeenCalled()
+      expect(pageManager.setPageProperty).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('summaries', () => {
+    const pages = [
+      { id: '1', title: 'A', space: 'TEST', action: 'restored', fromVersion: 4, toVersion: 3 },
+      { id: '2', title: 'B', space: 'TEST', action: 'skipped', reason: 'page not found' },
+      { id: '3', title: 'C | D', space: 'TEST', action: 'failed', error: 'HTTP 403: Not permitted' }
+    ]
+
+    it('should count and list each page', () => {
+      expect(rollback.summariseRollback(pages)).toEqual({ restored: 1, skipped: 1, failed: 1 })
+
+      const text = rollback.formatRollbackSummary(pages)
+      expect(text).toContain('Rollback: 1 restored, 1 skipped, 1 failed')
+      expect(text).toContain('[TEST] A (ID: 1): version 4 → 3')
+    })
+
+    it('should render a Markdown table', () => {
+      const markdown = rollback.toMarkdown(pages)
+
+      expect(markdown).toContain('## Confluence rollback')
+      expect(markdown).toContain('| restored | A | TEST | 4 → 3 |  |')
+      expect(markdown).toContain('| failed | C \\| D | TEST |  | HTTP 403: Not permitted |')
+    })
+  })
+})
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for confluence/lib/source-hash.js
+ */
+
+const fs = require('fs')
+const { computeSourceHash } = require('../../lib/confluence/lib/source-hash')
+
+describe('source-hash', () => {
+  let readFileSpy
+
+  beforeEach(() => {
+    readFileSpy = jest.spyOn(fs.promises, 'readFile').mockImplementation(async (filePath) => {
+      if (filePath.includes('missing')) throw new Error('ENOENT')
+      return Buffer.from(`bytes of ${filePath.split('/').pop()}`)
+    })
+  })
+
+  afterEach(() => {
+    readFileSpy.mockRestore()
+  })
+
+  describe('computeSourceHash', () => {
+    const body = { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hi' }] }] }
+
+    it('should be stable for the same input', async () => {
+      const first = await computeSourceHash({ title: 'Page', body, imagePaths: ['a.png', 'b.png'] })
+      const second = await computeSourceHash({ title: 'Page', body, imagePaths: ['b.png', 'a.png'] })
+
+      expect(first).toMatch(/^[0-9a-f]{64}$/)
+      expect(second).toBe(first)
+    })
+
+    it('should ignore the directory an image was resolved from', async () => {
+      const local = await computeSourceHash({ title: 'Page', body, imagePaths: ['/home/dev/repo/img/a.png'] })
+      const ci = await computeSourceHash({ title: 'Page', body, imagePaths: ['/runner/work/repo/img/a.png'] })
+
+      expect(ci).toBe(local)
+    })
+
+    it('should change when the title or body changes', async () => {
+      const base = await computeSourceHash({ title: 'Page', body })
+
+      expect(await computeSourceHash({ title: 'Other', body })).not.toBe(base)
+      expect(await computeSourceHash({ title: 'Page', body: '<p>storage</p>' })).not.toBe(base)
+    })
+
+    it('should change when an image changes or goes missing', async () => {
+      const base = await computeSourceHash({ title: 'Page', body, imagePaths: ['a.png'] })
+
+      expect(await computeSourceHash({ title: 'Page', body, imagePaths: ['c.png'] })).not.toBe(base)
+      expect(await computeSourceHash({ title: 'Page', body, imagePaths: ['missing.png'] })).not.toBe(base)
+    })
+
+    it('should hash frontmatter labels only when there are some', async () => {
+      const base = await computeSourceHash({ title: 'Page', body })
+
+      expect(await computeSourceHash({ title: 'Page', body, labels: [] })).toBe(base)
+      const labelled = await computeSourceHash({ title: 'Page', body, labels: ['b', 'a'] })
+      expect(labelled).not.toBe(base)
+      expect(await computeSourceHash({ title: 'Page', body, labels: ['a', 'b'] })).toBe(labelled)
+    })
+  })
+})
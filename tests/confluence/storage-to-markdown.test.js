@@ -92,11 +92,28 @@ describe('storage-to-markdown', () => {
       expect(convert(storage)).toBe('```javascript\nconst x = 1 < 2\n```\n')
     })
 
-    it('should convert panel macros to labelled blockquotes', () => {
+    it('should convert panel macros to GitHub alerts', () => {
       const storage = '<ac:structured-macro ac:name="info">' +
         '<ac:rich-text-body><p>Heads up</p></ac:rich-text-body>' +
         '</ac:structured-macro>'
-      expect(convert(storage)).toBe('> ℹ️ **Info**\n>\n> Heads up\n')
+      const titled = '<ac:structured-macro ac:name="note">' +
+        '<ac:parameter ac:name="title">Careful</ac:parameter>' +
+        '<ac:rich-text-body><p>Mind the gap</p></ac:rich-text-body>' +
+        '</ac:structured-macro>'
+      expect(convert(storage)).toBe('> [!NOTE]\n> Heads up\n')
+      expect(convert(titled)).toBe('> [!WARNING]\n> **Careful**\n>\n> Mind the gap\n')
+    })
+
+    it('should convert panels stored as ADF extensions, and label plain panels', () => {
+      const extension = '<ac:adf-extension><ac:adf-node type="panel">' +
+        '<ac:adf-attribute key="panel-type">note</ac:adf-attribute>' +
+        '<ac:adf-content><p>Read this</p></ac:adf-content></ac:adf-node>' +
+        '<ac:adf-fallback><div class="panel"><p>Read this</p></div></ac:adf-fallback></ac:adf-extension>'
+      const plain = '<ac:structured-macro ac:name="panel">' +
+        '<ac:rich-text-body><p>Boxed</p></ac:rich-text-body>' +
+        '</ac:structured-macro>'
+      expect(convert(extension)).toBe('> [!IMPORTANT]\n> Read this\n')
+      expect(convert(plain)).toBe('> **Panel**\n>\n> Boxed\n')
     })
 
     it('should convert expand macros to details blocks', () => {
@@ -137,6 +154,17 @@ describe('storage-to-markdown', () => {
       expect(convert(storage)).toBe('- [x] done thing\n- [ ] todo thing\n')
     })
 
+    it('should nest task lists inside or after the task they belong to', () => {
+      const task = (status, body) => `<ac:task><ac:task-status>${status}</ac:task-status><ac:task-body>${body}</ac:task-body></ac:task>`
+      const storage = '<ac:task-list>' +
+        task('incomplete', 'parent <ac:task-list>' + task('complete', 'inside') + '</ac:task-list>') +
+        '<ac:task-list>' + task('incomplete', 'after') + '</ac:task-list>' +
+        task('complete', 'last') +
+        '</ac:task-list>'
+
+      expect(convert(storage)).toBe('- [ ] parent\n  - [x] inside\n  - [ ] after\n- [x] last\n')
+    })
+
     it('should convert status macros', () => {
       const storage = '<ac:structured-macro ac:name="status">' +
         '<ac:parameter ac:name="title">In Progress</ac:parameter>' +
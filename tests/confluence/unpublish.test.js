@@ -0,0 +1,158 @@
+/**
+ * Unit tests for confluence/lib/unpublish.js
+ */
+
+const apiClient = require('../../lib/confluence/lib/api-client')
+const pageManager = require('../../lib/confluence/lib/page-manager')
+
+jest.mock('../../lib/confluence/lib/api-client', () => ({
+  getPageById: jest.fn(),
+  getChildPages: jest.fn()
+}))
+
+jest.mock('../../lib/confluence/lib/page-manager', () => ({
+  isPageSafeToUpdate: jest.fn(),
+  getPageProperty: jest.fn(),
+  archivePage: jest.fn(),
+  trashPage: jest.fn()
+}))
+
+const unpublish = require('../../lib/confluence/lib/unpublish')
+
+const auth = { username: 'user', apiToken: 'token' }
+
+/**
+ * Build a page as getPageById returns it
+ */
+function page (id, title, parentId, extra = {}) {
+  return {
+    id,
+    title,
+    status: 'current',
+    space: { key: 'TEST' },
+    ancestors: parentId ? [{ id: parentId, type: 'page' }] : [],
+    ...extra
+  }
+}
+
+describe('unpublish', () => {
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation()
+    unpublish.setConfig({ generatedLabel: 'generated', dryRun: false })
+    pageManager.isPageSafeToUpdate.mockResolvedValue(true)
+    pageManager.archivePage.mockResolvedValue(true)
+    pageManager.trashPage.mockResolvedValue(true)
+  })
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore()
+  })
+
+  describe('unpublishPages', () => {
+    it('should archive or trash generated pages', async () => {
+      apiClient.getPageById.mockResolvedValue(page('1', 'Setup', '10'))
+
+      const [archived] = await unpublish.unpublishPages([{ source: 'docs/setup.md', id: '1', space: 'TEST' }], 'archive', auth)
+      const [trashed] = await unpublish.unpublishPages([{ source: 'docs/setup.md', id: '1', space: 'TEST' }], 'trash', auth)
+
+      expect(archived).toEqual({ source: 'docs/setup.md', id: '1', title: 'Setup', space: 'TEST', parentId: '10', action: 'removed' })
+      expect(trashed.action).toBe('removed')
+      expect(pageManager.archivePage).toHaveBeenCalledWith('1', 'Setup', auth)
+      expect(pageManager.trashPage).toHaveBeenCalledWith('1', 'Setup', auth)
+    })
+
+    it('should leave pages without the generated label, and explain unresolved files', async () => {
+      apiClient.getPageById
+        .mockResolvedValueOnce(page('1', 'Handwritten', null))
+        .mockResolvedValueOnce(page('2', 'Old', null, { status: 'archived' }))
+      pageManager.isPageSafeToUpdate.mockResolvedValueOnce(false)
+
+      const results = await unpublish.unpublishPages([
+        { source: 'docs/a.md', id: '1', space: 'TEST' },
+        { source: 'docs/b.md', id: '2', space: 'TEST' },
+        { source: 'docs/c.md', id: null, reason: 'File not found, and not in the page map' },
+        { source: 'docs/d.md', id: null, error: 'Page 9 from confluence.pageId frontmatter was not found in space TEST' }
+      ], 'archive', auth)
+
+      expect(results.map(result => [result.action, result.reason || result.error])).toEqual([
+        ['skipped', "no 'generated' label"],
+        ['skipped', 'page is already archived'],
+        ['skipped', 'File not found, and not in the page map'],
+        ['failed', 'Page 9 from confluence.pageId frontmatter was not found in space TEST']
+      ])
+      expect(pageManager.archivePage).not.toHaveBeenCalled()
+    })
+
+    it('should reject unknown actions', async () => {
+      await expect(unpublish.unpublishPages([], 'delete', auth)).rejects.toThrow("Unknown unpublish action 'delete'")
+    })
+  })
+
+  describe('removeEmptyFolders', () => {
+    it('should remove emptied folder pages up to the first one still in use', async () => {
+      // root (100, not a folder) > guides (10) > setup (1), and guides > extra (11) > deep (2)
+      apiClient.getPageById.mockImplementation(async id => ({
+        10: page('10', 'guides', '100'),
+        11: page('11', 'extra', '10'),
+        100: page('100', 'Docs home', null)
+      })[id])
+      pageManager.getPageProperty.mockImplementation(async id => (id === '100' ? null : { value: { source: `docs/${id}`, folder: true } }))
+      apiClient.getChildPages.mockImplementation(async id => ({
+        10: [{ id: '1' }, { id: '11' }],
+        11: [{ id: '2' }],
+        100: [{ id: '10' }]
+      })[id])
+
+      const folders = await unpublish.removeEmptyFolders([
+        { id: '1', space: 'TEST', parentId: '10', action: 'removed' },
+        { id: '2', space: 'TEST', parentId: '11', action: 'removed' }
+      ], 'archive', auth)
+
+      // guides still held extra when first visited, so only extra is removed
+      expect(folders.map(folder => [folder.id, folder.action])).toEqual([['11', 'removed']])
+      expect(pageManager.archivePage).toHaveBeenCalledTimes(1)
+    })
+
+    it('should keep walking up while folders are left empty', async () => {
+      apiClient.getPageById.mockImplementation(async id => ({
+        10: page('10', 'guides', '20'),
+        20: page('20', 'systems', null)
+      })[id])
+      pageManager.getPageProperty.mockResolvedValue({ value: { source: 'docs/x', folder: true } })
+      apiClient.getChildPages.mockImplementation(async id => ({ 10: [{ id: '1' }], 20: [{ id: '10' }] })[id])
+
+      const folders = await unpublish.removeEmptyFolders([{ id: '1', space: 'TEST', parentId: '10', action: 'removed' }], 'trash', auth)
+
+      expect(folders.map(folder => folder.title)).toEqual(['guides', 'systems'])
+      expect(pageManager.trashPage).toHaveBeenCalledTimes(2)
+    })
+
+    it('should leave folders without the generated label alone', async () => {
+      apiClient.getPageById.mockResolvedValue(page('10', 'guides', null))
+      pageManager.getPageProperty.mockResolvedValue({ value: { folder: true } })
+      pageManager.isPageSafeToUpdate.mockResolvedValue(false)
+
+      expect(await unpublish.removeEmptyFolders([{ id: '1', parentId: '10', action: 'removed' }], 'archive', auth)).toEqual([])
+      expect(apiClient.getChildPages).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('formatUnpublishSummary', () => {
+    it('should count pages and folder pages', () => {
+      const pages = [
+        { source: 'docs/a.md', id: '1', title: 'A', space: 'TEST', action: 'removed' },
+        { id: '10', title: 'guides', space: 'TEST', folder: true, action: 'removed' },
+        { source: 'docs/b.md', id: null, action: 'skipped', reason: 'no published page found' }
+      ]
+
+      expect(unpublish.summariseUnpublish(pages)).toEqual({ removed: 2, skipped: 1, failed: 0, folders: 1 })
+      const text = unpublish.formatUnpublishSummary(pages, 'archive')
+      expect(text).toContain('Unpublish: 2 archived (1 folder page(s)), 1 skipped, 0 failed')
+      expect(text).toContain('[TEST] A (ID: 1) ← docs/a.md')
+      expect(text).toContain('folder [TEST] guides (ID: 10)')
+    })
+  })
+})
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for confluence/lib/version-message.js
+ */
+
+const path = require('path')
+const { execFileSync } = require('child_process')
+const github = require('../../lib/confluence/lib/github')
+const {
+  MAX_VERSION_MESSAGE_LENGTH,
+  getLastCommit,
+  renderVersionMessage,
+  buildVersionMessage
+} = require('../../lib/confluence/lib/version-message')
+
+jest.mock('child_process', () => ({
+  execFileSync: jest.fn()
+}))
+
+jest.mock('../../lib/confluence/lib/github', () => ({
+  getGitHubCommitUrl: jest.fn()
+}))
+
+/**
+ * Fake git: log, status and rev-parse output.
+ */
+function mockGit ({ log = '', status = '', root = '/repo' } = {}) {
+  execFileSync.mockImplementation((command, args) => {
+    if (args[0] === 'log') return `${log}\n`
+    if (args[0] === 'status') return status
+    return `${root}\n`
+  })
+}
+
+const commit = {
+  sha: 'a1b2c3d4e5f6',
+  shortSha: 'a1b2c3d',
+  subject: 'Document the retention policy',
+  author: 'Jo Bloggs',
+  email: 'jo@example.com',
+  date: '2026-10-18T09:30:00+01:00',
+  source: 'docs/retention.md',
+  dirty: false
+}
+
+describe('version-message', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    github.getGitHubCommitUrl.mockImplementation(sha => `https://github.com/defra/docs/commit/${sha}`)
+  })
+
+  describe('getLastCommit', () => {
+    it('should read the latest commit touching the file', () => {
+      mockGit({ log: ['a1b2c3d4e5f6', 'a1b2c3d', 'Document the retention policy', 'Jo Bloggs', 'jo@example.com', '2026-10-18T09:30:00+01:00'].join('\x1f') })
+
+      expect(getLastCommit('/repo/docs/retention.md')).toEqual(commit)
+      expect(execFileSync).toHaveBeenCalledWith('git', expect.arrayContaining(['log', '-1', '--', path.resolve('/repo/docs/retention.md')]), expect.objectContaining({ cwd: path.resolve('/repo/docs') }))
+    })
+
+    it('should flag uncommitted changes', () => {
+      mockGit({ log: 'a\x1fb\x1fc\x1fd\x1fe\x1ff', status: ' M docs/retention.md' })
+
+      expect(getLastCommit('/repo/docs/retention.md').dirty).toBe(true)
+    })
+
+    it('should return null for files git has no commit for', () => {
+      mockGit({ status: '?? docs/new.md' })
+      expect(getLastCommit('/repo/docs/new.md')).toBeNull()
+
+      execFileSync.mockImplementation(() => { throw new Error('not a git repository') })
+      expect(getLastCommit('/tmp/file.md')).toBeNull()
+    })
+  })
+
+  describe('renderVersionMessage', () => {
+    it('should render the default template with a link to the commit', () => {
+      expect(renderVersionMessage(commit)).toBe('a1b2c3d Document the retention policy (Jo Bloggs) https://github.com/defra/docs/commit/a1b2c3d4e5f6')
+    })
+
+    it('should fill a custom template and leave unknown placeholders alone', () => {
+      github.getGitHubCommitUrl.mockReturnValue(null)
+
+      expect(renderVersionMessage({ ...commit, dirty: true }, 'Published {source} at {shortSha} {url} {branch}'))
+        .toBe('Published docs/retention.md at a1b2c3d {branch} (with uncommitted changes)')
+    })
+
+    it('should shorten a long subject and keep the link', () => {
+      const message = renderVersionMessage({ ...commit, subject: 'x'.repeat(400) })
+
+      expect(message).toHaveLength(MAX_VERSION_MESSAGE_LENGTH)
+      expect(message).toMatch(/x… \(Jo Bloggs\) https:\/\/github\.com\/defra\/docs\/commit\/a1b2c3d4e5f6$/)
+    })
+  })
+
+  describe('buildVersionMessage', () => {
+    it('should return null without a commit', () => {
+      mockGit()
+
+      expect(buildVersionMessage('/repo/docs/new.md')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for confluence/lib/worker-pool.js
+ */
+
+const { runPool, resolveConcurrency } = require('../../lib/confluence/lib/worker-pool')
+
+/**
+ * Resolve after the given number of event-loop turns.
+ */
+function ticks (n) {
+  let promise = Promise.resolve()
+  for (let i = 0; i < n; i++) {
+    promise = promise.then(() => new Promise(resolve => setImmediate(resolve)))
+  }
+  return promise
+}
+
+describe('worker-pool', () => {
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore()
+  })
+
+  describe('runPool', () => {
+    it('should return results in item order', async () => {
+      const results = await runPool([3, 1, 2], 3, async n => {
+        await ticks(n)
+        return n * 10
+      })
+
+      expect(results).toEqual([30, 10, 20])
+    })
+
+    it('should never exceed the concurrency limit', async () => {
+      let inFlight = 0
+      let peak = 0
+
+      await runPool([1, 2, 3, 4, 5, 6], 2, async n => {
+        inFlight++
+        peak = Math.max(peak, inFlight)
+        await ticks(n % 3 + 1)
+        inFlight--
+      })
+
+      expect(peak).toBe(2)
+    })
+
+    it('should print each task\'s log lines as one block when running concurrently', async () => {
+      await runPool(['a', 'b'], 2, async name => {
+        console.error(`start ${name}`)
+        await ticks(name === 'a' ? 3 : 1)
+        console.error(`end ${name}`)
+      })
+
+      expect(consoleErrorSpy.mock.calls).toEqual([
+        ['start b\nend b'],
+        ['start a\nend a']
+      ])
+    })
+
+    it('should log directly when running serially', async () => {
+      await runPool(['a'], 1, async name => {
+        console.error(`start ${name}`)
+      })
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('start a')
+    })
+
+    it('should restore console.error afterwards', async () => {
+      await runPool([1, 2], 2, async () => {})
+
+      expect(console.error).toBe(consoleErrorSpy)
+    })
+  })
+
+  describe('resolveConcurrency', () => {
+    it('should prefer the explicit option over config', () => {
+      expect(resolveConcurrency('4', 2)).toBe(4)
+      expect(resolveConcurrency(null, 2)).toBe(2)
+      expect(resolveConcurrency(undefined, undefined)).toBe(1)
+    })
+
+    it('should reject values below one', () => {
+      expect(() => resolveConcurrency(0)).toThrow("Invalid concurrency '0'")
+      expect(() => resolveConcurrency('many')).toThrow('Invalid concurrency')
+    })
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for diagrams/mermaid-fences.js
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
+
+jest.mock('child_process', () => ({
+  execFile: jest.fn()
+}))
+
+const { describeMermaid, findMermaidFences, mermaidImageMarkdown, renderMermaid, replaceMermaidFences } = require('../../lib/diagrams/mermaid-fences')
+
+/**
+ * Fake mmdc: write the -o file, recording the -i source it was given
+ */
+function fakeMmdc (file, args, options, callback) {
+  const input = args[args.indexOf('-i') + 1]
+  const output = args[args.indexOf('-o') + 1]
+  fs.writeFileSync(output, `PNG of ${fs.readFileSync(input, 'utf-8')}`)
+  callback(null, { stdout: '', stderr: '' })
+}
+
+describe('mermaid-fences', () => {
+  let rootDir
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mermaid-fences-'))
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation()
+    execFile.mockImplementation(fakeMmdc)
+  })
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true })
+    consoleErrorSpy.mockRestore()
+  })
+
+  describe('findMermaidFences', () => {
+    it('should find mermaid fences in lists and quotes, but not other code', () => {
+      const fences = findMermaidFences('```js\nconst a = 1\n```\n\n- Flow:\n\n  ```mermaid\n  graph TD\n  ```\n\n> ~~~ Mermaid title="x"\n> graph LR\n> ~~~\n\n    ```mermaid\n    indented code\n')
+
+      expect(fences.map(({ startLine, endLine, prefix, source }) => ({ startLine, endLine, prefix, source }))).toEqual([
+        { startLine: 6, endLine: 9, prefix: '  ', source: 'graph TD\n' },
+        { startLine: 10, endLine: 13, prefix: '> ', source: 'graph LR\n' }
+      ])
+      expect(fences[0].id).toMatch(/^mermaid-[0-9a-f]{16}$/)
+    })
+  })
+
+  describe('renderMermaid', () => {
+    it('should render once per source, reusing the cached image', async () => {
+      const first = await renderMermaid('graph TD\n', { rootDir })
+      const second = await renderMermaid('graph TD\n', { rootDir })
+
+      expect(first).toBe(second)
+      expect(path.dirname(first)).toBe(path.join(rootDir, 'generated', 'diagrams', 'mermaid'))
+      expect(fs.readFileSync(first, 'utf-8')).toBe('PNG of graph TD\n')
+      expect(execFile).toHaveBeenCalledTimes(1)
+      // Arguments are passed without a shell, so paths need no quoting
+      expect(execFile.mock.calls[0][1].slice(-4)).toEqual(['-b', 'white', '-s', '3'])
+      // The source written for mmdc is not left behind
+      expect(fs.readdirSync(path.dirname(first))).toEqual([path.basename(first)])
+    })
+
+    it('should return null when mmdc fails', async () => {
+      execFile.mockImplementation((file, args, options, callback) => {
+        callback(Object.assign(new Error('Command failed'), { stderr: 'Parse error on line 1\nmore' }))
+      })
+
+      expect(await renderMermaid('graph ??', { rootDir })).toBeNull()
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Parse error on line 1'))
+    })
+
+    it('should only plan the render in a dry run, writing nothing', async () => {
+      const imagePath = await renderMermaid('graph TD\n', { rootDir, dryRun: true })
+
+      expect(imagePath).toMatch(/mermaid-[0-9a-f]{16}\.png$/)
+      expect(execFile).not.toHaveBeenCalled()
+      expect(fs.readdirSync(rootDir)).toEqual([])
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Would render mermaid diagram'))
+    })
+  })
+
+  describe('describeMermaid', () => {
+    it('should describe a diagram by its title, accTitle or first line', () => {
+      expect(describeMermaid('---\ntitle: "Order flow"\n---\nflowchart LR\n')).toBe('Order flow')
+      expect(describeMermaid('%% Draft\nsequenceDiagram\n  accTitle: Login sequence\n')).toBe('Login sequence')
+      expect(describeMermaid('\n%% Draft\ngraph TD\n  A --> B\n')).toBe('graph TD')
+    })
+
+    it('should escape the alt text of a markdown image', () => {
+      expect(mermaidImageMarkdown({ alt: 'A[Start] --> B' }, 'flow.png')).toBe('![A\\[Start\\] --> B](flow.png)')
+    })
+  })
+
+  describe('replaceMermaidFences', () => {
+    it('should replace rendered fences, keeping their container markers', async () => {
+      const markdown = '# Flow\r\n\r\n```mermaid\r\ngraph TD\r\n```\r\n\r\n> ```mermaid\r\n> graph TD\r\n> ```\r\n'
+
+      const { content, diagrams } = await replaceMermaidFences(markdown, diagram => `![${diagram.alt}](${path.basename(diagram.imagePath)})`, { rootDir })
+
+      expect(diagrams).toHaveLength(1)
+      const image = `![graph TD](${diagrams[0].id}.png)`
+      expect(content).toBe(`# Flow\n\n${image}\n\n> ${image}\n`)
+      expect(diagrams[0]).toMatchObject({ source: 'graph TD\n', alt: 'graph TD', imagePath: path.join(rootDir, 'generated', 'diagrams', 'mermaid', `${diagrams[0].id}.png`) })
+    })
+
+    it('should leave fences that fail to render, and content without fences, as written', async () => {
+      execFile.mockImplementation((file, args, options, callback) => callback(new Error('mmdc not found')))
+      const markdown = 'Text\n\n```mermaid\ngraph ??\n```\n'
+
+      expect(await replaceMermaidFences(markdown, () => 'image', { rootDir })).toEqual({ content: markdown, diagrams: [] })
+      expect(await replaceMermaidFences('No\r\ndiagrams', () => 'image', { rootDir })).toEqual({ content: 'No\r\ndiagrams', diagrams: [] })
+    })
+
+    it('should replace fences with their planned images in a dry run', async () => {
+      const { content, diagrams } = await replaceMermaidFences('```mermaid\ngraph TD\n```\n', diagram => diagram.id, { rootDir, dryRun: true })
+
+      expect(content).toBe(`${diagrams[0].id}\n`)
+      expect(execFile).not.toHaveBeenCalled()
+      expect(fs.existsSync(diagrams[0].imagePath)).toBe(false)
+    })
+  })
+})
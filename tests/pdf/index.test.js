@@ -4,6 +4,7 @@
 
 const fs = require('fs')
 const path = require('path')
+const { replaceMermaidFences } = require('../../lib/diagrams/mermaid-fences')
 const { export: exportToPdf, exportMultiple } = require('../../lib/pdf/index')
 
 // Mock dependencies
@@ -14,6 +15,11 @@ jest.mock('fs', () => ({
   writeFileSync: jest.fn()
 }))
 
+jest.mock('../../lib/diagrams/mermaid-fences', () => ({
+  mermaidImageMarkdown: jest.requireActual('../../lib/diagrams/mermaid-fences').mermaidImageMarkdown,
+  replaceMermaidFences: jest.fn()
+}))
+
 jest.mock('md-to-pdf', () => {
   return jest.fn(async (input, options) => {
     // Simulate successful PDF generation
@@ -28,6 +34,8 @@ describe('pdf/index', () => {
     jest.clearAllMocks()
     fs.existsSync.mockReturnValue(true)
     fs.writeFileSync = jest.fn()
+    fs.readFileSync.mockReturnValue('# Test\n')
+    replaceMermaidFences.mockImplementation(async markdown => ({ content: markdown, diagrams: [] }))
     // Reset md-to-pdf mock
     const mdToPdf = require('md-to-pdf')
     mdToPdf.mockResolvedValue({
@@ -98,6 +106,29 @@ describe('pdf/index', () => {
       expect(callArgs.stylesheet).toContain(cssPath)
     })
 
+    it('should convert the file by path when it has no mermaid fences', async () => {
+      const mdToPdf = require('md-to-pdf')
+
+      await exportToPdf({ inputFile: 'docs/test.md' })
+
+      expect(mdToPdf.mock.calls[0][0]).toEqual({ path: path.resolve('docs/test.md') })
+      expect(mdToPdf.mock.calls[0][1].basedir).toBeUndefined()
+    })
+
+    it('should embed rendered mermaid fences as images', async () => {
+      const mdToPdf = require('md-to-pdf')
+      fs.readFileSync.mockImplementation(file => (file === '/cache/mermaid-abc.png' ? Buffer.from('png') : '```mermaid\ngraph TD\n```\n'))
+      replaceMermaidFences.mockImplementation(async (markdown, replace) => ({
+        content: replace({ id: 'mermaid-abc', imagePath: '/cache/mermaid-abc.png', alt: 'graph TD' }),
+        diagrams: [{ id: 'mermaid-abc', imagePath: '/cache/mermaid-abc.png' }]
+      }))
+
+      await exportToPdf({ inputFile: 'docs/test.md' })
+
+      expect(mdToPdf.mock.calls[0][0]).toEqual({ content: `![graph TD](data:image/png;base64,${Buffer.from('png').toString('base64')})` })
+      expect(mdToPdf.mock.calls[0][1].basedir).toBe(path.resolve('docs'))
+    })
+
     it('should throw error if md-to-pdf is not available', async () => {
       // This test verifies the error message when md-to-pdf is missing
       // Since we're mocking md-to-pdf, we can't easily test this without
@@ -33,20 +33,40 @@ After`
   })
 
   describe('filterContentByFormat (confluence)', () => {
-    it('strips titled Astro note blocks such as Delivery dependency', () => {
+    it('keeps titled Astro note blocks for the converter to turn into panels', () => {
       const content = `Before
 
 :::note[Delivery dependency]
-Do not ship this to Confluence.
+Publish this as a panel.
 :::
 
 After`
 
-      const result = filterContentByFormat(content, 'confluence')
-      expect(result).not.toContain('Delivery dependency')
-      expect(result).not.toContain('Do not ship this to Confluence')
-      expect(result).toContain('Before')
-      expect(result).toContain('After')
+      expect(filterContentByFormat(content, 'confluence')).toBe(content)
+    })
+
+    it('removes directives that are not panel types', () => {
+      const content = `Before
+
+:::details[More]
+hidden
+:::
+
+:::caution
+Kept as a panel.
+:::
+
+After`
+
+      expect(filterContentByFormat(content, 'confluence')).toBe(`Before
+
+
+
+:::caution
+Kept as a panel.
+:::
+
+After`)
     })
 
     it('keeps one continuous table after removing inline PPT_ONLY header repeats', () => {